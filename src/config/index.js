@@ -38,6 +38,205 @@ const config = {
     cleanupInterval: 24 * 60 * 60 * 1000, // 24 hours in milliseconds
     useMongoDB: true, // Enable MongoDB storage
     syncInterval: 5 * 60 * 1000, // Sync with MongoDB every 5 minutes
+  },
+
+  // Property Listing Settings
+  listings: {
+    types: ['apartment', 'house', 'commercial', 'land'],
+    districts: [
+      'Almazar',
+      'Bektemir',
+      'Chilanzar',
+      'Mirabad',
+      'Mirzo Ulugbek',
+      'Sergeli',
+      'Shaykhantahur',
+      'Uchtepa',
+      'Yakkasaray',
+      'Yangihayot',
+      'Yashnabad',
+      'Yunusabad'
+    ],
+    currency: 'USD',
+    maxPhotos: 10,
+    mediaGroupWait: 1000 // Milliseconds to collect all photos of an album before saving them
+  },
+
+  // Property Search Settings
+  search: {
+    priceRanges: [
+      { min: null, max: 30000 },
+      { min: 30000, max: 60000 },
+      { min: 60000, max: 100000 },
+      { min: 100000, max: 200000 },
+      { min: 200000, max: null }
+    ],
+    roomOptions: [1, 2, 3, 4], // The last option means "or more"
+    maxResults: 100
+  },
+
+  // Saved Search Settings
+  savedSearches: {
+    maxPerUser: 10
+  },
+
+  // Favourite Listing Settings
+  favorites: {
+    maxPerUser: 50
+  },
+
+  // Investment Opportunity Settings
+  investments: {
+    riskLevels: ['low', 'medium', 'high'],
+    pageSize: 5
+  },
+
+  // Onboarding Questionnaire Settings
+  preferences: {
+    purposes: ['living', 'rental', 'resale'],
+    ticketRanges: [
+      { min: null, max: 10000 },
+      { min: 10000, max: 50000 },
+      { min: 50000, max: 100000 },
+      { min: 100000, max: null }
+    ],
+    horizons: ['short', 'medium', 'long'] // Up to a year, one to three years, longer
+  },
+
+  // Matchmaking Settings
+  matching: {
+    candidatePoolSize: 200, // Most recently active counterparts considered per suggestion
+    skipDays: 30 // How long a skipped suggestion stays hidden
+  },
+
+  // Market Data Settings
+  market: {
+    cacheTtl: 15 * 60 * 1000, // Recompute insights at most every 15 minutes
+    trendDays: 30 // Length of the periods compared for price trends
+  },
+
+  // Localisation Settings
+  i18n: {
+    locales: ['uz', 'ru', 'en'], // Order of the language picker
+    defaultLocale: process.env.DEFAULT_LOCALE || 'en' // Used when Telegram reports another language
+  },
+
+  // Admin Settings
+  admin: {
+    // Telegram user IDs with every permission; other admins are appointed from the admin panel
+    ids: (process.env.ADMIN_IDS || '').split(',').map(id => Number(id.trim())).filter(Boolean),
+    permissions: ['stats', 'users', 'review', 'terms', 'admins', 'broadcast', 'moderation'],
+    defaultPermissions: ['stats', 'users', 'review'], // Given to admins appointed from the panel
+    pageSize: 10, // Users per list in the admin panel
+    // Bearer token for the admin HTTP API; the API is off without it
+    apiToken: process.env.ADMIN_API_TOKEN || null
+  },
+
+  // Moderation Settings
+  moderation: {
+    checkInterval: 60 * 1000, // How often bans and mutes that ran out are lifted
+    refusalInterval: 60 * 60 * 1000, // Banned users are told at most this often; other updates are dropped silently
+    maxReasonLength: 500,
+    historySize: 10, // Moderation actions shown on a user's card
+    // Buttons muted users can't use: contacting other users and publishing
+    mutedCallbacks: ['chat_open_', 'chat_reply_', 'match_interest_', 'match_accept_', 'listing_publish_', 'listing_wizard_publish', 'invest_wizard_publish']
+  },
+
+  // Broadcast Settings
+  broadcasts: {
+    messagesPerSecond: 25, // Telegram allows about 30 messages per second across all chats
+    batchSize: 100, // Recipients loaded and saved at a time
+    maxRetries: 3, // Attempts per recipient when Telegram asks to slow down
+    lastSeenDays: [7, 30, 90], // Choices of the "last seen" audience filter
+    maxButtonTextLength: 64
+  },
+
+  // Terms of Service Settings
+  terms: {
+    url: process.env.TERMS_URL || null, // Full terms and privacy policy, linked from the consent screen
+    initialVersion: 1 // Version in force before any has been published from the admin chat
+  },
+
+  // Wizard Settings
+  wizard: {
+    timeout: 24 * 60 * 60 * 1000 // Inactivity after which an unfinished wizard expires
+  },
+
+  // Phone Number Settings
+  phone: {
+    // Calling code assumed for numbers typed in local format
+    defaultCountryCode: process.env.DEFAULT_COUNTRY_CODE || '998',
+    // 'refuse' rejects a number that belongs to another account, 'flag' accepts it and marks the user
+    duplicates: process.env.DUPLICATE_PHONES || 'refuse',
+    // Calling code => digits after the code, and the trunk prefix dialled before local numbers
+    countries: {
+      998: { name: 'Uzbekistan', lengths: [9] },
+      7: { name: 'Russia/Kazakhstan', lengths: [10], trunkPrefix: '8' },
+      992: { name: 'Tajikistan', lengths: [9] },
+      996: { name: 'Kyrgyzstan', lengths: [9], trunkPrefix: '0' },
+      993: { name: 'Turkmenistan', lengths: [8], trunkPrefix: '8' },
+      90: { name: 'Turkey', lengths: [10], trunkPrefix: '0' },
+      971: { name: 'UAE', lengths: [8, 9], trunkPrefix: '0' },
+      82: { name: 'South Korea', lengths: [9, 10], trunkPrefix: '0' },
+      44: { name: 'United Kingdom', lengths: [10], trunkPrefix: '0' },
+      49: { name: 'Germany', lengths: [10, 11], trunkPrefix: '0' },
+      1: { name: 'USA/Canada', lengths: [10] }
+    },
+    // One-time SMS code asked for after a typed phone number (shared contacts are already proven)
+    verification: {
+      enabled: process.env.PHONE_VERIFICATION === 'true',
+      // Key of the stored code hashes; the bot token is used when it isn't set
+      secret: process.env.PHONE_CODE_SECRET || process.env.TELEGRAM_BOT_TOKEN,
+      codeLength: 6,
+      codeTtl: 5 * 60 * 1000, // How long a code can be used
+      maxAttempts: 5, // Wrong guesses before the code is discarded
+      resendCooldown: 60 * 1000, // Minimum time between two codes
+      maxSends: 5, // Codes per phone number within the send window
+      sendWindow: 60 * 60 * 1000
+    }
+  },
+
+  // SMS Settings
+  sms: {
+    provider: process.env.SMS_PROVIDER || 'log', // "log" writes messages to the log instead of sending them
+    logFile: process.env.SMS_LOG_FILE || null // Also append logged messages to this file
+  },
+
+  // Registration Settings
+  registration: {
+    timeout: 7 * 24 * 60 * 60 * 1000, // Unfinished registrations are kept for a week
+    reminders: {
+      checkInterval: 15 * 60 * 1000, // How often stalled registrations are looked up
+      firstAfter: 60 * 60 * 1000, // Inactivity before the first reminder
+      interval: 24 * 60 * 60 * 1000, // Time between reminders, and before giving up after the last one
+      maxReminders: 3,
+      batchSize: 100 // Registrations handled per check
+    },
+    // Manual vetting of completed sign-ups before they get access
+    approval: {
+      enabled: process.env.REGISTRATION_APPROVAL === 'true',
+      adminChatId: process.env.ADMIN_CHAT_ID ? Number(process.env.ADMIN_CHAT_ID) : null, // Chat that receives review cards
+      maxReasonLength: 500
+    },
+    // Registration funnel analytics
+    funnel: {
+      ranges: [7, 30, 90], // Periods in days offered in the admin panel
+      defaultDays: 30,
+      maxDays: 366 // Longest period the HTTP API accepts
+    }
+  },
+
+  // Scheduled Summary Report Settings
+  reports: {
+    // Chat that receives the reports; the registration review chat unless set
+    chatId: Number(process.env.REPORT_CHAT_ID || process.env.ADMIN_CHAT_ID) || null,
+    timezone: process.env.REPORT_TIMEZONE || 'Asia/Tashkent', // Time zone of the schedules and report dates
+    topDistricts: 3, // Districts listed by new listings
+    // Cron expressions ("minute hour day-of-month month day-of-week"); an empty one turns the report off
+    schedules: [
+      { name: 'daily', cron: process.env.DAILY_REPORT_CRON !== undefined ? process.env.DAILY_REPORT_CRON : '0 9 * * *', days: 1 },
+      { name: 'weekly', cron: process.env.WEEKLY_REPORT_CRON !== undefined ? process.env.WEEKLY_REPORT_CRON : '0 9 * * 1', days: 7 }
+    ]
   }
 };
 
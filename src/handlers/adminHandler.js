@@ -0,0 +1,545 @@
+const Logger = require('../utils/logger');
+const adminService = require('../services/adminService');
+const moderationService = require('../services/moderationService');
+const phoneVerificationService = require('../services/phoneVerificationService');
+const registrationAnalyticsService = require('../services/registrationAnalyticsService');
+const registrationFlow = require('../services/registrationFlow');
+const termsService = require('../services/termsService');
+const { chunkArray, escapeMarkdown, formatDate, formatDuration } = require('../utils/helpers');
+const { getLocaleTag, isSupportedLocale, t } = require('../utils/i18n');
+const { renderScreen } = require('../utils/telegramHelpers');
+
+// Permission needed for each panel action
+const ACTION_PERMISSIONS = {
+  find: 'users',
+  recent: 'users',
+  user: 'users',
+  pending: 'review',
+  status: 'stats',
+  funnel: 'stats',
+  funnelrole: 'stats',
+  funnellanguage: 'stats',
+  grant: 'admins',
+  revoke: 'admins',
+  modlog: 'moderation',
+  unban: 'moderation'
+};
+
+class AdminHandler {
+  constructor(bot) {
+    this.bot = bot;
+    this.adminService = adminService;
+  }
+
+  /**
+   * Get the "back to the panel" keyboard row
+   * @param {Object} ctx - Telegraf context
+   * @returns {Array<Object>} Keyboard row
+   */
+  getBackRow(ctx) {
+    return [{ text: ctx.t('admin.back'), callback_data: 'admin' }];
+  }
+
+  /**
+   * Show the admin panel
+   * @param {Object} ctx - Telegraf context
+   */
+  async showPanel(ctx) {
+    try {
+      const permissions = await this.adminService.getPermissions(ctx.from.id) || [];
+      const buttons = ['find', 'recent', 'pending', 'status', 'funnel']
+        .filter(action => permissions.includes(ACTION_PERMISSIONS[action]))
+        .map(action => ({ text: ctx.t(`admin.panel.${action}`), callback_data: `admin_${action}` }));
+      if (permissions.includes('broadcast')) {
+        buttons.push({ text: ctx.t('admin.panel.broadcast'), callback_data: 'broadcast_new' });
+      }
+
+      await renderScreen(ctx, `${ctx.t('admin.panel.title')}\n\n${ctx.t('admin.panel.intro')}`, {
+        parse_mode: 'Markdown',
+        reply_markup: { inline_keyboard: chunkArray(buttons, 2) }
+      });
+    } catch (error) {
+      Logger.error('Error showing admin panel', { error: error.message });
+      await ctx.reply(ctx.t('common.error'));
+    }
+  }
+
+  /**
+   * Ask for the user to look up
+   * @param {Object} ctx - Telegraf context
+   */
+  async promptFind(ctx) {
+    ctx.session = { ...ctx.session, awaitingInput: 'admin_find' };
+
+    await renderScreen(ctx, ctx.t('admin.findPrompt'), {
+      reply_markup: { inline_keyboard: [this.getBackRow(ctx)] }
+    });
+  }
+
+  /**
+   * Handle the lookup text typed by an admin
+   * @param {Object} ctx - Telegraf context
+   */
+  async handleFindInput(ctx) {
+    try {
+      if (!await this.adminService.hasPermission(ctx.from.id, ACTION_PERMISSIONS.find)) {
+        await ctx.reply(ctx.t('admin.notAllowed'));
+        return;
+      }
+
+      const query = ctx.message.text.trim();
+      const users = await this.adminService.findUsers(query);
+
+      if (users.length === 0) {
+        ctx.session = { ...ctx.session, awaitingInput: 'admin_find' };
+        await ctx.reply(ctx.t('admin.notFound', { query }), {
+          reply_markup: { inline_keyboard: [this.getBackRow(ctx)] }
+        });
+        return;
+      }
+
+      if (users.length === 1) {
+        await this.showUser(ctx, users[0]);
+        return;
+      }
+
+      await this.showUserList(ctx, ctx.t('admin.results', { count: users.length }), users);
+    } catch (error) {
+      Logger.error('Error looking up users', { error: error.message });
+      await ctx.reply(ctx.t('common.error'));
+    }
+  }
+
+  /**
+   * Show a list of users as buttons opening their cards
+   * @param {Object} ctx - Telegraf context
+   * @param {string} title - Markdown title
+   * @param {Array<Object>} users - User documents
+   */
+  async showUserList(ctx, title, users) {
+    const rows = users.map(user => {
+      const contact = user.phoneNumber || (user.username ? `@${user.username}` : user.telegramId);
+      const name = user.userFullName || user.fullName;
+      return [{ text: `${name} · ${contact}`, callback_data: `admin_user_${user.telegramId}` }];
+    });
+    rows.push(this.getBackRow(ctx));
+
+    await renderScreen(ctx, title, {
+      parse_mode: 'Markdown',
+      reply_markup: { inline_keyboard: rows }
+    });
+  }
+
+  /**
+   * Show the users who registered most recently
+   * @param {Object} ctx - Telegraf context
+   */
+  async showRecent(ctx) {
+    const users = await this.adminService.getRecentRegistrations();
+    if (users.length === 0) {
+      await renderScreen(ctx, `${ctx.t('admin.recentTitle')}\n\n${ctx.t('admin.recentEmpty')}`, {
+        parse_mode: 'Markdown',
+        reply_markup: { inline_keyboard: [this.getBackRow(ctx)] }
+      });
+      return;
+    }
+
+    await this.showUserList(ctx, ctx.t('admin.recentTitle'), users);
+  }
+
+  /**
+   * Show registrations waiting for review and other open items
+   * @param {Object} ctx - Telegraf context
+   */
+  async showPending(ctx) {
+    const pending = await this.adminService.getPendingItems();
+    const lines = [
+      ctx.t('admin.pendingTitle'),
+      '',
+      ctx.t('admin.pendingRegistrations', { count: pending.registrationCount }),
+      ctx.t('admin.pendingConnections', { count: pending.connectionCount })
+    ];
+
+    if (pending.registrations.length === 0) {
+      lines.push('', ctx.t('admin.pendingEmpty'));
+      await renderScreen(ctx, lines.join('\n'), {
+        parse_mode: 'Markdown',
+        reply_markup: { inline_keyboard: [this.getBackRow(ctx)] }
+      });
+      return;
+    }
+
+    await this.showUserList(ctx, lines.join('\n'), pending.registrations);
+  }
+
+  /**
+   * Show the health and usage figures of the bot
+   * @param {Object} ctx - Telegraf context
+   */
+  async showStatus(ctx) {
+    const status = await this.adminService.getSystemStatus();
+    const onOff = enabled => ctx.t(enabled ? 'admin.status.on' : 'admin.status.off');
+
+    const lines = [
+      ctx.t('admin.status.title'),
+      '',
+      ctx.t('stats.uptime', { value: Math.floor(status.memory.uptime / 60) }),
+      ctx.t('stats.memory', { value: Math.round(status.memory.memoryUsage.heapUsed / 1024 / 1024) }),
+      ctx.t('admin.status.cachedUsers', { value: status.memory.activeUsers }),
+      ctx.t('stats.messages', { value: status.memory.messagesProcessed }),
+      ctx.t('admin.status.database', {
+        value: ctx.t(status.databaseConnected ? 'admin.status.connected' : 'admin.status.disconnected')
+      })
+    ];
+
+    if (status.database) {
+      lines.push(
+        ctx.t('stats.databaseUsers', { value: status.database.totalUsers }),
+        ctx.t('stats.databaseActiveUsers', { value: status.database.activeUsers }),
+        ctx.t('admin.status.registeredUsers', { value: status.database.registeredUsers }),
+        ctx.t('admin.status.wizards', { value: status.database.wizardSessions }),
+        ctx.t('stats.databaseMessages', { value: status.database.totalMessages })
+      );
+    }
+
+    lines.push(
+      '',
+      ctx.t('admin.status.terms', { value: termsService.getCurrent().version }),
+      ctx.t('admin.status.approval', { value: onOff(registrationFlow.requiresReview()) }),
+      ctx.t('admin.status.verification', { value: onOff(phoneVerificationService.isEnabled()) })
+    );
+
+    await renderScreen(ctx, lines.join('\n'), {
+      parse_mode: 'Markdown',
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: ctx.t('admin.status.refresh'), callback_data: 'admin_status' }],
+          this.getBackRow(ctx)
+        ]
+      }
+    });
+  }
+
+  /**
+   * Format a share as a percentage
+   * @param {Object} ctx - Telegraf context
+   * @param {number} value - Share from 0 to 1
+   * @returns {string} Localised percentage
+   */
+  formatRate(ctx, value) {
+    return new Intl.NumberFormat(getLocaleTag(ctx.locale), { style: 'percent', maximumFractionDigits: 0 }).format(value);
+  }
+
+  /**
+   * Get the label of a breakdown value
+   * @param {Object} ctx - Telegraf context
+   * @param {string} view - "funnelrole" or "funnellanguage"
+   * @param {string} value - Role or locale code, or "unknown"
+   * @returns {string} Label
+   */
+  getBreakdownLabel(ctx, view, value) {
+    if (value === 'unknown') {
+      return ctx.t('admin.funnel.unknown');
+    }
+    if (view === 'funnelrole') {
+      return ctx.t(`roles.${value}`);
+    }
+    return isSupportedLocale(value) ? t(value, 'language.name') : value;
+  }
+
+  /**
+   * Show the registration funnel, overall or split by role or language
+   * @param {Object} ctx - Telegraf context
+   * @param {string} view - "funnel", "funnelrole" or "funnellanguage"
+   * @param {number|null} days - Length of the period
+   */
+  async showFunnel(ctx, view, days) {
+    const { ranges, defaultDays } = registrationAnalyticsService.settings;
+    const period = ranges.includes(days) ? days : defaultDays;
+    const result = await registrationAnalyticsService.getFunnel(registrationAnalyticsService.getRange(period));
+
+    const titles = {
+      funnel: 'admin.funnel.title',
+      funnelrole: 'admin.funnel.byRoleTitle',
+      funnellanguage: 'admin.funnel.byLanguageTitle'
+    };
+    const lines = [ctx.t(titles[view]), ctx.t('admin.funnel.period', { days: period }), ''];
+    const dropOffLine = funnel => ctx.t('admin.funnel.dropOff', {
+      stage: ctx.t(`admin.states.${funnel.dropOff.state}`),
+      conversion: this.formatRate(ctx, funnel.dropOff.conversion)
+    });
+
+    if (!result.success) {
+      lines.push(`❌ ${ctx.t(result.error)}`);
+    } else if (result.funnel.started === 0 && result.funnel.transitions.length === 0) {
+      lines.push(ctx.t('admin.funnel.empty'));
+    } else if (view === 'funnel') {
+      const { funnel } = result;
+      for (const stage of funnel.stages) {
+        let line = ctx.t('admin.funnel.stage', { stage: ctx.t(`admin.states.${stage.state}`), users: stage.users });
+        if (stage.conversion !== null) {
+          line += ctx.t('admin.funnel.conversion', { value: this.formatRate(ctx, stage.conversion) });
+        }
+        if (stage.medianDuration !== null) {
+          line += ctx.t('admin.funnel.median', { value: formatDuration(stage.medianDuration, ctx.locale) });
+        }
+        lines.push(line);
+      }
+
+      lines.push('');
+      if (funnel.conversion !== null) {
+        lines.push(ctx.t('admin.funnel.overall', { value: this.formatRate(ctx, funnel.conversion) }));
+      }
+      if (funnel.dropOff) {
+        lines.push(dropOffLine(funnel));
+      }
+      if (funnel.rejected > 0) {
+        lines.push(ctx.t('admin.funnel.rejected', { value: funnel.rejected }));
+      }
+    } else {
+      const groups = view === 'funnelrole' ? result.funnel.byRole : result.funnel.byLanguage;
+      for (const [value, funnel] of Object.entries(groups)) {
+        lines.push(ctx.t('admin.funnel.group', {
+          label: this.getBreakdownLabel(ctx, view, value),
+          started: funnel.started,
+          completed: funnel.completed,
+          conversion: funnel.conversion === null ? '–' : this.formatRate(ctx, funnel.conversion)
+        }));
+        if (funnel.dropOff) {
+          lines.push(`    ${dropOffLine(funnel)}`);
+        }
+      }
+    }
+
+    const views = [
+      { view: 'funnel', text: 'admin.funnel.overview' },
+      { view: 'funnelrole', text: 'admin.funnel.byRole' },
+      { view: 'funnellanguage', text: 'admin.funnel.byLanguage' }
+    ];
+
+    await renderScreen(ctx, lines.join('\n'), {
+      parse_mode: 'Markdown',
+      reply_markup: {
+        inline_keyboard: [
+          ranges.map(range => ({
+            text: `${range === period ? '✅ ' : ''}${ctx.t('admin.funnel.days', { days: range })}`,
+            callback_data: `admin_${view}_${range}`
+          })),
+          views
+            .filter(item => item.view !== view)
+            .map(item => ({ text: ctx.t(item.text), callback_data: `admin_${item.view}_${period}` })),
+          this.getBackRow(ctx)
+        ]
+      }
+    });
+  }
+
+  /**
+   * Show everything stored about a user, with the actions available on them
+   * @param {Object} ctx - Telegraf context
+   * @param {Object} user - User document
+   */
+  async showUser(ctx, user) {
+    const notSet = ctx.t('common.notSet');
+    let adminStatus = ctx.t('common.no');
+    if (this.adminService.isConfiguredAdmin(user.telegramId)) {
+      adminStatus = ctx.t('admin.user.configuredAdmin');
+    } else if (user.isAdmin) {
+      adminStatus = user.permissions.length > 0 ? user.permissions.join(', ') : ctx.t('common.yes');
+    }
+    let reachability = ctx.t('admin.user.active');
+    if (user.blocked) {
+      reachability = ctx.t('admin.user.blocked');
+    } else if (!user.isActive) {
+      reachability = ctx.t('admin.user.inactive');
+    }
+
+    const lines = [
+      ctx.t('admin.user.title', { name: escapeMarkdown(user.userFullName || user.fullName) }),
+      '',
+      ctx.t('admin.user.id', { value: `\`${user.telegramId}\`` }),
+      ctx.t('admin.user.username', { value: user.username ? `@${escapeMarkdown(user.username)}` : notSet }),
+      ctx.t('admin.user.phone', {
+        value: `${escapeMarkdown(user.phoneNumber || notSet)}${user.phoneVerified ? ' ✅' : ''}`
+      }),
+      ctx.t('admin.user.role', { value: user.role ? ctx.t(`roles.${user.role}`) : ctx.t('common.notSelected') }),
+      ctx.t('admin.user.state', { value: ctx.t(`admin.states.${user.registrationState}`) }),
+      ctx.t('admin.user.registered', { value: user.registeredAt ? formatDate(user.registeredAt, ctx.locale) : notSet }),
+      ctx.t('admin.user.lastSeen', { value: user.lastSeen ? formatDate(user.lastSeen, ctx.locale) : notSet }),
+      ctx.t('admin.user.messages', { value: user.messageCount }),
+      ctx.t('admin.user.terms', { value: user.termsVersion || notSet }),
+      ctx.t('admin.user.reachability', { value: reachability }),
+      ctx.t('admin.user.admin', { value: escapeMarkdown(adminStatus) })
+    ];
+    if (user.rejectionReason) {
+      lines.push(ctx.t('admin.user.rejectionReason', { value: escapeMarkdown(user.rejectionReason) }));
+    }
+    const describeEnd = until => (until
+      ? ctx.t('admin.user.until', { date: formatDate(until, ctx.locale) })
+      : ctx.t('admin.user.permanently'));
+    if (user.blocked) {
+      lines.push(ctx.t('admin.user.banned', { end: describeEnd(user.blockedUntil), reason: escapeMarkdown(user.blockReason || '') }));
+    }
+    if (user.muted) {
+      lines.push(ctx.t('admin.user.muted', { end: describeEnd(user.mutedUntil), reason: escapeMarkdown(user.muteReason || '') }));
+    }
+
+    const rows = [];
+    if (user.registrationState === registrationFlow.states.PENDING_REVIEW) {
+      rows.push([
+        { text: ctx.t('review.card.approve'), callback_data: `review_approve_${user.telegramId}` },
+        { text: ctx.t('review.card.reject'), callback_data: `review_reject_${user.telegramId}` }
+      ]);
+    }
+    if (!this.adminService.isConfiguredAdmin(user.telegramId) && user.telegramId !== ctx.from.id) {
+      rows.push([user.isAdmin
+        ? { text: ctx.t('admin.user.removeAdmin'), callback_data: `admin_revoke_${user.telegramId}` }
+        : { text: ctx.t('admin.user.makeAdmin'), callback_data: `admin_grant_${user.telegramId}` }]);
+    }
+    if (await this.adminService.hasPermission(ctx.from.id, 'moderation')) {
+      const row = [{ text: ctx.t('admin.user.history'), callback_data: `admin_modlog_${user.telegramId}` }];
+      if (user.blocked || user.muted) {
+        row.push({ text: ctx.t('admin.user.unban'), callback_data: `admin_unban_${user.telegramId}` });
+      }
+      rows.push(row);
+    }
+    rows.push(this.getBackRow(ctx));
+
+    await renderScreen(ctx, lines.join('\n'), {
+      parse_mode: 'Markdown',
+      reply_markup: { inline_keyboard: rows }
+    });
+  }
+
+  /**
+   * Show the moderation history of a user, with how to ban or mute them
+   * @param {Object} ctx - Telegraf context
+   * @param {Object} user - User document
+   */
+  async showModerationLog(ctx, user) {
+    const actions = await moderationService.getHistory(user.telegramId);
+
+    const lines = [ctx.t('admin.moderation.title', { name: escapeMarkdown(user.userFullName || user.fullName) }), ''];
+    if (actions.length === 0) {
+      lines.push(ctx.t('admin.moderation.empty'));
+    }
+    for (const action of actions) {
+      let line = ctx.t('admin.moderation.entry', {
+        date: formatDate(action.createdAt, ctx.locale),
+        action: ctx.t(`admin.moderation.actions.${action.action}`)
+      });
+      if (action.until) {
+        line += ctx.t('admin.moderation.until', { date: formatDate(action.until, ctx.locale) });
+      }
+      line += action.adminId ? ctx.t('admin.moderation.by', { admin: action.adminId }) : ctx.t('admin.moderation.expired');
+      if (action.reason) {
+        line += ctx.t('admin.moderation.reason', { reason: escapeMarkdown(action.reason) });
+      }
+      lines.push(line);
+    }
+    lines.push('', ctx.t('admin.moderation.hint', { id: user.telegramId }));
+
+    await renderScreen(ctx, lines.join('\n'), {
+      parse_mode: 'Markdown',
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: ctx.t('admin.moderation.backToUser'), callback_data: `admin_user_${user.telegramId}` }],
+          this.getBackRow(ctx)
+        ]
+      }
+    });
+  }
+
+  /**
+   * Handle admin panel callbacks ("admin" and all callback data starting with "admin_")
+   * @param {Object} ctx - Telegraf context
+   */
+  async handleCallback(ctx) {
+    try {
+      const data = ctx.callbackQuery.data;
+
+      if (data === 'admin') {
+        ctx.session = { ...ctx.session, awaitingInput: null };
+        await ctx.answerCbQuery();
+        await this.showPanel(ctx);
+        return;
+      }
+
+      const match = data.match(/^admin_([a-z]+)(?:_(\d+))?$/);
+      const action = match && match[1];
+      if (!action || !ACTION_PERMISSIONS[action]) {
+        await ctx.answerCbQuery(ctx.t('common.buttonClicked'));
+        return;
+      }
+
+      if (!await this.adminService.hasPermission(ctx.from.id, ACTION_PERMISSIONS[action])) {
+        await ctx.answerCbQuery(ctx.t('admin.notAllowed'), { show_alert: true });
+        return;
+      }
+
+      const targetId = match[2] ? Number(match[2]) : null;
+
+      if (action === 'grant' || action === 'revoke') {
+        const result = await this.adminService.setAdmin(targetId, action === 'grant', ctx.from.id);
+        if (!result.success) {
+          await ctx.answerCbQuery(`❌ ${ctx.t(result.error)}`, { show_alert: true });
+          return;
+        }
+        await ctx.answerCbQuery(ctx.t(result.message, { name: result.user.userFullName || result.user.fullName }));
+        await this.showUser(ctx, result.user);
+        return;
+      }
+
+      if (action === 'unban') {
+        const result = await moderationService.lift(String(targetId), ctx.from.id);
+        if (!result.success) {
+          await ctx.answerCbQuery(`❌ ${ctx.t(result.error)}`, { show_alert: true });
+          return;
+        }
+        await ctx.answerCbQuery(ctx.t(result.message, { target: result.target }));
+        await this.showUser(ctx, await this.adminService.getUser(targetId));
+        return;
+      }
+
+      await ctx.answerCbQuery();
+
+      switch (action) {
+        case 'find':
+          await this.promptFind(ctx);
+          break;
+        case 'recent':
+          await this.showRecent(ctx);
+          break;
+        case 'pending':
+          await this.showPending(ctx);
+          break;
+        case 'status':
+          await this.showStatus(ctx);
+          break;
+        case 'funnel':
+        case 'funnelrole':
+        case 'funnellanguage':
+          // The number is the length of the period in days
+          await this.showFunnel(ctx, action, targetId);
+          break;
+        case 'user':
+        case 'modlog': {
+          const user = await this.adminService.getUser(targetId);
+          if (!user) {
+            await ctx.reply(ctx.t('common.userNotFound'));
+            return;
+          }
+          await (action === 'user' ? this.showUser(ctx, user) : this.showModerationLog(ctx, user));
+          break;
+        }
+        default:
+          break;
+      }
+    } catch (error) {
+      Logger.error('Error handling admin callback', { error: error.message });
+      await ctx.reply(ctx.t('common.error'));
+    }
+  }
+}
+
+module.exports = AdminHandler;
@@ -0,0 +1,305 @@
+const Logger = require('../utils/logger');
+const adminService = require('../services/adminService');
+const broadcastService = require('../services/broadcastService');
+const { escapeMarkdown } = require('../utils/helpers');
+const { renderScreen } = require('../utils/telegramHelpers');
+
+class BroadcastHandler {
+  constructor(bot) {
+    this.bot = bot;
+    this.broadcastService = broadcastService;
+  }
+
+  /**
+   * Get the broadcast being composed
+   * @param {Object} ctx - Telegraf context
+   * @returns {Object|null} { message, segment } or null
+   */
+  getDraft(ctx) {
+    return (ctx.session && ctx.session.broadcastDraft) || null;
+  }
+
+  /**
+   * Update the broadcast being composed
+   * @param {Object} ctx - Telegraf context
+   * @param {Object|null} draft - New draft, or null to discard it
+   */
+  setDraft(ctx, draft) {
+    ctx.session = { ...ctx.session, broadcastDraft: draft };
+  }
+
+  /**
+   * Get the "cancel broadcast" keyboard row
+   * @param {Object} ctx - Telegraf context
+   * @returns {Array<Object>} Keyboard row
+   */
+  getCancelRow(ctx) {
+    return [{ text: ctx.t('broadcast.cancel'), callback_data: 'broadcast_cancel' }];
+  }
+
+  /**
+   * Start composing a broadcast
+   * @param {Object} ctx - Telegraf context
+   */
+  async start(ctx) {
+    this.setDraft(ctx, { message: null, segment: this.broadcastService.getDefaultSegment() });
+    ctx.session = { ...ctx.session, awaitingInput: 'broadcast_message' };
+
+    await renderScreen(ctx, ctx.t('broadcast.messagePrompt'), {
+      parse_mode: 'Markdown',
+      reply_markup: { inline_keyboard: [this.getCancelRow(ctx)] }
+    });
+  }
+
+  /**
+   * Handle the message to broadcast, a text or a photo with an optional caption
+   * @param {Object} ctx - Telegraf context
+   */
+  async handleMessageInput(ctx) {
+    try {
+      const draft = this.getDraft(ctx);
+      if (!draft || !await adminService.hasPermission(ctx.from.id, 'broadcast')) {
+        await ctx.reply(ctx.t('admin.notAllowed'));
+        return;
+      }
+
+      const photos = ctx.message.photo;
+      const message = photos
+        ? {
+          text: ctx.message.caption || null,
+          entities: ctx.message.caption_entities || [],
+          photoFileId: photos[photos.length - 1].file_id
+        }
+        : { text: ctx.message.text, entities: ctx.message.entities || [], photoFileId: null };
+
+      this.setDraft(ctx, { ...draft, message: { ...message, buttonText: null, buttonUrl: null } });
+      ctx.session = { ...ctx.session, awaitingInput: 'broadcast_button' };
+
+      await ctx.reply(ctx.t('broadcast.buttonPrompt'), {
+        parse_mode: 'Markdown',
+        reply_markup: {
+          inline_keyboard: [
+            [{ text: ctx.t('broadcast.noButton'), callback_data: 'broadcast_nobutton' }],
+            this.getCancelRow(ctx)
+          ]
+        }
+      });
+    } catch (error) {
+      Logger.error('Error saving broadcast message', { error: error.message });
+      await ctx.reply(ctx.t('common.error'));
+    }
+  }
+
+  /**
+   * Handle the optional link button typed as "Text | https://link"
+   * @param {Object} ctx - Telegraf context
+   */
+  async handleButtonInput(ctx) {
+    try {
+      const draft = this.getDraft(ctx);
+      if (!draft || !draft.message || !await adminService.hasPermission(ctx.from.id, 'broadcast')) {
+        await ctx.reply(ctx.t('admin.notAllowed'));
+        return;
+      }
+
+      const result = this.broadcastService.parseButton(ctx.message.text);
+      if (!result.valid) {
+        // Keep waiting so the admin can correct the button
+        ctx.session = { ...ctx.session, awaitingInput: 'broadcast_button' };
+        await ctx.reply(`❌ ${ctx.t(result.error)}`, {
+          reply_markup: {
+            inline_keyboard: [
+              [{ text: ctx.t('broadcast.noButton'), callback_data: 'broadcast_nobutton' }],
+              this.getCancelRow(ctx)
+            ]
+          }
+        });
+        return;
+      }
+
+      this.setDraft(ctx, { ...draft, message: { ...draft.message, ...result.value } });
+      await this.showSegment(ctx);
+    } catch (error) {
+      Logger.error('Error saving broadcast button', { error: error.message });
+      await ctx.reply(ctx.t('common.error'));
+    }
+  }
+
+  /**
+   * Show the audience picker with the number of users it reaches
+   * @param {Object} ctx - Telegraf context
+   */
+  async showSegment(ctx) {
+    const { segment } = this.getDraft(ctx);
+    const labels = this.broadcastService.describeSegment(segment, ctx.t);
+    const count = await this.broadcastService.countRecipients(segment);
+
+    const text = [
+      ctx.t('broadcast.segment.title'),
+      '',
+      ctx.t('broadcast.segment.intro'),
+      '',
+      ctx.t('broadcast.segment.count', { count })
+    ].join('\n');
+
+    await renderScreen(ctx, text, {
+      parse_mode: 'Markdown',
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: ctx.t('broadcast.segment.role', { value: labels.role }), callback_data: 'broadcast_seg_role' }],
+          [{ text: ctx.t('broadcast.segment.language', { value: labels.language }), callback_data: 'broadcast_seg_language' }],
+          [{ text: ctx.t('broadcast.segment.status', { value: labels.isRegistered }), callback_data: 'broadcast_seg_isRegistered' }],
+          [{ text: ctx.t('broadcast.segment.lastSeen', { value: labels.lastSeenDays }), callback_data: 'broadcast_seg_lastSeenDays' }],
+          [{ text: ctx.t('broadcast.preview'), callback_data: 'broadcast_preview' }],
+          this.getCancelRow(ctx)
+        ]
+      }
+    });
+  }
+
+  /**
+   * Switch an audience filter to its next choice
+   * @param {Object} ctx - Telegraf context
+   * @param {string} field - Segment field
+   */
+  async cycleSegment(ctx, field) {
+    const draft = this.getDraft(ctx);
+    const options = this.broadcastService.getSegmentOptions()[field];
+    const next = options[(options.indexOf(draft.segment[field]) + 1) % options.length];
+
+    this.setDraft(ctx, { ...draft, segment: { ...draft.segment, [field]: next } });
+    await this.showSegment(ctx);
+  }
+
+  /**
+   * Send the message to the admin exactly as users will see it, and ask for confirmation
+   * @param {Object} ctx - Telegraf context
+   */
+  async showPreview(ctx) {
+    const { message, segment } = this.getDraft(ctx);
+    const labels = this.broadcastService.describeSegment(segment, ctx.t);
+    const count = await this.broadcastService.countRecipients(segment);
+
+    await ctx.reply(ctx.t('broadcast.previewTitle'), { parse_mode: 'Markdown' });
+    await this.broadcastService.sendMessage(ctx.telegram, ctx.chat.id, message);
+
+    const text = [
+      ctx.t('broadcast.confirm', { count }),
+      '',
+      ctx.t('broadcast.segment.role', { value: escapeMarkdown(labels.role) }),
+      ctx.t('broadcast.segment.language', { value: escapeMarkdown(labels.language) }),
+      ctx.t('broadcast.segment.status', { value: escapeMarkdown(labels.isRegistered) }),
+      ctx.t('broadcast.segment.lastSeen', { value: escapeMarkdown(labels.lastSeenDays) })
+    ].join('\n');
+
+    const keyboard = [];
+    if (count > 0) {
+      keyboard.push([{ text: ctx.t('broadcast.send', { count }), callback_data: 'broadcast_send' }]);
+    }
+    keyboard.push([{ text: ctx.t('broadcast.changeAudience'), callback_data: 'broadcast_segment' }]);
+    keyboard.push(this.getCancelRow(ctx));
+
+    await ctx.reply(text, { parse_mode: 'Markdown', reply_markup: { inline_keyboard: keyboard } });
+  }
+
+  /**
+   * Start sending the composed broadcast
+   * @param {Object} ctx - Telegraf context
+   */
+  async send(ctx) {
+    const { message, segment } = this.getDraft(ctx);
+    const result = await this.broadcastService.create(ctx.from.id, message, segment);
+    if (!result.success) {
+      await ctx.reply(`❌ ${ctx.t(result.error)}`);
+      return;
+    }
+
+    this.setDraft(ctx, null);
+    const broadcastId = result.broadcast._id.toString();
+    await renderScreen(ctx, ctx.t('broadcast.started', { count: result.broadcast.totals.total }), {
+      reply_markup: {
+        inline_keyboard: [[{ text: ctx.t('broadcast.stop'), callback_data: `broadcast_stop_${broadcastId}` }]]
+      }
+    });
+  }
+
+  /**
+   * Stop a broadcast that is being sent
+   * @param {Object} ctx - Telegraf context
+   * @param {string} broadcastId - Broadcast ID
+   */
+  async stop(ctx, broadcastId) {
+    const result = await this.broadcastService.cancel(broadcastId, ctx.from.id);
+    if (!result.success) {
+      await ctx.reply(`❌ ${ctx.t(result.error)}`);
+      return;
+    }
+
+    const { total, sent, failed, blocked } = result.broadcast.totals;
+    await renderScreen(ctx, ctx.t('broadcast.stopped', { total, sent, failed, blocked }));
+  }
+
+  /**
+   * Handle broadcast callbacks (all callback data starting with "broadcast_")
+   * @param {Object} ctx - Telegraf context
+   */
+  async handleCallback(ctx) {
+    try {
+      const data = ctx.callbackQuery.data;
+      await ctx.answerCbQuery();
+
+      if (data === 'broadcast_new') {
+        await this.start(ctx);
+        return;
+      }
+
+      const stopMatch = data.match(/^broadcast_stop_([a-f0-9]{24})$/);
+      if (stopMatch) {
+        await this.stop(ctx, stopMatch[1]);
+        return;
+      }
+
+      if (data === 'broadcast_cancel') {
+        this.setDraft(ctx, null);
+        ctx.session = { ...ctx.session, awaitingInput: null };
+        await renderScreen(ctx, ctx.t('broadcast.cancelled'));
+        return;
+      }
+
+      // Every other button works on the draft being composed
+      const draft = this.getDraft(ctx);
+      if (!draft || !draft.message) {
+        await renderScreen(ctx, ctx.t('broadcast.expired'));
+        return;
+      }
+
+      ctx.session = { ...ctx.session, awaitingInput: null };
+
+      const segmentMatch = data.match(/^broadcast_seg_(\w+)$/);
+      if (segmentMatch && this.broadcastService.getSegmentOptions()[segmentMatch[1]]) {
+        await this.cycleSegment(ctx, segmentMatch[1]);
+        return;
+      }
+
+      switch (data) {
+        case 'broadcast_nobutton':
+        case 'broadcast_segment':
+          await this.showSegment(ctx);
+          break;
+        case 'broadcast_preview':
+          await this.showPreview(ctx);
+          break;
+        case 'broadcast_send':
+          await this.send(ctx);
+          break;
+        default:
+          Logger.warn('Unknown broadcast callback', { data, userId: ctx.from.id });
+      }
+    } catch (error) {
+      Logger.error('Error handling broadcast callback', { error: error.message });
+      await ctx.reply(ctx.t('common.error'));
+    }
+  }
+}
+
+module.exports = BroadcastHandler;
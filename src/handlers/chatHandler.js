@@ -0,0 +1,179 @@
+const Logger = require('../utils/logger');
+const chatService = require('../services/chatService');
+const moderationService = require('../services/moderationService');
+const User = require('../models/User');
+const { escapeMarkdown } = require('../utils/helpers');
+
+class ChatHandler {
+  constructor(bot) {
+    this.bot = bot;
+    this.chatService = chatService;
+  }
+
+  /**
+   * Tell the user where their messages now go
+   * @param {Object} ctx - Telegraf context
+   * @param {string} label - Conversation label
+   * @param {string} titleKey - Catalogue key of the heading
+   */
+  async sendActiveNotice(ctx, label, titleKey) {
+    await ctx.reply(ctx.t('chat.activeNotice', { title: ctx.t(titleKey), label: escapeMarkdown(label) }), { parse_mode: 'Markdown' });
+  }
+
+  /**
+   * Open a conversation with the owner of a listing
+   * @param {Object} ctx - Telegraf context
+   * @param {string} listingId - Listing ID
+   */
+  async handleOpen(ctx, listingId) {
+    const userId = ctx.from.id;
+    const user = await User.findByTelegramId(userId);
+    if (!user || !user.isRegistered) {
+      await ctx.reply(ctx.t('profile.notRegistered'));
+      return;
+    }
+
+    const result = await this.chatService.openConversation(userId, listingId);
+    if (!result.success) {
+      await ctx.reply(`❌ ${ctx.t(result.error)}`);
+      return;
+    }
+
+    const label = this.chatService.getConversationLabel(result.conversation, result.listing, userId, ctx.locale);
+    await this.sendActiveNotice(ctx, label, result.created ? 'chat.titles.started' : 'chat.titles.resumed');
+  }
+
+  /**
+   * Handle /chats command
+   * @param {Object} ctx - Telegraf context
+   */
+  async handleChats(ctx) {
+    try {
+      const userId = ctx.from.id;
+      const items = await this.chatService.getUserConversations(userId);
+
+      if (items.length === 0) {
+        await ctx.reply(ctx.t('chat.empty'));
+        return;
+      }
+
+      const active = await this.chatService.getActiveConversation(userId);
+      const activeId = active ? active._id.toString() : null;
+
+      const keyboard = items.map(({ conversation, listing }) => {
+        const id = conversation._id.toString();
+        const label = this.chatService.getConversationLabel(conversation, listing, userId, ctx.locale);
+        return [
+          { text: `${id === activeId ? '✅' : '💬'} ${label}`, callback_data: `chat_reply_${id}` },
+          { text: '🔒', callback_data: `chat_close_${id}` }
+        ];
+      });
+
+      await ctx.reply(ctx.t('chat.title'), {
+        parse_mode: 'Markdown',
+        reply_markup: { inline_keyboard: keyboard }
+      });
+    } catch (error) {
+      Logger.error('Error handling chats', { error: error.message });
+      await ctx.reply(ctx.t('common.error'));
+    }
+  }
+
+  /**
+   * Handle /closechat command
+   * @param {Object} ctx - Telegraf context
+   */
+  async handleCloseChat(ctx) {
+    try {
+      const userId = ctx.from.id;
+      const conversation = await this.chatService.getActiveConversation(userId);
+
+      if (!conversation) {
+        await ctx.reply(ctx.t('chat.noActive'));
+        return;
+      }
+
+      const result = await this.chatService.closeConversation(userId, conversation._id.toString());
+      await ctx.reply(result.success ? ctx.t(result.message) : `❌ ${ctx.t(result.error)}`);
+    } catch (error) {
+      Logger.error('Error handling close chat', { error: error.message });
+      await ctx.reply(ctx.t('common.error'));
+    }
+  }
+
+  /**
+   * Relay a message if the user has an active conversation
+   * @param {Object} ctx - Telegraf context
+   * @returns {Promise<boolean>} True if the message belonged to a conversation
+   */
+  async handleRelayMessage(ctx) {
+    const userId = ctx.from.id;
+    const conversation = await this.chatService.getActiveConversation(userId);
+
+    if (!conversation) {
+      return false;
+    }
+
+    if (moderationService.isMuted(userId)) {
+      await ctx.reply(ctx.t('moderation.mutedRefusal'));
+      return true;
+    }
+
+    const result = await this.chatService.relayMessage(userId, conversation, ctx.message);
+    if (!result.success) {
+      await ctx.reply(`⚠️ ${ctx.t(result.error)}`);
+    }
+    return true;
+  }
+
+  /**
+   * Handle chat callbacks (all callback data starting with "chat_")
+   * @param {Object} ctx - Telegraf context
+   */
+  async handleCallback(ctx) {
+    try {
+      const userId = ctx.from.id;
+      const data = ctx.callbackQuery.data;
+
+      await ctx.answerCbQuery();
+
+      if (data === 'chat_list') {
+        await this.handleChats(ctx);
+        return;
+      }
+
+      const match = data.match(/^chat_(open|reply|close)_([a-f0-9]{24})$/);
+      if (!match) {
+        await ctx.reply(ctx.t('chat.unknownAction'));
+        return;
+      }
+
+      const [, action, id] = match;
+
+      if (action === 'open') {
+        await this.handleOpen(ctx, id);
+        return;
+      }
+
+      if (action === 'close') {
+        const result = await this.chatService.closeConversation(userId, id);
+        await ctx.reply(result.success ? ctx.t(result.message) : `❌ ${ctx.t(result.error)}`);
+        return;
+      }
+
+      const result = await this.chatService.switchConversation(userId, id);
+      if (!result.success) {
+        await ctx.reply(`❌ ${ctx.t(result.error)}`);
+        return;
+      }
+
+      const label = this.chatService.getConversationLabel(result.conversation, result.listing, userId, ctx.locale);
+      await this.sendActiveNotice(ctx, label, 'chat.titles.replying');
+    } catch (error) {
+      Logger.error('Error handling chat callback', { error: error.message });
+      await ctx.reply(ctx.t('common.error'));
+    }
+  }
+}
+
+module.exports = ChatHandler;
@@ -0,0 +1,114 @@
+const Logger = require('../utils/logger');
+const favoriteService = require('../services/favoriteService');
+const { formatListingCard, formatListingSummary } = require('../utils/listingFormatter');
+const { sendListingPhotos } = require('../utils/telegramHelpers');
+
+class FavoriteHandler {
+  constructor(bot) {
+    this.bot = bot;
+    this.favoriteService = favoriteService;
+  }
+
+  /**
+   * Handle /favorites command
+   * @param {Object} ctx - Telegraf context
+   */
+  async handleFavorites(ctx) {
+    try {
+      const items = await this.favoriteService.getUserFavorites(ctx.from.id);
+
+      if (items.length === 0) {
+        await ctx.reply(ctx.t('favorites.empty'));
+        return;
+      }
+
+      const statusIcons = { published: '🏠', sold: '🤝', removed: '🗑️' };
+      const keyboard = items.map(({ listing }) => {
+        const id = listing._id.toString();
+        return [
+          { text: `${statusIcons[listing.status] || '🏠'} ${formatListingSummary(listing, ctx.locale)}`, callback_data: `fav_view_${id}` },
+          { text: '✖️', callback_data: `fav_remove_${id}` }
+        ];
+      });
+
+      await ctx.reply(ctx.t('favorites.title', { count: items.length }), {
+        parse_mode: 'Markdown',
+        reply_markup: { inline_keyboard: keyboard }
+      });
+    } catch (error) {
+      Logger.error('Error handling favourites', { error: error.message });
+      await ctx.reply(ctx.t('common.error'));
+    }
+  }
+
+  /**
+   * Show a saved listing
+   * @param {Object} ctx - Telegraf context
+   * @param {string} listingId - Listing ID
+   */
+  async showFavorite(ctx, listingId) {
+    const listing = await this.favoriteService.getFavoriteListing(ctx.from.id, listingId);
+    if (!listing) {
+      await ctx.reply(`❌ ${ctx.t('favorites.errors.notFound')}`);
+      return;
+    }
+
+    const keyboard = [];
+    if (listing.status === 'published') {
+      keyboard.push([{ text: ctx.t('favorites.buttons.messageOwner'), callback_data: `chat_open_${listingId}` }]);
+    }
+    keyboard.push([
+      { text: ctx.t('favorites.buttons.remove'), callback_data: `fav_remove_${listingId}` },
+      { text: ctx.t('favorites.buttons.back'), callback_data: 'fav_list' }
+    ]);
+
+    await sendListingPhotos(ctx, listing);
+    await ctx.reply(formatListingCard(listing, ctx.locale, { showStatus: true }), {
+      parse_mode: 'Markdown',
+      reply_markup: { inline_keyboard: keyboard }
+    });
+  }
+
+  /**
+   * Handle favourite callbacks (all callback data starting with "fav_")
+   * @param {Object} ctx - Telegraf context
+   */
+  async handleCallback(ctx) {
+    try {
+      const userId = ctx.from.id;
+      const data = ctx.callbackQuery.data;
+
+      if (data === 'fav_list') {
+        await ctx.answerCbQuery();
+        await this.handleFavorites(ctx);
+        return;
+      }
+
+      const match = data.match(/^fav_(add|view|remove)_([a-f0-9]{24})$/);
+      if (!match) {
+        await ctx.answerCbQuery();
+        await ctx.reply(ctx.t('favorites.unknownAction'));
+        return;
+      }
+
+      const [, action, listingId] = match;
+
+      if (action === 'view') {
+        await ctx.answerCbQuery();
+        await this.showFavorite(ctx, listingId);
+        return;
+      }
+
+      // Adding and removing only need a short confirmation
+      const result = action === 'add'
+        ? await this.favoriteService.addFavorite(userId, listingId)
+        : await this.favoriteService.removeFavorite(userId, listingId);
+      await ctx.answerCbQuery(result.success ? ctx.t(result.message) : `❌ ${ctx.t(result.error)}`);
+    } catch (error) {
+      Logger.error('Error handling favourites callback', { error: error.message });
+      await ctx.reply(ctx.t('common.error'));
+    }
+  }
+}
+
+module.exports = FavoriteHandler;
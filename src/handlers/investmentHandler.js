@@ -0,0 +1,399 @@
+const config = require('../config');
+const Logger = require('../utils/logger');
+const investmentFSM = require('../services/investmentFSM');
+const investmentService = require('../services/investmentService');
+const User = require('../models/User');
+const { escapeMarkdown } = require('../utils/helpers');
+const { plural } = require('../utils/i18n');
+const { renderScreen } = require('../utils/telegramHelpers');
+const { formatInvestmentCard, formatInvestmentSummary } = require('../utils/investmentFormatter');
+
+class InvestmentHandler {
+  constructor(bot) {
+    this.bot = bot;
+    this.investmentFSM = investmentFSM;
+    this.investmentService = investmentService;
+  }
+
+  /**
+   * Make sure only registered users can publish opportunities
+   * @param {Object} ctx - Telegraf context
+   * @returns {Promise<boolean>} True if the user is registered
+   */
+  async ensureRegistered(ctx) {
+    const user = await User.findByTelegramId(ctx.from.id);
+    if (user && user.isRegistered) {
+      return true;
+    }
+
+    await ctx.reply(ctx.t('profile.notRegistered'));
+    return false;
+  }
+
+  /**
+   * Send a response object produced by the investment FSM
+   * @param {Object} ctx - Telegraf context
+   * @param {Object} result - FSM response
+   */
+  async replyWithResult(ctx, result) {
+    if (result.success) {
+      await ctx.reply(ctx.t(result.message), {
+        parse_mode: 'Markdown',
+        ...result.keyboard
+      });
+    } else {
+      await ctx.reply(`❌ ${ctx.t(result.error)}`, {
+        ...result.keyboard
+      });
+    }
+  }
+
+  /**
+   * Show the opportunity catalogue
+   * @param {Object} ctx - Telegraf context
+   * @param {string} sortBy - Sort key
+   * @param {number} page - Zero-based page index
+   */
+  async showCatalogue(ctx, sortBy = 'roi', page = 0) {
+    try {
+      const result = await this.investmentService.getCatalogue(sortBy, page);
+
+      if (result.error) {
+        await ctx.reply(`❌ ${ctx.t(result.error)}`);
+        return;
+      }
+
+      const sortRow = Object.entries(this.investmentService.sortOptions).map(([key, option]) => ({
+        text: key === sortBy ? `✓ ${ctx.t(option.label)}` : ctx.t(option.label),
+        callback_data: `invest_list_${key}_0`
+      }));
+
+      if (result.total === 0) {
+        await renderScreen(ctx, ctx.t('investment.catalogue.empty'), {
+          parse_mode: 'Markdown',
+          reply_markup: {
+            inline_keyboard: [
+              [{ text: ctx.t('investment.buttons.add'), callback_data: 'invest_add' }]
+            ]
+          }
+        });
+        return;
+      }
+
+      const offset = result.page * config.investments.pageSize;
+      const lines = result.investments.map((investment, index) =>
+        `${offset + index + 1}. ${escapeMarkdown(formatInvestmentSummary(investment, ctx.locale))}`
+      );
+
+      const itemRows = result.investments.map((investment, index) => [{
+        text: `${offset + index + 1}. ${investment.projectName}`,
+        callback_data: `invest_view_${investment._id}_${sortBy}_${result.page}`
+      }]);
+
+      const navigation = [];
+      if (result.page > 0) {
+        navigation.push({ text: ctx.t('search.buttons.prev'), callback_data: `invest_list_${sortBy}_${result.page - 1}` });
+      }
+      navigation.push({ text: `${result.page + 1}/${result.totalPages}`, callback_data: 'invest_noop' });
+      if (result.page < result.totalPages - 1) {
+        navigation.push({ text: ctx.t('search.buttons.next'), callback_data: `invest_list_${sortBy}_${result.page + 1}` });
+      }
+
+      await renderScreen(ctx, plural(ctx.locale, 'investment.catalogue.list', result.total, {
+        sort: ctx.t(this.investmentService.sortOptions[sortBy].label),
+        items: lines.join('\n')
+      }), {
+        reply_markup: {
+          inline_keyboard: [
+            sortRow,
+            ...itemRows,
+            navigation,
+            [{ text: ctx.t('investment.buttons.add'), callback_data: 'invest_add' }]
+          ]
+        },
+        parse_mode: 'Markdown'
+      });
+    } catch (error) {
+      Logger.error('Error showing investment catalogue', { error: error.message });
+      await ctx.reply(ctx.t('common.error'));
+    }
+  }
+
+  /**
+   * Show a single opportunity
+   * @param {Object} ctx - Telegraf context
+   * @param {string} investmentId - Investment ID
+   * @param {string} sortBy - Catalogue sort to return to
+   * @param {number} page - Catalogue page to return to
+   */
+  async showDetails(ctx, investmentId, sortBy, page) {
+    const investment = await this.investmentService.getOpportunity(investmentId);
+    if (!investment) {
+      await ctx.reply(`❌ ${ctx.t('investment.errors.notFound')}`);
+      return;
+    }
+
+    await renderScreen(ctx, formatInvestmentCard(investment, ctx.locale), {
+      parse_mode: 'Markdown',
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: ctx.t('investment.buttons.backToList'), callback_data: `invest_list_${sortBy}_${page}` }]
+        ]
+      }
+    });
+  }
+
+  /**
+   * Handle /addinvestment command
+   * @param {Object} ctx - Telegraf context
+   */
+  async handleAddInvestment(ctx) {
+    try {
+      if (!(await this.ensureRegistered(ctx))) {
+        return;
+      }
+
+      const userId = ctx.from.id;
+      Logger.info('Starting investment publishing', { userId });
+
+      const result = await this.investmentFSM.startInvestment(userId, ctx.locale);
+
+      if (result.success && result.resumed) {
+        await ctx.reply(ctx.t('investment.continuing'));
+      }
+
+      await this.replyWithResult(ctx, result);
+    } catch (error) {
+      Logger.error('Error handling add investment', { error: error.message });
+      await ctx.reply(ctx.t('common.error'));
+    }
+  }
+
+  /**
+   * Route a text message to the publishing wizard if the user has a draft
+   * @param {Object} ctx - Telegraf context
+   * @returns {Promise<boolean>} True if the message was handled
+   */
+  async handleFlowMessage(ctx) {
+    try {
+      const result = await this.investmentFSM.processInput(ctx.from.id, ctx.message.text, ctx.locale);
+      if (!result) {
+        return false;
+      }
+
+      await this.replyWithResult(ctx, result);
+      return true;
+    } catch (error) {
+      Logger.error('Error handling investment flow message', { error: error.message });
+      await ctx.reply(ctx.t('common.error'));
+      return true;
+    }
+  }
+
+  /**
+   * Handle /myinvestments command
+   * @param {Object} ctx - Telegraf context
+   */
+  async handleMyInvestments(ctx) {
+    try {
+      if (!(await this.ensureRegistered(ctx))) {
+        return;
+      }
+
+      const investments = await this.investmentService.getUserInvestments(ctx.from.id);
+
+      if (investments.length === 0) {
+        await ctx.reply(ctx.t('investment.mineEmpty'));
+        return;
+      }
+
+      const statusIcons = { published: '✅', closed: '🔒' };
+      const buttons = investments.slice(0, 20).map(investment => [{
+        text: `${statusIcons[investment.status] || ''} ${formatInvestmentSummary(investment, ctx.locale)}`.trim(),
+        callback_data: `invest_manage_${investment._id}`
+      }]);
+
+      await ctx.reply(ctx.t('investment.mine'), {
+        parse_mode: 'Markdown',
+        reply_markup: {
+          inline_keyboard: buttons
+        }
+      });
+    } catch (error) {
+      Logger.error('Error handling my investments', { error: error.message });
+      await ctx.reply(ctx.t('common.error'));
+    }
+  }
+
+  /**
+   * Send an owned opportunity with owner controls
+   * @param {Object} ctx - Telegraf context
+   * @param {Object} investment - Investment document
+   */
+  async sendOwnerDetails(ctx, investment) {
+    const id = investment._id.toString();
+    const rows = [];
+
+    if (investment.status === 'published') {
+      rows.push([
+        { text: ctx.t('investment.buttons.funding'), callback_data: `invest_funding_${id}` },
+        { text: ctx.t('investment.buttons.close'), callback_data: `invest_close_${id}` }
+      ]);
+    }
+    rows.push([{ text: ctx.t('investment.buttons.delete'), callback_data: `invest_delete_${id}` }]);
+
+    await ctx.reply(formatInvestmentCard(investment, ctx.locale), {
+      parse_mode: 'Markdown',
+      reply_markup: {
+        inline_keyboard: rows
+      }
+    });
+  }
+
+  /**
+   * Handle the new funding amount typed by an owner
+   * @param {Object} ctx - Telegraf context
+   */
+  async handleFundingInput(ctx) {
+    try {
+      const investmentId = ctx.session && ctx.session.investmentId;
+      const result = await this.investmentFSM.updateFunding(ctx.from.id, investmentId, ctx.message.text);
+
+      if (result.success) {
+        await ctx.reply(ctx.t(result.message));
+        await this.sendOwnerDetails(ctx, result.investment);
+      } else {
+        await ctx.reply(`❌ ${ctx.t(result.error)}`);
+      }
+    } catch (error) {
+      Logger.error('Error handling funding input', { error: error.message });
+      await ctx.reply(ctx.t('common.error'));
+    }
+  }
+
+  /**
+   * Handle investment callbacks (all callback data starting with "invest_")
+   * @param {Object} ctx - Telegraf context
+   */
+  async handleCallback(ctx) {
+    try {
+      const userId = ctx.from.id;
+      const data = ctx.callbackQuery.data;
+
+      await ctx.answerCbQuery();
+
+      if (data === 'investments') {
+        await this.showCatalogue(ctx);
+        return;
+      }
+
+      if (data === 'invest_noop') {
+        return;
+      }
+
+      if (data === 'invest_add') {
+        await this.handleAddInvestment(ctx);
+        return;
+      }
+
+      // Wizard controls
+      if (data === 'invest_wizard_skip') {
+        await this.replyWithResult(ctx, await this.investmentFSM.skipStep(userId, ctx.locale));
+        return;
+      }
+
+      if (data === 'invest_wizard_publish') {
+        await this.replyWithResult(ctx, await this.investmentFSM.publishDraft(userId));
+        return;
+      }
+
+      if (data === 'invest_wizard_cancel') {
+        await this.replyWithResult(ctx, await this.investmentFSM.cancelDraft(userId));
+        return;
+      }
+
+      if (data.startsWith('invest_risk_')) {
+        const result = await this.investmentFSM.processInput(userId, data.replace('invest_risk_', ''), ctx.locale);
+        await this.replyWithResult(ctx, result || { success: false, error: 'investment.errors.noDraft' });
+        return;
+      }
+
+      // Catalogue browsing
+      let match = data.match(/^invest_list_(roi|ticket|deadline)_(\d+)$/);
+      if (match) {
+        await this.showCatalogue(ctx, match[1], parseInt(match[2], 10));
+        return;
+      }
+
+      match = data.match(/^invest_view_([a-f0-9]{24})_(roi|ticket|deadline)_(\d+)$/);
+      if (match) {
+        await this.showDetails(ctx, match[1], match[2], parseInt(match[3], 10));
+        return;
+      }
+
+      // Owner management
+      match = data.match(/^invest_(manage|funding|close|delete|confirmdelete)_([a-f0-9]{24})$/);
+      if (match) {
+        await this.handleOwnerAction(ctx, match[1], match[2]);
+        return;
+      }
+
+      await ctx.reply(ctx.t('investment.unknownAction'));
+    } catch (error) {
+      Logger.error('Error handling investment callback', { error: error.message });
+      await ctx.reply(ctx.t('common.error'));
+    }
+  }
+
+  /**
+   * Handle an owner action on a specific opportunity
+   * @param {Object} ctx - Telegraf context
+   * @param {string} action - Action name
+   * @param {string} investmentId - Investment ID
+   */
+  async handleOwnerAction(ctx, action, investmentId) {
+    const userId = ctx.from.id;
+
+    switch (action) {
+      case 'manage': {
+        const investment = await this.investmentFSM.getOwnedInvestment(userId, investmentId);
+        if (!investment) {
+          await ctx.reply(`❌ ${ctx.t('investment.errors.notFound')}`);
+          return;
+        }
+        await this.sendOwnerDetails(ctx, investment);
+        break;
+      }
+      case 'funding':
+        ctx.session = { ...ctx.session, awaitingInput: 'investment_funding', investmentId };
+        await ctx.reply(ctx.t('investment.fundingPrompt'));
+        break;
+      case 'close': {
+        const result = await this.investmentFSM.closeInvestment(userId, investmentId);
+        await ctx.reply(result.success ? ctx.t(result.message) : `❌ ${ctx.t(result.error)}`);
+        break;
+      }
+      case 'delete':
+        await ctx.reply(ctx.t('investment.confirmDelete'), {
+          reply_markup: {
+            inline_keyboard: [
+              [
+                { text: ctx.t('investment.buttons.confirmDelete'), callback_data: `invest_confirmdelete_${investmentId}` },
+                { text: ctx.t('investment.buttons.keep'), callback_data: `invest_manage_${investmentId}` }
+              ]
+            ]
+          }
+        });
+        break;
+      case 'confirmdelete': {
+        const result = await this.investmentFSM.deleteInvestment(userId, investmentId);
+        await ctx.reply(result.success ? ctx.t(result.message) : `❌ ${ctx.t(result.error)}`);
+        break;
+      }
+      default:
+        await ctx.reply(ctx.t('investment.unknownAction'));
+    }
+  }
+}
+
+module.exports = InvestmentHandler;
@@ -0,0 +1,62 @@
+const Logger = require('../utils/logger');
+const localeService = require('../services/localeService');
+const { getLocales, t } = require('../utils/i18n');
+const { renderScreen } = require('../utils/telegramHelpers');
+
+class LanguageHandler {
+  constructor(bot) {
+    this.bot = bot;
+    this.localeService = localeService;
+  }
+
+  /**
+   * Show the language picker
+   * @param {Object} ctx - Telegraf context
+   */
+  async showPicker(ctx) {
+    try {
+      await renderScreen(ctx, ctx.t('language.current', { language: ctx.t('language.name') }), {
+        reply_markup: {
+          inline_keyboard: [
+            // Each language is offered in its own name
+            getLocales().map(locale => ({ text: t(locale, 'language.button'), callback_data: `language_${locale}` }))
+          ]
+        }
+      });
+    } catch (error) {
+      Logger.error('Error showing language picker', { error: error.message });
+      await ctx.reply(ctx.t('common.error'));
+    }
+  }
+
+  /**
+   * Handle language callbacks ("language" and all callback data starting with "language_")
+   * @param {Object} ctx - Telegraf context
+   */
+  async handleCallback(ctx) {
+    try {
+      const data = ctx.callbackQuery.data;
+
+      if (data === 'language') {
+        await ctx.answerCbQuery();
+        await this.showPicker(ctx);
+        return;
+      }
+
+      const result = await this.localeService.setLocale(ctx, data.replace('language_', ''));
+      if (!result.success) {
+        await ctx.answerCbQuery(`❌ ${ctx.t(result.error)}`);
+        return;
+      }
+
+      // The context now uses the new language
+      await ctx.answerCbQuery();
+      await renderScreen(ctx, ctx.t('language.changed'));
+    } catch (error) {
+      Logger.error('Error handling language callback', { error: error.message });
+      await ctx.reply(ctx.t('common.error'));
+    }
+  }
+}
+
+module.exports = LanguageHandler;
@@ -0,0 +1,468 @@
+const config = require('../config');
+const Logger = require('../utils/logger');
+const listingFSM = require('../services/listingFSM');
+const User = require('../models/User');
+const { chunkArray } = require('../utils/helpers');
+const { formatListingCard, formatListingSummary } = require('../utils/listingFormatter');
+const { renderScreen, sendListingPhotos } = require('../utils/telegramHelpers');
+
+class ListingHandler {
+  constructor(bot) {
+    this.bot = bot;
+    this.listingFSM = listingFSM;
+
+    // Albums arrive as separate messages; collect them per media group before saving
+    this.mediaGroups = new Map();
+  }
+
+  /**
+   * Make sure only registered users can manage listings
+   * @param {Object} ctx - Telegraf context
+   * @returns {Promise<boolean>} True if the user is registered
+   */
+  async ensureRegistered(ctx) {
+    const user = await User.findByTelegramId(ctx.from.id);
+    if (user && user.isRegistered) {
+      return true;
+    }
+
+    await ctx.reply(ctx.t('profile.notRegistered'));
+    return false;
+  }
+
+  /**
+   * Send a response object produced by the listing FSM
+   * @param {Object} ctx - Telegraf context
+   * @param {Object} result - FSM response
+   */
+  async replyWithResult(ctx, result) {
+    if (result.success) {
+      await ctx.reply(ctx.t(result.message), {
+        parse_mode: 'Markdown',
+        ...result.keyboard
+      });
+    } else {
+      await ctx.reply(`❌ ${ctx.t(result.error)}`, {
+        ...result.keyboard
+      });
+    }
+  }
+
+  /**
+   * Handle /addlisting command
+   * @param {Object} ctx - Telegraf context
+   */
+  async handleAddListing(ctx) {
+    try {
+      if (!(await this.ensureRegistered(ctx))) {
+        return;
+      }
+
+      const userId = ctx.from.id;
+      Logger.info('Starting listing creation', { userId });
+
+      const result = await this.listingFSM.startListing(userId, ctx.locale);
+
+      if (result.success && result.resumed) {
+        await ctx.reply(ctx.t('listing.continuing'));
+      }
+
+      await this.replyWithResult(ctx, result);
+    } catch (error) {
+      Logger.error('Error handling add listing', { error: error.message });
+      await ctx.reply(ctx.t('common.error'));
+    }
+  }
+
+  /**
+   * Route a message to the listing flow if the user has one in progress
+   * @param {Object} ctx - Telegraf context
+   * @returns {Promise<boolean>} True if the message was handled
+   */
+  async handleFlowMessage(ctx) {
+    try {
+      const userId = ctx.from.id;
+
+      if (ctx.message.photo) {
+        if (!(await this.listingFSM.isAddingPhotos(userId))) {
+          return false;
+        }
+
+        const sizes = ctx.message.photo;
+        const photo = {
+          fileId: sizes[sizes.length - 1].file_id,
+          fileUniqueId: sizes[sizes.length - 1].file_unique_id
+        };
+
+        if (ctx.message.media_group_id) {
+          this.bufferMediaGroup(ctx, photo);
+          return true;
+        }
+
+        const result = await this.listingFSM.addPhotos(userId, [photo], ctx.locale);
+        await this.replyWithResult(ctx, result || { success: false, error: 'listing.errors.notAddingPhotos' });
+        return true;
+      }
+
+      const result = await this.listingFSM.processInput(userId, ctx.message.text, ctx.locale);
+      if (!result) {
+        return false;
+      }
+
+      await this.sendInputResult(ctx, result);
+      return true;
+    } catch (error) {
+      Logger.error('Error handling listing flow message', { error: error.message });
+      await ctx.reply(ctx.t('common.error'));
+      return true;
+    }
+  }
+
+  /**
+   * Collect a photo of an album until all of its messages have arrived
+   * @param {Object} ctx - Telegraf context
+   * @param {Object} photo - Photo data ({ fileId, fileUniqueId })
+   */
+  bufferMediaGroup(ctx, photo) {
+    const key = `${ctx.from.id}:${ctx.message.media_group_id}`;
+    let group = this.mediaGroups.get(key);
+
+    if (!group) {
+      group = { ctx, items: [], timer: null };
+      this.mediaGroups.set(key, group);
+    }
+
+    group.items.push({ messageId: ctx.message.message_id, photo });
+    clearTimeout(group.timer);
+    group.timer = setTimeout(() => this.flushMediaGroup(key), config.listings.mediaGroupWait);
+  }
+
+  /**
+   * Save the collected photos of an album in their original order
+   * @param {string} key - Media group key
+   */
+  async flushMediaGroup(key) {
+    const group = this.mediaGroups.get(key);
+    this.mediaGroups.delete(key);
+    if (!group) {
+      return;
+    }
+
+    try {
+      const photos = group.items
+        .sort((a, b) => a.messageId - b.messageId)
+        .map(item => item.photo);
+
+      const result = await this.listingFSM.addPhotos(group.ctx.from.id, photos, group.ctx.locale);
+      await this.replyWithResult(group.ctx, result || { success: false, error: 'listing.errors.notAddingPhotos' });
+    } catch (error) {
+      Logger.error('Error saving media group', { error: error.message, key });
+      await group.ctx.reply(group.ctx.t('common.error'));
+    }
+  }
+
+  /**
+   * Send the result of a wizard step or field edit
+   * @param {Object} ctx - Telegraf context
+   * @param {Object} result - FSM response
+   */
+  async sendInputResult(ctx, result) {
+    // A completed field edit returns the listing without a next step
+    if (result.success && result.listing && !result.state) {
+      await ctx.reply(ctx.t(result.message));
+      await this.sendListingDetails(ctx, result.listing);
+      return;
+    }
+
+    await this.replyWithResult(ctx, result);
+  }
+
+  /**
+   * Handle /mylistings command
+   * @param {Object} ctx - Telegraf context
+   */
+  async handleMyListings(ctx) {
+    try {
+      if (!(await this.ensureRegistered(ctx))) {
+        return;
+      }
+
+      const listings = await this.listingFSM.getUserListings(ctx.from.id);
+
+      if (listings.length === 0) {
+        await ctx.reply(ctx.t('listing.empty'));
+        return;
+      }
+
+      const statusIcons = { draft: '📝', published: '✅', sold: '🤝' };
+      const buttons = listings.slice(0, 20).map(listing => [{
+        text: `${statusIcons[listing.status] || ''} ${formatListingSummary(listing, ctx.locale)}`.trim(),
+        callback_data: `listing_view_${listing._id}`
+      }]);
+
+      buttons.push([{ text: ctx.t('listing.buttons.add'), callback_data: 'listing_add' }]);
+
+      await ctx.reply(ctx.t('listing.mine', { count: listings.length }), {
+        parse_mode: 'Markdown',
+        reply_markup: {
+          inline_keyboard: buttons
+        }
+      });
+    } catch (error) {
+      Logger.error('Error handling my listings', { error: error.message });
+      await ctx.reply(ctx.t('common.error'));
+    }
+  }
+
+  /**
+   * Send a listing card with owner controls
+   * @param {Object} ctx - Telegraf context
+   * @param {Object} listing - Property document
+   */
+  async sendListingDetails(ctx, listing) {
+    const id = listing._id.toString();
+    const actionRow = [];
+
+    if (listing.status !== 'sold') {
+      actionRow.push({ text: ctx.t('listing.buttons.edit'), callback_data: `listing_edit_${id}` });
+    }
+    if (listing.status === 'draft') {
+      actionRow.push({ text: ctx.t('listing.buttons.publish'), callback_data: `listing_publish_${id}` });
+    }
+    if (listing.status === 'published') {
+      actionRow.push({ text: ctx.t('listing.buttons.sold'), callback_data: `listing_sold_${id}` });
+    }
+
+    actionRow.push({ text: ctx.t('listing.buttons.delete'), callback_data: `listing_delete_${id}` });
+
+    await sendListingPhotos(ctx, listing);
+    await ctx.reply(formatListingCard(listing, ctx.locale, { showStatus: true }), {
+      parse_mode: 'Markdown',
+      reply_markup: {
+        inline_keyboard: [
+          actionRow,
+          [{ text: ctx.t('listing.buttons.mine'), callback_data: 'listing_mine' }]
+        ]
+      }
+    });
+  }
+
+  /**
+   * Send the field picker for editing a listing
+   * @param {Object} ctx - Telegraf context
+   * @param {string} listingId - Listing ID
+   */
+  async sendEditMenu(ctx, listingId) {
+    const buttons = this.listingFSM.editableFields.map(field => ({
+      text: ctx.t(`listing.editMenu.${field}`),
+      callback_data: `listing_field_${listingId}_${field}`
+    }));
+
+    const rows = chunkArray(buttons, 2);
+    rows.push([{ text: ctx.t('wizard.back'), callback_data: `listing_view_${listingId}` }]);
+
+    await ctx.reply(ctx.t('listing.editMenu.title'), {
+      parse_mode: 'Markdown',
+      reply_markup: {
+        inline_keyboard: rows
+      }
+    });
+  }
+
+  /**
+   * Handle listing callbacks (all callback data starting with "listing_")
+   * @param {Object} ctx - Telegraf context
+   */
+  async handleCallback(ctx) {
+    try {
+      const userId = ctx.from.id;
+      const data = ctx.callbackQuery.data;
+
+      await ctx.answerCbQuery();
+
+      // Wizard controls
+      if (data === 'listing_add') {
+        await this.handleAddListing(ctx);
+        return;
+      }
+
+      if (data === 'listing_mine') {
+        await this.handleMyListings(ctx);
+        return;
+      }
+
+      if (data === 'listing_wizard_skip') {
+        await this.replyWithResult(ctx, await this.listingFSM.skipStep(userId, ctx.locale));
+        return;
+      }
+
+      if (data === 'listing_wizard_photos_done') {
+        await this.replyWithResult(ctx, await this.listingFSM.finishPhotos(userId, ctx.locale));
+        return;
+      }
+
+      if (data === 'listing_wizard_publish' || data === 'listing_wizard_draft') {
+        const result = await this.listingFSM.finishDraft(userId, data === 'listing_wizard_publish');
+        await this.replyWithResult(ctx, result);
+        return;
+      }
+
+      if (data === 'listing_wizard_cancel') {
+        await this.replyWithResult(ctx, await this.listingFSM.cancelDraft(userId));
+        return;
+      }
+
+      if (data === 'listing_edit_cancel') {
+        const result = await this.listingFSM.cancelEdit(userId);
+        await this.sendInputResult(ctx, result);
+        return;
+      }
+
+      // Selections used both by the wizard and by field edits
+      if (data.startsWith('listing_type_')) {
+        const result = await this.listingFSM.processInput(userId, data.replace('listing_type_', ''), ctx.locale);
+        await this.sendInputResult(ctx, result || { success: false, error: 'listing.errors.noDraft' });
+        return;
+      }
+
+      if (data.startsWith('listing_district_')) {
+        const index = parseInt(data.replace('listing_district_', ''), 10);
+        const district = this.listingFSM.getDistrictByIndex(index);
+        const result = await this.listingFSM.processInput(userId, district, ctx.locale);
+        await this.sendInputResult(ctx, result || { success: false, error: 'listing.errors.noDraft' });
+        return;
+      }
+
+      // Owner management
+      let match = data.match(/^listing_field_([a-f0-9]{24})_(\w+)$/);
+      if (match) {
+        const result = await this.listingFSM.startEdit(userId, match[1], match[2], ctx.locale);
+        if (result.success && match[2] === 'photos') {
+          await sendListingPhotos(ctx, result.listing, { numbered: true });
+        }
+        await this.replyWithResult(ctx, result);
+        return;
+      }
+
+      match = data.match(/^listing_photo_([a-f0-9]{24})_(show|up|down|del)_(\d+)$/);
+      if (match) {
+        await this.handlePhotoAction(ctx, match[1], match[2], parseInt(match[3], 10));
+        return;
+      }
+
+      match = data.match(/^listing_(view|edit|publish|sold|delete|confirmdelete)_([a-f0-9]{24})$/);
+      if (match) {
+        await this.handleListingAction(ctx, match[1], match[2]);
+        return;
+      }
+
+      await ctx.reply(ctx.t('listing.unknownAction'));
+    } catch (error) {
+      Logger.error('Error handling listing callback', { error: error.message });
+      await ctx.reply(ctx.t('common.error'));
+    }
+  }
+
+  /**
+   * Handle a photo manager button
+   * @param {Object} ctx - Telegraf context
+   * @param {string} listingId - Listing ID
+   * @param {string} action - "show", "up", "down" or "del"
+   * @param {number} index - Photo position
+   */
+  async handlePhotoAction(ctx, listingId, action, index) {
+    const userId = ctx.from.id;
+
+    if (action === 'show') {
+      const listing = await this.listingFSM.getOwnedListing(userId, listingId);
+      if (!listing || !listing.photos[index]) {
+        await ctx.reply(`❌ ${ctx.t('listing.errors.photoNotFound')}`);
+        return;
+      }
+      await ctx.replyWithPhoto(listing.photos[index].fileId, { caption: ctx.t('listing.photoCaption', { number: index + 1 }) });
+      return;
+    }
+
+    const result = action === 'del'
+      ? await this.listingFSM.removePhoto(userId, listingId, index, ctx.locale)
+      : await this.listingFSM.movePhoto(userId, listingId, index, action === 'up' ? -1 : 1, ctx.locale);
+
+    if (!result.success) {
+      await ctx.reply(`❌ ${ctx.t(result.error)}`);
+      return;
+    }
+
+    await renderScreen(ctx, ctx.t(result.message), {
+      parse_mode: 'Markdown',
+      ...result.keyboard
+    });
+  }
+
+  /**
+   * Handle an owner action on a specific listing
+   * @param {Object} ctx - Telegraf context
+   * @param {string} action - Action name
+   * @param {string} listingId - Listing ID
+   */
+  async handleListingAction(ctx, action, listingId) {
+    const userId = ctx.from.id;
+
+    switch (action) {
+      case 'view': {
+        const listing = await this.listingFSM.getOwnedListing(userId, listingId);
+        if (!listing) {
+          await ctx.reply(`❌ ${ctx.t('listing.errors.notFound')}`);
+          return;
+        }
+        await this.sendListingDetails(ctx, listing);
+        break;
+      }
+      case 'edit':
+        if (!(await this.listingFSM.getOwnedListing(userId, listingId))) {
+          await ctx.reply(`❌ ${ctx.t('listing.errors.notFound')}`);
+          return;
+        }
+        await this.sendEditMenu(ctx, listingId);
+        break;
+      case 'publish': {
+        const result = await this.listingFSM.publishListing(userId, listingId, ctx.locale);
+        await this.sendInputResult(ctx, result);
+        break;
+      }
+      case 'sold': {
+        const result = await this.listingFSM.markListingSold(userId, listingId);
+        if (result.success) {
+          await ctx.reply(ctx.t(result.message));
+        } else {
+          await ctx.reply(`❌ ${ctx.t(result.error)}`);
+        }
+        break;
+      }
+      case 'delete':
+        await ctx.reply(ctx.t('listing.confirmDelete'), {
+          reply_markup: {
+            inline_keyboard: [
+              [
+                { text: ctx.t('listing.buttons.confirmDelete'), callback_data: `listing_confirmdelete_${listingId}` },
+                { text: ctx.t('listing.buttons.keep'), callback_data: `listing_view_${listingId}` }
+              ]
+            ]
+          }
+        });
+        break;
+      case 'confirmdelete': {
+        const result = await this.listingFSM.deleteListing(userId, listingId);
+        if (result.success) {
+          await ctx.reply(ctx.t(result.message));
+        } else {
+          await ctx.reply(`❌ ${ctx.t(result.error)}`);
+        }
+        break;
+      }
+      default:
+        await ctx.reply(ctx.t('listing.unknownAction'));
+    }
+  }
+}
+
+module.exports = ListingHandler;
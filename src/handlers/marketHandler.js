@@ -0,0 +1,98 @@
+const config = require('../config');
+const Logger = require('../utils/logger');
+const marketService = require('../services/marketService');
+const { escapeMarkdown, formatPrice } = require('../utils/helpers');
+const { getTypeLabel } = require('../utils/listingFormatter');
+const { t } = require('../utils/i18n');
+
+class MarketHandler {
+  constructor(bot) {
+    this.bot = bot;
+    this.marketService = marketService;
+  }
+
+  /**
+   * Show the market insights dashboard
+   * @param {Object} ctx - Telegraf context
+   */
+  async showMarketData(ctx) {
+    try {
+      if (ctx.callbackQuery) {
+        await ctx.answerCbQuery();
+      }
+
+      const insights = await this.marketService.getInsights();
+
+      if (insights.total === 0) {
+        await ctx.reply(ctx.t('market.empty'), {
+          parse_mode: 'Markdown'
+        });
+        return;
+      }
+
+      if (insights.chart) {
+        await ctx.replyWithPhoto({ source: insights.chart, filename: 'market.png' }, {
+          caption: ctx.t('market.chartCaption')
+        });
+      }
+
+      await ctx.reply(this.formatInsights(insights, ctx.locale), { parse_mode: 'Markdown' });
+    } catch (error) {
+      Logger.error('Error showing market data', { error: error.message });
+      await ctx.reply(ctx.t('common.error'));
+    }
+  }
+
+  /**
+   * Format insights as a Markdown message
+   * @param {Object} insights - Market insights
+   * @param {string} locale - Locale code
+   * @returns {string} Message text
+   */
+  formatInsights(insights, locale = 'en') {
+    const { currency, overall } = insights;
+    const days = config.market.trendDays;
+
+    const formatStats = (item) => [
+      t(locale, 'market.median', { price: formatPrice(item.median, currency, locale) }),
+      t(locale, 'market.average', { price: formatPrice(item.average, currency, locale) }),
+      this.formatTrend(item.trend, locale)
+    ].join(' · ');
+
+    const districts = insights.byDistrict
+      .map(item => `• *${escapeMarkdown(item.key)}* (${item.count}) - ${formatStats(item)}`)
+      .join('\n');
+    const types = insights.byType
+      .map(item => `• ${getTypeLabel(item.key, locale)} (${item.count}) - ${formatStats(item)}`)
+      .join('\n');
+
+    const updatedAt = insights.generatedAt.toISOString().slice(11, 16);
+
+    return t(locale, 'market.insights', {
+      total: insights.total,
+      newListings: insights.newListings,
+      days,
+      overall: formatStats(overall),
+      districts,
+      types,
+      updatedAt
+    });
+  }
+
+  /**
+   * Format a price trend
+   * @param {number|null} trend - Change in percent
+   * @param {string} locale - Locale code
+   * @returns {string} Trend label
+   */
+  formatTrend(trend, locale = 'en') {
+    if (trend === null) {
+      return t(locale, 'market.noTrend');
+    }
+
+    const rounded = Math.round(trend * 10) / 10;
+    return rounded >= 0 ? `📈 +${rounded}%` : `📉 ${rounded}%`;
+  }
+}
+
+module.exports = MarketHandler;
@@ -0,0 +1,64 @@
+const Logger = require('../utils/logger');
+const moderationService = require('../services/moderationService');
+const { formatDate } = require('../utils/helpers');
+
+class ModerationHandler {
+  constructor(bot) {
+    this.bot = bot;
+    this.moderationService = moderationService;
+  }
+
+  /**
+   * Get the text typed after the command
+   * @param {Object} ctx - Telegraf context
+   * @returns {string} Command arguments
+   */
+  getArguments(ctx) {
+    return ctx.message.text.replace(/^\/\S+\s*/, '');
+  }
+
+  /**
+   * Handle /ban and /mute: "/ban <ID or @username> [duration] <reason>"
+   * @param {Object} ctx - Telegraf context
+   * @param {string} action - "ban" or "mute"
+   */
+  async handleRestrict(ctx, action) {
+    try {
+      const result = await this.moderationService.restrict(action, this.getArguments(ctx), ctx.from.id);
+      if (!result.success) {
+        await ctx.reply(`❌ ${ctx.t(result.error)}`);
+        return;
+      }
+
+      await ctx.reply(ctx.t(result.message, {
+        target: result.target,
+        reason: result.reason,
+        until: result.until ? formatDate(result.until, ctx.locale) : null
+      }));
+    } catch (error) {
+      Logger.error('Error handling moderation command', { error: error.message, action });
+      await ctx.reply(ctx.t('common.error'));
+    }
+  }
+
+  /**
+   * Handle /unban: "/unban <ID or @username>", which lifts both a ban and a mute
+   * @param {Object} ctx - Telegraf context
+   */
+  async handleUnban(ctx) {
+    try {
+      const result = await this.moderationService.lift(this.getArguments(ctx), ctx.from.id);
+      if (!result.success) {
+        await ctx.reply(`❌ ${ctx.t(result.error)}`);
+        return;
+      }
+
+      await ctx.reply(ctx.t(result.message, { target: result.target }));
+    } catch (error) {
+      Logger.error('Error handling unban command', { error: error.message });
+      await ctx.reply(ctx.t('common.error'));
+    }
+  }
+}
+
+module.exports = ModerationHandler;
@@ -0,0 +1,153 @@
+const Logger = require('../utils/logger');
+const matchService = require('../services/matchService');
+const { renderScreen } = require('../utils/telegramHelpers');
+
+class NetworkHandler {
+  constructor(bot) {
+    this.bot = bot;
+    this.matchService = matchService;
+  }
+
+  /**
+   * Show the next suggested counterpart
+   * @param {Object} ctx - Telegraf context
+   */
+  async showSuggestion(ctx) {
+    try {
+      const result = await this.matchService.getNextSuggestion(ctx.from.id);
+
+      if (!result.success) {
+        await ctx.reply(`❌ ${ctx.t(result.error)}`);
+        return;
+      }
+
+      if (!result.candidate) {
+        await renderScreen(ctx, ctx.t('match.noSuggestions'), {
+          parse_mode: 'Markdown',
+          reply_markup: {
+            inline_keyboard: [
+              [{ text: ctx.t('match.buttons.connections'), callback_data: 'match_connections' }]
+            ]
+          }
+        });
+        return;
+      }
+
+      const candidateId = result.candidate.telegramId;
+
+      await renderScreen(ctx, ctx.t('match.suggestion', {
+        profile: this.matchService.formatAnonymousProfile(result.candidate, ctx.locale)
+      }), {
+        parse_mode: 'Markdown',
+        reply_markup: {
+          inline_keyboard: [
+            [
+              { text: ctx.t('match.buttons.interested'), callback_data: `match_interest_${candidateId}` },
+              { text: ctx.t('wizard.skip'), callback_data: `match_skip_${candidateId}` }
+            ],
+            [{ text: ctx.t('match.buttons.connections'), callback_data: 'match_connections' }]
+          ]
+        }
+      });
+    } catch (error) {
+      Logger.error('Error showing match suggestion', { error: error.message });
+      await ctx.reply(ctx.t('common.error'));
+    }
+  }
+
+  /**
+   * Handle /connections command
+   * @param {Object} ctx - Telegraf context
+   */
+  async handleConnections(ctx) {
+    try {
+      const { matches, incoming } = await this.matchService.getUserConnections(ctx.from.id);
+
+      if (matches.length === 0 && incoming.length === 0) {
+        await ctx.reply(ctx.t('match.noConnections'));
+        return;
+      }
+
+      if (matches.length > 0) {
+        const contacts = matches.map(({ user }) => this.matchService.formatContact(user, ctx.locale));
+        await ctx.reply(`${ctx.t('match.connectionsTitle')}\n\n${contacts.join('\n\n')}`, { parse_mode: 'Markdown' });
+      }
+
+      for (const { connection, user } of incoming) {
+        await ctx.reply(`${ctx.t('match.requestTitle')}\n\n${this.matchService.formatAnonymousProfile(user, ctx.locale)}`, {
+          parse_mode: 'Markdown',
+          reply_markup: {
+            inline_keyboard: [
+              [
+                { text: ctx.t('match.buttons.accept'), callback_data: `match_accept_${connection._id}` },
+                { text: ctx.t('match.buttons.decline'), callback_data: `match_decline_${connection._id}` }
+              ]
+            ]
+          }
+        });
+      }
+    } catch (error) {
+      Logger.error('Error handling connections', { error: error.message });
+      await ctx.reply(ctx.t('common.error'));
+    }
+  }
+
+  /**
+   * Handle network callbacks ("network" and all callback data starting with "match_")
+   * @param {Object} ctx - Telegraf context
+   */
+  async handleCallback(ctx) {
+    try {
+      const userId = ctx.from.id;
+      const data = ctx.callbackQuery.data;
+
+      await ctx.answerCbQuery();
+
+      if (data === 'network' || data === 'match_next') {
+        await this.showSuggestion(ctx);
+        return;
+      }
+
+      if (data === 'match_connections') {
+        await this.handleConnections(ctx);
+        return;
+      }
+
+      let match = data.match(/^match_(interest|skip)_(\d+)$/);
+      if (match) {
+        const targetId = parseInt(match[2], 10);
+
+        if (match[1] === 'skip') {
+          await this.matchService.skipSuggestion(userId, targetId);
+          await this.showSuggestion(ctx);
+          return;
+        }
+
+        const result = await this.matchService.expressInterest(userId, targetId);
+        await renderScreen(ctx, result.success ? ctx.t(result.message) : `❌ ${ctx.t(result.error)}`, {
+          parse_mode: 'Markdown',
+          reply_markup: {
+            inline_keyboard: [
+              [{ text: ctx.t('match.buttons.next'), callback_data: 'match_next' }]
+            ]
+          }
+        });
+        return;
+      }
+
+      match = data.match(/^match_(accept|decline)_([a-f0-9]{24})$/);
+      if (match) {
+        const result = await this.matchService.respondToRequest(userId, match[2], match[1] === 'accept');
+        await renderScreen(ctx, result.success ? ctx.t(result.message) : `❌ ${ctx.t(result.error)}`, { parse_mode: 'Markdown' });
+        return;
+      }
+
+      await ctx.reply(ctx.t('match.unknownAction'));
+    } catch (error) {
+      Logger.error('Error handling network callback', { error: error.message });
+      await ctx.reply(ctx.t('common.error'));
+    }
+  }
+}
+
+module.exports = NetworkHandler;
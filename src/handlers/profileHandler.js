@@ -0,0 +1,276 @@
+const config = require('../config');
+const Logger = require('../utils/logger');
+const profileService = require('../services/profileService');
+const preferencesFlow = require('../services/preferencesFlow');
+const wizardEngine = require('../services/wizardEngine');
+const { escapeMarkdown, formatDate } = require('../utils/helpers');
+const { renderScreen } = require('../utils/telegramHelpers');
+
+const FIELD_PROMPTS = {
+  phone: 'profile.promptPhone',
+  name: 'profile.promptName'
+};
+
+class ProfileHandler {
+  constructor(bot) {
+    this.bot = bot;
+    this.profileService = profileService;
+
+    wizardEngine.register(preferencesFlow, {
+      onComplete: async ctx => {
+        await ctx.reply(ctx.t('preferences.saved'));
+        await this.showProfile(ctx);
+      }
+    });
+  }
+
+  /**
+   * Show the profile screen with edit buttons
+   * @param {Object} ctx - Telegraf context
+   */
+  async showProfile(ctx) {
+    try {
+      const user = await this.profileService.getProfile(ctx.from.id);
+      if (!user) {
+        await ctx.reply(ctx.t('profile.notRegistered'));
+        return;
+      }
+
+      const preferences = preferencesFlow.describe(user, ctx.locale);
+      const preferencesText = preferences.length > 0
+        ? `\n\n${ctx.t('profile.preferences')}\n${preferences.join('\n')}`
+        : `\n\n${ctx.t('profile.preferencesNotSet')}`;
+      const updated = user.profileUpdatedAt
+        ? `\n\n${ctx.t('profile.lastUpdated', { date: formatDate(user.profileUpdatedAt, ctx.locale) })}`
+        : '';
+      const phone = `${escapeMarkdown(user.phoneNumber || ctx.t('common.notProvided'))}${user.phoneVerified ? ' ✅' : ''}`;
+      const role = user.role ? ctx.t(`roles.${user.role}`) : ctx.t('common.notSelected');
+
+      await renderScreen(ctx, `${ctx.t('profile.title')}
+
+${ctx.t('profile.phone', { value: phone })}
+${ctx.t('profile.fullName', { value: escapeMarkdown(user.userFullName || ctx.t('common.notProvided')) })}
+${ctx.t('profile.role', { value: role })}
+${ctx.t('profile.language', { value: ctx.t('language.name') })}${preferencesText}${updated}`, {
+        parse_mode: 'Markdown',
+        reply_markup: {
+          inline_keyboard: [
+            [
+              { text: ctx.t('profile.editPhone'), callback_data: 'profile_edit_phone' },
+              { text: ctx.t('profile.editName'), callback_data: 'profile_edit_name' }
+            ],
+            [
+              { text: ctx.t('profile.changeRole'), callback_data: 'profile_edit_role' },
+              { text: ctx.t('profile.editPreferences'), callback_data: 'profile_preferences' }
+            ],
+            [
+              { text: ctx.t('profile.changeLanguage'), callback_data: 'language' }
+            ]
+          ]
+        }
+      });
+    } catch (error) {
+      Logger.error('Error showing profile', { error: error.message });
+      await ctx.reply(ctx.t('common.error'));
+    }
+  }
+
+  /**
+   * Ask for a new value of a text field
+   * @param {Object} ctx - Telegraf context
+   * @param {string} field - Field key ("phone" or "name")
+   */
+  async promptField(ctx, field) {
+    ctx.session = { ...ctx.session, awaitingInput: `profile_${field}` };
+
+    await ctx.reply(ctx.t(FIELD_PROMPTS[field]), {
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: ctx.t('wizard.cancel'), callback_data: 'profile_cancel' }]
+        ]
+      }
+    });
+  }
+
+  /**
+   * Ask for the code sent to a new phone number
+   * @param {Object} ctx - Telegraf context
+   * @param {string} phoneNumber - Number waiting for confirmation
+   */
+  async promptCode(ctx, phoneNumber) {
+    ctx.session = { ...ctx.session, awaitingInput: 'profile_phone_code', profilePhone: phoneNumber };
+
+    await ctx.reply(ctx.t('registration.code.prompt', {
+      length: config.phone.verification.codeLength,
+      phone: escapeMarkdown(phoneNumber)
+    }), {
+      parse_mode: 'Markdown',
+      reply_markup: this.getCodeKeyboard(ctx)
+    });
+  }
+
+  /**
+   * Build the keyboard shown while a code is awaited
+   * @param {Object} ctx - Telegraf context
+   * @returns {Object} Inline keyboard markup
+   */
+  getCodeKeyboard(ctx) {
+    return {
+      inline_keyboard: [
+        [{ text: ctx.t('registration.code.resend'), callback_data: 'profile_phone_resend' }],
+        [{ text: ctx.t('wizard.cancel'), callback_data: 'profile_cancel' }]
+      ]
+    };
+  }
+
+  /**
+   * Handle the value typed for a profile field
+   * @param {Object} ctx - Telegraf context
+   * @param {string} field - Field key ("phone" or "name")
+   */
+  async handleFieldInput(ctx, field) {
+    try {
+      const result = await this.profileService.updateField(ctx.from.id, field, ctx.message.text, ctx.locale);
+
+      if (!result.success) {
+        // Keep waiting so the user can correct the value
+        ctx.session = { ...ctx.session, awaitingInput: `profile_${field}` };
+        await ctx.reply(`❌ ${ctx.t(result.error)}`, {
+          reply_markup: {
+            inline_keyboard: [
+              [{ text: ctx.t('wizard.cancel'), callback_data: 'profile_cancel' }]
+            ]
+          }
+        });
+        return;
+      }
+
+      if (result.pendingCode) {
+        await this.promptCode(ctx, result.phoneNumber);
+        return;
+      }
+
+      await ctx.reply(ctx.t(result.message));
+      await this.showProfile(ctx);
+    } catch (error) {
+      Logger.error('Error handling profile input', { error: error.message, field });
+      await ctx.reply(ctx.t('common.error'));
+    }
+  }
+
+  /**
+   * Handle the code typed to confirm a new phone number
+   * @param {Object} ctx - Telegraf context
+   */
+  async handleCodeInput(ctx) {
+    try {
+      const phoneNumber = ctx.session && ctx.session.profilePhone;
+      if (!phoneNumber) {
+        await this.showProfile(ctx);
+        return;
+      }
+
+      const result = await this.profileService.confirmPhone(ctx.from.id, phoneNumber, ctx.message.text);
+
+      if (!result.success) {
+        // Keep waiting so the user can retry or ask for a new code
+        ctx.session = { ...ctx.session, awaitingInput: 'profile_phone_code' };
+        await ctx.reply(`❌ ${ctx.t(result.error)}`, { reply_markup: this.getCodeKeyboard(ctx) });
+        return;
+      }
+
+      ctx.session = { ...ctx.session, profilePhone: null };
+      await ctx.reply(ctx.t(result.message));
+      await this.showProfile(ctx);
+    } catch (error) {
+      Logger.error('Error handling profile code', { error: error.message });
+      await ctx.reply(ctx.t('common.error'));
+    }
+  }
+
+  /**
+   * Handle profile callbacks ("my_profile" and all callback data starting with "profile_")
+   * @param {Object} ctx - Telegraf context
+   */
+  async handleCallback(ctx) {
+    try {
+      const data = ctx.callbackQuery.data;
+
+      await ctx.answerCbQuery();
+
+      if (data === 'my_profile') {
+        await this.showProfile(ctx);
+        return;
+      }
+
+      if (data === 'profile_cancel') {
+        ctx.session = { ...ctx.session, awaitingInput: null, profilePhone: null };
+        await this.showProfile(ctx);
+        return;
+      }
+
+      if (data === 'profile_phone_resend') {
+        const phoneNumber = ctx.session && ctx.session.profilePhone;
+        if (!phoneNumber) {
+          await this.showProfile(ctx);
+          return;
+        }
+
+        const result = await this.profileService.resendPhoneCode(ctx.from.id, phoneNumber, ctx.locale);
+        ctx.session = { ...ctx.session, awaitingInput: 'profile_phone_code' };
+        await ctx.reply(result.success ? ctx.t(result.message) : `❌ ${ctx.t(result.error)}`, {
+          reply_markup: this.getCodeKeyboard(ctx)
+        });
+        return;
+      }
+
+      if (data === 'profile_edit_phone' || data === 'profile_edit_name') {
+        await this.promptField(ctx, data.replace('profile_edit_', ''));
+        return;
+      }
+
+      if (data === 'profile_edit_role') {
+        await renderScreen(ctx, ctx.t('profile.chooseRole'), {
+          parse_mode: 'Markdown',
+          reply_markup: {
+            inline_keyboard: [
+              [
+                { text: ctx.t('roles.buyer'), callback_data: 'profile_role_buyer' },
+                { text: ctx.t('roles.investor'), callback_data: 'profile_role_investor' }
+              ],
+              [{ text: ctx.t('roles.both'), callback_data: 'profile_role_both' }],
+              [{ text: ctx.t('profile.back'), callback_data: 'my_profile' }]
+            ]
+          }
+        });
+        return;
+      }
+
+      if (data === 'profile_preferences') {
+        const result = await wizardEngine.start(ctx, preferencesFlow.id);
+        if (!result.success) {
+          // Already translated by the wizard engine
+          await ctx.reply(`❌ ${result.error}`);
+        }
+        return;
+      }
+
+      if (data.startsWith('profile_role_')) {
+        const result = await this.profileService.updateField(ctx.from.id, 'role', data.replace('profile_role_', ''));
+        if (!result.success) {
+          await ctx.reply(`❌ ${ctx.t(result.error)}`);
+          return;
+        }
+        await this.showProfile(ctx);
+        return;
+      }
+
+      await ctx.reply(ctx.t('profile.unknownAction'));
+    } catch (error) {
+      Logger.error('Error handling profile callback', { error: error.message });
+      await ctx.reply(ctx.t('common.error'));
+    }
+  }
+}
+
+module.exports = ProfileHandler;
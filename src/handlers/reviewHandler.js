@@ -0,0 +1,139 @@
+const Logger = require('../utils/logger');
+const adminService = require('../services/adminService');
+const registrationReviewService = require('../services/registrationReviewService');
+const { escapeMarkdown } = require('../utils/helpers');
+const { renderScreen } = require('../utils/telegramHelpers');
+
+class ReviewHandler {
+  constructor(bot) {
+    this.bot = bot;
+    this.reviewService = registrationReviewService;
+  }
+
+  /**
+   * Get the name of an admin for the decision line of a card
+   * @param {Object} ctx - Telegraf context
+   * @returns {string} Escaped username or first name
+   */
+  getAdminName(ctx) {
+    return escapeMarkdown(ctx.from.username ? `@${ctx.from.username}` : ctx.from.first_name);
+  }
+
+  /**
+   * Handle review callbacks (all callback data starting with "review_")
+   * @param {Object} ctx - Telegraf context
+   */
+  async handleCallback(ctx) {
+    try {
+      const data = ctx.callbackQuery.data;
+
+      if (!await adminService.hasPermission(ctx.from.id, 'review')) {
+        await ctx.answerCbQuery(ctx.t('admin.notAllowed'), { show_alert: true });
+        return;
+      }
+
+      const match = data.match(/^review_(approve|reject)_(\d+)$/);
+      if (!match) {
+        await ctx.answerCbQuery(ctx.t('common.buttonClicked'));
+        return;
+      }
+
+      const userId = Number(match[2]);
+
+      if (match[1] === 'approve') {
+        const result = await this.reviewService.approve(userId, ctx.from.id);
+        if (!result.success) {
+          await ctx.answerCbQuery(`❌ ${ctx.t(result.error)}`);
+          return;
+        }
+
+        await ctx.answerCbQuery(ctx.t('review.approvedAdmin'));
+        await renderScreen(ctx, this.reviewService.buildCard(result.user, ctx.t('review.card.approvedBy', {
+          admin: this.getAdminName(ctx)
+        })), { parse_mode: 'Markdown' });
+        return;
+      }
+
+      const pending = await this.reviewService.getPendingUser(userId);
+      if (!pending.success) {
+        await ctx.answerCbQuery(`❌ ${ctx.t(pending.error)}`);
+        return;
+      }
+
+      await ctx.answerCbQuery();
+      await this.promptReason(ctx, pending.user, ctx.callbackQuery.message.message_id);
+    } catch (error) {
+      Logger.error('Error handling review callback', { error: error.message });
+      await ctx.reply(ctx.t('common.error'));
+    }
+  }
+
+  /**
+   * Ask the admin for the reason of a rejection
+   * @param {Object} ctx - Telegraf context
+   * @param {Object} user - User being rejected
+   * @param {number} cardMessageId - Review card to update once the reason is given
+   */
+  async promptReason(ctx, user, cardMessageId) {
+    ctx.session = {
+      ...ctx.session,
+      awaitingInput: 'review_reason',
+      reviewUserId: user.telegramId,
+      reviewCardMessageId: cardMessageId
+    };
+
+    // A forced reply also reaches the bot in groups with privacy mode on
+    await ctx.reply(ctx.t('review.reasonPrompt', { name: user.userFullName }), {
+      reply_markup: { force_reply: true, selective: true }
+    });
+  }
+
+  /**
+   * Handle the rejection reason typed by an admin
+   * @param {Object} ctx - Telegraf context
+   */
+  async handleReasonInput(ctx) {
+    try {
+      if (!await adminService.hasPermission(ctx.from.id, 'review')) {
+        await ctx.reply(ctx.t('admin.notAllowed'));
+        return;
+      }
+
+      const { reviewUserId, reviewCardMessageId } = ctx.session;
+      const result = await this.reviewService.reject(reviewUserId, ctx.from.id, ctx.message.text);
+
+      if (!result.success) {
+        if (result.error && result.error.key === 'review.reasonInvalid') {
+          // Keep waiting so the admin can correct the reason
+          ctx.session = { ...ctx.session, awaitingInput: 'review_reason' };
+          await ctx.reply(`❌ ${ctx.t(result.error)}`, { reply_markup: { force_reply: true, selective: true } });
+          return;
+        }
+
+        ctx.session = { ...ctx.session, reviewUserId: null, reviewCardMessageId: null };
+        await ctx.reply(`❌ ${ctx.t(result.error)}`);
+        return;
+      }
+
+      ctx.session = { ...ctx.session, reviewUserId: null, reviewCardMessageId: null };
+
+      const status = ctx.t('review.card.rejectedBy', {
+        admin: this.getAdminName(ctx),
+        reason: escapeMarkdown(result.user.rejectionReason)
+      });
+      try {
+        await ctx.telegram.editMessageText(ctx.chat.id, reviewCardMessageId, undefined,
+          this.reviewService.buildCard(result.user, status), { parse_mode: 'Markdown' });
+      } catch (error) {
+        Logger.debug('Could not update review card', { error: error.message });
+      }
+
+      await ctx.reply(ctx.t('review.rejectedAdmin'));
+    } catch (error) {
+      Logger.error('Error handling rejection reason', { error: error.message });
+      await ctx.reply(ctx.t('common.error'));
+    }
+  }
+}
+
+module.exports = ReviewHandler;
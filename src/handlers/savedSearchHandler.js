@@ -0,0 +1,177 @@
+const Logger = require('../utils/logger');
+const savedSearchService = require('../services/savedSearchService');
+const searchService = require('../services/searchService');
+const { escapeMarkdown } = require('../utils/helpers');
+
+class SavedSearchHandler {
+  constructor(bot, searchHandler) {
+    this.bot = bot;
+    this.searchHandler = searchHandler;
+    this.savedSearchService = savedSearchService;
+  }
+
+  /**
+   * Ask the user to name their current search
+   * @param {Object} ctx - Telegraf context
+   */
+  async promptSaveSearch(ctx) {
+    try {
+      const filters = await searchService.getFilters(ctx.from.id);
+      const suggestedName = this.savedSearchService.suggestName(filters, ctx.locale);
+
+      ctx.session = { ...ctx.session, awaitingInput: 'saved_search_name' };
+
+      await ctx.reply(ctx.t('savedSearch.prompt', {
+        filters: searchService.describeFilters(filters, ctx.locale),
+        name: escapeMarkdown(suggestedName)
+      }), {
+        parse_mode: 'Markdown',
+        reply_markup: {
+          inline_keyboard: [
+            [{ text: ctx.t('savedSearch.buttons.useSuggested'), callback_data: 'savedsearch_default' }],
+            [{ text: ctx.t('wizard.cancel'), callback_data: 'savedsearch_cancel' }]
+          ]
+        }
+      });
+    } catch (error) {
+      Logger.error('Error prompting for saved search name', { error: error.message });
+      await ctx.reply(ctx.t('common.error'));
+    }
+  }
+
+  /**
+   * Handle the name typed for a saved search
+   * @param {Object} ctx - Telegraf context
+   */
+  async handleNameInput(ctx) {
+    await this.saveSearch(ctx, ctx.message.text);
+  }
+
+  /**
+   * Save the current filters under a name
+   * @param {Object} ctx - Telegraf context
+   * @param {string} name - Search name
+   */
+  async saveSearch(ctx, name) {
+    try {
+      const result = await this.savedSearchService.saveSearch(ctx.from.id, name);
+
+      if (result.success) {
+        await ctx.reply(ctx.t(result.message), { parse_mode: 'Markdown' });
+      } else {
+        await ctx.reply(`❌ ${ctx.t(result.error)}`);
+      }
+    } catch (error) {
+      Logger.error('Error saving search', { error: error.message });
+      await ctx.reply(ctx.t('common.error'));
+    }
+  }
+
+  /**
+   * Handle /mysearches command
+   * @param {Object} ctx - Telegraf context
+   */
+  async handleMySearches(ctx) {
+    try {
+      const searches = await this.savedSearchService.getUserSearches(ctx.from.id);
+
+      if (searches.length === 0) {
+        await ctx.reply(ctx.t('savedSearch.empty'), {
+          parse_mode: 'Markdown'
+        });
+        return;
+      }
+
+      const lines = searches.map((savedSearch, index) => {
+        const status = ctx.t(savedSearch.isPaused ? 'savedSearch.status.paused' : 'savedSearch.status.active');
+        return `*${index + 1}. ${escapeMarkdown(savedSearch.name)}* - ${status}\n${searchService.describeFilters(savedSearch.filters, ctx.locale)}`;
+      });
+
+      const buttons = searches.map((savedSearch, index) => {
+        const id = savedSearch._id.toString();
+        return [
+          { text: `🔍 ${index + 1}`, callback_data: `savedsearch_run_${id}` },
+          savedSearch.isPaused
+            ? { text: ctx.t('savedSearch.buttons.resume'), callback_data: `savedsearch_resume_${id}` }
+            : { text: ctx.t('savedSearch.buttons.pause'), callback_data: `savedsearch_pause_${id}` },
+          { text: ctx.t('savedSearch.buttons.delete'), callback_data: `savedsearch_delete_${id}` }
+        ];
+      });
+
+      await ctx.reply(`${ctx.t('savedSearch.title')}\n\n${lines.join('\n\n')}`, {
+        parse_mode: 'Markdown',
+        reply_markup: {
+          inline_keyboard: buttons
+        }
+      });
+    } catch (error) {
+      Logger.error('Error handling my searches', { error: error.message });
+      await ctx.reply(ctx.t('common.error'));
+    }
+  }
+
+  /**
+   * Handle saved search callbacks (all callback data starting with "savedsearch_")
+   * @param {Object} ctx - Telegraf context
+   */
+  async handleCallback(ctx) {
+    try {
+      const userId = ctx.from.id;
+      const data = ctx.callbackQuery.data;
+
+      await ctx.answerCbQuery();
+
+      if (data === 'savedsearch_save') {
+        await this.promptSaveSearch(ctx);
+        return;
+      }
+
+      if (data === 'savedsearch_default') {
+        ctx.session = { ...ctx.session, awaitingInput: null };
+        const filters = await searchService.getFilters(userId);
+        await this.saveSearch(ctx, this.savedSearchService.suggestName(filters, ctx.locale));
+        return;
+      }
+
+      if (data === 'savedsearch_cancel') {
+        ctx.session = { ...ctx.session, awaitingInput: null };
+        await ctx.reply(ctx.t('common.cancelled'));
+        return;
+      }
+
+      const match = data.match(/^savedsearch_(run|pause|resume|delete)_([a-f0-9]{24})$/);
+      if (!match) {
+        await ctx.reply(ctx.t('savedSearch.unknownAction'));
+        return;
+      }
+
+      const [, action, searchId] = match;
+
+      switch (action) {
+        case 'run':
+          if (await this.savedSearchService.applySearch(userId, searchId)) {
+            await this.searchHandler.showResults(ctx, 0);
+          } else {
+            await ctx.reply(`❌ ${ctx.t('savedSearch.errors.notFound')}`);
+          }
+          break;
+        case 'pause':
+        case 'resume': {
+          const result = await this.savedSearchService.setPaused(userId, searchId, action === 'pause');
+          await ctx.reply(result.success ? ctx.t(result.message) : `❌ ${ctx.t(result.error)}`);
+          break;
+        }
+        case 'delete': {
+          const result = await this.savedSearchService.deleteSearch(userId, searchId);
+          await ctx.reply(result.success ? ctx.t(result.message) : `❌ ${ctx.t(result.error)}`);
+          break;
+        }
+      }
+    } catch (error) {
+      Logger.error('Error handling saved search callback', { error: error.message });
+      await ctx.reply(ctx.t('common.error'));
+    }
+  }
+}
+
+module.exports = SavedSearchHandler;
@@ -0,0 +1,296 @@
+const config = require('../config');
+const Logger = require('../utils/logger');
+const searchService = require('../services/searchService');
+const { chunkArray } = require('../utils/helpers');
+const { t } = require('../utils/i18n');
+const { renderScreen, sendListingPhotos } = require('../utils/telegramHelpers');
+const { getTypeLabel, formatListingCard } = require('../utils/listingFormatter');
+
+class SearchHandler {
+  constructor(bot) {
+    this.bot = bot;
+    this.searchService = searchService;
+  }
+
+  /**
+   * Show the search menu with the user's current filters
+   * @param {Object} ctx - Telegraf context
+   */
+  async showSearchMenu(ctx) {
+    try {
+      const filters = await this.searchService.getFilters(ctx.from.id);
+
+      const text = ctx.t('search.menu', { filters: this.searchService.describeFilters(filters, ctx.locale) });
+
+      await renderScreen(ctx, text, {
+        parse_mode: 'Markdown',
+        reply_markup: {
+          inline_keyboard: [
+            [
+              { text: ctx.t('search.buttons.price'), callback_data: 'search_filter_price' },
+              { text: ctx.t('search.buttons.district'), callback_data: 'search_filter_district' }
+            ],
+            [
+              { text: ctx.t('search.buttons.rooms'), callback_data: 'search_filter_rooms' },
+              { text: ctx.t('search.buttons.type'), callback_data: 'search_filter_type' }
+            ],
+            [
+              { text: ctx.t('search.buttons.showResults'), callback_data: 'search_results_0' }
+            ],
+            [
+              { text: ctx.t('search.buttons.saveSearch'), callback_data: 'savedsearch_save' },
+              { text: ctx.t('search.buttons.reset'), callback_data: 'search_reset' }
+            ]
+          ]
+        }
+      });
+    } catch (error) {
+      Logger.error('Error showing search menu', { error: error.message });
+      await ctx.reply(ctx.t('common.error'));
+    }
+  }
+
+  /**
+   * Show the options for one filter
+   * @param {Object} ctx - Telegraf context
+   * @param {string} filter - Filter name
+   */
+  async showFilterOptions(ctx, filter) {
+    let title;
+    let buttons;
+
+    switch (filter) {
+      case 'price':
+        title = ctx.t('search.choose.price');
+        buttons = config.search.priceRanges.map((range, index) => ({
+          text: this.searchService.getPriceLabel(range.min, range.max, ctx.locale),
+          callback_data: `search_set_price_${index}`
+        }));
+        break;
+      case 'district':
+        title = ctx.t('search.choose.district');
+        buttons = config.listings.districts.map((district, index) => ({
+          text: district,
+          callback_data: `search_set_district_${index}`
+        }));
+        break;
+      case 'rooms':
+        title = ctx.t('search.choose.rooms');
+        buttons = config.search.roomOptions.map(rooms => ({
+          text: this.searchService.getRoomsLabel(rooms, ctx.locale),
+          callback_data: `search_set_rooms_${rooms}`
+        }));
+        break;
+      case 'type':
+        title = ctx.t('search.choose.type');
+        buttons = config.listings.types.map(type => ({
+          text: getTypeLabel(type, ctx.locale),
+          callback_data: `search_set_type_${type}`
+        }));
+        break;
+      default:
+        await this.showSearchMenu(ctx);
+        return;
+    }
+
+    const rows = chunkArray(buttons, filter === 'district' ? 3 : 2);
+    rows.push([
+      { text: ctx.t('search.buttons.any'), callback_data: `search_set_${filter}_any` },
+      { text: ctx.t('wizard.back'), callback_data: 'search_menu' }
+    ]);
+
+    await renderScreen(ctx, title, {
+      parse_mode: 'Markdown',
+      reply_markup: {
+        inline_keyboard: rows
+      }
+    });
+  }
+
+  /**
+   * Apply a filter choice and return to the menu
+   * @param {Object} ctx - Telegraf context
+   * @param {string} filter - Filter name
+   * @param {string} value - Selected option ("any" clears the filter)
+   */
+  async applyFilter(ctx, filter, value) {
+    const isAny = value === 'any';
+    let changes;
+
+    switch (filter) {
+      case 'price': {
+        const range = isAny ? null : config.search.priceRanges[parseInt(value, 10)];
+        changes = {
+          minPrice: range ? range.min : null,
+          maxPrice: range ? range.max : null
+        };
+        break;
+      }
+      case 'district':
+        changes = { district: isAny ? null : config.listings.districts[parseInt(value, 10)] || null };
+        break;
+      case 'rooms': {
+        const rooms = parseInt(value, 10);
+        changes = { rooms: isAny || !config.search.roomOptions.includes(rooms) ? null : rooms };
+        break;
+      }
+      case 'type':
+        changes = { type: isAny || !config.listings.types.includes(value) ? null : value };
+        break;
+      default:
+        changes = {};
+    }
+
+    await this.searchService.updateFilters(ctx.from.id, changes);
+    await this.showSearchMenu(ctx);
+  }
+
+  /**
+   * Show one page of search results
+   * @param {Object} ctx - Telegraf context
+   * @param {number} page - Zero-based page index
+   */
+  async showResults(ctx, page = 0) {
+    try {
+      const filters = await this.searchService.getFilters(ctx.from.id);
+      const result = await this.searchService.search(filters, page);
+
+      if (result.error) {
+        await ctx.reply(`❌ ${ctx.t(result.error)}`);
+        return;
+      }
+
+      if (result.total === 0) {
+        await renderScreen(ctx, ctx.t('search.noResults', { filters: this.searchService.describeFilters(filters, ctx.locale) }), {
+          parse_mode: 'Markdown',
+          reply_markup: {
+            inline_keyboard: [
+              [{ text: ctx.t('search.buttons.changeFilters'), callback_data: 'search_menu' }]
+            ]
+          }
+        });
+        return;
+      }
+
+      const extra = {
+        parse_mode: 'Markdown',
+        ...this.getResultKeyboard(result, ctx.locale)
+      };
+
+      // An album can't be edited into the previous result, so listings with photos are sent anew
+      if (await sendListingPhotos(ctx, result.listing)) {
+        await ctx.reply(this.formatResult(result, ctx.locale), extra);
+        return;
+      }
+
+      await renderScreen(ctx, this.formatResult(result, ctx.locale), extra);
+    } catch (error) {
+      Logger.error('Error showing search results', { error: error.message });
+      await ctx.reply(ctx.t('common.error'));
+    }
+  }
+
+  /**
+   * Format a single search result
+   * @param {Object} result - Search result ({ listing, total, page })
+   * @param {string} locale - Locale code
+   * @returns {string} Result text
+   */
+  formatResult(result, locale) {
+    return t(locale, 'search.result', {
+      number: result.page + 1,
+      total: result.total,
+      card: formatListingCard(result.listing, locale)
+    });
+  }
+
+  /**
+   * Get pagination keyboard for a search result
+   * @param {Object} result - Search result ({ listing, total, page })
+   * @param {string} locale - Locale code
+   * @returns {Object} Keyboard object
+   */
+  getResultKeyboard(result, locale) {
+    const { page, total } = result;
+    const navigation = [];
+
+    if (page > 0) {
+      navigation.push({ text: t(locale, 'search.buttons.prev'), callback_data: `search_results_${page - 1}` });
+    }
+    navigation.push({ text: `${page + 1}/${total}`, callback_data: 'search_noop' });
+    if (page < total - 1) {
+      navigation.push({ text: t(locale, 'search.buttons.next'), callback_data: `search_results_${page + 1}` });
+    }
+
+    return {
+      reply_markup: {
+        inline_keyboard: [
+          navigation,
+          [
+            { text: t(locale, 'search.buttons.filters'), callback_data: 'search_menu' },
+            { text: t(locale, 'search.buttons.again'), callback_data: 'search_results_0' }
+          ],
+          [
+            { text: t(locale, 'search.buttons.favorite'), callback_data: `fav_add_${result.listing._id}` },
+            { text: t(locale, 'search.buttons.messageOwner'), callback_data: `chat_open_${result.listing._id}` }
+          ],
+          [
+            { text: t(locale, 'search.buttons.saveSearch'), callback_data: 'savedsearch_save' }
+          ]
+        ]
+      }
+    };
+  }
+
+  /**
+   * Handle search callbacks (all callback data starting with "search_")
+   * @param {Object} ctx - Telegraf context
+   */
+  async handleCallback(ctx) {
+    try {
+      const data = ctx.callbackQuery.data;
+
+      await ctx.answerCbQuery();
+
+      if (data === 'search_properties' || data === 'search_menu') {
+        await this.showSearchMenu(ctx);
+        return;
+      }
+
+      if (data === 'search_noop') {
+        return;
+      }
+
+      if (data === 'search_reset') {
+        await this.searchService.resetFilters(ctx.from.id);
+        await this.showSearchMenu(ctx);
+        return;
+      }
+
+      let match = data.match(/^search_filter_(price|district|rooms|type)$/);
+      if (match) {
+        await this.showFilterOptions(ctx, match[1]);
+        return;
+      }
+
+      match = data.match(/^search_set_(price|district|rooms|type)_(\w+)$/);
+      if (match) {
+        await this.applyFilter(ctx, match[1], match[2]);
+        return;
+      }
+
+      match = data.match(/^search_results_(\d+)$/);
+      if (match) {
+        await this.showResults(ctx, parseInt(match[1], 10));
+        return;
+      }
+
+      await ctx.reply(ctx.t('search.unknownAction'));
+    } catch (error) {
+      Logger.error('Error handling search callback', { error: error.message });
+      await ctx.reply(ctx.t('common.error'));
+    }
+  }
+}
+
+module.exports = SearchHandler;
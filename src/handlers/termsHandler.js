@@ -0,0 +1,86 @@
+const Logger = require('../utils/logger');
+const termsService = require('../services/termsService');
+const { renderScreen } = require('../utils/telegramHelpers');
+
+class TermsHandler {
+  constructor(bot) {
+    this.bot = bot;
+    this.termsService = termsService;
+  }
+
+  /**
+   * Show the current terms with Accept and Decline buttons
+   * @param {Object} ctx - Telegraf context
+   * @param {string} intro - Optional catalogue key of a line shown above the terms
+   */
+  async showTerms(ctx, intro = null) {
+    const text = this.termsService.getText(ctx.t);
+
+    await renderScreen(ctx, intro ? `${ctx.t(intro)}\n\n${text}` : text, {
+      parse_mode: 'Markdown',
+      reply_markup: {
+        inline_keyboard: [
+          [
+            { text: ctx.t('terms.accept'), callback_data: 'terms_accept' },
+            { text: ctx.t('terms.decline'), callback_data: 'terms_decline' }
+          ]
+        ]
+      }
+    });
+  }
+
+  /**
+   * Handle terms callbacks (all callback data starting with "terms_")
+   * @param {Object} ctx - Telegraf context
+   */
+  async handleCallback(ctx) {
+    try {
+      const data = ctx.callbackQuery.data;
+
+      if (data === 'terms_decline') {
+        await ctx.answerCbQuery();
+        await this.showTerms(ctx, 'terms.declined');
+        return;
+      }
+
+      if (data !== 'terms_accept') {
+        await ctx.answerCbQuery(ctx.t('common.buttonClicked'));
+        return;
+      }
+
+      const result = await this.termsService.accept(ctx.from.id);
+      if (!result.success) {
+        await ctx.answerCbQuery(`❌ ${ctx.t(result.error)}`);
+        return;
+      }
+
+      await ctx.answerCbQuery();
+      await renderScreen(ctx, ctx.t('terms.accepted', { version: result.version }));
+    } catch (error) {
+      Logger.error('Error handling terms callback', { error: error.message });
+      await ctx.reply(ctx.t('common.error'));
+    }
+  }
+
+  /**
+   * Publish a new terms version ("/publishterms [url]"), admins only
+   * @param {Object} ctx - Telegraf context
+   */
+  async handlePublish(ctx) {
+    try {
+      const url = ctx.message.text.split(/\s+/)[1] || null;
+      const result = await this.termsService.publish(ctx.from.id, url);
+      if (!result.success) {
+        await ctx.reply(`❌ ${ctx.t(result.error)}`);
+        return;
+      }
+
+      await ctx.reply(ctx.t('terms.published', { version: result.version }));
+    } catch (error) {
+      Logger.error('Error publishing terms', { error: error.message });
+      await ctx.reply(ctx.t('common.error'));
+    }
+  }
+}
+
+module.exports = TermsHandler;
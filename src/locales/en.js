@@ -0,0 +1,1280 @@
+/**
+ * English texts. This is the reference catalogue: keys missing from other locales fall back to it.
+ */
+
+module.exports = {
+  common: {
+    error: '❌ An error occurred. Please try again.',
+    any: 'Any',
+    cancelled: '✖️ Cancelled.',
+    nothingToCancel: 'Nothing to cancel.',
+    notProvided: 'Not provided',
+    notSelected: 'Not selected',
+    notSet: 'Not set',
+    unknown: 'Unknown',
+    yes: 'Yes',
+    no: 'No',
+    buttonClicked: 'Button clicked!',
+    noPreference: 'No preference',
+    userNotFound: 'User not found'
+  },
+
+  language: {
+    name: 'English',
+    button: '🇬🇧 English',
+    prompt: '🌐 *Choose your language*\n\nTilni tanlang · Выберите язык',
+    label: '🌐 Language',
+    edit: '🌐 Edit Language',
+    current: '🌐 Current language: {language}\n\nChoose the language I should use:',
+    changed: '✅ I will speak English from now on.',
+    invalid: 'Please choose one of the languages below.',
+    saveFailed: 'Failed to save your language'
+  },
+
+  roles: {
+    buyer: '🏠 Buyer',
+    investor: '💰 Investor',
+    both: '🔄 Both',
+    buyerAndInvestor: '🔄 Buyer & Investor'
+  },
+
+  menu: {
+    search: '🔍 Search Properties',
+    investments: '💰 Investments',
+    network: '🤝 Network',
+    market: '📊 Market Data',
+    profile: 'ℹ️ My Profile',
+    help: '❓ Help',
+    startRegistration: '🚀 Start Registration',
+    learnMore: 'ℹ️ Learn More'
+  },
+
+  start: {
+    welcomeBack: `👋 Welcome back, {name}!
+
+You're already registered and ready to use all features of {botName}.
+
+Here's what you can do:
+• Search properties 🔍
+• Find investments 💰
+• Network with others 🤝
+• View market data 📊
+• Manage your profile ℹ️
+
+Use the buttons below or type /help for more options!`,
+    welcome: `👋 Hello {name}!
+
+Welcome to {botName}! I'm your real estate assistant that connects buyers and investors.
+
+To get started, you'll need to complete a quick registration process where I'll collect:
+• Your phone number 📱
+• Your full name 👤
+• Your role (Buyer/Investor) 🎯
+
+This will help me provide you with personalized real estate opportunities and connect you with the right people.
+
+Ready to get started?`,
+    defaultName: 'there'
+  },
+
+  hello: {
+    0: 'Hello {name}! 👋',
+    1: 'Hi {name}! How are you? 😊',
+    2: 'Hey {name}! Nice to see you! 🎉',
+    3: 'Greetings {name}! Welcome! 🌟',
+    defaultName: 'friend'
+  },
+
+  help: {
+    text: `🤖 *{botName} Help*
+
+*Available Commands:*
+/start - Start the bot and see welcome message
+/register - Start or continue registration process
+/addlisting - Create a new property listing
+/mylistings - View, edit, mark as sold or delete your listings
+/search - Search properties with filters
+/mysearches - Manage saved searches and notifications
+/investments - Browse investment opportunities
+/addinvestment - Publish an investment opportunity
+/myinvestments - Manage your published opportunities
+/network - Discover buyers and investors to connect with
+/connections - See your connections and requests
+/chats - Your anonymous conversations about listings
+/closechat - End the current conversation
+/market - Prices per m² by district and property type
+/favorites - Listings you saved, with price-drop alerts
+/profile - View and edit your phone, name, role and preferences
+/language - Change the language of the bot
+/cancel - Cancel registration or the current prompt
+/hello - Get a friendly greeting
+/help - Show this help message
+/info - Show your information
+
+*Registration Process:*
+1. 🌐 Choose your language
+2. 📜 Accept the terms of service and privacy policy
+3. 📱 Enter your phone number
+4. 👤 Enter your full name
+5. 🎯 Select your role (Buyer/Investor/Both)
+6. 🧭 Answer a few optional questions about what you are looking for
+7. 📋 Review bot features and agenda
+8. 📝 Check your details and complete registration
+
+Use ⬅️ Back or ✖️ Cancel at any step.
+
+*What I can do:*
+• Connect buyers and investors
+• Search properties and investments
+• Provide market insights
+• Enable networking between users
+• Remember your information securely
+
+Just send me any message and I'll respond! 😊`
+  },
+
+  stats: {
+    title: '📊 *Bot Statistics*',
+    totalUsers: '👥 Total Users: {value}',
+    activeUsers: '🟢 Active Users: {value}',
+    messages: '💬 Messages Processed: {value}',
+    uptime: '⏱️ Uptime: {value} minutes',
+    memory: '💾 Memory Usage: {value} MB',
+    databaseTitle: '🗄️ *Database Statistics*',
+    databaseUsers: '📊 Total DB Users: {value}',
+    databaseActiveUsers: '🟢 Active DB Users: {value}',
+    databaseMessages: '💬 Total DB Messages: {value}',
+    averageMessages: '📈 Avg Messages/User: {value}'
+  },
+
+  info: {
+    notFound: '❌ User information not found.',
+    title: 'ℹ️ *Your Information*',
+    id: '🆔 ID: {value}',
+    name: '👤 Name: {value}',
+    username: '🏷️ Username: {value}',
+    language: '🌍 Language: {value}',
+    isBot: '🤖 Is Bot: {value}',
+    firstSeen: '📅 First Seen: {value}',
+    lastSeen: '👀 Last Seen: {value}',
+    messages: '💬 Messages: {value}',
+    phone: '📱 Phone: {value}',
+    fullName: '👤 Full Name: {value}',
+    role: '🎯 Role: {value}',
+    registered: '✅ Registration: Completed',
+    notRegistered: '⚠️ Registration: Not completed'
+  },
+
+  misc: {
+    photo: '📸 To add photos to a listing, create one with /addlisting or choose "📸 Photos" when editing a listing in /mylistings.',
+    sticker: '😄 Cool sticker!',
+    reply: {
+      0: 'Thanks for your message, {name}! 😊',
+      1: 'I heard you, {name}! What else can I help with? 🤔',
+      2: 'Got it, {name}! Try /help for more options! 💡',
+      3: 'Message received, {name}! Thanks! 🙏'
+    }
+  },
+
+  wizard: {
+    back: '⬅️ Back',
+    cancel: '✖️ Cancel',
+    done: '✔️ Done',
+    skip: '⏭️ Skip',
+    confirm: '✅ Confirm',
+    saved: '✅ Saved.',
+    shareContact: '📱 Share contact',
+    shareLocation: '📍 Share location',
+    notApplicable: 'N/A',
+    busy: 'Please finish or /cancel what you are doing first.',
+    startFailed: 'Failed to start. Please try again.',
+    inactive: 'This form is no longer active.',
+    expired: '⌛ This form has expired. Please start again.',
+    useSummaryButtons: 'Please use the buttons above to change an answer or confirm.',
+    buttonInactive: '❌ That button is no longer active.',
+    chooseOne: '❌ Please choose at least one option.',
+    firstStep: '❌ You are already at the first step.',
+    cantEdit: '❌ This answer can\'t be changed.',
+    hints: {
+      buttons: 'Please use the buttons below.',
+      send: 'Please send {items}.',
+      or: ' or ',
+      text: 'a text message',
+      contact: 'your contact',
+      photo: 'a photo',
+      location: 'a location'
+    }
+  },
+
+  registration: {
+    cancelled: '✖️ Registration cancelled. You can start again any time with /register.',
+    expired: '⌛ Your registration has expired. Use /register to start again.',
+    alreadyRegistered: '✅ You are already registered. Use /profile to change your details.',
+    failed: 'Failed to complete registration',
+    phoneTaken: 'This phone number is already registered to another account. Tap "📱 Edit Phone" to change it.',
+    phone: {
+      prompt: `📱 *Welcome to Sochma Bot!*
+
+To get started, I need to collect some information from you. Let's begin with your phone number.
+
+Tap *📱 Share my phone number* below, or type your number (e.g., 90 123 45 67 or +998901234567):`,
+      button: '📱 Share my phone number',
+      label: '📱 Phone',
+      edit: '📱 Edit Phone',
+      saved: '✅ Phone number saved.'
+    },
+    code: {
+      prompt: `🔐 *Confirm your phone number*
+
+I sent a {length}-digit code by SMS to {phone}. Please type it here:`,
+      resend: '🔁 Resend code',
+      resent: '📨 A new code has been sent. Please type it here:',
+      typeCode: 'Please type the code you received.'
+    },
+    name: {
+      prompt: `👤 *Great! Now let's get your name.*
+
+Please enter your full name:`,
+      label: '👤 Name',
+      edit: '👤 Edit Name',
+      invalid: 'Please enter a valid full name (at least 2 characters)'
+    },
+    role: {
+      prompt: `🎯 *Perfect! Now let's determine your role.*
+
+Are you primarily a:
+• **Buyer** - Looking to purchase properties
+• **Investor** - Looking to invest in real estate
+• **Both** - You do both buying and investing`,
+      label: '🎯 Role',
+      edit: '🎯 Edit Role',
+      invalid: 'Invalid role selection'
+    },
+    agenda: {
+      prompt: `📋 *Bot Agenda & Features*
+
+**Sochma Bot** is designed to connect buyers and investors in the real estate market. Here's what I can help you with:
+
+🏠 **Property Search**: Find properties that match your criteria
+💰 **Investment Opportunities**: Discover profitable investment options
+🤝 **Networking**: Connect with other buyers and investors
+📊 **Market Insights**: Get the latest market trends and data
+💬 **Direct Communication**: Chat directly with property owners and investors
+🔔 **Notifications**: Stay updated on new opportunities
+
+Ready to complete your registration?`,
+      continue: '➡️ Continue'
+    },
+    summary: {
+      title: '📝 *Check your details*',
+      footer: 'Tap a field to change it, or complete your registration.',
+      complete: '✅ Complete Registration'
+    },
+    completed: `✅ *Registration Complete!*
+
+Welcome to Sochma, {name}!
+
+Your registration details:
+📱 Phone: {phone}
+👤 Name: {name}
+🎯 Role: {role}
+
+You can now start using all the bot features. Use /help to see available commands.`,
+    welcome: `🎉 *Welcome to Sochma, {name}!*
+
+You're all set up and ready to explore the real estate market. Here's what you can do:
+
+🔍 **Search Properties** - Find properties that match your criteria
+💰 **Investment Opportunities** - Discover profitable investments
+🤝 **Connect with Others** - Network with buyers and investors
+📊 **Market Insights** - Get the latest market data
+💬 **Direct Messaging** - Chat with property owners and investors
+
+Use the buttons below or type /help for more options.`
+  },
+
+  reminders: {
+    text: `👋 *You're almost there!*
+
+You haven't finished registering yet. Tap below to continue where you left off.`,
+    restartText: `👋 *You're almost there!*
+
+You started registering but didn't finish, and your answers have expired. Tap below to start again - it only takes a minute.`,
+    lastChance: 'This is the last reminder I\'ll send.',
+    continue: '▶️ Continue registration'
+  },
+
+  admin: {
+    notAllowed: '🔒 Sorry, this is only available to administrators.',
+    back: '⬅️ Admin panel',
+    panel: {
+      title: '🛠 *Admin panel*',
+      intro: 'What would you like to see?',
+      find: '🔍 Find user',
+      recent: '🆕 Recent registrations',
+      pending: '⏳ Pending items',
+      status: '🖥 System status',
+      broadcast: '📣 Broadcast',
+      funnel: '📈 Registration funnel'
+    },
+    findPrompt: '🔍 Send a Telegram ID, @username, phone number or part of a name:',
+    notFound: 'No users found for "{query}". Try another search:',
+    results: '🔍 *{count} users found.* Choose one:',
+    recentTitle: '🆕 *Recent registrations*',
+    recentEmpty: 'Nobody has completed registration yet.',
+    pendingTitle: '⏳ *Pending items*',
+    pendingRegistrations: '📝 Registrations waiting for review: {count}',
+    pendingConnections: '🤝 Unanswered connection requests: {count}',
+    pendingEmpty: 'No registrations are waiting for review.',
+    status: {
+      title: '🖥 *System status*',
+      cachedUsers: '👥 Users in memory: {value}',
+      database: '🗄 Database: {value}',
+      connected: 'connected',
+      disconnected: 'not connected',
+      registeredUsers: '✅ Registered users: {value}',
+      wizards: '🧭 Unfinished wizards: {value}',
+      terms: '📜 Terms version: {value}',
+      approval: '📝 Registration approval: {value}',
+      verification: '🔐 Phone verification: {value}',
+      on: 'on',
+      off: 'off',
+      refresh: '🔄 Refresh'
+    },
+    user: {
+      title: '👤 *{name}*',
+      id: '🆔 ID: {value}',
+      username: '🏷️ Username: {value}',
+      phone: '📱 Phone: {value}',
+      role: '🎯 Role: {value}',
+      state: '📌 Registration: {value}',
+      registered: '📅 Registered: {value}',
+      lastSeen: '👀 Last seen: {value}',
+      messages: '💬 Messages: {value}',
+      terms: '📜 Terms version accepted: {value}',
+      reachability: '📶 Status: {value}',
+      active: 'active',
+      inactive: 'has blocked the bot',
+      blocked: 'banned',
+      admin: '🛠 Admin: {value}',
+      configuredAdmin: 'yes, all permissions (configured)',
+      rejectionReason: '❌ Last rejection: {value}',
+      makeAdmin: '🛠 Make admin',
+      removeAdmin: '🚫 Remove admin',
+      adminGranted: '{name} is now an admin.',
+      adminRevoked: '{name} is no longer an admin.',
+      cannotChangeSelf: 'You can\'t change your own admin rights.',
+      cannotChangeConfigured: 'Admins listed in ADMIN_IDS can only be changed in the configuration.',
+      updateFailed: 'Failed to update the admin rights',
+      banned: '🚫 Banned {end}: {reason}',
+      muted: '🔇 Muted {end}: {reason}',
+      until: 'until {date}',
+      permanently: 'permanently',
+      history: '📜 Moderation history',
+      unban: '✅ Lift ban/mute'
+    },
+    states: {
+      not_started: 'not started',
+      phone_entered: 'phone entered',
+      name_entered: 'name entered',
+      role_selected: 'role selected',
+      agenda_viewed: 'agenda viewed',
+      pending_review: 'waiting for review',
+      completed: 'completed'
+    },
+    funnel: {
+      title: '📈 *Registration funnel*',
+      byRoleTitle: '📈 *Registration funnel by role*',
+      byLanguageTitle: '📈 *Registration funnel by language*',
+      period: 'Last {days} days',
+      stage: '• {stage}: *{users}*',
+      conversion: ' ({value})',
+      median: ' · ⏱ {value}',
+      overall: '✅ Completed: {value} of those who started',
+      dropOff: '📉 Biggest drop-off: {stage} ({conversion} got there)',
+      rejected: '❌ Rejected in review: {value}',
+      empty: 'Nobody started registration in this period.',
+      unavailable: 'Funnel analytics need the database, which is not connected.',
+      group: '*{label}*: {started} started, {completed} completed ({conversion})',
+      unknown: 'not chosen',
+      days: '{days} days',
+      overview: '📈 Overview',
+      byRole: '🎯 By role',
+      byLanguage: '🌐 By language'
+    },
+    moderation: {
+      title: '📜 *Moderation history of {name}*',
+      empty: 'No moderation actions yet.',
+      entry: '• {date}: {action}',
+      actions: {
+        ban: '🚫 banned',
+        mute: '🔇 muted',
+        unban: '✅ ban lifted',
+        unmute: '🔊 mute lifted'
+      },
+      until: ' until {date}',
+      by: ' by {admin}',
+      expired: ' (ran out)',
+      reason: ': {reason}',
+      hint: 'Ban or mute with `/ban {id} [duration] reason` or `/mute {id} [duration] reason`, e.g. `/ban {id} 7d spam`. Lift both with `/unban {id}`.',
+      backToUser: '⬅️ Back to user'
+    }
+  },
+
+  broadcast: {
+    messagePrompt: '📣 *New broadcast*\n\nSend the message to broadcast: a text, or a photo with an optional caption. Formatting is kept.',
+    buttonPrompt: '🔗 Add a link button under the message? Send it as `Button text | https://link`, or tap "No button".',
+    noButton: '➡️ No button',
+    invalidButton: 'Please send the button as "Button text | https://link", with a text of up to {max} characters.',
+    cancel: '✖️ Cancel broadcast',
+    cancelled: '✖️ Broadcast cancelled.',
+    expired: 'This broadcast draft has expired. Start again with /broadcast.',
+    segment: {
+      title: '🎯 *Audience*',
+      intro: 'Tap a filter to change it.',
+      count: '👥 Recipients: *{count}*',
+      role: '🎯 Role: {value}',
+      language: '🌐 Language: {value}',
+      status: '📝 Registration: {value}',
+      lastSeen: '👀 Last seen: {value}',
+      everyone: 'everyone',
+      registered: 'registered',
+      unregistered: 'not finished',
+      lastSeenWithin: 'within {days} days',
+      anyTime: 'any time',
+      roles: {
+        buyer: 'buyers',
+        investor: 'investors'
+      }
+    },
+    preview: '👀 Preview',
+    previewTitle: '👀 *Preview:*',
+    confirm: '📣 *Send this message to {count} users?*',
+    send: '✅ Send to {count}',
+    changeAudience: '🎯 Change audience',
+    started: '🚀 Sending to {count} users. I\'ll report the result when it\'s done.',
+    stop: '⏹ Stop',
+    stopped: '⏹ Broadcast stopped.\n\n✅ Sent: {sent}\n❌ Failed: {failed}\n🚫 Blocked the bot: {blocked}\n👥 Recipients: {total}',
+    report: '📣 Broadcast finished.\n\n✅ Sent: {sent}\n❌ Failed: {failed}\n🚫 Blocked the bot: {blocked}\n👥 Recipients: {total}',
+    alreadyFinished: 'This broadcast has already finished.',
+    noRecipients: 'Nobody matches this audience.',
+    failed: 'Failed to send the broadcast'
+  },
+
+  moderation: {
+    usage: 'Usage: /ban <ID or @username> [duration] <reason>, e.g. /ban @john 7d spam. The duration is in minutes (m), hours (h), days (d) or weeks (w); without one the ban is permanent. /mute works the same way, and a negative ID bans a group chat.',
+    unbanUsage: 'Usage: /unban <ID or @username>',
+    reasonInvalid: 'Please give a reason of up to {max} characters, e.g. /ban @john 7d spam.',
+    notFound: 'No user or chat found for "{target}".',
+    chatMute: 'Chats can only be banned, not muted.',
+    cannotRestrictAdmin: 'Admins can\'t be banned or muted. Remove their admin rights first.',
+    unavailable: 'Moderation needs the database, which is not connected.',
+    failed: 'Failed to update the ban',
+    banTemporary: '🚫 {target} is banned until {until}.\nReason: {reason}',
+    banPermanent: '🚫 {target} is banned permanently.\nReason: {reason}',
+    muteTemporary: '🔇 {target} is muted until {until}.\nReason: {reason}',
+    mutePermanent: '🔇 {target} is muted permanently.\nReason: {reason}',
+    lifted: '✅ {target} can use the bot fully again.',
+    notRestricted: '{target} is not banned or muted.',
+    mutedRefusal: '🔇 You have been muted, so you can\'t contact other users or publish right now.',
+    notice: {
+      ban: '🚫 Your access to this bot has been suspended {end}.\n\nReason: {reason}',
+      mute: '🔇 You have been muted {end}. You can keep using the bot, but can\'t contact other users or publish.\n\nReason: {reason}',
+      lifted: '✅ Your restrictions have been lifted. Welcome back!',
+      until: 'until {date}',
+      permanent: 'permanently'
+    }
+  },
+
+  reports: {
+    titles: {
+      daily: '📊 *Daily report*',
+      weekly: '📊 *Weekly report*'
+    },
+    period: '{from} – {to}',
+    newUsers: '👤 New users: *{value}*{change}',
+    newRegistrations: '✅ Completed registrations: *{value}*{change}',
+    activeUsers: '🟢 Active users: *{value}*{change}',
+    messages: '💬 Messages processed: *{value}*{change}',
+    newListings: '🏠 New listings: *{value}*{change}',
+    topDistricts: '🏙 Top districts by new listings:',
+    district: '{position}. {district}: {value}{change}',
+    noListings: '🏙 No listings were published.',
+    change: ' ({change} from {previous})',
+    unchanged: ' (no change)',
+    unknown: '–'
+  },
+
+  terms: {
+    text: `📜 *Terms of Service & Privacy Policy* (version {version})
+
+To connect you with other members, Sochma stores your phone number, name, role, language and questionnaire answers, and the listings, searches and messages you create. Your phone number is only shown to members you agree to connect with. You can change your details at any time with /profile, and ask us to delete your account.
+
+Do you accept the terms of service and privacy policy?`,
+    link: '📄 Full text: {url}',
+    accept: '✅ Accept',
+    decline: '❌ Decline',
+    updated: '📢 *Our terms have been updated.* Please review and accept them to keep using the bot.',
+    accepted: '✅ Thank you! You accepted version {version} of the terms. Use /start to open the main menu.',
+    declined: '⚠️ You can\'t use the bot without accepting the terms. You can still use /start and /help, and accept them whenever you\'re ready.',
+    declinedRegistration: '⚠️ You need to accept the terms to register. Tap *✅ Accept* to continue, or *✖️ Cancel* to stop.',
+    saveFailed: 'Failed to save your consent. Please try again.',
+    published: '📜 Terms version {version} published. Members will be asked to accept it before they can continue using the bot.',
+    publishFailed: 'Failed to publish the new terms version',
+    invalidUrl: 'Please give a link starting with http:// or https://'
+  },
+
+  review: {
+    submitted: `📨 *Thanks, {name}!*
+
+Your registration has been sent for review. I'll message you as soon as it's approved.`,
+    stillPending: '⏳ Your registration is waiting for review. I\'ll message you as soon as it\'s decided.',
+    approved: '🎉 Your registration has been approved, welcome to Sochma! Use /start to open the main menu.',
+    rejected: `❌ Your registration was not approved.
+
+Reason: {reason}
+
+You can register again with /register.`,
+    notPending: 'This registration is no longer waiting for review.',
+    failed: 'Failed to save the review decision',
+    reasonPrompt: '✏️ Reply with the reason for rejecting {name}:',
+    reasonInvalid: 'Please enter a reason (up to {max} characters).',
+    approvedAdmin: '✅ Approved',
+    rejectedAdmin: '❌ Rejected. The user has been notified.',
+    card: {
+      title: '🆕 *New registration to review*',
+      name: '👤 Name: {value}',
+      phone: '📱 Phone: {value}',
+      verified: 'verified',
+      duplicate: '⚠️ Also used by account {id}',
+      role: '🎯 Role: {value}',
+      account: '🆔 Telegram: {id} ({username})',
+      language: '🌐 Language: {value}',
+      submitted: '📅 Submitted: {date}',
+      preferences: '⚙️ *Preferences*',
+      approve: '✅ Approve',
+      reject: '❌ Reject',
+      approvedBy: '✅ Approved by {admin}',
+      rejectedBy: `❌ Rejected by {admin}
+Reason: {reason}`
+    }
+  },
+
+  phone: {
+    invalid: 'Invalid phone number format. Please enter a valid phone number (e.g., +998901234567)',
+    countryLength: 'Numbers with +{code} ({country}) have {lengths} digits after the code. Please check the number.',
+    ownContact: 'Please share your own contact using the button below, or type your phone number.',
+    taken: 'This phone number is already registered to another account. Please use a different number.'
+  },
+
+  verification: {
+    sms: 'Your {botName} verification code is {code}. It expires in {minutes} minutes.',
+    wait: 'Please wait {seconds} seconds before requesting a new code.',
+    tooManyCodes: 'Too many codes requested. Please try again in {minutes} minutes.',
+    smsFailed: 'We couldn\'t send the SMS. Please try again later.',
+    sendFailed: 'Failed to send the verification code',
+    expired: 'This code has expired. Tap "🔁 Resend code" to get a new one.',
+    tooManyWrong: 'Too many wrong codes. Tap "🔁 Resend code" to get a new one.',
+    wrong: 'Wrong code. Attempts left: {remaining}.',
+    checkFailed: 'Failed to check the code'
+  },
+
+  price: {
+    under: 'Under {max}',
+    from: '{min}+',
+    between: '{min} - {max}'
+  },
+
+  listingTypes: {
+    apartment: '🏢 Apartment',
+    house: '🏡 House',
+    commercial: '🏬 Commercial',
+    land: '🌳 Land'
+  },
+
+  risk: {
+    low: '🟢 Low',
+    medium: '🟡 Medium',
+    high: '🔴 High'
+  },
+
+  preferences: {
+    cancelled: '✖️ Your preferences were not changed.',
+    expired: '⌛ Editing your preferences timed out. Open /profile to start again.',
+    saved: '✅ Your preferences have been saved.',
+    saveFailed: 'Failed to save your preferences',
+    invalid: 'Invalid selection',
+    summary: {
+      title: '🎯 *Your preferences*',
+      footer: 'Tap an answer to change it, then save.',
+      save: '💾 Save Preferences'
+    },
+    budget: {
+      prompt: `🏠 *A few questions for buyers*
+
+What is your budget?`,
+      label: '💵 Budget',
+      edit: '💵 Edit Budget'
+    },
+    districts: {
+      prompt: '📍 Which districts do you prefer? Tap all that apply, then *✔️ Done*.',
+      label: '📍 Districts',
+      edit: '📍 Edit Districts'
+    },
+    rooms: {
+      prompt: '🛏 How many rooms do you need?',
+      label: '🛏 Rooms',
+      edit: '🛏 Edit Rooms'
+    },
+    purpose: {
+      prompt: '🎯 What are you buying for?',
+      label: '🎯 Purpose',
+      edit: '🎯 Edit Purpose',
+      living: '🏡 To live in',
+      rental: '🔑 To rent out',
+      resale: '📈 To resell'
+    },
+    ticket: {
+      prompt: `💰 *A few questions for investors*
+
+How much would you invest in one deal?`,
+      label: '💼 Ticket Size',
+      edit: '💼 Edit Ticket Size'
+    },
+    horizon: {
+      prompt: '⏳ How long are you ready to keep your money invested?',
+      label: '⏳ Horizon',
+      edit: '⏳ Edit Horizon',
+      short: '⏱ Up to 1 year',
+      medium: '📅 1-3 years',
+      long: '🗓 3+ years'
+    },
+    risk: {
+      prompt: '⚠️ How much risk are you comfortable with?',
+      label: '⚠️ Risk Appetite',
+      edit: '⚠️ Edit Risk'
+    },
+    assets: {
+      prompt: '🏗 Which kinds of property do you invest in? Tap all that apply, then *✔️ Done*.',
+      label: '🏗 Asset Types',
+      edit: '🏗 Edit Asset Types'
+    }
+  },
+
+  profile: {
+    title: '👤 *My Profile*',
+    phone: '📱 Phone: {value}',
+    fullName: '👤 Full Name: {value}',
+    role: '🎯 Role: {value}',
+    language: '🌐 Language: {value}',
+    preferences: '🎯 *Preferences*',
+    preferencesNotSet: '🎯 Preferences: Not set',
+    lastUpdated: '🕓 Last updated: {date}',
+    editPhone: '📱 Edit Phone',
+    editName: '👤 Edit Name',
+    changeRole: '🎯 Change Role',
+    editPreferences: '🧭 Preferences',
+    changeLanguage: '🌐 Language',
+    back: '◀️ Back',
+    chooseRole: '🎯 *Choose your new role:*',
+    promptPhone: '📱 Send your new phone number (e.g., 90 123 45 67 or +998901234567):',
+    promptName: '👤 Send your new full name:',
+    notRegistered: '⚠️ Please complete registration first. Use /register to get started.',
+    notRegisteredError: 'Please complete registration first. Use /register to get started.',
+    unknownAction: '❌ Unknown profile action.',
+    notEditable: 'This field cannot be edited.',
+    updateFailed: 'Failed to update profile',
+    unchanged: {
+      phone: 'Your phone number is unchanged.',
+      name: 'Your full name is unchanged.',
+      role: 'Your role is unchanged.'
+    },
+    updated: {
+      phone: '✅ Your phone number has been updated.',
+      name: '✅ Your full name has been updated.',
+      role: '✅ Your role has been updated.'
+    }
+  },
+
+  listing: {
+    continuing: '↩️ Continuing the listing you started earlier.',
+    empty: `🏠 You have no listings yet.
+
+Use /addlisting to create your first one.`,
+    mine: `🏠 *My Listings* ({count})
+
+Tap a listing to view, edit or delete it.`,
+    review: `👀 *Review your listing*
+
+{card}
+
+Publish it now or keep it as a draft?`,
+    publishedWizard: `✅ *Your listing is published!*
+
+Manage it any time with /mylistings.`,
+    draftSaved: `💾 *Draft saved.*
+
+You can edit and publish it later with /mylistings.`,
+    published: '✅ Your listing is published!',
+    creationCancelled: '🗑️ Listing creation cancelled.',
+    updated: '✅ Listing updated.',
+    photosSaved: '✅ Photos saved.',
+    editCancelled: 'Edit cancelled.',
+    sold: '🤝 Congratulations! The listing is marked as sold.',
+    deleted: '🗑️ Listing deleted.',
+    confirmDelete: '⚠️ Are you sure you want to delete this listing?',
+    photosAdded: '📸 Photos added: {count} ({total} of {max}).',
+    photosSkipped: 'Skipped: {count} (duplicate or over the limit).',
+    sendMorePhotos: 'Send more or tap Done.',
+    photoCaption: 'Photo {number}',
+    unknownAction: '❌ Unknown listing action.',
+    steps: {
+      type: `🏠 *New Listing*
+
+What type of property are you listing?`,
+      district: `📍 *Which district is the property in?*
+
+Choose a district below:`,
+      price: `💵 *What is the asking price?*
+
+Enter the price in {currency} (e.g., 85000):`,
+      area: `📐 *What is the total area?*
+
+Enter the area in square metres (e.g., 72.5):`,
+      rooms: `🚪 *How many rooms does it have?*
+
+Enter the number of rooms, or tap Skip:`,
+      floor: `🏢 *Which floor is it on?*
+
+Enter the floor number, or tap Skip:`,
+      description: `📝 *Describe the property*
+
+Condition, renovation, nearby landmarks - anything a buyer should know (10-1000 characters):`,
+      photos: `📸 *Add photos*
+
+Send up to {max} photos of the property, then tap Done. You can also skip this step.`
+    },
+    edit: {
+      title: '✏️ *Edit Listing*',
+      type: 'Choose the new property type:',
+      district: 'Choose the new district:',
+      price: 'Enter the new price in {currency}:',
+      area: 'Enter the new area in square metres:',
+      rooms: 'Enter the new number of rooms:',
+      floor: 'Enter the new floor number:',
+      description: 'Enter the new description (10-1000 characters):',
+      value: 'Enter the new value:'
+    },
+    editMenu: {
+      title: '✏️ *What would you like to change?*',
+      type: '🏠 Type',
+      district: '📍 District',
+      price: '💵 Price',
+      area: '📐 Area',
+      rooms: '🚪 Rooms',
+      floor: '🏢 Floor',
+      description: '📝 Description',
+      photos: '📸 Photos'
+    },
+    fields: {
+      type: 'type',
+      district: 'district',
+      price: 'price',
+      area: 'area',
+      description: 'description'
+    },
+    photoManager: {
+      text: `📸 *Listing Photos*
+
+{intro}
+Send photos or an album to add them, and use the buttons to reorder or remove them.`,
+      empty: 'No photos yet.',
+      count: '{count} of {max} photos. The first one is the cover.'
+    },
+    card: {
+      titleInDistrict: '{type} in {district}',
+      price: '💵 Price: {value}',
+      area: '📐 Area: {value}',
+      squareMeters: '{area} m²',
+      pricePerMeter: '📊 Price per m²: {value}',
+      rooms: '🚪 Rooms: {value}',
+      roomsShort: '{rooms}r',
+      floor: '🏢 Floor: {value}',
+      photos: '📸 Photos: {count}',
+      status: 'Status: {value}'
+    },
+    status: {
+      draft: '📝 Draft',
+      published: '✅ Published',
+      sold: '🤝 Sold',
+      removed: '🗑️ Removed'
+    },
+    buttons: {
+      add: '➕ Add Listing',
+      edit: '✏️ Edit',
+      publish: '🚀 Publish',
+      saveDraft: '💾 Save Draft',
+      sold: '🤝 Sold',
+      delete: '🗑️ Delete',
+      confirmDelete: '🗑️ Yes, delete',
+      keep: '⬅️ No',
+      mine: '⬅️ My Listings',
+      done: '✅ Done'
+    },
+    errors: {
+      typeInvalid: 'Please choose a property type using the buttons below.',
+      districtInvalid: 'Please choose a district using the buttons below.',
+      priceInvalid: 'Please enter a valid price as a number (e.g., 85000).',
+      areaInvalid: 'Please enter a valid area in square metres (e.g., 72.5).',
+      roomsInvalid: 'Please enter the number of rooms as a whole number (e.g., 3).',
+      floorInvalid: 'Please enter the floor as a whole number (e.g., 4).',
+      descriptionShort: 'Please enter a description of at least 10 characters.',
+      descriptionLong: 'Please shorten the description to 1000 characters or fewer (it has {length}).',
+      unknownField: 'Unknown field',
+      unknownState: 'Unknown state',
+      sendPhoto: 'Please send a photo, or tap Done when you have finished.',
+      sendPhotos: 'Please send photos, or tap Done when you have finished.',
+      useReviewButtons: 'Please use the buttons below to publish or save your listing.',
+      noDraft: 'You have no listing in progress.',
+      noDraftStart: 'You have no listing in progress. Use /addlisting to create one.',
+      noReview: 'You have no listing ready for review.',
+      notSkippable: 'This step cannot be skipped.',
+      invalidTransition: 'Invalid state transition',
+      photoLimitWizard: 'You can attach up to {max} photos. Tap Done to continue.',
+      photoLimitEdit: 'You can attach up to {max} photos. Remove one first, or tap Done.',
+      notAddingPhotos: 'You are not adding photos right now.',
+      notFound: 'Listing not found.',
+      photoNotFound: 'Photo not found.',
+      notEditable: 'This field cannot be edited.',
+      notEditing: 'You are not editing a listing.',
+      finishDraftFirst: 'Please finish or cancel the listing you are creating first.',
+      soldNotEditable: 'Sold listings cannot be edited.',
+      alreadyPublished: 'This listing is already published.',
+      missingFields: 'Please fill in: {fields}',
+      onlyPublishedSold: 'Only published listings can be marked as sold.',
+      startFailed: 'Failed to start listing creation',
+      processFailed: 'Failed to process your input',
+      skipFailed: 'Failed to skip this step',
+      addPhotosFailed: 'Failed to add photos',
+      reorderFailed: 'Failed to reorder photos',
+      removePhotoFailed: 'Failed to remove photo',
+      finishPhotosFailed: 'Failed to finish photos',
+      saveFailed: 'Failed to save listing',
+      cancelFailed: 'Failed to cancel listing',
+      editFailed: 'Failed to start editing',
+      cancelEditFailed: 'Failed to cancel editing',
+      publishFailed: 'Failed to publish listing',
+      soldFailed: 'Failed to mark listing as sold',
+      deleteFailed: 'Failed to delete listing'
+    }
+  },
+
+  search: {
+    menu: `🔍 *Search Properties*
+
+Current filters:
+{filters}
+
+Adjust the filters or tap *Show Results*.`,
+    noResults: `😔 *No properties found*
+
+{filters}
+
+Try widening your filters.`,
+    result: `🔍 *Result {number} of {total}*
+
+{card}`,
+    failed: 'Search failed',
+    unknownAction: '❌ Unknown search action.',
+    filters: {
+      price: '💵 Price: {value}',
+      district: '📍 District: {value}',
+      rooms: '🚪 Rooms: {value}',
+      type: '🏠 Type: {value}'
+    },
+    choose: {
+      price: '💵 *Choose a price range:*',
+      district: '📍 *Choose a district:*',
+      rooms: '🚪 *How many rooms?*',
+      type: '🏠 *Choose a property type:*'
+    },
+    buttons: {
+      price: '💵 Price',
+      district: '📍 District',
+      rooms: '🚪 Rooms',
+      type: '🏠 Type',
+      showResults: '🔎 Show Results',
+      saveSearch: '💾 Save Search',
+      reset: '♻️ Reset Filters',
+      any: '🌐 Any',
+      changeFilters: '🔧 Change Filters',
+      prev: '◀️ Prev',
+      next: 'Next ▶️',
+      filters: '🔧 Filters',
+      again: '🔁 Search Again',
+      favorite: '⭐ Save',
+      messageOwner: '💬 Message Owner'
+    }
+  },
+
+  savedSearch: {
+    prompt: `💾 *Save this search*
+
+{filters}
+
+Send a name for this search, or use the suggested one: _{name}_`,
+    saved: `💾 *Search saved as "{name}"*
+
+I'll notify you when a new listing matches it. Manage your searches with /mysearches.`,
+    alert: `🔔 *New match for "{name}"*
+
+{card}`,
+    empty: `🔔 You have no saved searches.
+
+Use /search, set your filters and tap *Save Search* to get notified about new listings.`,
+    title: '🔔 *My Saved Searches*',
+    paused: '⏸️ Notifications paused.',
+    resumed: '▶️ Notifications resumed.',
+    deleted: '🗑️ Saved search deleted.',
+    unknownAction: '❌ Unknown action.',
+    status: {
+      paused: '⏸️ Paused',
+      active: '🔔 Active'
+    },
+    suggested: {
+      rooms: '{rooms} rooms',
+      all: 'All properties'
+    },
+    buttons: {
+      useSuggested: '✅ Use Suggested Name',
+      seeAll: '🔍 See All Matches',
+      pauseSearch: '⏸️ Pause This Search',
+      resume: '▶️ Resume',
+      pause: '⏸️ Pause',
+      delete: '🗑️ Delete'
+    },
+    errors: {
+      nameShort: 'Please enter a name of at least 2 characters.',
+      limit: 'You can keep up to {max} saved searches. Delete one in /mysearches first.',
+      notFound: 'Saved search not found.',
+      saveFailed: 'Failed to save search',
+      updateFailed: 'Failed to update saved search',
+      deleteFailed: 'Failed to delete saved search'
+    }
+  },
+
+  favorites: {
+    empty: `⭐ You have no favourites yet.
+
+Tap "⭐ Save" on a listing in /search to keep an eye on it.`,
+    title: `⭐ *My Favourites* ({count})
+
+I'll notify you when a price drops or a listing is sold or removed.`,
+    added: '⭐ Saved! I\'ll let you know if the price drops.',
+    alreadySaved: '⭐ Already in your favourites.',
+    removed: 'Removed from favourites.',
+    unknownAction: '❌ Unknown favourites action.',
+    alerts: {
+      sold: `🤝 *A saved listing was sold*
+
+{summary}
+
+{priceLine}`,
+      removed: `🗑️ *A saved listing was removed*
+
+{summary}
+
+{priceLine}`,
+      priceDrop: `📉 *Price drop on a saved listing*
+
+Old price: {oldPrice}
+New price: *{price}* (-{percent}%)
+
+{card}`,
+      price: 'Price: {price}',
+      finalPrice: `Old price: {oldPrice}
+Final price: {price}`
+    },
+    buttons: {
+      list: '⭐ My Favourites',
+      back: '⬅️ My Favourites',
+      messageOwner: '💬 Message Owner',
+      remove: '✖️ Remove'
+    },
+    errors: {
+      listingNotFound: 'Listing not found.',
+      unavailable: 'This listing is no longer available.',
+      limit: 'You can keep up to {max} favourites. Remove one in /favorites first.',
+      notFound: 'Favourite not found.',
+      addFailed: 'Failed to save listing',
+      removeFailed: 'Failed to remove favourite'
+    }
+  },
+
+  chat: {
+    activeNotice: `💬 *{title}*
+
+{label}
+
+Send text, photos or voice messages and I'll pass them on anonymously.
+/chats - switch conversation · /closechat - end this one`,
+    newConversation: `💬 *New conversation*
+
+A buyer wants to talk about your listing:
+{about}
+
+Messages are relayed through the bot, so neither of you sees the other's Telegram account.`,
+    closedByOther: `🔒 The other person closed the conversation about:
+{about}`,
+    closed: '🔒 Conversation closed.',
+    empty: `💬 You have no open conversations.
+
+Use "💬 Message Owner" on a search result to start one.`,
+    title: `💬 *My Conversations*
+
+Tap a conversation to send messages to it, or 🔒 to close it.`,
+    noActive: '💬 You are not in a conversation. Use /chats to see your open conversations.',
+    unknownAction: '❌ Unknown chat action.',
+    buyer: 'Buyer',
+    owner: 'Owner',
+    removedListing: 'Removed listing',
+    titles: {
+      started: 'Conversation started',
+      resumed: 'Conversation resumed',
+      replying: 'Replying in conversation'
+    },
+    buttons: {
+      reply: '↩️ Reply',
+      close: '🔒 Close'
+    },
+    errors: {
+      listingNotFound: 'Listing not found.',
+      unavailable: 'This listing is no longer available.',
+      ownListing: 'This is your own listing.',
+      closed: 'This conversation has been closed.',
+      alreadyClosed: 'This conversation is already closed.',
+      unsupported: 'Only text, photos and voice messages can be sent in a conversation.',
+      notDelivered: 'Message not delivered: the other person can\'t receive messages right now (they may have blocked the bot). You can try again later or close the conversation with /closechat.',
+      openFailed: 'Failed to open conversation',
+      sendFailed: 'Failed to send message',
+      closeFailed: 'Failed to close conversation'
+    }
+  },
+
+  match: {
+    noSuggestions: `🤝 *Network*
+
+No new suggestions right now. I'll have more as members join - check back later!`,
+    suggestion: `🤝 *Suggested Connection*
+
+{profile}
+
+Names and phone numbers stay hidden until you both agree to connect.`,
+    request: `🤝 *Someone wants to connect with you*
+
+{profile}
+
+Their contact details will be shared only if you accept.`,
+    newConnection: `🎉 *New Connection!*
+
+You and this member both want to connect:
+
+{contact}`,
+    noConnections: `📇 You have no connections yet.
+
+Open 🤝 Network from /start to discover buyers and investors.`,
+    connectionsTitle: '📇 *My Connections*',
+    requestTitle: '📨 *Connection Request*',
+    alreadySent: '⏳ You already sent interest. Waiting for their answer.',
+    matched: '🎉 *It\'s a match!* I\'ve sent you each other\'s contact details.',
+    interestSent: '🤝 Interest sent! I\'ll share contact details once they accept.',
+    declined: 'Request declined. They won\'t be notified.',
+    member: 'Member',
+    unknownAction: '❌ Unknown network action.',
+    profile: {
+      role: '🎯 Role: {value}',
+      districts: '📍 Prefers: {value}',
+      budget: '💵 Budget: {value}'
+    },
+    buttons: {
+      interested: '🤝 Interested',
+      connections: '📇 My Connections',
+      accept: '✅ Accept',
+      decline: '❌ Decline',
+      next: '➡️ Next Suggestion'
+    },
+    errors: {
+      userUnavailable: 'This user is no longer available.',
+      connectionUnavailable: 'This connection is no longer available.',
+      alreadyConnected: 'You are already connected. See /connections.',
+      requestNotFound: 'Request not found.',
+      notPending: 'This request is no longer pending.',
+      findFailed: 'Failed to find matches',
+      interestFailed: 'Failed to send interest',
+      respondFailed: 'Failed to respond to request'
+    }
+  },
+
+  investment: {
+    catalogue: {
+      empty: `💰 *Investment Opportunities*
+
+There are no open opportunities right now. Check back soon!`,
+      list: {
+        one: `💰 *Investment Opportunities*
+
+{count} open opportunity, sorted by {sort}:
+
+{items}`,
+        other: `💰 *Investment Opportunities*
+
+{count} open opportunities, sorted by {sort}:
+
+{items}`
+      }
+    },
+    continuing: '↩️ Continuing the opportunity you started earlier.',
+    mine: `💼 *My Opportunities*
+
+Tap one to update funding, close or delete it.`,
+    mineEmpty: `💼 You have not published any opportunities.
+
+Use /addinvestment to publish one.`,
+    fundingPrompt: '💰 Enter the total amount raised so far:',
+    confirmDelete: '⚠️ Are you sure you want to delete this opportunity?',
+    unknownAction: '❌ Unknown investment action.',
+    review: `👀 *Review your opportunity*
+
+{card}
+
+Publish it now?`,
+    published: `✅ *Your opportunity is published!*
+
+Investors can now find it under 💰 Investments. Manage it with /myinvestments.`,
+    cancelled: '🗑️ Publishing cancelled.',
+    fundingUpdated: '✅ Funding progress updated.',
+    closed: '🔒 Opportunity closed.',
+    deleted: '🗑️ Opportunity deleted.',
+    steps: {
+      name: `💼 *New Investment Opportunity*
+
+What is the project called?`,
+      description: `📝 *Describe the project*
+
+Location, stage, use of funds and exit plan (at least 20 characters):`,
+      goal: `🎯 *What is the funding goal?*
+
+Enter the total amount you are raising in {currency} (e.g., 500000):`,
+      raised: `💰 *How much is already raised?*
+
+Enter the amount in {currency}, or tap Skip if you are just starting:`,
+      ticket: `🎟️ *What is the minimum ticket size?*
+
+Enter the smallest amount one investor can put in, in {currency} (e.g., 10000):`,
+      roi: `📈 *What is the expected annual ROI?*
+
+Enter a percentage (e.g., 18):`,
+      horizon: `⏳ *What is the investment horizon?*
+
+Enter the number of months until investors get their money back (e.g., 24):`,
+      risk: '⚠️ *How risky is this project?*',
+      deadline: `📅 *Until when can investors join?*
+
+Enter the deadline as DD.MM.YYYY, or tap Skip for no deadline:`
+    },
+    card: {
+      untitled: 'Untitled project',
+      untitledShort: 'Untitled',
+      minTicket: '🎟️ Minimum ticket: {value}',
+      roi: '📈 Expected ROI: {value}',
+      roiPerYear: '{roi}% per year',
+      horizon: '⏳ Horizon: {value}',
+      risk: '⚠️ Risk: {value}',
+      deadline: '📅 Deadline: {value}',
+      raised: '💰 Raised {raised} of {goal}',
+      closed: '🔒 This opportunity is closed.',
+      from: 'from {value}'
+    },
+    horizon: {
+      months: {
+        one: '{count} month',
+        other: '{count} months'
+      },
+      years: {
+        one: '{count} year',
+        other: '{count} years'
+      }
+    },
+    sort: {
+      roi: '📈 ROI',
+      ticket: '🎟️ Ticket',
+      deadline: '📅 Deadline'
+    },
+    buttons: {
+      add: '➕ Publish an Opportunity',
+      publish: '🚀 Publish',
+      backToList: '⬅️ Back to List',
+      funding: '💰 Update Funding',
+      close: '🔒 Close',
+      delete: '🗑️ Delete',
+      confirmDelete: '🗑️ Yes, delete',
+      keep: '⬅️ No'
+    },
+    errors: {
+      nameShort: 'Please enter a project name of at least 3 characters.',
+      descriptionShort: 'Please enter a description of at least 20 characters.',
+      amountInvalid: 'Please enter a valid amount as a number (e.g., 250000).',
+      ticketOverGoal: 'The minimum ticket cannot be larger than the funding goal.',
+      raisedInvalid: 'Please enter the amount already raised as a number (e.g., 50000).',
+      raisedOverGoal: 'The amount raised cannot be larger than the funding goal.',
+      roiInvalid: 'Please enter the expected annual ROI in percent (e.g., 18).',
+      horizonInvalid: 'Please enter the horizon in whole months (e.g., 24).',
+      riskInvalid: 'Please choose a risk level using the buttons below.',
+      deadlineInvalid: 'Please enter a future date as DD.MM.YYYY (e.g., 31.12.2026).',
+      useReviewButtons: 'Please use the buttons below to publish or cancel.',
+      noDraft: 'You have no opportunity in progress.',
+      noDraftStart: 'You have no opportunity in progress. Use /addinvestment to create one.',
+      noReview: 'You have no opportunity ready for review.',
+      notSkippable: 'This step cannot be skipped.',
+      notFound: 'Opportunity not found.',
+      unknownStep: 'Unknown step',
+      unknownState: 'Unknown state',
+      invalidTransition: 'Invalid state transition',
+      startFailed: 'Failed to start publishing',
+      processFailed: 'Failed to process your input',
+      skipFailed: 'Failed to skip this step',
+      publishFailed: 'Failed to publish opportunity',
+      cancelFailed: 'Failed to cancel',
+      fundingFailed: 'Failed to update funding',
+      closeFailed: 'Failed to close opportunity',
+      deleteFailed: 'Failed to delete opportunity',
+      loadFailed: 'Failed to load opportunities'
+    }
+  },
+
+  market: {
+    empty: `📊 *Market Data*
+
+There are no published listings with a price and area yet. Check back soon!`,
+    chartCaption: '📊 Median price per m² by district',
+    median: 'median {price}/m²',
+    average: 'avg {price}/m²',
+    noTrend: '➖ no trend yet',
+    insights: `📊 *Market Data*
+
+Based on {total} published listings, {newListings} new in the last {days} days.
+*Overall:* {overall}
+
+🏘️ *By district*
+{districts}
+
+🏠 *By property type*
+{types}
+
+_Updated at {updatedAt} UTC. Trends compare listings published in the last {days} days with the {days} days before._`
+  },
+
+  time: {
+    justNow: 'Just now'
+  }
+};
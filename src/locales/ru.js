@@ -0,0 +1,1294 @@
+/**
+ * Russian texts
+ */
+
+module.exports = {
+  common: {
+    error: '❌ Произошла ошибка. Пожалуйста, попробуйте ещё раз.',
+    any: 'Любой',
+    cancelled: '✖️ Отменено.',
+    nothingToCancel: 'Нечего отменять.',
+    notProvided: 'Не указан',
+    notSelected: 'Не выбрана',
+    notSet: 'Не задано',
+    unknown: 'Неизвестно',
+    yes: 'Да',
+    no: 'Нет',
+    buttonClicked: 'Кнопка нажата!',
+    noPreference: 'Без предпочтений',
+    userNotFound: 'Пользователь не найден'
+  },
+
+  language: {
+    name: 'Русский',
+    button: '🇷🇺 Русский',
+    prompt: '🌐 *Выберите язык*\n\nTilni tanlang · Choose your language',
+    label: '🌐 Язык',
+    edit: '🌐 Изменить язык',
+    current: '🌐 Текущий язык: {language}\n\nВыберите, на каком языке мне с вами общаться:',
+    changed: '✅ Теперь я буду говорить по-русски.',
+    invalid: 'Пожалуйста, выберите один из языков ниже.',
+    saveFailed: 'Не удалось сохранить язык'
+  },
+
+  roles: {
+    buyer: '🏠 Покупатель',
+    investor: '💰 Инвестор',
+    both: '🔄 И то, и другое',
+    buyerAndInvestor: '🔄 Покупатель и инвестор'
+  },
+
+  menu: {
+    search: '🔍 Поиск недвижимости',
+    investments: '💰 Инвестиции',
+    network: '🤝 Нетворкинг',
+    market: '📊 Рынок',
+    profile: 'ℹ️ Мой профиль',
+    help: '❓ Помощь',
+    startRegistration: '🚀 Начать регистрацию',
+    learnMore: 'ℹ️ Подробнее'
+  },
+
+  start: {
+    welcomeBack: `👋 С возвращением, {name}!
+
+Вы уже зарегистрированы и можете пользоваться всеми возможностями {botName}.
+
+Что можно сделать:
+• Искать недвижимость 🔍
+• Находить инвестиции 💰
+• Знакомиться с другими участниками 🤝
+• Смотреть данные рынка 📊
+• Управлять профилем ℹ️
+
+Используйте кнопки ниже или /help, чтобы увидеть все команды!`,
+    welcome: `👋 Здравствуйте, {name}!
+
+Добро пожаловать в {botName}! Я ваш помощник по недвижимости и связываю покупателей с инвесторами.
+
+Для начала пройдите короткую регистрацию. Я попрошу:
+• Ваш номер телефона 📱
+• Ваше полное имя 👤
+• Вашу роль (покупатель/инвестор) 🎯
+
+Так я смогу подбирать для вас подходящие предложения и знакомить с нужными людьми.
+
+Начнём?`,
+    defaultName: 'друг'
+  },
+
+  hello: {
+    0: 'Привет, {name}! 👋',
+    1: 'Здравствуйте, {name}! Как дела? 😊',
+    2: 'Привет, {name}! Рад вас видеть! 🎉',
+    3: 'Приветствую, {name}! Добро пожаловать! 🌟',
+    defaultName: 'друг'
+  },
+
+  help: {
+    text: `🤖 *Помощь {botName}*
+
+*Доступные команды:*
+/start - Запустить бота и увидеть приветствие
+/register - Начать или продолжить регистрацию
+/addlisting - Разместить объявление о недвижимости
+/mylistings - Просмотр, изменение, отметка о продаже и удаление ваших объявлений
+/search - Поиск недвижимости по фильтрам
+/mysearches - Сохранённые поиски и уведомления
+/investments - Инвестиционные предложения
+/addinvestment - Опубликовать инвестиционное предложение
+/myinvestments - Управление вашими предложениями
+/network - Найти покупателей и инвесторов для знакомства
+/connections - Ваши контакты и запросы
+/chats - Ваши анонимные переписки по объявлениям
+/closechat - Завершить текущую переписку
+/market - Цены за м² по районам и типам недвижимости
+/favorites - Сохранённые объявления с оповещением о снижении цены
+/profile - Просмотр и изменение телефона, имени, роли и предпочтений
+/language - Сменить язык бота
+/cancel - Отменить регистрацию или текущий запрос
+/hello - Получить дружеское приветствие
+/help - Показать эту справку
+/info - Информация о вас
+
+*Регистрация:*
+1. 🌐 Выберите язык
+2. 📜 Примите условия использования и политику конфиденциальности
+3. 📱 Укажите номер телефона
+4. 👤 Укажите полное имя
+5. 🎯 Выберите роль (покупатель/инвестор/и то, и другое)
+6. 🧭 Ответьте на несколько необязательных вопросов о том, что вы ищете
+7. 📋 Ознакомьтесь с возможностями бота
+8. 📝 Проверьте данные и завершите регистрацию
+
+На любом шаге можно нажать ⬅️ Назад или ✖️ Отмена.
+
+*Что я умею:*
+• Связывать покупателей и инвесторов
+• Искать недвижимость и инвестиции
+• Показывать аналитику рынка
+• Помогать участникам знакомиться
+• Надёжно хранить ваши данные
+
+Просто напишите мне, и я отвечу! 😊`
+  },
+
+  stats: {
+    title: '📊 *Статистика бота*',
+    totalUsers: '👥 Всего пользователей: {value}',
+    activeUsers: '🟢 Активных пользователей: {value}',
+    messages: '💬 Обработано сообщений: {value}',
+    uptime: '⏱️ Время работы: {value} мин.',
+    memory: '💾 Память: {value} МБ',
+    databaseTitle: '🗄️ *Статистика базы данных*',
+    databaseUsers: '📊 Пользователей в БД: {value}',
+    databaseActiveUsers: '🟢 Активных в БД: {value}',
+    databaseMessages: '💬 Сообщений в БД: {value}',
+    averageMessages: '📈 В среднем сообщений на пользователя: {value}'
+  },
+
+  info: {
+    notFound: '❌ Информация о пользователе не найдена.',
+    title: 'ℹ️ *Информация о вас*',
+    id: '🆔 ID: {value}',
+    name: '👤 Имя: {value}',
+    username: '🏷️ Имя пользователя: {value}',
+    language: '🌍 Язык: {value}',
+    isBot: '🤖 Бот: {value}',
+    firstSeen: '📅 Впервые: {value}',
+    lastSeen: '👀 Последний визит: {value}',
+    messages: '💬 Сообщений: {value}',
+    phone: '📱 Телефон: {value}',
+    fullName: '👤 Полное имя: {value}',
+    role: '🎯 Роль: {value}',
+    registered: '✅ Регистрация: завершена',
+    notRegistered: '⚠️ Регистрация: не завершена'
+  },
+
+  misc: {
+    photo: '📸 Чтобы добавить фото к объявлению, создайте его через /addlisting или выберите «📸 Фото» при редактировании объявления в /mylistings.',
+    sticker: '😄 Классный стикер!',
+    reply: {
+      0: 'Спасибо за сообщение, {name}! 😊',
+      1: 'Я вас услышал, {name}! Чем ещё могу помочь? 🤔',
+      2: 'Понял, {name}! Наберите /help, чтобы увидеть все команды! 💡',
+      3: 'Сообщение получено, {name}! Спасибо! 🙏'
+    }
+  },
+
+  wizard: {
+    back: '⬅️ Назад',
+    cancel: '✖️ Отмена',
+    done: '✔️ Готово',
+    skip: '⏭️ Пропустить',
+    confirm: '✅ Подтвердить',
+    saved: '✅ Сохранено.',
+    shareContact: '📱 Отправить контакт',
+    shareLocation: '📍 Отправить геопозицию',
+    notApplicable: '—',
+    busy: 'Сначала завершите текущее действие или отмените его командой /cancel.',
+    startFailed: 'Не удалось начать. Пожалуйста, попробуйте ещё раз.',
+    inactive: 'Эта форма больше не активна.',
+    expired: '⌛ Срок действия формы истёк. Пожалуйста, начните заново.',
+    useSummaryButtons: 'Пожалуйста, используйте кнопки выше, чтобы изменить ответ или подтвердить.',
+    buttonInactive: '❌ Эта кнопка больше не активна.',
+    chooseOne: '❌ Выберите хотя бы один вариант.',
+    firstStep: '❌ Вы уже на первом шаге.',
+    cantEdit: '❌ Этот ответ нельзя изменить.',
+    hints: {
+      buttons: 'Пожалуйста, используйте кнопки ниже.',
+      send: 'Пожалуйста, отправьте {items}.',
+      or: ' или ',
+      text: 'текстовое сообщение',
+      contact: 'свой контакт',
+      photo: 'фото',
+      location: 'геопозицию'
+    }
+  },
+
+  registration: {
+    cancelled: '✖️ Регистрация отменена. Вы можете начать заново в любой момент командой /register.',
+    expired: '⌛ Время регистрации истекло. Используйте /register, чтобы начать заново.',
+    alreadyRegistered: '✅ Вы уже зарегистрированы. Изменить данные можно в /profile.',
+    failed: 'Не удалось завершить регистрацию',
+    phoneTaken: 'Этот номер уже зарегистрирован на другой аккаунт. Нажмите «📱 Изменить телефон», чтобы указать другой.',
+    phone: {
+      prompt: `📱 *Добро пожаловать в Sochma Bot!*
+
+Для начала мне нужно узнать о вас немного информации. Начнём с номера телефона.
+
+Нажмите *📱 Отправить мой номер* ниже или введите номер (например, 90 123 45 67 или +998901234567):`,
+      button: '📱 Отправить мой номер',
+      label: '📱 Телефон',
+      edit: '📱 Изменить телефон',
+      saved: '✅ Номер телефона сохранён.'
+    },
+    code: {
+      prompt: `🔐 *Подтвердите номер телефона*
+
+Я отправил {length}-значный код в SMS на номер {phone}. Введите его здесь:`,
+      resend: '🔁 Отправить код ещё раз',
+      resent: '📨 Новый код отправлен. Введите его здесь:',
+      typeCode: 'Пожалуйста, введите полученный код.'
+    },
+    name: {
+      prompt: `👤 *Отлично! Теперь ваше имя.*
+
+Пожалуйста, введите полное имя:`,
+      label: '👤 Имя',
+      edit: '👤 Изменить имя',
+      invalid: 'Пожалуйста, введите корректное полное имя (не короче 2 символов)'
+    },
+    role: {
+      prompt: `🎯 *Прекрасно! Теперь определим вашу роль.*
+
+Кто вы в первую очередь:
+• **Покупатель** - ищете недвижимость для покупки
+• **Инвестор** - хотите инвестировать в недвижимость
+• **И то, и другое** - покупаете и инвестируете`,
+      label: '🎯 Роль',
+      edit: '🎯 Изменить роль',
+      invalid: 'Неверный выбор роли'
+    },
+    agenda: {
+      prompt: `📋 *Возможности бота*
+
+**Sochma Bot** связывает покупателей и инвесторов на рынке недвижимости. Вот чем я могу помочь:
+
+🏠 **Поиск недвижимости**: объекты по вашим критериям
+💰 **Инвестиционные возможности**: выгодные варианты для вложений
+🤝 **Нетворкинг**: знакомство с другими покупателями и инвесторами
+📊 **Аналитика рынка**: свежие тренды и данные
+💬 **Прямое общение**: переписка с владельцами и инвесторами
+🔔 **Уведомления**: новости о новых предложениях
+
+Готовы завершить регистрацию?`,
+      continue: '➡️ Продолжить'
+    },
+    summary: {
+      title: '📝 *Проверьте ваши данные*',
+      footer: 'Нажмите на поле, чтобы изменить его, или завершите регистрацию.',
+      complete: '✅ Завершить регистрацию'
+    },
+    completed: `✅ *Регистрация завершена!*
+
+Добро пожаловать в Sochma, {name}!
+
+Ваши данные:
+📱 Телефон: {phone}
+👤 Имя: {name}
+🎯 Роль: {role}
+
+Теперь вам доступны все возможности бота. Наберите /help, чтобы увидеть список команд.`,
+    welcome: `🎉 *Добро пожаловать в Sochma, {name}!*
+
+Всё готово, можно изучать рынок недвижимости. Вот что вы можете сделать:
+
+🔍 **Поиск недвижимости** - объекты по вашим критериям
+💰 **Инвестиционные возможности** - выгодные вложения
+🤝 **Знакомства** - общение с покупателями и инвесторами
+📊 **Аналитика рынка** - свежие данные рынка
+💬 **Личные сообщения** - переписка с владельцами и инвесторами
+
+Используйте кнопки ниже или /help, чтобы увидеть все команды.`
+  },
+
+  reminders: {
+    text: `👋 *Осталось совсем немного!*
+
+Вы ещё не завершили регистрацию. Нажмите ниже, чтобы продолжить с того места, где остановились.`,
+    restartText: `👋 *Осталось совсем немного!*
+
+Вы начали регистрацию, но не завершили её, и ваши ответы устарели. Нажмите ниже, чтобы начать заново, — это займёт всего минуту.`,
+    lastChance: 'Это последнее напоминание.',
+    continue: '▶️ Продолжить регистрацию'
+  },
+
+  admin: {
+    notAllowed: '🔒 Извините, это доступно только администраторам.',
+    back: '⬅️ Панель администратора',
+    panel: {
+      title: '🛠 *Панель администратора*',
+      intro: 'Что вы хотите посмотреть?',
+      find: '🔍 Найти пользователя',
+      recent: '🆕 Новые регистрации',
+      pending: '⏳ Ожидают решения',
+      status: '🖥 Состояние системы',
+      broadcast: '📣 Рассылка',
+      funnel: '📈 Воронка регистрации'
+    },
+    findPrompt: '🔍 Отправьте Telegram ID, @username, номер телефона или часть имени:',
+    notFound: 'По запросу «{query}» никого не найдено. Попробуйте другой запрос:',
+    results: '🔍 *Найдено пользователей: {count}.* Выберите одного:',
+    recentTitle: '🆕 *Новые регистрации*',
+    recentEmpty: 'Пока никто не завершил регистрацию.',
+    pendingTitle: '⏳ *Ожидают решения*',
+    pendingRegistrations: '📝 Заявок на регистрацию на проверке: {count}',
+    pendingConnections: '🤝 Запросов на знакомство без ответа: {count}',
+    pendingEmpty: 'Заявок на проверке нет.',
+    status: {
+      title: '🖥 *Состояние системы*',
+      cachedUsers: '👥 Пользователей в памяти: {value}',
+      database: '🗄 База данных: {value}',
+      connected: 'подключена',
+      disconnected: 'не подключена',
+      registeredUsers: '✅ Зарегистрированных пользователей: {value}',
+      wizards: '🧭 Незавершённых мастеров: {value}',
+      terms: '📜 Версия условий: {value}',
+      approval: '📝 Проверка регистраций: {value}',
+      verification: '🔐 Подтверждение телефона: {value}',
+      on: 'включена',
+      off: 'выключена',
+      refresh: '🔄 Обновить'
+    },
+    user: {
+      title: '👤 *{name}*',
+      id: '🆔 ID: {value}',
+      username: '🏷️ Имя пользователя: {value}',
+      phone: '📱 Телефон: {value}',
+      role: '🎯 Роль: {value}',
+      state: '📌 Регистрация: {value}',
+      registered: '📅 Зарегистрирован: {value}',
+      lastSeen: '👀 Последний визит: {value}',
+      messages: '💬 Сообщений: {value}',
+      terms: '📜 Принятая версия условий: {value}',
+      reachability: '📶 Статус: {value}',
+      active: 'активен',
+      inactive: 'заблокировал бота',
+      blocked: 'заблокирован',
+      admin: '🛠 Администратор: {value}',
+      configuredAdmin: 'да, все права (из настроек)',
+      rejectionReason: '❌ Последний отказ: {value}',
+      makeAdmin: '🛠 Сделать администратором',
+      removeAdmin: '🚫 Снять права администратора',
+      adminGranted: '{name} теперь администратор.',
+      adminRevoked: '{name} больше не администратор.',
+      cannotChangeSelf: 'Нельзя менять собственные права администратора.',
+      cannotChangeConfigured: 'Права администраторов из ADMIN_IDS меняются только в настройках.',
+      updateFailed: 'Не удалось изменить права администратора',
+      banned: '🚫 Заблокирован {end}: {reason}',
+      muted: '🔇 Ограничен {end}: {reason}',
+      until: 'до {date}',
+      permanently: 'навсегда',
+      history: '📜 История модерации',
+      unban: '✅ Снять ограничения'
+    },
+    states: {
+      not_started: 'не начата',
+      phone_entered: 'указан телефон',
+      name_entered: 'указано имя',
+      role_selected: 'выбрана роль',
+      agenda_viewed: 'просмотрены возможности',
+      pending_review: 'на проверке',
+      completed: 'завершена'
+    },
+    funnel: {
+      title: '📈 *Воронка регистрации*',
+      byRoleTitle: '📈 *Воронка регистрации по ролям*',
+      byLanguageTitle: '📈 *Воронка регистрации по языкам*',
+      period: 'За последние {days} дн.',
+      stage: '• {stage}: *{users}*',
+      conversion: ' ({value})',
+      median: ' · ⏱ {value}',
+      overall: '✅ Завершили: {value} от начавших',
+      dropOff: '📉 Больше всего отвалов: {stage} (дошли {conversion})',
+      rejected: '❌ Отклонено при проверке: {value}',
+      empty: 'За этот период никто не начинал регистрацию.',
+      unavailable: 'Для аналитики воронки нужна база данных, а она не подключена.',
+      group: '*{label}*: начали {started}, завершили {completed} ({conversion})',
+      unknown: 'не выбран',
+      days: '{days} дн.',
+      overview: '📈 Общая',
+      byRole: '🎯 По ролям',
+      byLanguage: '🌐 По языкам'
+    },
+    moderation: {
+      title: '📜 *История модерации: {name}*',
+      empty: 'Действий модерации ещё не было.',
+      entry: '• {date}: {action}',
+      actions: {
+        ban: '🚫 заблокирован',
+        mute: '🔇 ограничен',
+        unban: '✅ блокировка снята',
+        unmute: '🔊 ограничение снято'
+      },
+      until: ' до {date}',
+      by: ', администратор {admin}',
+      expired: ' (истёк срок)',
+      reason: ': {reason}',
+      hint: 'Заблокировать или ограничить: `/ban {id} [срок] причина` или `/mute {id} [срок] причина`, например `/ban {id} 7d спам`. Снять всё: `/unban {id}`.',
+      backToUser: '⬅️ К пользователю'
+    }
+  },
+
+  broadcast: {
+    messagePrompt: '📣 *Новая рассылка*\n\nОтправьте сообщение для рассылки: текст или фото с подписью. Форматирование сохранится.',
+    buttonPrompt: '🔗 Добавить кнопку-ссылку под сообщением? Отправьте её в виде `Текст кнопки | https://ссылка` или нажмите «Без кнопки».',
+    noButton: '➡️ Без кнопки',
+    invalidButton: 'Отправьте кнопку в виде «Текст кнопки | https://ссылка», текст — не длиннее {max} символов.',
+    cancel: '✖️ Отменить рассылку',
+    cancelled: '✖️ Рассылка отменена.',
+    expired: 'Черновик рассылки устарел. Начните заново с /broadcast.',
+    segment: {
+      title: '🎯 *Получатели*',
+      intro: 'Нажмите на фильтр, чтобы изменить его.',
+      count: '👥 Получателей: *{count}*',
+      role: '🎯 Роль: {value}',
+      language: '🌐 Язык: {value}',
+      status: '📝 Регистрация: {value}',
+      lastSeen: '👀 Последний визит: {value}',
+      everyone: 'все',
+      registered: 'завершена',
+      unregistered: 'не завершена',
+      lastSeenWithin: 'за {days} дн.',
+      anyTime: 'когда угодно',
+      roles: {
+        buyer: 'покупатели',
+        investor: 'инвесторы'
+      }
+    },
+    preview: '👀 Предпросмотр',
+    previewTitle: '👀 *Предпросмотр:*',
+    confirm: '📣 *Отправить это сообщение {count} пользователям?*',
+    send: '✅ Отправить ({count})',
+    changeAudience: '🎯 Изменить получателей',
+    started: '🚀 Отправляю {count} пользователям. Сообщу результат, когда закончу.',
+    stop: '⏹ Остановить',
+    stopped: '⏹ Рассылка остановлена.\n\n✅ Отправлено: {sent}\n❌ Ошибки: {failed}\n🚫 Заблокировали бота: {blocked}\n👥 Получателей: {total}',
+    report: '📣 Рассылка завершена.\n\n✅ Отправлено: {sent}\n❌ Ошибки: {failed}\n🚫 Заблокировали бота: {blocked}\n👥 Получателей: {total}',
+    alreadyFinished: 'Эта рассылка уже завершена.',
+    noRecipients: 'Под эти фильтры никто не подходит.',
+    failed: 'Не удалось отправить рассылку'
+  },
+
+  moderation: {
+    usage: 'Формат: /ban <ID или @username> [срок] <причина>, например /ban @john 7d спам. Срок указывается в минутах (m), часах (h), днях (d) или неделях (w); без срока блокировка бессрочная. /mute работает так же, а отрицательный ID блокирует групповой чат.',
+    unbanUsage: 'Формат: /unban <ID или @username>',
+    reasonInvalid: 'Укажите причину длиной до {max} символов, например /ban @john 7d спам.',
+    notFound: 'Пользователь или чат «{target}» не найден.',
+    chatMute: 'Чаты можно только заблокировать, но не ограничить.',
+    cannotRestrictAdmin: 'Администраторов нельзя блокировать или ограничивать. Сначала снимите с них права администратора.',
+    unavailable: 'Для модерации нужна база данных, а она не подключена.',
+    failed: 'Не удалось изменить блокировку',
+    banTemporary: '🚫 {target} заблокирован до {until}.\nПричина: {reason}',
+    banPermanent: '🚫 {target} заблокирован навсегда.\nПричина: {reason}',
+    muteTemporary: '🔇 {target} ограничен до {until}.\nПричина: {reason}',
+    mutePermanent: '🔇 {target} ограничен навсегда.\nПричина: {reason}',
+    lifted: '✅ {target} снова может полноценно пользоваться ботом.',
+    notRestricted: '{target} не заблокирован и не ограничен.',
+    mutedRefusal: '🔇 Ваш аккаунт ограничен: сейчас вы не можете связываться с другими пользователями и публиковать объявления.',
+    notice: {
+      ban: '🚫 Ваш доступ к боту приостановлен {end}.\n\nПричина: {reason}',
+      mute: '🔇 Ваш аккаунт ограничен {end}. Вы можете пользоваться ботом, но не можете связываться с другими пользователями и публиковать объявления.\n\nПричина: {reason}',
+      lifted: '✅ Ограничения сняты. С возвращением!',
+      until: 'до {date}',
+      permanent: 'навсегда'
+    }
+  },
+
+  reports: {
+    titles: {
+      daily: '📊 *Ежедневный отчёт*',
+      weekly: '📊 *Еженедельный отчёт*'
+    },
+    period: '{from} – {to}',
+    newUsers: '👤 Новые пользователи: *{value}*{change}',
+    newRegistrations: '✅ Завершённые регистрации: *{value}*{change}',
+    activeUsers: '🟢 Активные пользователи: *{value}*{change}',
+    messages: '💬 Обработано сообщений: *{value}*{change}',
+    newListings: '🏠 Новые объявления: *{value}*{change}',
+    topDistricts: '🏙 Районы с наибольшим числом новых объявлений:',
+    district: '{position}. {district}: {value}{change}',
+    noListings: '🏙 Новых объявлений не было.',
+    change: ' ({change}, было {previous})',
+    unchanged: ' (без изменений)',
+    unknown: '–'
+  },
+
+  terms: {
+    text: `📜 *Условия использования и политика конфиденциальности* (версия {version})
+
+Чтобы связывать вас с другими участниками, Sochma хранит ваш номер телефона, имя, роль, язык и ответы на вопросы, а также созданные вами объявления, поиски и сообщения. Номер телефона показывается только участникам, с которыми вы согласились связаться. Изменить данные можно в любой момент командой /profile, а также попросить нас удалить ваш аккаунт.
+
+Вы принимаете условия использования и политику конфиденциальности?`,
+    link: '📄 Полный текст: {url}',
+    accept: '✅ Принять',
+    decline: '❌ Отказаться',
+    updated: '📢 *Наши условия обновились.* Пожалуйста, ознакомьтесь с ними и примите их, чтобы продолжить пользоваться ботом.',
+    accepted: '✅ Спасибо! Вы приняли условия версии {version}. Откройте главное меню командой /start.',
+    declined: '⚠️ Без принятия условий пользоваться ботом нельзя. Команды /start и /help по-прежнему доступны, а принять условия можно в любой момент.',
+    declinedRegistration: '⚠️ Для регистрации нужно принять условия. Нажмите *✅ Принять*, чтобы продолжить, или *✖️ Отмена*, чтобы выйти.',
+    saveFailed: 'Не удалось сохранить ваше согласие. Попробуйте ещё раз.',
+    published: '📜 Опубликована версия условий {version}. Участникам нужно будет принять её, чтобы продолжить пользоваться ботом.',
+    publishFailed: 'Не удалось опубликовать новую версию условий',
+    invalidUrl: 'Укажите ссылку, начинающуюся с http:// или https://'
+  },
+
+  review: {
+    submitted: `📨 *Спасибо, {name}!*
+
+Ваша заявка на регистрацию отправлена на проверку. Я напишу вам, как только её одобрят.`,
+    stillPending: '⏳ Ваша заявка на регистрацию ожидает проверки. Я напишу вам, как только будет принято решение.',
+    approved: '🎉 Ваша регистрация одобрена, добро пожаловать в Sochma! Откройте главное меню командой /start.',
+    rejected: `❌ Ваша регистрация не одобрена.
+
+Причина: {reason}
+
+Вы можете зарегистрироваться снова командой /register.`,
+    notPending: 'Эта заявка больше не ожидает проверки.',
+    failed: 'Не удалось сохранить решение по заявке',
+    reasonPrompt: '✏️ Ответьте на это сообщение, указав причину отказа для {name}:',
+    reasonInvalid: 'Пожалуйста, укажите причину (до {max} символов).',
+    approvedAdmin: '✅ Одобрено',
+    rejectedAdmin: '❌ Отклонено. Пользователь получил уведомление.',
+    card: {
+      title: '🆕 *Новая заявка на регистрацию*',
+      name: '👤 Имя: {value}',
+      phone: '📱 Телефон: {value}',
+      verified: 'подтверждён',
+      duplicate: '⚠️ Также используется аккаунтом {id}',
+      role: '🎯 Роль: {value}',
+      account: '🆔 Telegram: {id} ({username})',
+      language: '🌐 Язык: {value}',
+      submitted: '📅 Отправлено: {date}',
+      preferences: '⚙️ *Предпочтения*',
+      approve: '✅ Одобрить',
+      reject: '❌ Отклонить',
+      approvedBy: '✅ Одобрено: {admin}',
+      rejectedBy: `❌ Отклонено: {admin}
+Причина: {reason}`
+    }
+  },
+
+  phone: {
+    invalid: 'Неверный формат номера. Пожалуйста, введите корректный номер телефона (например, +998901234567)',
+    countryLength: 'В номерах с кодом +{code} ({country}) после кода {lengths} цифр. Пожалуйста, проверьте номер.',
+    ownContact: 'Пожалуйста, отправьте свой контакт кнопкой ниже или введите номер телефона.',
+    taken: 'Этот номер уже зарегистрирован на другой аккаунт. Пожалуйста, укажите другой номер.'
+  },
+
+  verification: {
+    sms: 'Ваш код подтверждения {botName}: {code}. Он действует {minutes} мин.',
+    wait: 'Подождите {seconds} сек., прежде чем запрашивать новый код.',
+    tooManyCodes: 'Слишком много запросов кода. Попробуйте снова через {minutes} мин.',
+    smsFailed: 'Не удалось отправить SMS. Пожалуйста, попробуйте позже.',
+    sendFailed: 'Не удалось отправить код подтверждения',
+    expired: 'Срок действия кода истёк. Нажмите «🔁 Отправить код ещё раз», чтобы получить новый.',
+    tooManyWrong: 'Слишком много неверных попыток. Нажмите «🔁 Отправить код ещё раз», чтобы получить новый.',
+    wrong: 'Неверный код. Осталось попыток: {remaining}.',
+    checkFailed: 'Не удалось проверить код'
+  },
+
+  price: {
+    under: 'До {max}',
+    from: 'От {min}',
+    between: '{min} - {max}'
+  },
+
+  listingTypes: {
+    apartment: '🏢 Квартира',
+    house: '🏡 Дом',
+    commercial: '🏬 Коммерческая',
+    land: '🌳 Участок'
+  },
+
+  risk: {
+    low: '🟢 Низкий',
+    medium: '🟡 Средний',
+    high: '🔴 Высокий'
+  },
+
+  preferences: {
+    cancelled: '✖️ Ваши предпочтения не изменены.',
+    expired: '⌛ Время редактирования предпочтений истекло. Откройте /profile, чтобы начать заново.',
+    saved: '✅ Ваши предпочтения сохранены.',
+    saveFailed: 'Не удалось сохранить предпочтения',
+    invalid: 'Неверный выбор',
+    summary: {
+      title: '🎯 *Ваши предпочтения*',
+      footer: 'Нажмите на ответ, чтобы изменить его, затем сохраните.',
+      save: '💾 Сохранить'
+    },
+    budget: {
+      prompt: `🏠 *Несколько вопросов для покупателей*
+
+Какой у вас бюджет?`,
+      label: '💵 Бюджет',
+      edit: '💵 Изменить бюджет'
+    },
+    districts: {
+      prompt: '📍 Какие районы вам подходят? Отметьте все подходящие и нажмите *✔️ Готово*.',
+      label: '📍 Районы',
+      edit: '📍 Изменить районы'
+    },
+    rooms: {
+      prompt: '🛏 Сколько комнат вам нужно?',
+      label: '🛏 Комнаты',
+      edit: '🛏 Изменить комнаты'
+    },
+    purpose: {
+      prompt: '🎯 Для чего вы покупаете?',
+      label: '🎯 Цель',
+      edit: '🎯 Изменить цель',
+      living: '🏡 Для жизни',
+      rental: '🔑 Для сдачи в аренду',
+      resale: '📈 Для перепродажи'
+    },
+    ticket: {
+      prompt: `💰 *Несколько вопросов для инвесторов*
+
+Сколько вы готовы вложить в одну сделку?`,
+      label: '💼 Сумма вложения',
+      edit: '💼 Изменить сумму'
+    },
+    horizon: {
+      prompt: '⏳ На какой срок вы готовы вкладывать деньги?',
+      label: '⏳ Срок',
+      edit: '⏳ Изменить срок',
+      short: '⏱ До 1 года',
+      medium: '📅 1-3 года',
+      long: '🗓 Более 3 лет'
+    },
+    risk: {
+      prompt: '⚠️ Какой уровень риска для вас приемлем?',
+      label: '⚠️ Отношение к риску',
+      edit: '⚠️ Изменить риск'
+    },
+    assets: {
+      prompt: '🏗 В какую недвижимость вы инвестируете? Отметьте все подходящие и нажмите *✔️ Готово*.',
+      label: '🏗 Типы объектов',
+      edit: '🏗 Изменить типы'
+    }
+  },
+
+  profile: {
+    title: '👤 *Мой профиль*',
+    phone: '📱 Телефон: {value}',
+    fullName: '👤 Полное имя: {value}',
+    role: '🎯 Роль: {value}',
+    language: '🌐 Язык: {value}',
+    preferences: '🎯 *Предпочтения*',
+    preferencesNotSet: '🎯 Предпочтения: не заданы',
+    lastUpdated: '🕓 Обновлён: {date}',
+    editPhone: '📱 Изменить телефон',
+    editName: '👤 Изменить имя',
+    changeRole: '🎯 Сменить роль',
+    editPreferences: '🧭 Предпочтения',
+    changeLanguage: '🌐 Язык',
+    back: '◀️ Назад',
+    chooseRole: '🎯 *Выберите новую роль:*',
+    promptPhone: '📱 Отправьте новый номер телефона (например, 90 123 45 67 или +998901234567):',
+    promptName: '👤 Отправьте новое полное имя:',
+    notRegistered: '⚠️ Сначала завершите регистрацию. Используйте /register, чтобы начать.',
+    notRegisteredError: 'Сначала завершите регистрацию. Используйте /register, чтобы начать.',
+    unknownAction: '❌ Неизвестное действие с профилем.',
+    notEditable: 'Это поле нельзя изменить.',
+    updateFailed: 'Не удалось обновить профиль',
+    unchanged: {
+      phone: 'Номер телефона не изменился.',
+      name: 'Полное имя не изменилось.',
+      role: 'Роль не изменилась.'
+    },
+    updated: {
+      phone: '✅ Номер телефона обновлён.',
+      name: '✅ Полное имя обновлено.',
+      role: '✅ Роль обновлена.'
+    }
+  },
+
+  listing: {
+    continuing: '↩️ Продолжаем объявление, которое вы начали ранее.',
+    empty: `🏠 У вас пока нет объявлений.
+
+Используйте /addlisting, чтобы создать первое.`,
+    mine: `🏠 *Мои объявления* ({count})
+
+Нажмите на объявление, чтобы просмотреть, изменить или удалить его.`,
+    review: `👀 *Проверьте объявление*
+
+{card}
+
+Опубликовать сейчас или сохранить как черновик?`,
+    publishedWizard: `✅ *Ваше объявление опубликовано!*
+
+Управлять им можно в любое время через /mylistings.`,
+    draftSaved: `💾 *Черновик сохранён.*
+
+Вы можете изменить и опубликовать его позже через /mylistings.`,
+    published: '✅ Ваше объявление опубликовано!',
+    creationCancelled: '🗑️ Создание объявления отменено.',
+    updated: '✅ Объявление обновлено.',
+    photosSaved: '✅ Фотографии сохранены.',
+    editCancelled: 'Редактирование отменено.',
+    sold: '🤝 Поздравляем! Объявление отмечено как проданное.',
+    deleted: '🗑️ Объявление удалено.',
+    confirmDelete: '⚠️ Вы уверены, что хотите удалить это объявление?',
+    photosAdded: '📸 Добавлено фотографий: {count} ({total} из {max}).',
+    photosSkipped: 'Пропущено: {count} (дубликаты или сверх лимита).',
+    sendMorePhotos: 'Отправьте ещё или нажмите «Готово».',
+    photoCaption: 'Фото {number}',
+    unknownAction: '❌ Неизвестное действие с объявлением.',
+    steps: {
+      type: `🏠 *Новое объявление*
+
+Какой тип недвижимости вы размещаете?`,
+      district: `📍 *В каком районе находится объект?*
+
+Выберите район ниже:`,
+      price: `💵 *Какая цена?*
+
+Введите цену в {currency} (например, 85000):`,
+      area: `📐 *Какая общая площадь?*
+
+Введите площадь в квадратных метрах (например, 72.5):`,
+      rooms: `🚪 *Сколько комнат?*
+
+Введите количество комнат или нажмите «Пропустить»:`,
+      floor: `🏢 *На каком этаже?*
+
+Введите номер этажа или нажмите «Пропустить»:`,
+      description: `📝 *Опишите объект*
+
+Состояние, ремонт, ориентиры рядом — всё, что нужно знать покупателю (10–1000 символов):`,
+      photos: `📸 *Добавьте фотографии*
+
+Отправьте до {max} фотографий объекта и нажмите «Готово». Этот шаг можно пропустить.`
+    },
+    edit: {
+      title: '✏️ *Редактирование объявления*',
+      type: 'Выберите новый тип недвижимости:',
+      district: 'Выберите новый район:',
+      price: 'Введите новую цену в {currency}:',
+      area: 'Введите новую площадь в квадратных метрах:',
+      rooms: 'Введите новое количество комнат:',
+      floor: 'Введите новый номер этажа:',
+      description: 'Введите новое описание (10–1000 символов):',
+      value: 'Введите новое значение:'
+    },
+    editMenu: {
+      title: '✏️ *Что вы хотите изменить?*',
+      type: '🏠 Тип',
+      district: '📍 Район',
+      price: '💵 Цена',
+      area: '📐 Площадь',
+      rooms: '🚪 Комнаты',
+      floor: '🏢 Этаж',
+      description: '📝 Описание',
+      photos: '📸 Фотографии'
+    },
+    fields: {
+      type: 'тип',
+      district: 'район',
+      price: 'цена',
+      area: 'площадь',
+      description: 'описание'
+    },
+    photoManager: {
+      text: `📸 *Фотографии объявления*
+
+{intro}
+Отправьте фото или альбом, чтобы добавить их, и используйте кнопки, чтобы изменить порядок или удалить.`,
+      empty: 'Фотографий пока нет.',
+      count: 'Фотографий: {count} из {max}. Первая — обложка.'
+    },
+    card: {
+      titleInDistrict: '{type}, {district}',
+      price: '💵 Цена: {value}',
+      area: '📐 Площадь: {value}',
+      squareMeters: '{area} м²',
+      pricePerMeter: '📊 Цена за м²: {value}',
+      rooms: '🚪 Комнат: {value}',
+      roomsShort: '{rooms}к',
+      floor: '🏢 Этаж: {value}',
+      photos: '📸 Фото: {count}',
+      status: 'Статус: {value}'
+    },
+    status: {
+      draft: '📝 Черновик',
+      published: '✅ Опубликовано',
+      sold: '🤝 Продано',
+      removed: '🗑️ Удалено'
+    },
+    buttons: {
+      add: '➕ Добавить объявление',
+      edit: '✏️ Изменить',
+      publish: '🚀 Опубликовать',
+      saveDraft: '💾 Сохранить черновик',
+      sold: '🤝 Продано',
+      delete: '🗑️ Удалить',
+      confirmDelete: '🗑️ Да, удалить',
+      keep: '⬅️ Нет',
+      mine: '⬅️ Мои объявления',
+      done: '✅ Готово'
+    },
+    errors: {
+      typeInvalid: 'Пожалуйста, выберите тип недвижимости кнопками ниже.',
+      districtInvalid: 'Пожалуйста, выберите район кнопками ниже.',
+      priceInvalid: 'Пожалуйста, введите корректную цену числом (например, 85000).',
+      areaInvalid: 'Пожалуйста, введите корректную площадь в квадратных метрах (например, 72.5).',
+      roomsInvalid: 'Пожалуйста, введите количество комнат целым числом (например, 3).',
+      floorInvalid: 'Пожалуйста, введите этаж целым числом (например, 4).',
+      descriptionShort: 'Пожалуйста, введите описание не короче 10 символов.',
+      descriptionLong: 'Пожалуйста, сократите описание до 1000 символов (сейчас {length}).',
+      unknownField: 'Неизвестное поле',
+      unknownState: 'Неизвестный шаг',
+      sendPhoto: 'Пожалуйста, отправьте фото или нажмите «Готово», когда закончите.',
+      sendPhotos: 'Пожалуйста, отправьте фотографии или нажмите «Готово», когда закончите.',
+      useReviewButtons: 'Пожалуйста, используйте кнопки ниже, чтобы опубликовать или сохранить объявление.',
+      noDraft: 'У вас нет незавершённого объявления.',
+      noDraftStart: 'У вас нет незавершённого объявления. Используйте /addlisting, чтобы создать его.',
+      noReview: 'У вас нет объявления, готового к проверке.',
+      notSkippable: 'Этот шаг нельзя пропустить.',
+      invalidTransition: 'Недопустимый переход',
+      photoLimitWizard: 'Можно прикрепить не более {max} фотографий. Нажмите «Готово», чтобы продолжить.',
+      photoLimitEdit: 'Можно прикрепить не более {max} фотографий. Сначала удалите одну или нажмите «Готово».',
+      notAddingPhotos: 'Сейчас вы не добавляете фотографии.',
+      notFound: 'Объявление не найдено.',
+      photoNotFound: 'Фотография не найдена.',
+      notEditable: 'Это поле нельзя изменить.',
+      notEditing: 'Вы сейчас не редактируете объявление.',
+      finishDraftFirst: 'Сначала завершите или отмените объявление, которое вы создаёте.',
+      soldNotEditable: 'Проданные объявления нельзя изменять.',
+      alreadyPublished: 'Это объявление уже опубликовано.',
+      missingFields: 'Пожалуйста, заполните: {fields}',
+      onlyPublishedSold: 'Отметить как проданные можно только опубликованные объявления.',
+      startFailed: 'Не удалось начать создание объявления',
+      processFailed: 'Не удалось обработать ваш ввод',
+      skipFailed: 'Не удалось пропустить этот шаг',
+      addPhotosFailed: 'Не удалось добавить фотографии',
+      reorderFailed: 'Не удалось изменить порядок фотографий',
+      removePhotoFailed: 'Не удалось удалить фотографию',
+      finishPhotosFailed: 'Не удалось сохранить фотографии',
+      saveFailed: 'Не удалось сохранить объявление',
+      cancelFailed: 'Не удалось отменить объявление',
+      editFailed: 'Не удалось начать редактирование',
+      cancelEditFailed: 'Не удалось отменить редактирование',
+      publishFailed: 'Не удалось опубликовать объявление',
+      soldFailed: 'Не удалось отметить объявление как проданное',
+      deleteFailed: 'Не удалось удалить объявление'
+    }
+  },
+
+  search: {
+    menu: `🔍 *Поиск недвижимости*
+
+Текущие фильтры:
+{filters}
+
+Измените фильтры или нажмите *Показать результаты*.`,
+    noResults: `😔 *Ничего не найдено*
+
+{filters}
+
+Попробуйте расширить фильтры.`,
+    result: `🔍 *Результат {number} из {total}*
+
+{card}`,
+    failed: 'Поиск не удался',
+    unknownAction: '❌ Неизвестное действие поиска.',
+    filters: {
+      price: '💵 Цена: {value}',
+      district: '📍 Район: {value}',
+      rooms: '🚪 Комнаты: {value}',
+      type: '🏠 Тип: {value}'
+    },
+    choose: {
+      price: '💵 *Выберите диапазон цен:*',
+      district: '📍 *Выберите район:*',
+      rooms: '🚪 *Сколько комнат?*',
+      type: '🏠 *Выберите тип недвижимости:*'
+    },
+    buttons: {
+      price: '💵 Цена',
+      district: '📍 Район',
+      rooms: '🚪 Комнаты',
+      type: '🏠 Тип',
+      showResults: '🔎 Показать результаты',
+      saveSearch: '💾 Сохранить поиск',
+      reset: '♻️ Сбросить фильтры',
+      any: '🌐 Любой',
+      changeFilters: '🔧 Изменить фильтры',
+      prev: '◀️ Назад',
+      next: 'Далее ▶️',
+      filters: '🔧 Фильтры',
+      again: '🔁 Искать снова',
+      favorite: '⭐ В избранное',
+      messageOwner: '💬 Написать владельцу'
+    }
+  },
+
+  savedSearch: {
+    prompt: `💾 *Сохранить этот поиск*
+
+{filters}
+
+Отправьте название для поиска или используйте предложенное: _{name}_`,
+    saved: `💾 *Поиск сохранён как «{name}»*
+
+Я сообщу вам, когда появится подходящее объявление. Управлять поисками можно через /mysearches.`,
+    alert: `🔔 *Новое совпадение для «{name}»*
+
+{card}`,
+    empty: `🔔 У вас нет сохранённых поисков.
+
+Откройте /search, задайте фильтры и нажмите *Сохранить поиск*, чтобы получать уведомления о новых объявлениях.`,
+    title: '🔔 *Мои сохранённые поиски*',
+    paused: '⏸️ Уведомления приостановлены.',
+    resumed: '▶️ Уведомления возобновлены.',
+    deleted: '🗑️ Сохранённый поиск удалён.',
+    unknownAction: '❌ Неизвестное действие.',
+    status: {
+      paused: '⏸️ На паузе',
+      active: '🔔 Активен'
+    },
+    suggested: {
+      rooms: '{rooms} комн.',
+      all: 'Все объекты'
+    },
+    buttons: {
+      useSuggested: '✅ Использовать предложенное',
+      seeAll: '🔍 Все совпадения',
+      pauseSearch: '⏸️ Приостановить этот поиск',
+      resume: '▶️ Возобновить',
+      pause: '⏸️ Пауза',
+      delete: '🗑️ Удалить'
+    },
+    errors: {
+      nameShort: 'Пожалуйста, введите название не короче 2 символов.',
+      limit: 'Можно хранить не более {max} сохранённых поисков. Сначала удалите один в /mysearches.',
+      notFound: 'Сохранённый поиск не найден.',
+      saveFailed: 'Не удалось сохранить поиск',
+      updateFailed: 'Не удалось обновить сохранённый поиск',
+      deleteFailed: 'Не удалось удалить сохранённый поиск'
+    }
+  },
+
+  favorites: {
+    empty: `⭐ В избранном пока ничего нет.
+
+Нажмите «⭐ В избранное» у объявления в /search, чтобы следить за ним.`,
+    title: `⭐ *Избранное* ({count})
+
+Я сообщу вам, если цена снизится или объявление будет продано либо удалено.`,
+    added: '⭐ Сохранено! Я сообщу, если цена снизится.',
+    alreadySaved: '⭐ Уже в избранном.',
+    removed: 'Удалено из избранного.',
+    unknownAction: '❌ Неизвестное действие с избранным.',
+    alerts: {
+      sold: `🤝 *Объявление из избранного продано*
+
+{summary}
+
+{priceLine}`,
+      removed: `🗑️ *Объявление из избранного удалено*
+
+{summary}
+
+{priceLine}`,
+      priceDrop: `📉 *Цена на объявление из избранного снизилась*
+
+Старая цена: {oldPrice}
+Новая цена: *{price}* (-{percent}%)
+
+{card}`,
+      price: 'Цена: {price}',
+      finalPrice: `Старая цена: {oldPrice}
+Итоговая цена: {price}`
+    },
+    buttons: {
+      list: '⭐ Избранное',
+      back: '⬅️ Избранное',
+      messageOwner: '💬 Написать владельцу',
+      remove: '✖️ Убрать'
+    },
+    errors: {
+      listingNotFound: 'Объявление не найдено.',
+      unavailable: 'Это объявление больше недоступно.',
+      limit: 'В избранном может быть не более {max} объявлений. Сначала уберите одно в /favorites.',
+      notFound: 'Объявление в избранном не найдено.',
+      addFailed: 'Не удалось сохранить объявление',
+      removeFailed: 'Не удалось убрать из избранного'
+    }
+  },
+
+  chat: {
+    activeNotice: `💬 *{title}*
+
+{label}
+
+Отправляйте текст, фото или голосовые сообщения — я анонимно передам их собеседнику.
+/chats — сменить диалог · /closechat — завершить этот`,
+    newConversation: `💬 *Новый диалог*
+
+Покупатель хочет обсудить ваше объявление:
+{about}
+
+Сообщения передаются через бота, поэтому никто из вас не видит Telegram-аккаунт другого.`,
+    closedByOther: `🔒 Собеседник закрыл диалог об объявлении:
+{about}`,
+    closed: '🔒 Диалог закрыт.',
+    empty: `💬 У вас нет открытых диалогов.
+
+Нажмите «💬 Написать владельцу» в результатах поиска, чтобы начать диалог.`,
+    title: `💬 *Мои диалоги*
+
+Нажмите на диалог, чтобы писать в него, или 🔒, чтобы закрыть его.`,
+    noActive: '💬 Вы сейчас не в диалоге. Используйте /chats, чтобы увидеть открытые диалоги.',
+    unknownAction: '❌ Неизвестное действие с диалогом.',
+    buyer: 'Покупатель',
+    owner: 'Владелец',
+    removedListing: 'Удалённое объявление',
+    titles: {
+      started: 'Диалог начат',
+      resumed: 'Диалог продолжен',
+      replying: 'Ответ в диалоге'
+    },
+    buttons: {
+      reply: '↩️ Ответить',
+      close: '🔒 Закрыть'
+    },
+    errors: {
+      listingNotFound: 'Объявление не найдено.',
+      unavailable: 'Это объявление больше недоступно.',
+      ownListing: 'Это ваше собственное объявление.',
+      closed: 'Этот диалог закрыт.',
+      alreadyClosed: 'Этот диалог уже закрыт.',
+      unsupported: 'В диалоге можно отправлять только текст, фото и голосовые сообщения.',
+      notDelivered: 'Сообщение не доставлено: собеседник сейчас не может получать сообщения (возможно, он заблокировал бота). Попробуйте позже или закройте диалог командой /closechat.',
+      openFailed: 'Не удалось открыть диалог',
+      sendFailed: 'Не удалось отправить сообщение',
+      closeFailed: 'Не удалось закрыть диалог'
+    }
+  },
+
+  match: {
+    noSuggestions: `🤝 *Нетворкинг*
+
+Новых предложений пока нет. Они появятся, когда присоединятся новые участники, — загляните позже!`,
+    suggestion: `🤝 *Предлагаемый контакт*
+
+{profile}
+
+Имена и номера телефонов скрыты, пока вы оба не согласитесь на знакомство.`,
+    request: `🤝 *С вами хотят познакомиться*
+
+{profile}
+
+Контактные данные будут переданы, только если вы согласитесь.`,
+    newConnection: `🎉 *Новый контакт!*
+
+Вы и этот участник оба хотите познакомиться:
+
+{contact}`,
+    noConnections: `📇 У вас пока нет контактов.
+
+Откройте 🤝 Нетворкинг через /start, чтобы найти покупателей и инвесторов.`,
+    connectionsTitle: '📇 *Мои контакты*',
+    requestTitle: '📨 *Запрос на знакомство*',
+    alreadySent: '⏳ Вы уже проявили интерес. Ждём ответа.',
+    matched: '🎉 *Взаимный интерес!* Я отправил вам контакты друг друга.',
+    interestSent: '🤝 Интерес отправлен! Я поделюсь контактами, когда участник согласится.',
+    declined: 'Запрос отклонён. Участник не получит уведомления.',
+    member: 'Участник',
+    unknownAction: '❌ Неизвестное действие нетворкинга.',
+    profile: {
+      role: '🎯 Роль: {value}',
+      districts: '📍 Предпочитает: {value}',
+      budget: '💵 Бюджет: {value}'
+    },
+    buttons: {
+      interested: '🤝 Интересно',
+      connections: '📇 Мои контакты',
+      accept: '✅ Принять',
+      decline: '❌ Отклонить',
+      next: '➡️ Следующее предложение'
+    },
+    errors: {
+      userUnavailable: 'Этот пользователь больше недоступен.',
+      connectionUnavailable: 'Этот контакт больше недоступен.',
+      alreadyConnected: 'Вы уже знакомы. Смотрите /connections.',
+      requestNotFound: 'Запрос не найден.',
+      notPending: 'Этот запрос уже обработан.',
+      findFailed: 'Не удалось подобрать контакты',
+      interestFailed: 'Не удалось отправить интерес',
+      respondFailed: 'Не удалось ответить на запрос'
+    }
+  },
+
+  investment: {
+    catalogue: {
+      empty: `💰 *Инвестиционные проекты*
+
+Сейчас нет открытых проектов. Загляните позже!`,
+      list: {
+        one: `💰 *Инвестиционные проекты*
+
+{count} открытый проект, сортировка: {sort}
+
+{items}`,
+        few: `💰 *Инвестиционные проекты*
+
+{count} открытых проекта, сортировка: {sort}
+
+{items}`,
+        many: `💰 *Инвестиционные проекты*
+
+{count} открытых проектов, сортировка: {sort}
+
+{items}`,
+        other: `💰 *Инвестиционные проекты*
+
+Открытых проектов: {count}, сортировка: {sort}
+
+{items}`
+      }
+    },
+    continuing: '↩️ Продолжаем проект, который вы начали ранее.',
+    mine: `💼 *Мои проекты*
+
+Нажмите на проект, чтобы обновить сбор средств, закрыть или удалить его.`,
+    mineEmpty: `💼 Вы ещё не опубликовали ни одного проекта.
+
+Используйте /addinvestment, чтобы опубликовать проект.`,
+    fundingPrompt: '💰 Введите общую сумму, собранную на данный момент:',
+    confirmDelete: '⚠️ Вы уверены, что хотите удалить этот проект?',
+    unknownAction: '❌ Неизвестное действие с проектом.',
+    review: `👀 *Проверьте проект*
+
+{card}
+
+Опубликовать сейчас?`,
+    published: `✅ *Ваш проект опубликован!*
+
+Инвесторы найдут его в разделе 💰 Инвестиции. Управлять им можно через /myinvestments.`,
+    cancelled: '🗑️ Публикация отменена.',
+    fundingUpdated: '✅ Сумма сбора обновлена.',
+    closed: '🔒 Проект закрыт.',
+    deleted: '🗑️ Проект удалён.',
+    steps: {
+      name: `💼 *Новый инвестиционный проект*
+
+Как называется проект?`,
+      description: `📝 *Опишите проект*
+
+Расположение, стадия, использование средств и план выхода (не менее 20 символов):`,
+      goal: `🎯 *Какова цель сбора?*
+
+Введите общую сумму, которую вы привлекаете, в {currency} (например, 500000):`,
+      raised: `💰 *Сколько уже собрано?*
+
+Введите сумму в {currency} или нажмите «Пропустить», если вы только начинаете:`,
+      ticket: `🎟️ *Каков минимальный чек?*
+
+Введите минимальную сумму, которую может вложить один инвестор, в {currency} (например, 10000):`,
+      roi: `📈 *Какова ожидаемая годовая доходность?*
+
+Введите процент (например, 18):`,
+      horizon: `⏳ *Каков инвестиционный горизонт?*
+
+Введите количество месяцев до возврата средств инвесторам (например, 24):`,
+      risk: '⚠️ *Насколько рискован проект?*',
+      deadline: `📅 *До какой даты можно присоединиться?*
+
+Введите дату в формате ДД.ММ.ГГГГ или нажмите «Пропустить», если срока нет:`
+    },
+    card: {
+      untitled: 'Проект без названия',
+      untitledShort: 'Без названия',
+      minTicket: '🎟️ Минимальный чек: {value}',
+      roi: '📈 Ожидаемая доходность: {value}',
+      roiPerYear: '{roi}% годовых',
+      horizon: '⏳ Горизонт: {value}',
+      risk: '⚠️ Риск: {value}',
+      deadline: '📅 Срок: {value}',
+      raised: '💰 Собрано {raised} из {goal}',
+      closed: '🔒 Этот проект закрыт.',
+      from: 'от {value}'
+    },
+    horizon: {
+      months: {
+        one: '{count} месяц',
+        few: '{count} месяца',
+        many: '{count} месяцев',
+        other: '{count} месяца'
+      },
+      years: {
+        one: '{count} год',
+        few: '{count} года',
+        many: '{count} лет',
+        other: '{count} года'
+      }
+    },
+    sort: {
+      roi: '📈 Доходность',
+      ticket: '🎟️ Чек',
+      deadline: '📅 Срок'
+    },
+    buttons: {
+      add: '➕ Опубликовать проект',
+      publish: '🚀 Опубликовать',
+      backToList: '⬅️ К списку',
+      funding: '💰 Обновить сбор',
+      close: '🔒 Закрыть',
+      delete: '🗑️ Удалить',
+      confirmDelete: '🗑️ Да, удалить',
+      keep: '⬅️ Нет'
+    },
+    errors: {
+      nameShort: 'Пожалуйста, введите название проекта не короче 3 символов.',
+      descriptionShort: 'Пожалуйста, введите описание не короче 20 символов.',
+      amountInvalid: 'Пожалуйста, введите корректную сумму числом (например, 250000).',
+      ticketOverGoal: 'Минимальный чек не может превышать цель сбора.',
+      raisedInvalid: 'Пожалуйста, введите уже собранную сумму числом (например, 50000).',
+      raisedOverGoal: 'Собранная сумма не может превышать цель сбора.',
+      roiInvalid: 'Пожалуйста, введите ожидаемую годовую доходность в процентах (например, 18).',
+      horizonInvalid: 'Пожалуйста, введите горизонт целым числом месяцев (например, 24).',
+      riskInvalid: 'Пожалуйста, выберите уровень риска кнопками ниже.',
+      deadlineInvalid: 'Пожалуйста, введите будущую дату в формате ДД.ММ.ГГГГ (например, 31.12.2026).',
+      useReviewButtons: 'Пожалуйста, используйте кнопки ниже, чтобы опубликовать или отменить.',
+      noDraft: 'У вас нет незавершённого проекта.',
+      noDraftStart: 'У вас нет незавершённого проекта. Используйте /addinvestment, чтобы создать его.',
+      noReview: 'У вас нет проекта, готового к проверке.',
+      notSkippable: 'Этот шаг нельзя пропустить.',
+      notFound: 'Проект не найден.',
+      unknownStep: 'Неизвестный шаг',
+      unknownState: 'Неизвестный шаг',
+      invalidTransition: 'Недопустимый переход',
+      startFailed: 'Не удалось начать публикацию',
+      processFailed: 'Не удалось обработать ваш ввод',
+      skipFailed: 'Не удалось пропустить этот шаг',
+      publishFailed: 'Не удалось опубликовать проект',
+      cancelFailed: 'Не удалось отменить',
+      fundingFailed: 'Не удалось обновить сумму сбора',
+      closeFailed: 'Не удалось закрыть проект',
+      deleteFailed: 'Не удалось удалить проект',
+      loadFailed: 'Не удалось загрузить проекты'
+    }
+  },
+
+  market: {
+    empty: `📊 *Рынок*
+
+Пока нет опубликованных объявлений с ценой и площадью. Загляните позже!`,
+    chartCaption: '📊 Медианная цена за м² по районам',
+    median: 'медиана {price}/м²',
+    average: 'в среднем {price}/м²',
+    noTrend: '➖ динамики пока нет',
+    insights: `📊 *Рынок*
+
+Опубликованных объявлений: {total}, новых за последние {days} дн.: {newListings}.
+*В целом:* {overall}
+
+🏘️ *По районам*
+{districts}
+
+🏠 *По типу недвижимости*
+{types}
+
+_Обновлено в {updatedAt} UTC. Динамика сравнивает объявления за последние {days} дн. с предыдущими {days} дн._`
+  },
+
+  time: {
+    justNow: 'Только что'
+  }
+};
@@ -0,0 +1,1280 @@
+/**
+ * Uzbek texts (Latin script)
+ */
+
+module.exports = {
+  common: {
+    error: '❌ Xatolik yuz berdi. Iltimos, qaytadan urinib koʻring.',
+    any: 'Istalgan',
+    cancelled: '✖️ Bekor qilindi.',
+    nothingToCancel: 'Bekor qilinadigan narsa yoʻq.',
+    notProvided: 'Koʻrsatilmagan',
+    notSelected: 'Tanlanmagan',
+    notSet: 'Belgilanmagan',
+    unknown: 'Nomaʼlum',
+    yes: 'Ha',
+    no: 'Yoʻq',
+    buttonClicked: 'Tugma bosildi!',
+    noPreference: 'Farqi yoʻq',
+    userNotFound: 'Foydalanuvchi topilmadi'
+  },
+
+  language: {
+    name: 'Oʻzbekcha',
+    button: '🇺🇿 Oʻzbekcha',
+    prompt: '🌐 *Tilni tanlang*\n\nВыберите язык · Choose your language',
+    label: '🌐 Til',
+    edit: '🌐 Tilni oʻzgartirish',
+    current: '🌐 Joriy til: {language}\n\nSiz bilan qaysi tilda gaplashay?',
+    changed: '✅ Endi men oʻzbek tilida gaplashaman.',
+    invalid: 'Iltimos, quyidagi tillardan birini tanlang.',
+    saveFailed: 'Tilni saqlab boʻlmadi'
+  },
+
+  roles: {
+    buyer: '🏠 Xaridor',
+    investor: '💰 Investor',
+    both: '🔄 Ikkalasi ham',
+    buyerAndInvestor: '🔄 Xaridor va investor'
+  },
+
+  menu: {
+    search: '🔍 Koʻchmas mulk qidirish',
+    investments: '💰 Investitsiyalar',
+    network: '🤝 Tanishuvlar',
+    market: '📊 Bozor',
+    profile: 'ℹ️ Mening profilim',
+    help: '❓ Yordam',
+    startRegistration: '🚀 Roʻyxatdan oʻtish',
+    learnMore: 'ℹ️ Batafsil'
+  },
+
+  start: {
+    welcomeBack: `👋 Xush kelibsiz, {name}!
+
+Siz allaqachon roʻyxatdan oʻtgansiz va {botName}ning barcha imkoniyatlaridan foydalanishingiz mumkin.
+
+Nimalar qila olasiz:
+• Koʻchmas mulk qidirish 🔍
+• Investitsiya imkoniyatlarini topish 💰
+• Boshqa foydalanuvchilar bilan tanishish 🤝
+• Bozor maʼlumotlarini koʻrish 📊
+• Profilingizni boshqarish ℹ️
+
+Quyidagi tugmalardan foydalaning yoki barcha buyruqlarni koʻrish uchun /help ni yozing!`,
+    welcome: `👋 Assalomu alaykum, {name}!
+
+{botName}ga xush kelibsiz! Men koʻchmas mulk boʻyicha yordamchingizman va xaridorlarni investorlar bilan bogʻlayman.
+
+Boshlash uchun qisqa roʻyxatdan oʻting. Sizdan quyidagilarni soʻrayman:
+• Telefon raqamingiz 📱
+• Toʻliq ismingiz 👤
+• Rolingiz (xaridor/investor) 🎯
+
+Shunda sizga mos takliflarni topib, kerakli odamlar bilan tanishtira olaman.
+
+Boshlaymizmi?`,
+    defaultName: 'doʻstim'
+  },
+
+  hello: {
+    0: 'Salom, {name}! 👋',
+    1: 'Assalomu alaykum, {name}! Ishlaringiz qalay? 😊',
+    2: 'Salom, {name}! Sizni koʻrganimdan xursandman! 🎉',
+    3: 'Xush kelibsiz, {name}! 🌟',
+    defaultName: 'doʻstim'
+  },
+
+  help: {
+    text: `🤖 *{botName} yordami*
+
+*Mavjud buyruqlar:*
+/start - Botni ishga tushirish va salomlashish
+/register - Roʻyxatdan oʻtishni boshlash yoki davom ettirish
+/addlisting - Koʻchmas mulk eʼlonini joylash
+/mylistings - Eʼlonlaringizni koʻrish, tahrirlash, sotilgan deb belgilash va oʻchirish
+/search - Filtrlar boʻyicha koʻchmas mulk qidirish
+/mysearches - Saqlangan qidiruvlar va bildirishnomalar
+/investments - Investitsiya takliflari
+/addinvestment - Investitsiya taklifini joylash
+/myinvestments - Takliflaringizni boshqarish
+/network - Tanishish uchun xaridor va investorlarni topish
+/connections - Kontaktlaringiz va soʻrovlaringiz
+/chats - Eʼlonlar boʻyicha anonim suhbatlaringiz
+/closechat - Joriy suhbatni yakunlash
+/market - Tumanlar va mulk turlari boʻyicha m² narxlari
+/favorites - Narx tushganda xabar beriladigan saqlangan eʼlonlar
+/profile - Telefon, ism, rol va afzalliklarni koʻrish va oʻzgartirish
+/language - Bot tilini oʻzgartirish
+/cancel - Roʻyxatdan oʻtishni yoki joriy soʻrovni bekor qilish
+/hello - Doʻstona salom olish
+/help - Ushbu yordamni koʻrsatish
+/info - Siz haqingizdagi maʼlumot
+
+*Roʻyxatdan oʻtish:*
+1. 🌐 Tilni tanlang
+2. 📜 Foydalanish shartlari va maxfiylik siyosatini qabul qiling
+3. 📱 Telefon raqamingizni kiriting
+4. 👤 Toʻliq ismingizni kiriting
+5. 🎯 Rolingizni tanlang (xaridor/investor/ikkalasi ham)
+6. 🧭 Nimani qidirayotganingiz haqida bir nechta ixtiyoriy savollarga javob bering
+7. 📋 Bot imkoniyatlari bilan tanishing
+8. 📝 Maʼlumotlaringizni tekshiring va roʻyxatdan oʻtishni yakunlang
+
+Istalgan qadamda ⬅️ Orqaga yoki ✖️ Bekor qilish tugmasini bosishingiz mumkin.
+
+*Men nimalar qila olaman:*
+• Xaridorlar va investorlarni bogʻlash
+• Koʻchmas mulk va investitsiyalarni qidirish
+• Bozor tahlilini koʻrsatish
+• Foydalanuvchilarni tanishtirish
+• Maʼlumotlaringizni ishonchli saqlash
+
+Menga yozing, albatta javob beraman! 😊`
+  },
+
+  stats: {
+    title: '📊 *Bot statistikasi*',
+    totalUsers: '👥 Jami foydalanuvchilar: {value}',
+    activeUsers: '🟢 Faol foydalanuvchilar: {value}',
+    messages: '💬 Qayta ishlangan xabarlar: {value}',
+    uptime: '⏱️ Ish vaqti: {value} daqiqa',
+    memory: '💾 Xotira: {value} MB',
+    databaseTitle: '🗄️ *Maʼlumotlar bazasi statistikasi*',
+    databaseUsers: '📊 Bazadagi foydalanuvchilar: {value}',
+    databaseActiveUsers: '🟢 Bazadagi faol foydalanuvchilar: {value}',
+    databaseMessages: '💬 Bazadagi xabarlar: {value}',
+    averageMessages: '📈 Bir foydalanuvchiga oʻrtacha xabarlar: {value}'
+  },
+
+  info: {
+    notFound: '❌ Foydalanuvchi maʼlumoti topilmadi.',
+    title: 'ℹ️ *Siz haqingizda*',
+    id: '🆔 ID: {value}',
+    name: '👤 Ism: {value}',
+    username: '🏷️ Foydalanuvchi nomi: {value}',
+    language: '🌍 Til: {value}',
+    isBot: '🤖 Bot: {value}',
+    firstSeen: '📅 Birinchi tashrif: {value}',
+    lastSeen: '👀 Oxirgi tashrif: {value}',
+    messages: '💬 Xabarlar: {value}',
+    phone: '📱 Telefon: {value}',
+    fullName: '👤 Toʻliq ism: {value}',
+    role: '🎯 Rol: {value}',
+    registered: '✅ Roʻyxatdan oʻtish: yakunlangan',
+    notRegistered: '⚠️ Roʻyxatdan oʻtish: yakunlanmagan'
+  },
+
+  misc: {
+    photo: '📸 Eʼlonga rasm qoʻshish uchun uni /addlisting orqali yarating yoki /mylistings da eʼlonni tahrirlashda «📸 Rasmlar» ni tanlang.',
+    sticker: '😄 Zoʻr stiker!',
+    reply: {
+      0: 'Xabaringiz uchun rahmat, {name}! 😊',
+      1: 'Tushundim, {name}! Yana qanday yordam bera olaman? 🤔',
+      2: 'Qabul qilindi, {name}! Barcha buyruqlarni koʻrish uchun /help ni yozing! 💡',
+      3: 'Xabaringiz qabul qilindi, {name}! Rahmat! 🙏'
+    }
+  },
+
+  wizard: {
+    back: '⬅️ Orqaga',
+    cancel: '✖️ Bekor qilish',
+    done: '✔️ Tayyor',
+    skip: '⏭️ Oʻtkazib yuborish',
+    confirm: '✅ Tasdiqlash',
+    saved: '✅ Saqlandi.',
+    shareContact: '📱 Kontaktni yuborish',
+    shareLocation: '📍 Joylashuvni yuborish',
+    notApplicable: '—',
+    busy: 'Avval joriy amalni yakunlang yoki /cancel bilan bekor qiling.',
+    startFailed: 'Boshlab boʻlmadi. Iltimos, qaytadan urinib koʻring.',
+    inactive: 'Bu shakl endi faol emas.',
+    expired: '⌛ Shaklning muddati tugadi. Iltimos, qaytadan boshlang.',
+    useSummaryButtons: 'Javobni oʻzgartirish yoki tasdiqlash uchun yuqoridagi tugmalardan foydalaning.',
+    buttonInactive: '❌ Bu tugma endi faol emas.',
+    chooseOne: '❌ Kamida bitta variantni tanlang.',
+    firstStep: '❌ Siz allaqachon birinchi qadamdasiz.',
+    cantEdit: '❌ Bu javobni oʻzgartirib boʻlmaydi.',
+    hints: {
+      buttons: 'Iltimos, quyidagi tugmalardan foydalaning.',
+      send: 'Iltimos, {items} yuboring.',
+      or: ' yoki ',
+      text: 'matnli xabar',
+      contact: 'kontaktingizni',
+      photo: 'rasm',
+      location: 'joylashuvni'
+    }
+  },
+
+  registration: {
+    cancelled: '✖️ Roʻyxatdan oʻtish bekor qilindi. Istalgan vaqtda /register bilan qaytadan boshlashingiz mumkin.',
+    expired: '⌛ Roʻyxatdan oʻtish vaqti tugadi. Qaytadan boshlash uchun /register dan foydalaning.',
+    alreadyRegistered: '✅ Siz allaqachon roʻyxatdan oʻtgansiz. Maʼlumotlaringizni /profile da oʻzgartirishingiz mumkin.',
+    failed: 'Roʻyxatdan oʻtishni yakunlab boʻlmadi',
+    phoneTaken: 'Bu raqam boshqa akkauntga roʻyxatdan oʻtkazilgan. Boshqa raqam kiritish uchun «📱 Telefonni oʻzgartirish» tugmasini bosing.',
+    phone: {
+      prompt: `📱 *Sochma Botga xush kelibsiz!*
+
+Boshlash uchun siz haqingizda biroz maʼlumot kerak. Telefon raqamingizdan boshlaymiz.
+
+Quyidagi *📱 Raqamimni yuborish* tugmasini bosing yoki raqamingizni kiriting (masalan, 90 123 45 67 yoki +998901234567):`,
+      button: '📱 Raqamimni yuborish',
+      label: '📱 Telefon',
+      edit: '📱 Telefonni oʻzgartirish',
+      saved: '✅ Telefon raqami saqlandi.'
+    },
+    code: {
+      prompt: `🔐 *Telefon raqamingizni tasdiqlang*
+
+{phone} raqamiga {length} xonali kodni SMS orqali yubordim. Uni shu yerga kiriting:`,
+      resend: '🔁 Kodni qayta yuborish',
+      resent: '📨 Yangi kod yuborildi. Uni shu yerga kiriting:',
+      typeCode: 'Iltimos, olgan kodingizni kiriting.'
+    },
+    name: {
+      prompt: `👤 *Ajoyib! Endi ismingiz.*
+
+Iltimos, toʻliq ismingizni kiriting:`,
+      label: '👤 Ism',
+      edit: '👤 Ismni oʻzgartirish',
+      invalid: 'Iltimos, toʻgʻri toʻliq ism kiriting (kamida 2 ta belgi)'
+    },
+    role: {
+      prompt: `🎯 *Aʼlo! Endi rolingizni aniqlaymiz.*
+
+Siz asosan kimsiz:
+• **Xaridor** - sotib olish uchun koʻchmas mulk qidiryapsiz
+• **Investor** - koʻchmas mulkka sarmoya kiritmoqchisiz
+• **Ikkalasi ham** - ham sotib olasiz, ham sarmoya kiritasiz`,
+      label: '🎯 Rol',
+      edit: '🎯 Rolni oʻzgartirish',
+      invalid: 'Notoʻgʻri rol tanlandi'
+    },
+    agenda: {
+      prompt: `📋 *Bot imkoniyatlari*
+
+**Sochma Bot** koʻchmas mulk bozorida xaridorlar va investorlarni bogʻlaydi. Men quyidagilarda yordam beraman:
+
+🏠 **Koʻchmas mulk qidirish**: talablaringizga mos obyektlar
+💰 **Investitsiya imkoniyatlari**: foydali sarmoya variantlari
+🤝 **Tanishuvlar**: boshqa xaridor va investorlar bilan bogʻlanish
+📊 **Bozor tahlili**: soʻnggi tendensiyalar va maʼlumotlar
+💬 **Toʻgʻridan-toʻgʻri muloqot**: egalar va investorlar bilan yozishish
+🔔 **Bildirishnomalar**: yangi takliflar haqida xabarlar
+
+Roʻyxatdan oʻtishni yakunlashga tayyormisiz?`,
+      continue: '➡️ Davom etish'
+    },
+    summary: {
+      title: '📝 *Maʼlumotlaringizni tekshiring*',
+      footer: 'Oʻzgartirish uchun maydonni bosing yoki roʻyxatdan oʻtishni yakunlang.',
+      complete: '✅ Roʻyxatdan oʻtishni yakunlash'
+    },
+    completed: `✅ *Roʻyxatdan oʻtish yakunlandi!*
+
+Sochmaga xush kelibsiz, {name}!
+
+Maʼlumotlaringiz:
+📱 Telefon: {phone}
+👤 Ism: {name}
+🎯 Rol: {role}
+
+Endi botning barcha imkoniyatlaridan foydalanishingiz mumkin. Buyruqlar roʻyxatini koʻrish uchun /help ni yozing.`,
+    welcome: `🎉 *Sochmaga xush kelibsiz, {name}!*
+
+Hammasi tayyor, koʻchmas mulk bozorini oʻrganishingiz mumkin. Nimalar qila olasiz:
+
+🔍 **Koʻchmas mulk qidirish** - talablaringizga mos obyektlar
+💰 **Investitsiya imkoniyatlari** - foydali sarmoyalar
+🤝 **Tanishuvlar** - xaridor va investorlar bilan muloqot
+📊 **Bozor tahlili** - soʻnggi bozor maʼlumotlari
+💬 **Shaxsiy xabarlar** - egalar va investorlar bilan yozishish
+
+Quyidagi tugmalardan foydalaning yoki barcha buyruqlarni koʻrish uchun /help ni yozing.`
+  },
+
+  reminders: {
+    text: `👋 *Oz qoldi!*
+
+Siz roʻyxatdan oʻtishni yakunlamadingiz. Toʻxtagan joyingizdan davom etish uchun quyidagi tugmani bosing.`,
+    restartText: `👋 *Oz qoldi!*
+
+Siz roʻyxatdan oʻtishni boshlagansiz, lekin yakunlamagansiz va javoblaringiz eskirdi. Qaytadan boshlash uchun quyidagi tugmani bosing — bu bir daqiqa vaqt oladi.`,
+    lastChance: 'Bu oxirgi eslatma.',
+    continue: '▶️ Roʻyxatdan oʻtishni davom ettirish'
+  },
+
+  admin: {
+    notAllowed: '🔒 Kechirasiz, bu faqat administratorlar uchun.',
+    back: '⬅️ Administrator paneli',
+    panel: {
+      title: '🛠 *Administrator paneli*',
+      intro: 'Nimani koʻrmoqchisiz?',
+      find: '🔍 Foydalanuvchini topish',
+      recent: '🆕 Yangi roʻyxatdan oʻtganlar',
+      pending: '⏳ Qaror kutayotganlar',
+      status: '🖥 Tizim holati',
+      broadcast: '📣 Xabar tarqatish',
+      funnel: '📈 Roʻyxatdan oʻtish voronkasi'
+    },
+    findPrompt: '🔍 Telegram ID, @username, telefon raqami yoki ismning bir qismini yuboring:',
+    notFound: '“{query}” boʻyicha hech kim topilmadi. Boshqa soʻrovni yuboring:',
+    results: '🔍 *{count} ta foydalanuvchi topildi.* Birini tanlang:',
+    recentTitle: '🆕 *Yangi roʻyxatdan oʻtganlar*',
+    recentEmpty: 'Hozircha hech kim roʻyxatdan oʻtishni yakunlamagan.',
+    pendingTitle: '⏳ *Qaror kutayotganlar*',
+    pendingRegistrations: '📝 Koʻrib chiqilishi kutilayotgan arizalar: {count}',
+    pendingConnections: '🤝 Javobsiz tanishuv soʻrovlari: {count}',
+    pendingEmpty: 'Koʻrib chiqilishi kutilayotgan arizalar yoʻq.',
+    status: {
+      title: '🖥 *Tizim holati*',
+      cachedUsers: '👥 Xotiradagi foydalanuvchilar: {value}',
+      database: '🗄 Maʼlumotlar bazasi: {value}',
+      connected: 'ulangan',
+      disconnected: 'ulanmagan',
+      registeredUsers: '✅ Roʻyxatdan oʻtgan foydalanuvchilar: {value}',
+      wizards: '🧭 Yakunlanmagan jarayonlar: {value}',
+      terms: '📜 Shartlar versiyasi: {value}',
+      approval: '📝 Arizalarni tasdiqlash: {value}',
+      verification: '🔐 Telefonni tasdiqlash: {value}',
+      on: 'yoqilgan',
+      off: 'oʻchirilgan',
+      refresh: '🔄 Yangilash'
+    },
+    user: {
+      title: '👤 *{name}*',
+      id: '🆔 ID: {value}',
+      username: '🏷️ Foydalanuvchi nomi: {value}',
+      phone: '📱 Telefon: {value}',
+      role: '🎯 Rol: {value}',
+      state: '📌 Roʻyxatdan oʻtish: {value}',
+      registered: '📅 Roʻyxatdan oʻtgan: {value}',
+      lastSeen: '👀 Oxirgi faollik: {value}',
+      messages: '💬 Xabarlar: {value}',
+      terms: '📜 Qabul qilingan shartlar versiyasi: {value}',
+      reachability: '📶 Holat: {value}',
+      active: 'faol',
+      inactive: 'botni bloklagan',
+      blocked: 'bloklangan',
+      admin: '🛠 Administrator: {value}',
+      configuredAdmin: 'ha, barcha huquqlar (sozlamalardan)',
+      rejectionReason: '❌ Oxirgi rad etish: {value}',
+      makeAdmin: '🛠 Administrator qilish',
+      removeAdmin: '🚫 Administratorlikdan olish',
+      adminGranted: '{name} endi administrator.',
+      adminRevoked: '{name} endi administrator emas.',
+      cannotChangeSelf: 'Oʻz administrator huquqlaringizni oʻzgartira olmaysiz.',
+      cannotChangeConfigured: 'ADMIN_IDS roʻyxatidagi administratorlarni faqat sozlamalarda oʻzgartirish mumkin.',
+      updateFailed: 'Administrator huquqlarini oʻzgartirib boʻlmadi',
+      banned: '🚫 Bloklangan {end}: {reason}',
+      muted: '🔇 Cheklangan {end}: {reason}',
+      until: '{date} gacha',
+      permanently: 'muddatsiz',
+      history: '📜 Moderatsiya tarixi',
+      unban: '✅ Cheklovlarni olib tashlash'
+    },
+    states: {
+      not_started: 'boshlanmagan',
+      phone_entered: 'telefon kiritilgan',
+      name_entered: 'ism kiritilgan',
+      role_selected: 'rol tanlangan',
+      agenda_viewed: 'imkoniyatlar koʻrilgan',
+      pending_review: 'koʻrib chiqilmoqda',
+      completed: 'yakunlangan'
+    },
+    funnel: {
+      title: '📈 *Roʻyxatdan oʻtish voronkasi*',
+      byRoleTitle: '📈 *Roʻyxatdan oʻtish voronkasi: rollar boʻyicha*',
+      byLanguageTitle: '📈 *Roʻyxatdan oʻtish voronkasi: tillar boʻyicha*',
+      period: 'Oxirgi {days} kun',
+      stage: '• {stage}: *{users}*',
+      conversion: ' ({value})',
+      median: ' · ⏱ {value}',
+      overall: '✅ Yakunladi: boshlaganlarning {value}',
+      dropOff: '📉 Eng koʻp tark etilgan bosqich: {stage} ({conversion} yetib keldi)',
+      rejected: '❌ Tekshiruvda rad etildi: {value}',
+      empty: 'Bu davrda hech kim roʻyxatdan oʻtishni boshlamagan.',
+      unavailable: 'Voronka tahlili uchun maʼlumotlar bazasi kerak, u esa ulanmagan.',
+      group: '*{label}*: {started} boshladi, {completed} yakunladi ({conversion})',
+      unknown: 'tanlanmagan',
+      days: '{days} kun',
+      overview: '📈 Umumiy',
+      byRole: '🎯 Rollar boʻyicha',
+      byLanguage: '🌐 Tillar boʻyicha'
+    },
+    moderation: {
+      title: '📜 *Moderatsiya tarixi: {name}*',
+      empty: 'Hali moderatsiya amallari boʻlmagan.',
+      entry: '• {date}: {action}',
+      actions: {
+        ban: '🚫 bloklandi',
+        mute: '🔇 cheklandi',
+        unban: '✅ blok olib tashlandi',
+        unmute: '🔊 cheklov olib tashlandi'
+      },
+      until: ' ({date} gacha)',
+      by: ', administrator {admin}',
+      expired: ' (muddati tugadi)',
+      reason: ': {reason}',
+      hint: 'Bloklash yoki cheklash: `/ban {id} [muddat] sabab` yoki `/mute {id} [muddat] sabab`, masalan `/ban {id} 7d spam`. Hammasini olib tashlash: `/unban {id}`.',
+      backToUser: '⬅️ Foydalanuvchiga qaytish'
+    }
+  },
+
+  broadcast: {
+    messagePrompt: '📣 *Yangi xabar tarqatish*\n\nTarqatiladigan xabarni yuboring: matn yoki izohli rasm. Formatlash saqlanadi.',
+    buttonPrompt: '🔗 Xabar ostiga havola tugmasini qoʻshasizmi? Uni `Tugma matni | https://havola` koʻrinishida yuboring yoki “Tugmasiz” ni bosing.',
+    noButton: '➡️ Tugmasiz',
+    invalidButton: 'Tugmani “Tugma matni | https://havola” koʻrinishida yuboring, matn {max} belgidan oshmasin.',
+    cancel: '✖️ Tarqatishni bekor qilish',
+    cancelled: '✖️ Xabar tarqatish bekor qilindi.',
+    expired: 'Bu qoralama eskirgan. /broadcast bilan qaytadan boshlang.',
+    segment: {
+      title: '🎯 *Qabul qiluvchilar*',
+      intro: 'Oʻzgartirish uchun filtrni bosing.',
+      count: '👥 Qabul qiluvchilar: *{count}*',
+      role: '🎯 Rol: {value}',
+      language: '🌐 Til: {value}',
+      status: '📝 Roʻyxatdan oʻtish: {value}',
+      lastSeen: '👀 Oxirgi faollik: {value}',
+      everyone: 'hammasi',
+      registered: 'yakunlangan',
+      unregistered: 'yakunlanmagan',
+      lastSeenWithin: 'soʻnggi {days} kunda',
+      anyTime: 'istalgan vaqt',
+      roles: {
+        buyer: 'xaridorlar',
+        investor: 'investorlar'
+      }
+    },
+    preview: '👀 Oldindan koʻrish',
+    previewTitle: '👀 *Oldindan koʻrish:*',
+    confirm: '📣 *Bu xabar {count} ta foydalanuvchiga yuborilsinmi?*',
+    send: '✅ Yuborish ({count})',
+    changeAudience: '🎯 Qabul qiluvchilarni oʻzgartirish',
+    started: '🚀 {count} ta foydalanuvchiga yuborilmoqda. Tugagach natijasini xabar qilaman.',
+    stop: '⏹ Toʻxtatish',
+    stopped: '⏹ Xabar tarqatish toʻxtatildi.\n\n✅ Yuborildi: {sent}\n❌ Xatolar: {failed}\n🚫 Botni bloklaganlar: {blocked}\n👥 Qabul qiluvchilar: {total}',
+    report: '📣 Xabar tarqatish yakunlandi.\n\n✅ Yuborildi: {sent}\n❌ Xatolar: {failed}\n🚫 Botni bloklaganlar: {blocked}\n👥 Qabul qiluvchilar: {total}',
+    alreadyFinished: 'Bu xabar tarqatish allaqachon yakunlangan.',
+    noRecipients: 'Bu filtrlarga hech kim mos kelmaydi.',
+    failed: 'Xabarni tarqatib boʻlmadi'
+  },
+
+  moderation: {
+    usage: 'Foydalanish: /ban <ID yoki @username> [muddat] <sabab>, masalan /ban @john 7d spam. Muddat daqiqa (m), soat (h), kun (d) yoki haftada (w) beriladi; muddatsiz blok doimiy boʻladi. /mute ham xuddi shunday ishlaydi, manfiy ID esa guruh chatini bloklaydi.',
+    unbanUsage: 'Foydalanish: /unban <ID yoki @username>',
+    reasonInvalid: 'Iltimos, {max} belgigacha boʻlgan sababni yozing, masalan /ban @john 7d spam.',
+    notFound: '"{target}" boʻyicha foydalanuvchi yoki chat topilmadi.',
+    chatMute: 'Chatlarni faqat bloklash mumkin, cheklab boʻlmaydi.',
+    cannotRestrictAdmin: 'Administratorlarni bloklab yoki cheklab boʻlmaydi. Avval ularning administrator huquqlarini olib tashlang.',
+    unavailable: 'Moderatsiya uchun maʼlumotlar bazasi kerak, u esa ulanmagan.',
+    failed: 'Blokni oʻzgartirib boʻlmadi',
+    banTemporary: '🚫 {target} {until} gacha bloklandi.\nSabab: {reason}',
+    banPermanent: '🚫 {target} muddatsiz bloklandi.\nSabab: {reason}',
+    muteTemporary: '🔇 {target} {until} gacha cheklandi.\nSabab: {reason}',
+    mutePermanent: '🔇 {target} muddatsiz cheklandi.\nSabab: {reason}',
+    lifted: '✅ {target} yana botdan toʻliq foydalana oladi.',
+    notRestricted: '{target} bloklanmagan va cheklanmagan.',
+    mutedRefusal: '🔇 Hisobingiz cheklangan: hozir boshqa foydalanuvchilar bilan bogʻlana olmaysiz va eʼlon joylay olmaysiz.',
+    notice: {
+      ban: '🚫 Botdan foydalanishingiz {end} toʻxtatildi.\n\nSabab: {reason}',
+      mute: '🔇 Hisobingiz {end} cheklandi. Botdan foydalanishingiz mumkin, lekin boshqa foydalanuvchilar bilan bogʻlana olmaysiz va eʼlon joylay olmaysiz.\n\nSabab: {reason}',
+      lifted: '✅ Cheklovlar olib tashlandi. Xush kelibsiz!',
+      until: '{date} gacha',
+      permanent: 'muddatsiz'
+    }
+  },
+
+  reports: {
+    titles: {
+      daily: '📊 *Kunlik hisobot*',
+      weekly: '📊 *Haftalik hisobot*'
+    },
+    period: '{from} – {to}',
+    newUsers: '👤 Yangi foydalanuvchilar: *{value}*{change}',
+    newRegistrations: '✅ Yakunlangan roʻyxatdan oʻtishlar: *{value}*{change}',
+    activeUsers: '🟢 Faol foydalanuvchilar: *{value}*{change}',
+    messages: '💬 Qayta ishlangan xabarlar: *{value}*{change}',
+    newListings: '🏠 Yangi eʼlonlar: *{value}*{change}',
+    topDistricts: '🏙 Eng koʻp yangi eʼlon berilgan tumanlar:',
+    district: '{position}. {district}: {value}{change}',
+    noListings: '🏙 Yangi eʼlonlar boʻlmadi.',
+    change: ' ({change}, avval {previous})',
+    unchanged: ' (oʻzgarishsiz)',
+    unknown: '–'
+  },
+
+  terms: {
+    text: `📜 *Foydalanish shartlari va maxfiylik siyosati* ({version}-versiya)
+
+Sizni boshqa aʼzolar bilan bogʻlash uchun Sochma telefon raqamingiz, ismingiz, rolingiz, tilingiz va savollarga javoblaringizni, shuningdek siz yaratgan eʼlonlar, qidiruvlar va xabarlarni saqlaydi. Telefon raqamingiz faqat siz bogʻlanishga rozi boʻlgan aʼzolarga koʻrsatiladi. Maʼlumotlaringizni istalgan vaqtda /profile orqali oʻzgartirishingiz va hisobingizni oʻchirishni soʻrashingiz mumkin.
+
+Foydalanish shartlari va maxfiylik siyosatini qabul qilasizmi?`,
+    link: '📄 Toʻliq matn: {url}',
+    accept: '✅ Qabul qilaman',
+    decline: '❌ Rad etaman',
+    updated: '📢 *Shartlarimiz yangilandi.* Botdan foydalanishni davom ettirish uchun ular bilan tanishib, qabul qiling.',
+    accepted: '✅ Rahmat! Siz shartlarning {version}-versiyasini qabul qildingiz. Asosiy menyuni ochish uchun /start buyrugʻidan foydalaning.',
+    declined: '⚠️ Shartlarni qabul qilmasdan botdan foydalanib boʻlmaydi. /start va /help buyruqlari ishlayveradi, shartlarni esa istalgan vaqtda qabul qilishingiz mumkin.',
+    declinedRegistration: '⚠️ Roʻyxatdan oʻtish uchun shartlarni qabul qilishingiz kerak. Davom etish uchun *✅ Qabul qilaman* ni, toʻxtatish uchun *✖️ Bekor qilish* ni bosing.',
+    saveFailed: 'Roziligingizni saqlab boʻlmadi. Qaytadan urinib koʻring.',
+    published: '📜 Shartlarning {version}-versiyasi eʼlon qilindi. Aʼzolar botdan foydalanishni davom ettirishdan oldin uni qabul qilishlari kerak boʻladi.',
+    publishFailed: 'Shartlarning yangi versiyasini eʼlon qilib boʻlmadi',
+    invalidUrl: 'http:// yoki https:// bilan boshlanadigan havolani kiriting'
+  },
+
+  review: {
+    submitted: `📨 *Rahmat, {name}!*
+
+Roʻyxatdan oʻtish arizangiz koʻrib chiqishga yuborildi. U tasdiqlanishi bilan sizga xabar beraman.`,
+    stillPending: '⏳ Roʻyxatdan oʻtish arizangiz koʻrib chiqilmoqda. Qaror qabul qilinishi bilan sizga xabar beraman.',
+    approved: '🎉 Roʻyxatdan oʻtishingiz tasdiqlandi, Sochmaga xush kelibsiz! Asosiy menyuni ochish uchun /start buyrugʻidan foydalaning.',
+    rejected: `❌ Roʻyxatdan oʻtishingiz tasdiqlanmadi.
+
+Sabab: {reason}
+
+/register buyrugʻi bilan qaytadan roʻyxatdan oʻtishingiz mumkin.`,
+    notPending: 'Bu ariza endi koʻrib chiqilishini kutmayapti.',
+    failed: 'Ariza boʻyicha qarorni saqlab boʻlmadi',
+    reasonPrompt: '✏️ {name} arizasini rad etish sababini javob sifatida yozing:',
+    reasonInvalid: 'Iltimos, sababni kiriting ({max} belgigacha).',
+    approvedAdmin: '✅ Tasdiqlandi',
+    rejectedAdmin: '❌ Rad etildi. Foydalanuvchiga xabar yuborildi.',
+    card: {
+      title: '🆕 *Koʻrib chiqish uchun yangi ariza*',
+      name: '👤 Ism: {value}',
+      phone: '📱 Telefon: {value}',
+      verified: 'tasdiqlangan',
+      duplicate: '⚠️ {id} hisobida ham ishlatilgan',
+      role: '🎯 Rol: {value}',
+      account: '🆔 Telegram: {id} ({username})',
+      language: '🌐 Til: {value}',
+      submitted: '📅 Yuborilgan: {date}',
+      preferences: '⚙️ *Afzalliklar*',
+      approve: '✅ Tasdiqlash',
+      reject: '❌ Rad etish',
+      approvedBy: '✅ Tasdiqladi: {admin}',
+      rejectedBy: `❌ Rad etdi: {admin}
+Sabab: {reason}`
+    }
+  },
+
+  phone: {
+    invalid: 'Telefon raqami formati notoʻgʻri. Iltimos, toʻgʻri raqam kiriting (masalan, +998901234567)',
+    countryLength: '+{code} ({country}) raqamlarida koddan keyin {lengths} ta raqam boʻladi. Iltimos, raqamni tekshiring.',
+    ownContact: 'Iltimos, quyidagi tugma orqali oʻz kontaktingizni yuboring yoki raqamingizni kiriting.',
+    taken: 'Bu raqam boshqa akkauntga roʻyxatdan oʻtkazilgan. Iltimos, boshqa raqam kiriting.'
+  },
+
+  verification: {
+    sms: '{botName} tasdiqlash kodingiz: {code}. U {minutes} daqiqa amal qiladi.',
+    wait: 'Yangi kod soʻrashdan oldin {seconds} soniya kuting.',
+    tooManyCodes: 'Juda koʻp kod soʻraldi. {minutes} daqiqadan keyin qayta urinib koʻring.',
+    smsFailed: 'SMS yuborib boʻlmadi. Iltimos, keyinroq urinib koʻring.',
+    sendFailed: 'Tasdiqlash kodini yuborib boʻlmadi',
+    expired: 'Kodning muddati tugadi. Yangisini olish uchun «🔁 Kodni qayta yuborish» tugmasini bosing.',
+    tooManyWrong: 'Notoʻgʻri urinishlar juda koʻp. Yangi kod olish uchun «🔁 Kodni qayta yuborish» tugmasini bosing.',
+    wrong: 'Kod notoʻgʻri. Qolgan urinishlar: {remaining}.',
+    checkFailed: 'Kodni tekshirib boʻlmadi'
+  },
+
+  price: {
+    under: '{max} gacha',
+    from: '{min} dan',
+    between: '{min} - {max}'
+  },
+
+  listingTypes: {
+    apartment: '🏢 Kvartira',
+    house: '🏡 Hovli',
+    commercial: '🏬 Tijorat',
+    land: '🌳 Yer uchastkasi'
+  },
+
+  risk: {
+    low: '🟢 Past',
+    medium: '🟡 Oʻrtacha',
+    high: '🔴 Yuqori'
+  },
+
+  preferences: {
+    cancelled: '✖️ Afzalliklaringiz oʻzgartirilmadi.',
+    expired: '⌛ Afzalliklarni tahrirlash vaqti tugadi. Qaytadan boshlash uchun /profile ni oching.',
+    saved: '✅ Afzalliklaringiz saqlandi.',
+    saveFailed: 'Afzalliklaringizni saqlab boʻlmadi',
+    invalid: 'Notoʻgʻri tanlov',
+    summary: {
+      title: '🎯 *Afzalliklaringiz*',
+      footer: 'Oʻzgartirish uchun javobni bosing, soʻng saqlang.',
+      save: '💾 Saqlash'
+    },
+    budget: {
+      prompt: `🏠 *Xaridorlar uchun bir nechta savol*
+
+Byudjetingiz qancha?`,
+      label: '💵 Byudjet',
+      edit: '💵 Byudjetni oʻzgartirish'
+    },
+    districts: {
+      prompt: '📍 Qaysi tumanlar sizga maqul? Moslarini belgilang va *✔️ Tayyor* ni bosing.',
+      label: '📍 Tumanlar',
+      edit: '📍 Tumanlarni oʻzgartirish'
+    },
+    rooms: {
+      prompt: '🛏 Sizga nechta xona kerak?',
+      label: '🛏 Xonalar',
+      edit: '🛏 Xonalarni oʻzgartirish'
+    },
+    purpose: {
+      prompt: '🎯 Nima maqsadda sotib olyapsiz?',
+      label: '🎯 Maqsad',
+      edit: '🎯 Maqsadni oʻzgartirish',
+      living: '🏡 Yashash uchun',
+      rental: '🔑 Ijaraga berish uchun',
+      resale: '📈 Qayta sotish uchun'
+    },
+    ticket: {
+      prompt: `💰 *Investorlar uchun bir nechta savol*
+
+Bitta bitimga qancha sarmoya kiritishga tayyorsiz?`,
+      label: '💼 Sarmoya miqdori',
+      edit: '💼 Miqdorni oʻzgartirish'
+    },
+    horizon: {
+      prompt: '⏳ Pulingizni qancha muddatga sarmoya qilishga tayyorsiz?',
+      label: '⏳ Muddat',
+      edit: '⏳ Muddatni oʻzgartirish',
+      short: '⏱ 1 yilgacha',
+      medium: '📅 1-3 yil',
+      long: '🗓 3 yildan ortiq'
+    },
+    risk: {
+      prompt: '⚠️ Qanday darajadagi xavf sizga maqul?',
+      label: '⚠️ Xavfga munosabat',
+      edit: '⚠️ Xavfni oʻzgartirish'
+    },
+    assets: {
+      prompt: '🏗 Qanday koʻchmas mulkka sarmoya kiritasiz? Moslarini belgilang va *✔️ Tayyor* ni bosing.',
+      label: '🏗 Mulk turlari',
+      edit: '🏗 Turlarni oʻzgartirish'
+    }
+  },
+
+  profile: {
+    title: '👤 *Mening profilim*',
+    phone: '📱 Telefon: {value}',
+    fullName: '👤 Toʻliq ism: {value}',
+    role: '🎯 Rol: {value}',
+    language: '🌐 Til: {value}',
+    preferences: '🎯 *Afzalliklar*',
+    preferencesNotSet: '🎯 Afzalliklar: belgilanmagan',
+    lastUpdated: '🕓 Yangilangan: {date}',
+    editPhone: '📱 Telefonni oʻzgartirish',
+    editName: '👤 Ismni oʻzgartirish',
+    changeRole: '🎯 Rolni oʻzgartirish',
+    editPreferences: '🧭 Afzalliklar',
+    changeLanguage: '🌐 Til',
+    back: '◀️ Orqaga',
+    chooseRole: '🎯 *Yangi rolni tanlang:*',
+    promptPhone: '📱 Yangi telefon raqamingizni yuboring (masalan, 90 123 45 67 yoki +998901234567):',
+    promptName: '👤 Yangi toʻliq ismingizni yuboring:',
+    notRegistered: '⚠️ Avval roʻyxatdan oʻting. Boshlash uchun /register dan foydalaning.',
+    notRegisteredError: 'Avval roʻyxatdan oʻting. Boshlash uchun /register dan foydalaning.',
+    unknownAction: '❌ Nomaʼlum profil amali.',
+    notEditable: 'Bu maydonni oʻzgartirib boʻlmaydi.',
+    updateFailed: 'Profilni yangilab boʻlmadi',
+    unchanged: {
+      phone: 'Telefon raqamingiz oʻzgarmadi.',
+      name: 'Toʻliq ismingiz oʻzgarmadi.',
+      role: 'Rolingiz oʻzgarmadi.'
+    },
+    updated: {
+      phone: '✅ Telefon raqamingiz yangilandi.',
+      name: '✅ Toʻliq ismingiz yangilandi.',
+      role: '✅ Rolingiz yangilandi.'
+    }
+  },
+
+  listing: {
+    continuing: '↩️ Avval boshlagan eʼloningizni davom ettiramiz.',
+    empty: `🏠 Sizda hali eʼlonlar yoʻq.
+
+Birinchisini yaratish uchun /addlisting dan foydalaning.`,
+    mine: `🏠 *Mening eʼlonlarim* ({count})
+
+Koʻrish, tahrirlash yoki oʻchirish uchun eʼlonni bosing.`,
+    review: `👀 *Eʼloningizni tekshiring*
+
+{card}
+
+Hozir eʼlon qilasizmi yoki qoralama sifatida saqlaysizmi?`,
+    publishedWizard: `✅ *Eʼloningiz joylandi!*
+
+Uni istalgan vaqtda /mylistings orqali boshqarishingiz mumkin.`,
+    draftSaved: `💾 *Qoralama saqlandi.*
+
+Uni keyinroq /mylistings orqali tahrirlab, eʼlon qilishingiz mumkin.`,
+    published: '✅ Eʼloningiz joylandi!',
+    creationCancelled: '🗑️ Eʼlon yaratish bekor qilindi.',
+    updated: '✅ Eʼlon yangilandi.',
+    photosSaved: '✅ Rasmlar saqlandi.',
+    editCancelled: 'Tahrirlash bekor qilindi.',
+    sold: '🤝 Tabriklaymiz! Eʼlon sotilgan deb belgilandi.',
+    deleted: '🗑️ Eʼlon oʻchirildi.',
+    confirmDelete: '⚠️ Haqiqatan ham bu eʼlonni oʻchirmoqchimisiz?',
+    photosAdded: '📸 Qoʻshilgan rasmlar: {count} ({max} tadan {total} ta).',
+    photosSkipped: 'Oʻtkazib yuborildi: {count} (takroriy yoki limitdan ortiq).',
+    sendMorePhotos: 'Yana yuboring yoki «Tayyor» tugmasini bosing.',
+    photoCaption: '{number}-rasm',
+    unknownAction: '❌ Eʼlon uchun nomaʼlum amal.',
+    steps: {
+      type: `🏠 *Yangi eʼlon*
+
+Qanday turdagi koʻchmas mulkni joylayapsiz?`,
+      district: `📍 *Mulk qaysi tumanda joylashgan?*
+
+Quyidan tumanni tanlang:`,
+      price: `💵 *Narxi qancha?*
+
+Narxni {currency} da kiriting (masalan, 85000):`,
+      area: `📐 *Umumiy maydoni qancha?*
+
+Maydonni kvadrat metrda kiriting (masalan, 72.5):`,
+      rooms: `🚪 *Nechta xonasi bor?*
+
+Xonalar sonini kiriting yoki «Oʻtkazib yuborish» tugmasini bosing:`,
+      floor: `🏢 *Nechanchi qavatda?*
+
+Qavat raqamini kiriting yoki «Oʻtkazib yuborish» tugmasini bosing:`,
+      description: `📝 *Mulkni tasvirlab bering*
+
+Holati, taʼmiri, yaqin atrofdagi moʻljallar — xaridor bilishi kerak boʻlgan hamma narsa (10–1000 belgi):`,
+      photos: `📸 *Rasmlar qoʻshing*
+
+Mulkning {max} tagacha rasmini yuboring, soʻng «Tayyor» tugmasini bosing. Bu bosqichni oʻtkazib yuborish ham mumkin.`
+    },
+    edit: {
+      title: '✏️ *Eʼlonni tahrirlash*',
+      type: 'Yangi mulk turini tanlang:',
+      district: 'Yangi tumanni tanlang:',
+      price: 'Yangi narxni {currency} da kiriting:',
+      area: 'Yangi maydonni kvadrat metrda kiriting:',
+      rooms: 'Yangi xonalar sonini kiriting:',
+      floor: 'Yangi qavat raqamini kiriting:',
+      description: 'Yangi tavsifni kiriting (10–1000 belgi):',
+      value: 'Yangi qiymatni kiriting:'
+    },
+    editMenu: {
+      title: '✏️ *Nimani oʻzgartirmoqchisiz?*',
+      type: '🏠 Turi',
+      district: '📍 Tuman',
+      price: '💵 Narx',
+      area: '📐 Maydon',
+      rooms: '🚪 Xonalar',
+      floor: '🏢 Qavat',
+      description: '📝 Tavsif',
+      photos: '📸 Rasmlar'
+    },
+    fields: {
+      type: 'turi',
+      district: 'tuman',
+      price: 'narx',
+      area: 'maydon',
+      description: 'tavsif'
+    },
+    photoManager: {
+      text: `📸 *Eʼlon rasmlari*
+
+{intro}
+Qoʻshish uchun rasm yoki albom yuboring, tartibini oʻzgartirish yoki oʻchirish uchun tugmalardan foydalaning.`,
+      empty: 'Hali rasmlar yoʻq.',
+      count: 'Rasmlar: {max} tadan {count} ta. Birinchisi — muqova.'
+    },
+    card: {
+      titleInDistrict: '{type}, {district}',
+      price: '💵 Narx: {value}',
+      area: '📐 Maydon: {value}',
+      squareMeters: '{area} m²',
+      pricePerMeter: '📊 1 m² narxi: {value}',
+      rooms: '🚪 Xonalar: {value}',
+      roomsShort: '{rooms} xona',
+      floor: '🏢 Qavat: {value}',
+      photos: '📸 Rasmlar: {count}',
+      status: 'Holati: {value}'
+    },
+    status: {
+      draft: '📝 Qoralama',
+      published: '✅ Eʼlon qilingan',
+      sold: '🤝 Sotilgan',
+      removed: '🗑️ Oʻchirilgan'
+    },
+    buttons: {
+      add: '➕ Eʼlon qoʻshish',
+      edit: '✏️ Tahrirlash',
+      publish: '🚀 Eʼlon qilish',
+      saveDraft: '💾 Qoralamani saqlash',
+      sold: '🤝 Sotildi',
+      delete: '🗑️ Oʻchirish',
+      confirmDelete: '🗑️ Ha, oʻchirish',
+      keep: '⬅️ Yoʻq',
+      mine: '⬅️ Mening eʼlonlarim',
+      done: '✅ Tayyor'
+    },
+    errors: {
+      typeInvalid: 'Iltimos, quyidagi tugmalar orqali mulk turini tanlang.',
+      districtInvalid: 'Iltimos, quyidagi tugmalar orqali tumanni tanlang.',
+      priceInvalid: 'Iltimos, toʻgʻri narxni raqam bilan kiriting (masalan, 85000).',
+      areaInvalid: 'Iltimos, toʻgʻri maydonni kvadrat metrda kiriting (masalan, 72.5).',
+      roomsInvalid: 'Iltimos, xonalar sonini butun son bilan kiriting (masalan, 3).',
+      floorInvalid: 'Iltimos, qavatni butun son bilan kiriting (masalan, 4).',
+      descriptionShort: 'Iltimos, kamida 10 belgidan iborat tavsif kiriting.',
+      descriptionLong: 'Iltimos, tavsifni 1000 belgigacha qisqartiring (hozir {length}).',
+      unknownField: 'Nomaʼlum maydon',
+      unknownState: 'Nomaʼlum bosqich',
+      sendPhoto: 'Iltimos, rasm yuboring yoki tugatgach «Tayyor» tugmasini bosing.',
+      sendPhotos: 'Iltimos, rasmlar yuboring yoki tugatgach «Tayyor» tugmasini bosing.',
+      useReviewButtons: 'Iltimos, eʼlonni joylash yoki saqlash uchun quyidagi tugmalardan foydalaning.',
+      noDraft: 'Sizda tugallanmagan eʼlon yoʻq.',
+      noDraftStart: 'Sizda tugallanmagan eʼlon yoʻq. Yaratish uchun /addlisting dan foydalaning.',
+      noReview: 'Sizda tekshirishga tayyor eʼlon yoʻq.',
+      notSkippable: 'Bu bosqichni oʻtkazib yuborib boʻlmaydi.',
+      invalidTransition: 'Notoʻgʻri oʻtish',
+      photoLimitWizard: 'Koʻpi bilan {max} ta rasm biriktirish mumkin. Davom etish uchun «Tayyor» tugmasini bosing.',
+      photoLimitEdit: 'Koʻpi bilan {max} ta rasm biriktirish mumkin. Avval bittasini oʻchiring yoki «Tayyor» tugmasini bosing.',
+      notAddingPhotos: 'Hozir siz rasm qoʻshmayapsiz.',
+      notFound: 'Eʼlon topilmadi.',
+      photoNotFound: 'Rasm topilmadi.',
+      notEditable: 'Bu maydonni tahrirlab boʻlmaydi.',
+      notEditing: 'Siz hozir eʼlonni tahrirlamayapsiz.',
+      finishDraftFirst: 'Iltimos, avval yaratayotgan eʼloningizni yakunlang yoki bekor qiling.',
+      soldNotEditable: 'Sotilgan eʼlonlarni tahrirlab boʻlmaydi.',
+      alreadyPublished: 'Bu eʼlon allaqachon joylangan.',
+      missingFields: 'Iltimos, toʻldiring: {fields}',
+      onlyPublishedSold: 'Faqat joylangan eʼlonlarni sotilgan deb belgilash mumkin.',
+      startFailed: 'Eʼlon yaratishni boshlab boʻlmadi',
+      processFailed: 'Kiritganingizni qayta ishlab boʻlmadi',
+      skipFailed: 'Bu bosqichni oʻtkazib yuborib boʻlmadi',
+      addPhotosFailed: 'Rasmlarni qoʻshib boʻlmadi',
+      reorderFailed: 'Rasmlar tartibini oʻzgartirib boʻlmadi',
+      removePhotoFailed: 'Rasmni oʻchirib boʻlmadi',
+      finishPhotosFailed: 'Rasmlarni saqlab boʻlmadi',
+      saveFailed: 'Eʼlonni saqlab boʻlmadi',
+      cancelFailed: 'Eʼlonni bekor qilib boʻlmadi',
+      editFailed: 'Tahrirlashni boshlab boʻlmadi',
+      cancelEditFailed: 'Tahrirlashni bekor qilib boʻlmadi',
+      publishFailed: 'Eʼlonni joylab boʻlmadi',
+      soldFailed: 'Eʼlonni sotilgan deb belgilab boʻlmadi',
+      deleteFailed: 'Eʼlonni oʻchirib boʻlmadi'
+    }
+  },
+
+  search: {
+    menu: `🔍 *Koʻchmas mulk qidirish*
+
+Joriy filtrlar:
+{filters}
+
+Filtrlarni oʻzgartiring yoki *Natijalarni koʻrsatish* tugmasini bosing.`,
+    noResults: `😔 *Hech narsa topilmadi*
+
+{filters}
+
+Filtrlarni kengaytirib koʻring.`,
+    result: `🔍 *{total} tadan {number}-natija*
+
+{card}`,
+    failed: 'Qidiruv amalga oshmadi',
+    unknownAction: '❌ Qidiruv uchun nomaʼlum amal.',
+    filters: {
+      price: '💵 Narx: {value}',
+      district: '📍 Tuman: {value}',
+      rooms: '🚪 Xonalar: {value}',
+      type: '🏠 Turi: {value}'
+    },
+    choose: {
+      price: '💵 *Narx oraligʻini tanlang:*',
+      district: '📍 *Tumanni tanlang:*',
+      rooms: '🚪 *Nechta xona?*',
+      type: '🏠 *Mulk turini tanlang:*'
+    },
+    buttons: {
+      price: '💵 Narx',
+      district: '📍 Tuman',
+      rooms: '🚪 Xonalar',
+      type: '🏠 Turi',
+      showResults: '🔎 Natijalarni koʻrsatish',
+      saveSearch: '💾 Qidiruvni saqlash',
+      reset: '♻️ Filtrlarni tozalash',
+      any: '🌐 Farqi yoʻq',
+      changeFilters: '🔧 Filtrlarni oʻzgartirish',
+      prev: '◀️ Oldingi',
+      next: 'Keyingi ▶️',
+      filters: '🔧 Filtrlar',
+      again: '🔁 Qayta qidirish',
+      favorite: '⭐ Saqlash',
+      messageOwner: '💬 Egasiga yozish'
+    }
+  },
+
+  savedSearch: {
+    prompt: `💾 *Bu qidiruvni saqlash*
+
+{filters}
+
+Qidiruv uchun nom yuboring yoki taklif qilinganidan foydalaning: _{name}_`,
+    saved: `💾 *Qidiruv «{name}» nomi bilan saqlandi*
+
+Mos yangi eʼlon paydo boʻlganda sizga xabar beraman. Qidiruvlaringizni /mysearches orqali boshqaring.`,
+    alert: `🔔 *«{name}» uchun yangi moslik*
+
+{card}`,
+    empty: `🔔 Sizda saqlangan qidiruvlar yoʻq.
+
+Yangi eʼlonlar haqida xabar olish uchun /search ni oching, filtrlarni belgilang va *Qidiruvni saqlash* tugmasini bosing.`,
+    title: '🔔 *Saqlangan qidiruvlarim*',
+    paused: '⏸️ Bildirishnomalar toʻxtatildi.',
+    resumed: '▶️ Bildirishnomalar qayta yoqildi.',
+    deleted: '🗑️ Saqlangan qidiruv oʻchirildi.',
+    unknownAction: '❌ Nomaʼlum amal.',
+    status: {
+      paused: '⏸️ Toʻxtatilgan',
+      active: '🔔 Faol'
+    },
+    suggested: {
+      rooms: '{rooms} xonali',
+      all: 'Barcha mulklar'
+    },
+    buttons: {
+      useSuggested: '✅ Taklif qilingan nomni olish',
+      seeAll: '🔍 Barcha mosliklar',
+      pauseSearch: '⏸️ Bu qidiruvni toʻxtatish',
+      resume: '▶️ Davom ettirish',
+      pause: '⏸️ Toʻxtatish',
+      delete: '🗑️ Oʻchirish'
+    },
+    errors: {
+      nameShort: 'Iltimos, kamida 2 belgidan iborat nom kiriting.',
+      limit: 'Koʻpi bilan {max} ta qidiruvni saqlash mumkin. Avval /mysearches da bittasini oʻchiring.',
+      notFound: 'Saqlangan qidiruv topilmadi.',
+      saveFailed: 'Qidiruvni saqlab boʻlmadi',
+      updateFailed: 'Saqlangan qidiruvni yangilab boʻlmadi',
+      deleteFailed: 'Saqlangan qidiruvni oʻchirib boʻlmadi'
+    }
+  },
+
+  favorites: {
+    empty: `⭐ Sevimlilar roʻyxatingiz hali boʻsh.
+
+Eʼlonni kuzatib borish uchun /search da «⭐ Saqlash» tugmasini bosing.`,
+    title: `⭐ *Sevimlilarim* ({count})
+
+Narx tushsa yoki eʼlon sotilsa yoxud oʻchirilsa, sizga xabar beraman.`,
+    added: '⭐ Saqlandi! Narx tushsa, xabar beraman.',
+    alreadySaved: '⭐ Allaqachon sevimlilarda.',
+    removed: 'Sevimlilardan olib tashlandi.',
+    unknownAction: '❌ Sevimlilar uchun nomaʼlum amal.',
+    alerts: {
+      sold: `🤝 *Saqlangan eʼlon sotildi*
+
+{summary}
+
+{priceLine}`,
+      removed: `🗑️ *Saqlangan eʼlon oʻchirildi*
+
+{summary}
+
+{priceLine}`,
+      priceDrop: `📉 *Saqlangan eʼlon narxi tushdi*
+
+Eski narx: {oldPrice}
+Yangi narx: *{price}* (-{percent}%)
+
+{card}`,
+      price: 'Narx: {price}',
+      finalPrice: `Eski narx: {oldPrice}
+Yakuniy narx: {price}`
+    },
+    buttons: {
+      list: '⭐ Sevimlilarim',
+      back: '⬅️ Sevimlilarim',
+      messageOwner: '💬 Egasiga yozish',
+      remove: '✖️ Olib tashlash'
+    },
+    errors: {
+      listingNotFound: 'Eʼlon topilmadi.',
+      unavailable: 'Bu eʼlon endi mavjud emas.',
+      limit: 'Sevimlilarda koʻpi bilan {max} ta eʼlon saqlash mumkin. Avval /favorites da bittasini olib tashlang.',
+      notFound: 'Sevimli eʼlon topilmadi.',
+      addFailed: 'Eʼlonni saqlab boʻlmadi',
+      removeFailed: 'Sevimlilardan olib tashlab boʻlmadi'
+    }
+  },
+
+  chat: {
+    activeNotice: `💬 *{title}*
+
+{label}
+
+Matn, rasm yoki ovozli xabar yuboring — men ularni anonim tarzda yetkazaman.
+/chats — suhbatni almashtirish · /closechat — bu suhbatni yakunlash`,
+    newConversation: `💬 *Yangi suhbat*
+
+Xaridor eʼloningiz haqida gaplashmoqchi:
+{about}
+
+Xabarlar bot orqali yetkaziladi, shuning uchun hech biringiz boshqasining Telegram akkauntini koʻrmaysiz.`,
+    closedByOther: `🔒 Suhbatdosh quyidagi eʼlon boʻyicha suhbatni yopdi:
+{about}`,
+    closed: '🔒 Suhbat yopildi.',
+    empty: `💬 Sizda ochiq suhbatlar yoʻq.
+
+Suhbat boshlash uchun qidiruv natijasida «💬 Egasiga yozish» tugmasini bosing.`,
+    title: `💬 *Suhbatlarim*
+
+Xabar yozish uchun suhbatni, yopish uchun 🔒 ni bosing.`,
+    noActive: '💬 Siz hozir suhbatda emassiz. Ochiq suhbatlarni koʻrish uchun /chats dan foydalaning.',
+    unknownAction: '❌ Suhbat uchun nomaʼlum amal.',
+    buyer: 'Xaridor',
+    owner: 'Egasi',
+    removedListing: 'Oʻchirilgan eʼlon',
+    titles: {
+      started: 'Suhbat boshlandi',
+      resumed: 'Suhbat davom etmoqda',
+      replying: 'Suhbatda javob berish'
+    },
+    buttons: {
+      reply: '↩️ Javob berish',
+      close: '🔒 Yopish'
+    },
+    errors: {
+      listingNotFound: 'Eʼlon topilmadi.',
+      unavailable: 'Bu eʼlon endi mavjud emas.',
+      ownListing: 'Bu sizning oʻz eʼloningiz.',
+      closed: 'Bu suhbat yopilgan.',
+      alreadyClosed: 'Bu suhbat allaqachon yopilgan.',
+      unsupported: 'Suhbatda faqat matn, rasm va ovozli xabarlar yuborish mumkin.',
+      notDelivered: 'Xabar yetkazilmadi: suhbatdosh hozir xabar qabul qila olmaydi (botni bloklagan boʻlishi mumkin). Keyinroq urinib koʻring yoki /closechat bilan suhbatni yoping.',
+      openFailed: 'Suhbatni ochib boʻlmadi',
+      sendFailed: 'Xabarni yuborib boʻlmadi',
+      closeFailed: 'Suhbatni yopib boʻlmadi'
+    }
+  },
+
+  match: {
+    noSuggestions: `🤝 *Tanishuvlar*
+
+Hozircha yangi takliflar yoʻq. Yangi aʼzolar qoʻshilgani sari ular paydo boʻladi — keyinroq qarab koʻring!`,
+    suggestion: `🤝 *Taklif etilgan tanishuv*
+
+{profile}
+
+Ikkalangiz ham rozi boʻlmaguningizcha ismlar va telefon raqamlari yashirin qoladi.`,
+    request: `🤝 *Kimdir siz bilan tanishmoqchi*
+
+{profile}
+
+Kontakt maʼlumotlari faqat siz rozi boʻlsangiz ulashiladi.`,
+    newConnection: `🎉 *Yangi tanishuv!*
+
+Siz va bu aʼzo bir-biringiz bilan tanishishni xohlaysiz:
+
+{contact}`,
+    noConnections: `📇 Sizda hali tanishlar yoʻq.
+
+Xaridor va investorlarni topish uchun /start dan 🤝 Tanishuvlar boʻlimini oching.`,
+    connectionsTitle: '📇 *Tanishlarim*',
+    requestTitle: '📨 *Tanishuv soʻrovi*',
+    alreadySent: '⏳ Siz allaqachon qiziqish bildirgansiz. Javobini kutyapmiz.',
+    matched: '🎉 *Oʻzaro qiziqish!* Sizga bir-biringizning kontaktlarini yubordim.',
+    interestSent: '🤝 Qiziqish yuborildi! Aʼzo rozi boʻlgach, kontaktlarni ulashaman.',
+    declined: 'Soʻrov rad etildi. Aʼzoga bu haqda xabar berilmaydi.',
+    member: 'Aʼzo',
+    unknownAction: '❌ Tanishuvlar uchun nomaʼlum amal.',
+    profile: {
+      role: '🎯 Rol: {value}',
+      districts: '📍 Afzal tumanlar: {value}',
+      budget: '💵 Byudjet: {value}'
+    },
+    buttons: {
+      interested: '🤝 Qiziqaman',
+      connections: '📇 Tanishlarim',
+      accept: '✅ Qabul qilish',
+      decline: '❌ Rad etish',
+      next: '➡️ Keyingi taklif'
+    },
+    errors: {
+      userUnavailable: 'Bu foydalanuvchi endi mavjud emas.',
+      connectionUnavailable: 'Bu tanishuv endi mavjud emas.',
+      alreadyConnected: 'Siz allaqachon tanishsiz. /connections ga qarang.',
+      requestNotFound: 'Soʻrov topilmadi.',
+      notPending: 'Bu soʻrov allaqachon koʻrib chiqilgan.',
+      findFailed: 'Tanishuvlarni topib boʻlmadi',
+      interestFailed: 'Qiziqishni yuborib boʻlmadi',
+      respondFailed: 'Soʻrovga javob berib boʻlmadi'
+    }
+  },
+
+  investment: {
+    catalogue: {
+      empty: `💰 *Investitsiya loyihalari*
+
+Hozircha ochiq loyihalar yoʻq. Keyinroq qarab koʻring!`,
+      list: {
+        one: `💰 *Investitsiya loyihalari*
+
+Ochiq loyihalar: {count}, saralash: {sort}
+
+{items}`,
+        other: `💰 *Investitsiya loyihalari*
+
+Ochiq loyihalar: {count}, saralash: {sort}
+
+{items}`
+      }
+    },
+    continuing: '↩️ Avval boshlagan loyihangizni davom ettiramiz.',
+    mine: `💼 *Mening loyihalarim*
+
+Mablagʻ yigʻishni yangilash, yopish yoki oʻchirish uchun loyihani bosing.`,
+    mineEmpty: `💼 Siz hali birorta ham loyiha joylamagansiz.
+
+Loyiha joylash uchun /addinvestment dan foydalaning.`,
+    fundingPrompt: '💰 Hozirgacha yigʻilgan umumiy summani kiriting:',
+    confirmDelete: '⚠️ Haqiqatan ham bu loyihani oʻchirmoqchimisiz?',
+    unknownAction: '❌ Loyiha uchun nomaʼlum amal.',
+    review: `👀 *Loyihangizni tekshiring*
+
+{card}
+
+Hozir eʼlon qilasizmi?`,
+    published: `✅ *Loyihangiz joylandi!*
+
+Investorlar uni 💰 Investitsiyalar boʻlimida topishadi. Uni /myinvestments orqali boshqaring.`,
+    cancelled: '🗑️ Joylash bekor qilindi.',
+    fundingUpdated: '✅ Yigʻilgan mablagʻ yangilandi.',
+    closed: '🔒 Loyiha yopildi.',
+    deleted: '🗑️ Loyiha oʻchirildi.',
+    steps: {
+      name: `💼 *Yangi investitsiya loyihasi*
+
+Loyiha qanday nomlanadi?`,
+      description: `📝 *Loyihani tasvirlab bering*
+
+Joylashuv, bosqich, mablagʻlardan foydalanish va chiqish rejasi (kamida 20 belgi):`,
+      goal: `🎯 *Yigʻish maqsadi qancha?*
+
+Jalb qilayotgan umumiy summani {currency} da kiriting (masalan, 500000):`,
+      raised: `💰 *Qancha yigʻilgan?*
+
+Summani {currency} da kiriting yoki endi boshlayotgan boʻlsangiz «Oʻtkazib yuborish» tugmasini bosing:`,
+      ticket: `🎟️ *Minimal ulush qancha?*
+
+Bitta investor kirita oladigan eng kam summani {currency} da kiriting (masalan, 10000):`,
+      roi: `📈 *Kutilayotgan yillik daromadlilik qancha?*
+
+Foizni kiriting (masalan, 18):`,
+      horizon: `⏳ *Investitsiya muddati qancha?*
+
+Investorlarga mablagʻ qaytarilgunga qadar oylar sonini kiriting (masalan, 24):`,
+      risk: '⚠️ *Loyiha qanchalik xavfli?*',
+      deadline: `📅 *Investorlar qachongacha qoʻshila oladi?*
+
+Muddatni KK.OO.YYYY koʻrinishida kiriting yoki muddat boʻlmasa «Oʻtkazib yuborish» tugmasini bosing:`
+    },
+    card: {
+      untitled: 'Nomsiz loyiha',
+      untitledShort: 'Nomsiz',
+      minTicket: '🎟️ Minimal ulush: {value}',
+      roi: '📈 Kutilayotgan daromadlilik: {value}',
+      roiPerYear: 'yiliga {roi}%',
+      horizon: '⏳ Muddat: {value}',
+      risk: '⚠️ Xavf: {value}',
+      deadline: '📅 Oxirgi muddat: {value}',
+      raised: '💰 {goal} dan {raised} yigʻildi',
+      closed: '🔒 Bu loyiha yopilgan.',
+      from: '{value} dan'
+    },
+    horizon: {
+      months: {
+        one: '{count} oy',
+        other: '{count} oy'
+      },
+      years: {
+        one: '{count} yil',
+        other: '{count} yil'
+      }
+    },
+    sort: {
+      roi: '📈 Daromadlilik',
+      ticket: '🎟️ Ulush',
+      deadline: '📅 Muddat'
+    },
+    buttons: {
+      add: '➕ Loyiha joylash',
+      publish: '🚀 Eʼlon qilish',
+      backToList: '⬅️ Roʻyxatga qaytish',
+      funding: '💰 Mablagʻni yangilash',
+      close: '🔒 Yopish',
+      delete: '🗑️ Oʻchirish',
+      confirmDelete: '🗑️ Ha, oʻchirish',
+      keep: '⬅️ Yoʻq'
+    },
+    errors: {
+      nameShort: 'Iltimos, kamida 3 belgidan iborat loyiha nomini kiriting.',
+      descriptionShort: 'Iltimos, kamida 20 belgidan iborat tavsif kiriting.',
+      amountInvalid: 'Iltimos, toʻgʻri summani raqam bilan kiriting (masalan, 250000).',
+      ticketOverGoal: 'Minimal ulush yigʻish maqsadidan katta boʻlishi mumkin emas.',
+      raisedInvalid: 'Iltimos, yigʻilgan summani raqam bilan kiriting (masalan, 50000).',
+      raisedOverGoal: 'Yigʻilgan summa yigʻish maqsadidan katta boʻlishi mumkin emas.',
+      roiInvalid: 'Iltimos, kutilayotgan yillik daromadlilikni foizda kiriting (masalan, 18).',
+      horizonInvalid: 'Iltimos, muddatni butun oylarda kiriting (masalan, 24).',
+      riskInvalid: 'Iltimos, quyidagi tugmalar orqali xavf darajasini tanlang.',
+      deadlineInvalid: 'Iltimos, kelajakdagi sanani KK.OO.YYYY koʻrinishida kiriting (masalan, 31.12.2026).',
+      useReviewButtons: 'Iltimos, joylash yoki bekor qilish uchun quyidagi tugmalardan foydalaning.',
+      noDraft: 'Sizda tugallanmagan loyiha yoʻq.',
+      noDraftStart: 'Sizda tugallanmagan loyiha yoʻq. Yaratish uchun /addinvestment dan foydalaning.',
+      noReview: 'Sizda tekshirishga tayyor loyiha yoʻq.',
+      notSkippable: 'Bu bosqichni oʻtkazib yuborib boʻlmaydi.',
+      notFound: 'Loyiha topilmadi.',
+      unknownStep: 'Nomaʼlum bosqich',
+      unknownState: 'Nomaʼlum bosqich',
+      invalidTransition: 'Notoʻgʻri oʻtish',
+      startFailed: 'Joylashni boshlab boʻlmadi',
+      processFailed: 'Kiritganingizni qayta ishlab boʻlmadi',
+      skipFailed: 'Bu bosqichni oʻtkazib yuborib boʻlmadi',
+      publishFailed: 'Loyihani joylab boʻlmadi',
+      cancelFailed: 'Bekor qilib boʻlmadi',
+      fundingFailed: 'Yigʻilgan mablagʻni yangilab boʻlmadi',
+      closeFailed: 'Loyihani yopib boʻlmadi',
+      deleteFailed: 'Loyihani oʻchirib boʻlmadi',
+      loadFailed: 'Loyihalarni yuklab boʻlmadi'
+    }
+  },
+
+  market: {
+    empty: `📊 *Bozor*
+
+Narxi va maydoni koʻrsatilgan eʼlonlar hali yoʻq. Keyinroq qarab koʻring!`,
+    chartCaption: '📊 Tumanlar boʻyicha 1 m² ning median narxi',
+    median: 'median {price}/m²',
+    average: 'oʻrtacha {price}/m²',
+    noTrend: '➖ dinamika hali yoʻq',
+    insights: `📊 *Bozor*
+
+Joylangan eʼlonlar: {total}, soʻnggi {days} kunda yangilari: {newListings}.
+*Umumiy:* {overall}
+
+🏘️ *Tumanlar boʻyicha*
+{districts}
+
+🏠 *Mulk turi boʻyicha*
+{types}
+
+_{updatedAt} UTC da yangilandi. Dinamika soʻnggi {days} kunda joylangan eʼlonlarni undan oldingi {days} kun bilan solishtiradi._`
+  },
+
+  time: {
+    justNow: 'Hozirgina'
+  }
+};
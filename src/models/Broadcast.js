@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+const broadcastSchema = new mongoose.Schema({
+  // Telegram user ID of the admin who sent it, who also gets the final report
+  createdBy: {
+    type: Number,
+    required: true
+  },
+  message: {
+    // Message text, or the caption of the photo
+    text: {
+      type: String,
+      default: null
+    },
+    // Formatting of the text as Telegram message entities
+    entities: {
+      type: [mongoose.Schema.Types.Mixed],
+      default: []
+    },
+    photoFileId: {
+      type: String,
+      default: null
+    },
+    // Optional link button under the message
+    buttonText: {
+      type: String,
+      default: null
+    },
+    buttonUrl: {
+      type: String,
+      default: null
+    }
+  },
+  // Audience filters; null means "everyone"
+  segment: {
+    role: {
+      type: String,
+      enum: ['buyer', 'investor', null],
+      default: null
+    },
+    language: {
+      type: String,
+      default: null
+    },
+    isRegistered: {
+      type: Boolean,
+      default: null
+    },
+    lastSeenDays: {
+      type: Number,
+      default: null
+    }
+  },
+  status: {
+    type: String,
+    enum: ['preparing', 'sending', 'completed', 'cancelled'],
+    default: 'preparing'
+  },
+  // Recipient counts, updated as the broadcast progresses
+  totals: {
+    total: { type: Number, default: 0 },
+    sent: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+    blocked: { type: Number, default: 0 }
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true, // Adds createdAt and updatedAt
+  collection: 'broadcasts'
+});
+
+// Indexes for better performance
+broadcastSchema.index({ status: 1, createdAt: 1 });
+
+// Instance methods
+broadcastSchema.methods.isFinished = function() {
+  return this.status === 'completed' || this.status === 'cancelled';
+};
+
+broadcastSchema.methods.toSafeObject = function() {
+  const obj = this.toObject();
+  delete obj.__v;
+  return obj;
+};
+
+// Static methods
+broadcastSchema.statics.findUnfinished = function() {
+  return this.find({ status: { $in: ['preparing', 'sending'] } }).sort({ createdAt: 1 });
+};
+
+module.exports = mongoose.model('Broadcast', broadcastSchema);
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+const broadcastRecipientSchema = new mongoose.Schema({
+  broadcastId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Broadcast',
+    required: true
+  },
+  userId: {
+    type: Number,
+    required: true
+  },
+  chatId: {
+    type: Number,
+    required: true
+  },
+  // "blocked" means the user has blocked the bot
+  status: {
+    type: String,
+    enum: ['pending', 'sent', 'failed', 'blocked'],
+    default: 'pending'
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  sentAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true, // Adds createdAt and updatedAt
+  collection: 'broadcast_recipients'
+});
+
+// Indexes for better performance
+broadcastRecipientSchema.index({ broadcastId: 1, userId: 1 }, { unique: true });
+broadcastRecipientSchema.index({ broadcastId: 1, status: 1 });
+
+// Static methods
+broadcastRecipientSchema.statics.findPending = function(broadcastId, limit) {
+  return this.find({ broadcastId, status: 'pending' }).sort({ _id: 1 }).limit(limit);
+};
+
+broadcastRecipientSchema.statics.countByStatus = async function(broadcastId) {
+  const groups = await this.aggregate([
+    { $match: { broadcastId: new mongoose.Types.ObjectId(broadcastId) } },
+    { $group: { _id: '$status', count: { $sum: 1 } } }
+  ]);
+
+  const counts = { total: 0, pending: 0, sent: 0, failed: 0, blocked: 0 };
+  for (const group of groups) {
+    counts[group._id] = group.count;
+    counts.total += group.count;
+  }
+  return counts;
+};
+
+module.exports = mongoose.model('BroadcastRecipient', broadcastRecipientSchema);
@@ -48,10 +48,20 @@ const chatSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Banned by an admin; updates from the chat are ignored
   blocked: {
     type: Boolean,
     default: false
   },
+  // End of a temporary ban; null means permanent
+  blockedUntil: {
+    type: Date,
+    default: null
+  },
+  blockReason: {
+    type: String,
+    default: null
+  },
   
   // Additional metadata
   metadata: {
@@ -100,8 +110,12 @@ chatSchema.statics.findActiveChats = function() {
   return this.find({ isActive: true, blocked: false });
 };
 
-chatSchema.statics.getChatStats = function() {
+// Totals per chat type, of all chats or of those matching a filter
+chatSchema.statics.getChatStats = function(match = {}) {
   return this.aggregate([
+    {
+      $match: match
+    },
     {
       $group: {
         _id: '$chatType',
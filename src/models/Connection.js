@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+const connectionSchema = new mongoose.Schema({
+  // Participants, stored in ascending order so each pair has a single document
+  userA: {
+    type: Number,
+    required: true
+  },
+  userB: {
+    type: Number,
+    required: true
+  },
+
+  // Consent
+  interestedUserIds: {
+    type: [Number],
+    default: []
+  },
+  declinedByUserId: {
+    type: Number,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'matched', 'declined'],
+    default: 'pending'
+  },
+  matchedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true, // Adds createdAt and updatedAt
+  collection: 'connections'
+});
+
+// Indexes for better performance
+connectionSchema.index({ userA: 1, userB: 1 }, { unique: true });
+connectionSchema.index({ userB: 1 });
+connectionSchema.index({ status: 1 });
+
+// Instance methods
+connectionSchema.methods.getOtherUserId = function(telegramId) {
+  return this.userA === telegramId ? this.userB : this.userA;
+};
+
+connectionSchema.methods.involves = function(telegramId) {
+  return this.userA === telegramId || this.userB === telegramId;
+};
+
+connectionSchema.methods.hasInterestFrom = function(telegramId) {
+  return this.interestedUserIds.includes(telegramId);
+};
+
+connectionSchema.methods.expressInterest = function(telegramId) {
+  if (!this.hasInterestFrom(telegramId)) {
+    this.interestedUserIds.push(telegramId);
+  }
+
+  if (this.hasInterestFrom(this.userA) && this.hasInterestFrom(this.userB)) {
+    this.status = 'matched';
+    this.matchedAt = new Date();
+  }
+  return this.save();
+};
+
+connectionSchema.methods.decline = function(telegramId) {
+  this.status = 'declined';
+  this.declinedByUserId = telegramId;
+  return this.save();
+};
+
+connectionSchema.methods.toSafeObject = function() {
+  const obj = this.toObject();
+  delete obj.__v;
+  return obj;
+};
+
+// Static methods
+connectionSchema.statics.getPair = function(firstId, secondId) {
+  return firstId < secondId
+    ? { userA: firstId, userB: secondId }
+    : { userA: secondId, userB: firstId };
+};
+
+connectionSchema.statics.findBetween = function(firstId, secondId) {
+  return this.findOne(this.getPair(firstId, secondId));
+};
+
+connectionSchema.statics.findForUser = function(telegramId, filter = {}) {
+  return this.find({ ...filter, $or: [{ userA: telegramId }, { userB: telegramId }] });
+};
+
+module.exports = mongoose.model('Connection', connectionSchema);
@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+const conversationSchema = new mongoose.Schema({
+  // Listing the conversation is about
+  listingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: true
+  },
+
+  // Participants
+  ownerId: {
+    type: Number,
+    required: true
+  },
+  buyerId: {
+    type: Number,
+    required: true
+  },
+
+  // Conversation state
+  status: {
+    type: String,
+    enum: ['open', 'closed'],
+    default: 'open'
+  },
+  closedByUserId: {
+    type: Number,
+    default: null
+  },
+  closedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Activity
+  messageCount: {
+    type: Number,
+    default: 0
+  },
+  lastMessageAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true, // Adds createdAt and updatedAt
+  collection: 'conversations'
+});
+
+// Indexes for better performance
+conversationSchema.index({ listingId: 1, buyerId: 1, status: 1 });
+conversationSchema.index({ ownerId: 1, status: 1 });
+conversationSchema.index({ buyerId: 1, status: 1 });
+
+// Instance methods
+conversationSchema.methods.involves = function(telegramId) {
+  return this.ownerId === telegramId || this.buyerId === telegramId;
+};
+
+conversationSchema.methods.getOtherUserId = function(telegramId) {
+  return this.ownerId === telegramId ? this.buyerId : this.ownerId;
+};
+
+conversationSchema.methods.isOpen = function() {
+  return this.status === 'open';
+};
+
+conversationSchema.methods.recordMessage = function() {
+  this.messageCount += 1;
+  this.lastMessageAt = new Date();
+  return this.save();
+};
+
+conversationSchema.methods.close = function(telegramId) {
+  this.status = 'closed';
+  this.closedByUserId = telegramId;
+  this.closedAt = new Date();
+  return this.save();
+};
+
+conversationSchema.methods.toSafeObject = function() {
+  const obj = this.toObject();
+  delete obj.__v;
+  return obj;
+};
+
+// Static methods
+conversationSchema.statics.findOpenForListing = function(listingId, buyerId) {
+  return this.findOne({ listingId, buyerId, status: 'open' });
+};
+
+conversationSchema.statics.findOpenForUser = function(telegramId) {
+  return this.find({ status: 'open', $or: [{ ownerId: telegramId }, { buyerId: telegramId }] })
+    .sort({ updatedAt: -1 });
+};
+
+module.exports = mongoose.model('Conversation', conversationSchema);
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+const favoriteSchema = new mongoose.Schema({
+  userId: {
+    type: Number,
+    required: true
+  },
+  listingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: true
+  },
+
+  // Price the user last saw, used to detect price drops
+  lastKnownPrice: {
+    type: Number,
+    default: null
+  },
+  // Status the user was last told about
+  lastKnownStatus: {
+    type: String,
+    enum: ['published', 'sold', 'removed'],
+    default: 'published'
+  },
+  lastNotifiedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true, // Adds createdAt and updatedAt
+  collection: 'favorites'
+});
+
+// Indexes for better performance
+favoriteSchema.index({ userId: 1, listingId: 1 }, { unique: true });
+favoriteSchema.index({ listingId: 1 });
+
+// Instance methods
+favoriteSchema.methods.recordNotified = function(listing) {
+  this.lastKnownPrice = listing.price;
+  this.lastKnownStatus = listing.status;
+  this.lastNotifiedAt = new Date();
+  return this.save();
+};
+
+favoriteSchema.methods.toSafeObject = function() {
+  const obj = this.toObject();
+  delete obj.__v;
+  return obj;
+};
+
+// Static methods
+favoriteSchema.statics.findByUser = function(userId) {
+  return this.find({ userId }).sort({ createdAt: -1 });
+};
+
+favoriteSchema.statics.findByListing = function(listingId) {
+  return this.find({ listingId });
+};
+
+module.exports = mongoose.model('Favorite', favoriteSchema);
@@ -0,0 +1,162 @@
+const mongoose = require('mongoose');
+const config = require('../config');
+
+const investmentSchema = new mongoose.Schema({
+  // Owner information
+  ownerId: {
+    type: Number,
+    required: true,
+    index: true
+  },
+
+  // Project details
+  projectName: {
+    type: String,
+    default: null,
+    trim: true
+  },
+  description: {
+    type: String,
+    default: null
+  },
+  currency: {
+    type: String,
+    default: config.listings.currency
+  },
+
+  // Investment terms
+  minTicket: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  expectedRoi: {
+    type: Number,
+    default: null // Expected annual return, percent
+  },
+  horizonMonths: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  riskLevel: {
+    type: String,
+    enum: config.investments.riskLevels,
+    default: null
+  },
+  deadline: {
+    type: Date,
+    default: null
+  },
+
+  // Funding progress
+  fundingGoal: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  fundingRaised: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+
+  // Lifecycle
+  status: {
+    type: String,
+    enum: ['draft', 'published', 'closed', 'removed'],
+    default: 'draft'
+  },
+  draftStep: {
+    type: String,
+    enum: ['name', 'description', 'goal', 'raised', 'ticket', 'roi', 'horizon', 'risk', 'deadline', 'review'],
+    default: 'name'
+  },
+  publishedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Additional metadata
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: true, // Adds createdAt and updatedAt
+  collection: 'investments'
+});
+
+// Indexes for better performance
+investmentSchema.index({ ownerId: 1, status: 1 });
+investmentSchema.index({ status: 1, expectedRoi: -1 });
+investmentSchema.index({ status: 1, minTicket: 1 });
+investmentSchema.index({ status: 1, deadline: 1 });
+
+// Virtual for funding progress in percent
+investmentSchema.virtual('fundingProgress').get(function() {
+  if (!this.fundingGoal) {
+    return 0;
+  }
+  return Math.min(100, Math.round((this.fundingRaised / this.fundingGoal) * 100));
+});
+
+// Instance methods
+investmentSchema.methods.setDraftStep = function(step) {
+  this.draftStep = step;
+  return this.save();
+};
+
+investmentSchema.methods.publish = function() {
+  this.status = 'published';
+  this.draftStep = null;
+  if (!this.publishedAt) {
+    this.publishedAt = new Date();
+  }
+  return this.save();
+};
+
+investmentSchema.methods.close = function() {
+  this.status = 'closed';
+  this.draftStep = null;
+  return this.save();
+};
+
+investmentSchema.methods.markRemoved = function() {
+  this.status = 'removed';
+  this.draftStep = null;
+  return this.save();
+};
+
+investmentSchema.methods.updateFunding = function(amount) {
+  this.fundingRaised = amount;
+  return this.save();
+};
+
+investmentSchema.methods.isOwnedBy = function(telegramId) {
+  return this.ownerId === telegramId;
+};
+
+investmentSchema.methods.toSafeObject = function() {
+  const obj = this.toObject();
+  delete obj.__v;
+  return obj;
+};
+
+// Static methods
+investmentSchema.statics.findActiveDraft = function(ownerId) {
+  return this.findOne({ ownerId, status: 'draft', draftStep: { $ne: null } });
+};
+
+investmentSchema.statics.findByOwner = function(ownerId) {
+  return this.find({ ownerId, status: { $nin: ['draft', 'removed'] } }).sort({ updatedAt: -1 });
+};
+
+investmentSchema.statics.findOpen = function() {
+  return this.find({
+    status: 'published',
+    $or: [{ deadline: null }, { deadline: { $gte: new Date() } }]
+  });
+};
+
+module.exports = mongoose.model('Investment', investmentSchema);
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+const moderationActionSchema = new mongoose.Schema({
+  // Telegram ID of the user, or of the chat for chat bans
+  targetId: {
+    type: Number,
+    required: true
+  },
+  targetType: {
+    type: String,
+    enum: ['user', 'chat'],
+    default: 'user'
+  },
+  action: {
+    type: String,
+    enum: ['ban', 'mute', 'unban', 'unmute'],
+    required: true
+  },
+  reason: {
+    type: String,
+    default: null
+  },
+  // End of a temporary ban or mute; null means permanent
+  until: {
+    type: Date,
+    default: null
+  },
+  // Telegram user ID of the admin; null when a ban or mute ran out
+  adminId: {
+    type: Number,
+    default: null
+  }
+}, {
+  timestamps: true, // Adds createdAt and updatedAt
+  collection: 'moderation_actions'
+});
+
+// Indexes for better performance
+moderationActionSchema.index({ targetId: 1, createdAt: -1 });
+
+// Instance methods
+moderationActionSchema.methods.toSafeObject = function() {
+  const obj = this.toObject();
+  delete obj.__v;
+  return obj;
+};
+
+// Static methods
+moderationActionSchema.statics.findForTarget = function(targetId, limit) {
+  return this.find({ targetId }).sort({ createdAt: -1 }).limit(limit);
+};
+
+module.exports = mongoose.model('ModerationAction', moderationActionSchema);
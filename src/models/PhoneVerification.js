@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+const phoneVerificationSchema = new mongoose.Schema({
+  // A user verifies one phone number at a time
+  userId: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  phoneNumber: {
+    type: String,
+    required: true
+  },
+  // SHA-256 of the current code; the code itself is never stored
+  codeHash: {
+    type: String,
+    default: null
+  },
+  codeExpiresAt: {
+    type: Date,
+    default: null
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // Codes sent in the current send window, for the resend limit
+  sendCount: {
+    type: Number,
+    default: 0
+  },
+  windowStartedAt: {
+    type: Date,
+    default: null
+  },
+  lastSentAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true, // Adds createdAt and updatedAt
+  collection: 'phone_verifications'
+});
+
+// Stale verifications are removed by MongoDB after a day
+phoneVerificationSchema.index({ updatedAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+// Instance methods
+phoneVerificationSchema.methods.hasActiveCode = function() {
+  return Boolean(this.codeHash && this.codeExpiresAt && this.codeExpiresAt > new Date());
+};
+
+phoneVerificationSchema.methods.clearCode = function() {
+  this.codeHash = null;
+  this.codeExpiresAt = null;
+  this.attempts = 0;
+};
+
+phoneVerificationSchema.methods.toSafeObject = function() {
+  const obj = this.toObject();
+  delete obj.__v;
+  delete obj.codeHash;
+  return obj;
+};
+
+// Static methods
+phoneVerificationSchema.statics.findByUser = function(userId) {
+  return this.findOne({ userId });
+};
+
+module.exports = mongoose.model('PhoneVerification', phoneVerificationSchema);
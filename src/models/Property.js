@@ -0,0 +1,227 @@
+const mongoose = require('mongoose');
+const config = require('../config');
+
+const photoSchema = new mongoose.Schema({
+  fileId: {
+    type: String,
+    required: true
+  },
+  fileUniqueId: {
+    type: String,
+    default: null
+  }
+}, { _id: false });
+
+const propertySchema = new mongoose.Schema({
+  // Owner information
+  ownerId: {
+    type: Number,
+    required: true,
+    index: true
+  },
+
+  // Listing details
+  type: {
+    type: String,
+    enum: config.listings.types,
+    default: null
+  },
+  district: {
+    type: String,
+    default: null
+  },
+  price: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  currency: {
+    type: String,
+    default: config.listings.currency
+  },
+  area: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  rooms: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  floor: {
+    type: Number,
+    default: null
+  },
+  description: {
+    type: String,
+    default: null
+  },
+  photos: {
+    type: [photoSchema],
+    default: []
+  },
+
+  // Lifecycle
+  status: {
+    type: String,
+    enum: ['draft', 'published', 'sold', 'removed'],
+    default: 'draft'
+  },
+  draftStep: {
+    type: String,
+    enum: ['type', 'district', 'price', 'area', 'rooms', 'floor', 'description', 'photos', 'review'],
+    default: 'type'
+  },
+  editingField: {
+    type: String,
+    default: null
+  },
+  publishedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Additional metadata
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: true, // Adds createdAt and updatedAt
+  collection: 'properties'
+});
+
+// Indexes for better performance
+propertySchema.index({ ownerId: 1, status: 1 });
+propertySchema.index({ status: 1, district: 1, type: 1, price: 1 });
+propertySchema.index({ publishedAt: -1 });
+
+// Virtual for price per square metre
+propertySchema.virtual('pricePerSqm').get(function() {
+  if (!this.price || !this.area) {
+    return null;
+  }
+  return this.price / this.area;
+});
+
+// Instance methods
+propertySchema.methods.setDraftStep = function(step) {
+  this.draftStep = step;
+  return this.save();
+};
+
+propertySchema.methods.publish = function() {
+  this.status = 'published';
+  this.draftStep = null;
+  this.editingField = null;
+  if (!this.publishedAt) {
+    this.publishedAt = new Date();
+  }
+  return this.save();
+};
+
+propertySchema.methods.saveAsDraft = function() {
+  this.status = 'draft';
+  this.draftStep = null;
+  return this.save();
+};
+
+propertySchema.methods.markSold = function() {
+  this.status = 'sold';
+  this.editingField = null;
+  return this.save();
+};
+
+propertySchema.methods.markRemoved = function() {
+  this.status = 'removed';
+  this.draftStep = null;
+  this.editingField = null;
+  return this.save();
+};
+
+propertySchema.methods.isOwnedBy = function(telegramId) {
+  return this.ownerId === telegramId;
+};
+
+propertySchema.methods.toSafeObject = function() {
+  const obj = this.toObject();
+  delete obj.__v;
+  return obj;
+};
+
+// Static methods
+propertySchema.statics.findActiveDraft = function(ownerId) {
+  return this.findOne({ ownerId, status: 'draft', draftStep: { $ne: null } });
+};
+
+propertySchema.statics.findBeingEdited = function(ownerId) {
+  return this.findOne({ ownerId, editingField: { $ne: null }, status: { $ne: 'removed' } });
+};
+
+propertySchema.statics.findByOwner = function(ownerId) {
+  return this.find({ ownerId, status: { $ne: 'removed' } }).sort({ updatedAt: -1 });
+};
+
+propertySchema.statics.findPublished = function(filter = {}) {
+  return this.find({ ...filter, status: 'published' });
+};
+
+// Price per square metre of every published listing, grouped by district and type
+propertySchema.statics.getMarketSnapshot = function(currency) {
+  return this.aggregate([
+    {
+      $match: { status: 'published', currency, price: { $gt: 0 }, area: { $gt: 0 } }
+    },
+    {
+      $group: {
+        _id: { district: '$district', type: '$type' },
+        count: { $sum: 1 },
+        pricesPerSqm: { $push: { $divide: ['$price', '$area'] } }
+      }
+    }
+  ]);
+};
+
+// Price per square metre totals of listings published in two consecutive periods
+propertySchema.statics.getPublishedPriceTotals = function(currency, since, splitAt) {
+  return this.aggregate([
+    {
+      $match: {
+        status: { $in: ['published', 'sold'] },
+        currency,
+        price: { $gt: 0 },
+        area: { $gt: 0 },
+        publishedAt: { $gte: since }
+      }
+    },
+    {
+      $group: {
+        _id: {
+          district: '$district',
+          type: '$type',
+          period: { $cond: [{ $gte: ['$publishedAt', splitAt] }, 'current', 'previous'] }
+        },
+        count: { $sum: 1 },
+        totalPricePerSqm: { $sum: { $divide: ['$price', '$area'] } }
+      }
+    }
+  ]);
+};
+
+// Listings published within a period (including those since sold or removed), per district, most first
+propertySchema.statics.countPublishedByDistrict = function(from, to) {
+  return this.aggregate([
+    {
+      $match: { publishedAt: { $gte: from, $lt: to } }
+    },
+    {
+      $group: { _id: '$district', count: { $sum: 1 } }
+    },
+    {
+      $sort: { count: -1, _id: 1 }
+    }
+  ]);
+};
+
+module.exports = mongoose.model('Property', propertySchema);
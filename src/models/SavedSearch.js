@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+
+const savedSearchSchema = new mongoose.Schema({
+  // Owner information
+  userId: {
+    type: Number,
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  // Same shape as User.searchFilters
+  filters: {
+    type: {
+      type: String,
+      default: null
+    },
+    district: {
+      type: String,
+      default: null
+    },
+    minPrice: {
+      type: Number,
+      default: null
+    },
+    maxPrice: {
+      type: Number,
+      default: null
+    },
+    rooms: {
+      type: Number,
+      default: null
+    }
+  },
+
+  // Notification state
+  isPaused: {
+    type: Boolean,
+    default: false
+  },
+  notificationCount: {
+    type: Number,
+    default: 0
+  },
+  lastNotifiedAt: {
+    type: Date,
+    default: null
+  },
+  notifiedListingIds: {
+    type: [mongoose.Schema.Types.ObjectId],
+    default: []
+  }
+}, {
+  timestamps: true, // Adds createdAt and updatedAt
+  collection: 'saved_searches'
+});
+
+// Indexes for better performance
+savedSearchSchema.index({ isPaused: 1, 'filters.type': 1, 'filters.district': 1 });
+
+// Instance methods
+savedSearchSchema.methods.setPaused = function(isPaused) {
+  this.isPaused = isPaused;
+  return this.save();
+};
+
+savedSearchSchema.methods.toSafeObject = function() {
+  const obj = this.toObject();
+  delete obj.__v;
+  return obj;
+};
+
+// Static methods
+savedSearchSchema.statics.findByUser = function(userId) {
+  return this.find({ userId }).sort({ createdAt: 1 });
+};
+
+savedSearchSchema.statics.findCandidatesForListing = function(listing) {
+  return this.find({
+    isPaused: false,
+    userId: { $ne: listing.ownerId },
+    notifiedListingIds: { $ne: listing._id },
+    'filters.type': { $in: [null, listing.type] },
+    'filters.district': { $in: [null, listing.district] }
+  });
+};
+
+savedSearchSchema.statics.markNotified = function(searchId, listingId) {
+  return this.updateOne(
+    { _id: searchId },
+    {
+      $push: { notifiedListingIds: { $each: [listingId], $slice: -500 } },
+      $inc: { notificationCount: 1 },
+      $set: { lastNotifiedAt: new Date() }
+    }
+  );
+};
+
+module.exports = mongoose.model('SavedSearch', savedSearchSchema);
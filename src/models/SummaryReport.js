@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+const summaryReportSchema = new mongoose.Schema({
+  // Schedule it was sent for, e.g. "daily" or "weekly"
+  name: {
+    type: String,
+    required: true
+  },
+  chatId: {
+    type: Number,
+    required: true
+  },
+  periodStart: {
+    type: Date,
+    required: true
+  },
+  periodEnd: {
+    type: Date,
+    required: true
+  },
+  // Figures of the period, compared against by the next report
+  metrics: {
+    newUsers: { type: Number, default: 0 },
+    newRegistrations: { type: Number, default: 0 },
+    activeUsers: { type: Number, default: 0 },
+    // Null when there was no earlier report to count from
+    messages: { type: Number, default: null },
+    newListings: { type: Number, default: 0 },
+    topDistricts: {
+      type: [{ _id: false, district: String, count: Number }],
+      default: []
+    }
+  },
+  // Messages processed since the start, at the end of the period
+  totalMessages: {
+    type: Number,
+    default: 0
+  },
+  sentAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true, // Adds createdAt and updatedAt
+  collection: 'summary_reports'
+});
+
+// Indexes for better performance; also keeps a period from being reported twice
+summaryReportSchema.index({ name: 1, periodEnd: 1 }, { unique: true });
+
+// Instance methods
+summaryReportSchema.methods.markSent = function() {
+  this.sentAt = new Date();
+  return this.save();
+};
+
+summaryReportSchema.methods.toSafeObject = function() {
+  const obj = this.toObject();
+  delete obj.__v;
+  return obj;
+};
+
+// Static methods
+summaryReportSchema.statics.findPrevious = function(name, before) {
+  return this.findOne({ name, periodEnd: { $lt: before }, sentAt: { $ne: null } }).sort({ periodEnd: -1 });
+};
+
+module.exports = mongoose.model('SummaryReport', summaryReportSchema);
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+const termsVersionSchema = new mongoose.Schema({
+  // Increases by one with every published revision of the terms and privacy policy
+  version: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  // Full text of the terms; the bot only shows a summary
+  url: {
+    type: String,
+    default: null
+  },
+  // Telegram user ID of the admin who published it
+  publishedBy: {
+    type: Number,
+    default: null
+  },
+  publishedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true, // Adds createdAt and updatedAt
+  collection: 'terms_versions'
+});
+
+// Instance methods
+termsVersionSchema.methods.toSafeObject = function() {
+  const obj = this.toObject();
+  delete obj.__v;
+  return obj;
+};
+
+// Static methods
+termsVersionSchema.statics.findLatest = function() {
+  return this.findOne().sort({ version: -1 });
+};
+
+module.exports = mongoose.model('TermsVersion', termsVersionSchema);
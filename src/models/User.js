@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const config = require('../config');
 
 const userSchema = new mongoose.Schema({
   // Telegram user information
@@ -23,6 +24,12 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: 'en'
   },
+  // Language chosen in the bot; languageCode is only what the Telegram app reports
+  language: {
+    type: String,
+    enum: config.i18n.locales,
+    default: null
+  },
   isBot: {
     type: Boolean,
     default: false
@@ -59,6 +66,20 @@ const userSchema = new mongoose.Schema({
     default: null,
     index: true
   },
+  // True when the number came from the user's own shared Telegram contact or was confirmed by SMS code
+  phoneVerified: {
+    type: Boolean,
+    default: false
+  },
+  phoneVerifiedAt: {
+    type: Date,
+    default: null
+  },
+  // Set when the number was accepted although it already belongs to another account
+  phoneDuplicateOf: {
+    type: Number,
+    default: null
+  },
   userFullName: {
     type: String,
     default: null
@@ -70,23 +91,259 @@ const userSchema = new mongoose.Schema({
   },
   registrationState: {
     type: String,
-    enum: ['not_started', 'phone_entered', 'name_entered', 'role_selected', 'agenda_viewed', 'completed'],
+    enum: ['not_started', 'phone_entered', 'name_entered', 'role_selected', 'agenda_viewed', 'pending_review', 'completed'],
     default: 'not_started'
   },
   isRegistered: {
     type: Boolean,
     default: false
   },
+  registrationStartedAt: {
+    type: Date,
+    default: null
+  },
+  registeredAt: {
+    type: Date,
+    default: null
+  },
+  // Set when the user ignored every registration reminder
+  registrationAbandonedAt: {
+    type: Date,
+    default: null
+  },
+  // Reminders sent while no registration wizard session was left to track them
+  registrationRemindersSent: {
+    type: Number,
+    default: 0
+  },
+  registrationLastReminderAt: {
+    type: Date,
+    default: null
+  },
+  // Version of the terms and privacy policy the user accepted, and when
+  termsVersion: {
+    type: Number,
+    default: null
+  },
+  termsAcceptedAt: {
+    type: Date,
+    default: null
+  },
+  // Manual review of the sign-up, when registration approval is enabled
+  submittedForReviewAt: {
+    type: Date,
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+  reviewedBy: {
+    type: Number,
+    default: null
+  },
+  rejectionReason: {
+    type: String,
+    default: null
+  },
+  // Changes of registrationState, oldest first, for the registration funnel
+  registrationTransitions: [{
+    _id: false,
+    from: {
+      type: String,
+      default: null
+    },
+    to: {
+      type: String,
+      required: true
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    },
+    // Milliseconds spent in the previous state
+    duration: {
+      type: Number,
+      default: null
+    },
+    // Role and language at the time, for breakdowns
+    role: {
+      type: String,
+      default: null
+    },
+    language: {
+      type: String,
+      default: null
+    }
+  }],
   
+  // Last used property search filters
+  searchFilters: {
+    type: {
+      type: String,
+      default: null
+    },
+    district: {
+      type: String,
+      default: null
+    },
+    minPrice: {
+      type: Number,
+      default: null
+    },
+    maxPrice: {
+      type: Number,
+      default: null
+    },
+    rooms: {
+      type: Number,
+      default: null
+    }
+  },
+
+  // Answers to the role-specific onboarding questionnaire; null means "no preference"
+  preferences: {
+    buyer: {
+      minBudget: {
+        type: Number,
+        default: null
+      },
+      maxBudget: {
+        type: Number,
+        default: null
+      },
+      districts: {
+        type: [String],
+        default: []
+      },
+      rooms: {
+        type: Number,
+        default: null
+      },
+      purpose: {
+        type: String,
+        enum: config.preferences.purposes,
+        default: null
+      }
+    },
+    investor: {
+      minTicket: {
+        type: Number,
+        default: null
+      },
+      maxTicket: {
+        type: Number,
+        default: null
+      },
+      horizon: {
+        type: String,
+        enum: config.preferences.horizons,
+        default: null
+      },
+      riskAppetite: {
+        type: String,
+        enum: config.investments.riskLevels,
+        default: null
+      },
+      assetTypes: {
+        type: [String],
+        default: []
+      }
+    },
+    updatedAt: {
+      type: Date,
+      default: null
+    }
+  },
+
+  // Profile edits made after registration
+  profileChanges: [{
+    _id: false,
+    field: {
+      type: String,
+      required: true
+    },
+    oldValue: {
+      type: String,
+      default: null
+    },
+    newValue: {
+      type: String,
+      default: null
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  profileUpdatedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Relay conversation that receives the user's plain messages
+  activeConversationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    default: null
+  },
+
+  // Match suggestions the user skipped; hidden from suggestions until the date passes
+  skippedMatches: [{
+    telegramId: {
+      type: Number,
+      required: true
+    },
+    until: {
+      type: Date,
+      required: true
+    },
+    _id: false
+  }],
+
+  // Admin rights; admins listed in the configuration have every permission regardless
+  isAdmin: {
+    type: Boolean,
+    default: false
+  },
+  permissions: {
+    type: [String],
+    enum: config.admin.permissions,
+    default: []
+  },
+
   // User preferences
   isActive: {
     type: Boolean,
     default: true
   },
+  // Banned by an admin; see moderationService
   blocked: {
     type: Boolean,
     default: false
   },
+  // End of a temporary ban; null means permanent
+  blockedUntil: {
+    type: Date,
+    default: null
+  },
+  blockReason: {
+    type: String,
+    default: null
+  },
+  // Muted users can use the bot but not contact other users or publish
+  muted: {
+    type: Boolean,
+    default: false
+  },
+  mutedUntil: {
+    type: Date,
+    default: null
+  },
+  muteReason: {
+    type: String,
+    default: null
+  },
   
   // Additional metadata
   metadata: {
@@ -103,6 +360,8 @@ userSchema.index({ username: 1 });
 userSchema.index({ chatId: 1 });
 userSchema.index({ lastSeen: -1 });
 userSchema.index({ createdAt: -1 });
+userSchema.index({ registrationState: 1, registeredAt: -1 });
+userSchema.index({ 'registrationTransitions.at': 1 });
 
 // Virtual for full name
 userSchema.virtual('fullName').get(function() {
@@ -124,35 +383,141 @@ userSchema.methods.incrementMessageCount = function() {
   return this.save();
 };
 
-userSchema.methods.updateRegistrationState = function(state) {
+userSchema.methods.setRegistrationState = function(state, details = {}) {
+  const now = new Date();
+  const previous = this.registrationTransitions[this.registrationTransitions.length - 1];
+
+  this.registrationTransitions.push({
+    from: this.isNew ? null : this.registrationState,
+    to: state,
+    at: now,
+    duration: previous ? now - previous.at : null,
+    role: details.role !== undefined ? details.role : this.role,
+    language: details.language !== undefined ? details.language : this.language
+  });
+  // Keep the most recent transitions only
+  if (this.registrationTransitions.length > 50) {
+    this.registrationTransitions.splice(0, this.registrationTransitions.length - 50);
+  }
+
   this.registrationState = state;
+};
+
+userSchema.methods.updateRegistrationState = function(state) {
+  this.setRegistrationState(state);
   if (state === 'completed') {
     this.isRegistered = true;
   }
   return this.save();
 };
 
-userSchema.methods.setPhoneNumber = function(phoneNumber) {
+userSchema.methods.setPhoneNumber = function(phoneNumber, verified = false) {
   this.phoneNumber = phoneNumber;
-  this.registrationState = 'phone_entered';
+  this.phoneVerified = verified;
+  this.setRegistrationState('phone_entered');
   return this.save();
 };
 
 userSchema.methods.setFullName = function(fullName) {
   this.userFullName = fullName;
-  this.registrationState = 'name_entered';
+  this.setRegistrationState('name_entered');
   return this.save();
 };
 
 userSchema.methods.setRole = function(role) {
   this.role = role;
-  this.registrationState = 'role_selected';
+  this.setRegistrationState('role_selected');
   return this.save();
 };
 
 userSchema.methods.completeRegistration = function() {
-  this.registrationState = 'completed';
+  this.setRegistrationState('completed');
   this.isRegistered = true;
+  this.registeredAt = new Date();
+  return this.save();
+};
+
+userSchema.methods.submitForReview = function() {
+  this.setRegistrationState('pending_review');
+  this.isRegistered = false;
+  this.submittedForReviewAt = new Date();
+  this.reviewedAt = null;
+  this.reviewedBy = null;
+  this.rejectionReason = null;
+  return this.save();
+};
+
+userSchema.methods.approveRegistration = function(adminId) {
+  this.reviewedAt = new Date();
+  this.reviewedBy = adminId;
+  this.rejectionReason = null;
+  return this.completeRegistration();
+};
+
+userSchema.methods.rejectRegistration = function(adminId, reason) {
+  // Back to the start, so the user can register again with corrected details
+  this.setRegistrationState('not_started');
+  this.isRegistered = false;
+  this.registrationStartedAt = null;
+  this.reviewedAt = new Date();
+  this.reviewedBy = adminId;
+  this.rejectionReason = reason;
+  return this.save();
+};
+
+userSchema.methods.updateProfileField = function(field, value) {
+  this.profileChanges.push({
+    field,
+    oldValue: this[field] === null || this[field] === undefined ? null : String(this[field]),
+    newValue: value === null || value === undefined ? null : String(value),
+    changedAt: new Date()
+  });
+  // Keep the most recent changes only
+  if (this.profileChanges.length > 50) {
+    this.profileChanges.splice(0, this.profileChanges.length - 50);
+  }
+
+  this[field] = value;
+  if (field === 'phoneNumber') {
+    this.phoneVerified = false;
+    this.phoneVerifiedAt = null;
+  }
+  this.profileUpdatedAt = new Date();
+  return this.save();
+};
+
+userSchema.methods.setSearchFilters = function(filters) {
+  this.searchFilters = {
+    type: filters.type || null,
+    district: filters.district || null,
+    minPrice: filters.minPrice || null,
+    maxPrice: filters.maxPrice || null,
+    rooms: filters.rooms || null
+  };
+  return this.save();
+};
+
+userSchema.methods.setPreferences = function(preferences) {
+  this.preferences = {
+    buyer: preferences.buyer,
+    investor: preferences.investor,
+    updatedAt: new Date()
+  };
+  return this.save();
+};
+
+userSchema.methods.getSkippedMatchIds = function(now = new Date()) {
+  return (this.skippedMatches || [])
+    .filter(skip => skip.until > now)
+    .map(skip => skip.telegramId);
+};
+
+userSchema.methods.skipMatch = function(telegramId, until) {
+  // Drop expired entries and any earlier skip of the same user
+  const now = new Date();
+  this.skippedMatches = (this.skippedMatches || [])
+    .filter(skip => skip.until > now && skip.telegramId !== telegramId);
+  this.skippedMatches.push({ telegramId, until });
   return this.save();
 };
 
@@ -167,6 +532,10 @@ userSchema.statics.findByTelegramId = function(telegramId) {
   return this.findOne({ telegramId });
 };
 
+userSchema.statics.findOtherByPhone = function(phoneNumber, telegramId) {
+  return this.findOne({ phoneNumber, telegramId: { $ne: telegramId } });
+};
+
 userSchema.statics.findByUsername = function(username) {
   return this.findOne({ username });
 };
@@ -175,8 +544,52 @@ userSchema.statics.findActiveUsers = function() {
   return this.find({ isActive: true, blocked: false });
 };
 
-userSchema.statics.getUserStats = function() {
+// Unfinished registrations with no live wizard session that are due for a reminder,
+// never reminded ones first
+userSchema.statics.findStalledRegistrations = function(states, inactiveSince, remindedBefore, limit) {
+  const now = new Date();
+  return this.aggregate([
+    {
+      $match: {
+        registrationState: { $in: states },
+        isRegistered: false,
+        registrationStartedAt: { $ne: null, $lte: inactiveSince },
+        registrationAbandonedAt: null,
+        lastSeen: { $lte: inactiveSince },
+        blocked: false,
+        $or: [{ registrationLastReminderAt: null }, { registrationLastReminderAt: { $lte: remindedBefore } }]
+      }
+    },
+    {
+      $lookup: {
+        from: 'wizard_sessions',
+        localField: 'telegramId',
+        foreignField: 'userId',
+        as: 'sessions'
+      }
+    },
+    {
+      // Users with a live session are reminded through it
+      $match: { sessions: { $not: { $elemMatch: { expiresAt: { $gt: now } } } } }
+    },
+    {
+      $sort: { registrationLastReminderAt: 1, lastSeen: 1 }
+    },
+    {
+      $limit: limit
+    },
+    {
+      $project: { telegramId: 1, registrationState: 1, registrationRemindersSent: 1 }
+    }
+  ]);
+};
+
+// Totals of all users, or of those matching a filter
+userSchema.statics.getUserStats = function(match = {}) {
   return this.aggregate([
+    {
+      $match: match
+    },
     {
       $group: {
         _id: null,
@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+
+const wizardSessionSchema = new mongoose.Schema({
+  // A user runs at most one wizard at a time
+  userId: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  flowId: {
+    type: String,
+    required: true
+  },
+  stepId: {
+    type: String,
+    required: true
+  },
+  // Steps to return to with "Back", most recent last
+  history: {
+    type: [String],
+    default: []
+  },
+  // Answers collected so far, keyed by each step's field
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // True while a step is re-entered from the summary screen
+  editing: {
+    type: Boolean,
+    default: false
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Last answer or navigation by the user; reminders don't count
+  lastActivityAt: {
+    type: Date,
+    default: Date.now
+  },
+  remindersSent: {
+    type: Number,
+    default: 0
+  },
+  lastReminderAt: {
+    type: Date,
+    default: null
+  },
+  // Set when the user ignored every reminder
+  abandonedAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true, // Adds createdAt and updatedAt
+  collection: 'wizard_sessions',
+  minimize: false // Keep an empty data object
+});
+
+// Indexes for better performance
+wizardSessionSchema.index({ flowId: 1, abandonedAt: 1, lastActivityAt: 1 });
+// Expired sessions are removed by MongoDB
+wizardSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Instance methods
+wizardSessionSchema.methods.isExpired = function() {
+  return this.expiresAt <= new Date();
+};
+
+wizardSessionSchema.methods.setValues = function(values) {
+  this.data = { ...this.data, ...values };
+  this.markModified('data');
+};
+
+wizardSessionSchema.methods.touch = function(timeout) {
+  this.lastActivityAt = new Date();
+  this.expiresAt = new Date(Date.now() + timeout);
+  // The user is back, so reminders start over if they stall again
+  this.remindersSent = 0;
+  this.lastReminderAt = null;
+  this.abandonedAt = null;
+  return this.save();
+};
+
+wizardSessionSchema.methods.recordReminder = function() {
+  this.remindersSent += 1;
+  this.lastReminderAt = new Date();
+  return this.save();
+};
+
+wizardSessionSchema.methods.markAbandoned = function() {
+  this.abandonedAt = new Date();
+  return this.save();
+};
+
+wizardSessionSchema.methods.toSafeObject = function() {
+  const obj = this.toObject();
+  delete obj.__v;
+  return obj;
+};
+
+// Static methods
+wizardSessionSchema.statics.findByUser = function(userId) {
+  return this.findOne({ userId });
+};
+
+// Sessions due for a reminder: never reminded ones first, then those reminded longest ago
+wizardSessionSchema.statics.findStalled = function(flowId, inactiveSince, remindedBefore, limit) {
+  return this.find({
+    flowId,
+    abandonedAt: null,
+    lastActivityAt: { $lte: inactiveSince },
+    expiresAt: { $gt: new Date() },
+    $or: [{ lastReminderAt: null }, { lastReminderAt: { $lte: remindedBefore } }]
+  })
+    .sort({ lastReminderAt: 1, lastActivityAt: 1 })
+    .limit(limit);
+};
+
+module.exports = mongoose.model('WizardSession', wizardSessionSchema);
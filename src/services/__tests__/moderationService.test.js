@@ -0,0 +1,125 @@
+// The service reads its limits from the bot configuration, which needs a token to load
+process.env.TELEGRAM_BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN || 'test-token';
+
+// The in-memory store starts its cleanup and sync timers when loaded, which would keep Jest running
+jest.mock('../memoryStorage', () => ({}));
+
+const config = require('../../config');
+const moderationService = require('../moderationService');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+describe('moderationService.parseDuration', () => {
+  it.each([
+    ['30m', 30 * MINUTE],
+    ['1m', MINUTE],
+    ['12h', 12 * HOUR],
+    ['7d', 7 * DAY],
+    ['2w', 14 * DAY],
+    ['90d', 90 * DAY],
+    ['12H', 12 * HOUR],
+    ['2W', 14 * DAY]
+  ])('parses %p', (text, expected) => {
+    expect(moderationService.parseDuration(text)).toBe(expected);
+  });
+
+  it.each([
+    [undefined],
+    [null],
+    [''],
+    ['0m'],
+    ['0d'],
+    ['7'],
+    ['d'],
+    ['7s'],
+    ['7y'],
+    ['7 d'],
+    ['7days'],
+    ['1.5h'],
+    ['-1d'],
+    ['+2d'],
+    ['1d2h'],
+    ['spam']
+  ])('rejects %p', text => {
+    expect(moderationService.parseDuration(text)).toBeNull();
+  });
+});
+
+describe('moderationService.parseArguments', () => {
+  const reasonError = { key: 'moderation.reasonInvalid', params: { max: config.moderation.maxReasonLength } };
+
+  it('reads the target, duration and reason', () => {
+    expect(moderationService.parseArguments('@john 7d spam in listings')).toEqual({
+      valid: true,
+      value: { target: '@john', duration: 7 * DAY, reason: 'spam in listings' }
+    });
+  });
+
+  it('leaves the duration empty when none is given', () => {
+    expect(moderationService.parseArguments('123456 fake listings')).toEqual({
+      valid: true,
+      value: { target: '123456', duration: null, reason: 'fake listings' }
+    });
+  });
+
+  it('accepts a chat ID as the target', () => {
+    expect(moderationService.parseArguments('-100123 2w advertising').value).toEqual({
+      target: '-100123',
+      duration: 14 * DAY,
+      reason: 'advertising'
+    });
+  });
+
+  it('ignores extra whitespace around and between the arguments', () => {
+    expect(moderationService.parseArguments('  @john   12h   rude    messages ').value).toEqual({
+      target: '@john',
+      duration: 12 * HOUR,
+      reason: 'rude messages'
+    });
+  });
+
+  describe('reasons that contain numbers', () => {
+    it.each([
+      ['@john 3 fake listings', null, '3 fake listings'],
+      ['@john 1d 3 fake listings', DAY, '3 fake listings'],
+      ['@john 7days of spam', null, '7days of spam'],
+      ['@john 0d spam', null, '0d spam'],
+      ['@john 2w posted 5m ago again', 14 * DAY, 'posted 5m ago again'],
+      ['@john spam 7d', null, 'spam 7d'],
+      ['@john 1h 2h', HOUR, '2h']
+    ])('parses %p', (text, duration, reason) => {
+      expect(moderationService.parseArguments(text)).toEqual({
+        valid: true,
+        value: { target: '@john', duration, reason }
+      });
+    });
+  });
+
+  it.each([
+    [undefined],
+    [''],
+    ['   ']
+  ])('asks for usage when there is no target in %p', text => {
+    expect(moderationService.parseArguments(text)).toEqual({ valid: false, error: 'moderation.usage' });
+  });
+
+  it.each([
+    ['@john'],
+    ['@john 7d'],
+    ['@john   30m   ']
+  ])('requires a reason in %p', text => {
+    expect(moderationService.parseArguments(text)).toEqual({ valid: false, error: reasonError });
+  });
+
+  it('rejects a reason over the length limit', () => {
+    const reason = 'x'.repeat(config.moderation.maxReasonLength + 1);
+    expect(moderationService.parseArguments(`@john 7d ${reason}`)).toEqual({ valid: false, error: reasonError });
+  });
+
+  it('accepts a reason at the length limit', () => {
+    const reason = 'x'.repeat(config.moderation.maxReasonLength);
+    expect(moderationService.parseArguments(`@john ${reason}`).value.reason).toBe(reason);
+  });
+});
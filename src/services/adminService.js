@@ -0,0 +1,220 @@
+const config = require('../config');
+const Logger = require('../utils/logger');
+const User = require('../models/User');
+const Connection = require('../models/Connection');
+const WizardSession = require('../models/WizardSession');
+const databaseService = require('./database');
+const memoryStorage = require('./memoryStorage');
+const { escapeRegex } = require('../utils/helpers');
+const { normalizePhoneNumber } = require('../utils/phoneNumber');
+
+class AdminService {
+  constructor() {
+    this.settings = config.admin;
+
+    Logger.info('Admin service initialized', { configuredAdmins: this.settings.ids.length });
+  }
+
+  /**
+   * Check if a user is listed as an admin in the configuration
+   * @param {number} userId - Telegram user ID
+   * @returns {boolean} True for configured admins
+   */
+  isConfiguredAdmin(userId) {
+    return this.settings.ids.includes(userId);
+  }
+
+  /**
+   * Get the permissions of an admin
+   * @param {number} userId - Telegram user ID
+   * @returns {Promise<Array<string>|null>} Permissions, or null if the user isn't an admin
+   */
+  async getPermissions(userId) {
+    if (this.isConfiguredAdmin(userId)) {
+      return this.settings.permissions;
+    }
+
+    if (!databaseService.isConnected) {
+      return null;
+    }
+
+    try {
+      const user = await User.findOne({ telegramId: userId }, { isAdmin: 1, permissions: 1 });
+      return user && user.isAdmin ? user.permissions : null;
+    } catch (error) {
+      Logger.error('Error loading admin permissions', { error: error.message, userId });
+      return null;
+    }
+  }
+
+  /**
+   * Check if a user is an admin, optionally with a given permission
+   * @param {number} userId - Telegram user ID
+   * @param {string} permission - Required permission, or null for any admin
+   * @returns {Promise<boolean>} True if allowed
+   */
+  async hasPermission(userId, permission = null) {
+    const permissions = await this.getPermissions(userId);
+    return Boolean(permissions) && (!permission || permissions.includes(permission));
+  }
+
+  /**
+   * Telegraf middleware letting only admins through, with a polite refusal for everyone else
+   * @param {string} permission - Required permission, or null for any admin
+   * @returns {Function} Middleware
+   */
+  requireAdmin(permission = null) {
+    return async (ctx, next) => {
+      if (ctx.from && await this.hasPermission(ctx.from.id, permission)) {
+        await next();
+        return;
+      }
+
+      Logger.warn('Admin action refused', { userId: ctx.from && ctx.from.id, permission });
+      if (ctx.callbackQuery) {
+        await ctx.answerCbQuery(ctx.t('admin.notAllowed'), { show_alert: true });
+      } else {
+        await ctx.reply(ctx.t('admin.notAllowed'));
+      }
+    };
+  }
+
+  /**
+   * Get a user by Telegram ID
+   * @param {number} userId - Telegram user ID
+   * @returns {Promise<Object|null>} User document or null
+   */
+  async getUser(userId) {
+    return User.findByTelegramId(userId);
+  }
+
+  /**
+   * Find users by Telegram ID, @username, phone number or part of the name
+   * @param {string} query - Text typed by the admin
+   * @returns {Promise<Array<Object>>} Matching users, most recently seen first
+   */
+  async findUsers(query) {
+    const text = (query || '').trim();
+    if (!text) {
+      return [];
+    }
+
+    const conditions = [];
+    if (/^\d+$/.test(text)) {
+      conditions.push({ telegramId: Number(text) });
+    }
+    if (text.startsWith('@')) {
+      conditions.push({ username: new RegExp(`^${escapeRegex(text.slice(1))}$`, 'i') });
+    }
+
+    const phone = normalizePhoneNumber(text, config.phone);
+    if (phone.valid) {
+      conditions.push({ phoneNumber: phone.value });
+    }
+
+    if (!text.startsWith('@') && !/^[\d\s()+-]+$/.test(text)) {
+      const name = new RegExp(escapeRegex(text), 'i');
+      conditions.push({ userFullName: name }, { firstName: name }, { lastName: name });
+    }
+
+    if (conditions.length === 0) {
+      return [];
+    }
+
+    return User.find({ $or: conditions }).sort({ lastSeen: -1 }).limit(this.settings.pageSize);
+  }
+
+  /**
+   * Get the users who completed registration most recently
+   * @returns {Promise<Array<Object>>} Users, newest first
+   */
+  async getRecentRegistrations() {
+    return User.find({ registrationState: 'completed' })
+      .sort({ registeredAt: -1, createdAt: -1 })
+      .limit(this.settings.pageSize);
+  }
+
+  /**
+   * Get what is waiting for someone to act on
+   * @returns {Promise<Object>} { registrations, registrationCount, connectionCount }
+   */
+  async getPendingItems() {
+    const [registrations, registrationCount, connectionCount] = await Promise.all([
+      User.find({ registrationState: 'pending_review' })
+        .sort({ submittedForReviewAt: 1 })
+        .limit(this.settings.pageSize),
+      User.countDocuments({ registrationState: 'pending_review' }),
+      Connection.countDocuments({ status: 'pending' })
+    ]);
+
+    return { registrations, registrationCount, connectionCount };
+  }
+
+  /**
+   * Collect the health and usage figures of the bot
+   * @returns {Promise<Object>} Process, memory storage and database figures
+   */
+  async getSystemStatus() {
+    const status = {
+      memory: memoryStorage.getStats(),
+      databaseConnected: databaseService.isConnected,
+      database: null
+    };
+
+    if (databaseService.isConnected) {
+      const [mongoStats, registeredUsers, wizardSessions] = await Promise.all([
+        memoryStorage.getMongoStats(),
+        User.countDocuments({ isRegistered: true }),
+        WizardSession.countDocuments()
+      ]);
+
+      status.database = {
+        totalUsers: (mongoStats && mongoStats.users.totalUsers) || 0,
+        activeUsers: (mongoStats && mongoStats.users.activeUsers) || 0,
+        totalMessages: (mongoStats && mongoStats.users.totalMessages) || 0,
+        registeredUsers,
+        wizardSessions
+      };
+    }
+
+    return status;
+  }
+
+  /**
+   * Appoint or dismiss an admin
+   * @param {number} targetId - Telegram user ID of the user to change
+   * @param {boolean} isAdmin - True to appoint, false to dismiss
+   * @param {number} adminId - Telegram user ID of the admin making the change
+   * @returns {Promise<Object>} { success, user, message } or { success: false, error }
+   */
+  async setAdmin(targetId, isAdmin, adminId) {
+    try {
+      if (targetId === adminId) {
+        return { success: false, error: 'admin.user.cannotChangeSelf' };
+      }
+      if (this.isConfiguredAdmin(targetId)) {
+        return { success: false, error: 'admin.user.cannotChangeConfigured' };
+      }
+
+      const user = await User.findByTelegramId(targetId);
+      if (!user) {
+        return { success: false, error: 'common.userNotFound' };
+      }
+
+      user.isAdmin = isAdmin;
+      user.permissions = isAdmin ? this.settings.defaultPermissions : [];
+      await user.save();
+
+      Logger.info(isAdmin ? 'Admin appointed' : 'Admin dismissed', { userId: targetId, adminId });
+      return { success: true, user, message: isAdmin ? 'admin.user.adminGranted' : 'admin.user.adminRevoked' };
+    } catch (error) {
+      Logger.error('Error changing admin rights', { error: error.message, userId: targetId });
+      return { success: false, error: 'admin.user.updateFailed' };
+    }
+  }
+}
+
+// Create singleton instance
+const adminService = new AdminService();
+
+module.exports = adminService;
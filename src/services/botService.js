@@ -1,10 +1,39 @@
+const crypto = require('crypto');
 const { Telegraf, Scenes, session } = require('telegraf');
 const express = require('express');
 const config = require('../config');
 const Logger = require('../utils/logger');
 const memoryStorage = require('./memoryStorage');
+const localeService = require('./localeService');
+const wizardEngine = require('./wizardEngine');
+const notificationService = require('./notificationService');
+const registrationReminderService = require('./registrationReminderService');
+const summaryReportService = require('./summaryReportService');
+const registrationReviewService = require('./registrationReviewService');
+const registrationAnalyticsService = require('./registrationAnalyticsService');
+const termsService = require('./termsService');
+const adminService = require('./adminService');
+const broadcastService = require('./broadcastService');
+const moderationService = require('./moderationService');
 const RegistrationHandler = require('../handlers/registrationHandler');
+const ListingHandler = require('../handlers/listingHandler');
+const SearchHandler = require('../handlers/searchHandler');
+const SavedSearchHandler = require('../handlers/savedSearchHandler');
+const InvestmentHandler = require('../handlers/investmentHandler');
+const NetworkHandler = require('../handlers/networkHandler');
+const ChatHandler = require('../handlers/chatHandler');
+const MarketHandler = require('../handlers/marketHandler');
+const ProfileHandler = require('../handlers/profileHandler');
+const FavoriteHandler = require('../handlers/favoriteHandler');
+const LanguageHandler = require('../handlers/languageHandler');
+const ReviewHandler = require('../handlers/reviewHandler');
+const TermsHandler = require('../handlers/termsHandler');
+const AdminHandler = require('../handlers/adminHandler');
+const BroadcastHandler = require('../handlers/broadcastHandler');
+const ModerationHandler = require('../handlers/moderationHandler');
 const User = require('../models/User');
+const { formatDate } = require('../utils/helpers');
+const { getLocaleTag, t } = require('../utils/i18n');
 
 class BotService {
   constructor() {
@@ -13,6 +42,18 @@ class BotService {
     this.server = null;
     this.isRunning = false;
     this.registrationHandler = null;
+    this.listingHandler = null;
+    this.searchHandler = null;
+    this.savedSearchHandler = null;
+    this.investmentHandler = null;
+    this.networkHandler = null;
+    this.chatHandler = null;
+    this.marketHandler = null;
+    this.profileHandler = null;
+    this.favoriteHandler = null;
+    this.languageHandler = null;
+    this.reviewHandler = null;
+    this.termsHandler = null;
     this.stage = null;
   }
 
@@ -23,9 +64,72 @@ class BotService {
     try {
       // Create bot instance with telegraf
       this.bot = new Telegraf(config.bot.token);
+
+      // Let services send bot-initiated messages
+      notificationService.init(this.bot.telegram);
+
+      // Bans and mutes in force
+      await moderationService.start();
+
+      // Terms version members have to accept
+      await termsService.load();
+
+      // Nudge users who stopped in the middle of registration
+      registrationReminderService.start();
+
+      // Finish broadcasts interrupted by a restart
+      await broadcastService.start();
+
+      // Send the daily and weekly summaries to the admin chat
+      summaryReportService.start();
       
       // Initialize registration handler
       this.registrationHandler = new RegistrationHandler(this.bot);
+
+      // Initialize listing handler
+      this.listingHandler = new ListingHandler(this.bot);
+
+      // Initialize search handler
+      this.searchHandler = new SearchHandler(this.bot);
+
+      // Initialize saved search handler
+      this.savedSearchHandler = new SavedSearchHandler(this.bot, this.searchHandler);
+
+      // Initialize investment handler
+      this.investmentHandler = new InvestmentHandler(this.bot);
+
+      // Initialize network handler
+      this.networkHandler = new NetworkHandler(this.bot);
+
+      // Initialize chat handler
+      this.chatHandler = new ChatHandler(this.bot);
+
+      // Initialize market handler
+      this.marketHandler = new MarketHandler(this.bot);
+
+      // Initialize profile handler
+      this.profileHandler = new ProfileHandler(this.bot);
+
+      // Initialize favourites handler
+      this.favoriteHandler = new FavoriteHandler(this.bot);
+
+      // Initialize language handler
+      this.languageHandler = new LanguageHandler(this.bot);
+
+      // Initialize registration review handler
+      this.reviewHandler = new ReviewHandler(this.bot);
+
+      // Initialize terms consent handler
+      this.termsHandler = new TermsHandler(this.bot);
+
+      // Initialize admin panel handler
+      this.adminHandler = new AdminHandler(this.bot);
+
+      // Initialize broadcast handler
+      this.broadcastHandler = new BroadcastHandler(this.bot);
+
+      // Initialize moderation handler
+      this.moderationHandler = new ModerationHandler(this.bot);
       
       // Set up middleware
       this.setupMiddleware();
@@ -40,6 +144,10 @@ class BotService {
       if (config.webhook.enabled && config.webhook.domain) {
         await this.startWebhook();
       } else {
+        // Polling needs no web server, except for the admin API
+        if (config.admin.apiToken) {
+          this.startApiServer();
+        }
         await this.startPolling();
       }
       
@@ -63,19 +171,7 @@ class BotService {
   async startWebhook() {
     try {
       // Create Express app
-      this.app = express();
-      
-      // Middleware
-      this.app.use(express.json());
-      
-      // Health check endpoint
-      this.app.get('/health', (req, res) => {
-        res.json({ 
-          status: 'healthy', 
-          timestamp: new Date().toISOString(),
-          bot: config.bot.name
-        });
-      });
+      this.app = this.createHttpApp();
       
       // Webhook endpoint
       this.app.use(this.bot.webhookCallback(config.webhook.path));
@@ -104,6 +200,85 @@ class BotService {
     }
   }
 
+  /**
+   * Create the Express app with the health check and, when a token is configured, the admin API
+   * @returns {Object} Express app
+   */
+  createHttpApp() {
+    const app = express();
+
+    // Middleware
+    app.use(express.json());
+
+    // Health check endpoint
+    app.get('/health', (req, res) => {
+      res.json({ 
+        status: 'healthy', 
+        timestamp: new Date().toISOString(),
+        bot: config.bot.name
+      });
+    });
+
+    // Admin API
+    if (config.admin.apiToken) {
+      app.get('/admin/funnel', (req, res, next) => this.checkApiToken(req, res, next), async (req, res) => {
+        await this.sendFunnel(req, res);
+      });
+    }
+
+    return app;
+  }
+
+  /**
+   * Start the web server for the admin API when updates are polled
+   */
+  startApiServer() {
+    this.app = this.createHttpApp();
+    this.server = this.app.listen(config.port, () => {
+      Logger.info('Express server started', { port: config.port });
+    });
+  }
+
+  /**
+   * Let admin API requests through only with the configured bearer token
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {Function} next - Next handler
+   */
+  checkApiToken(req, res, next) {
+    const expected = Buffer.from(`Bearer ${config.admin.apiToken}`);
+    const given = Buffer.from(req.get('authorization') || '');
+
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+      Logger.warn('Admin API request refused', { path: req.path, ip: req.ip });
+      res.status(401).json({ error: 'Unauthorized' });
+      return;
+    }
+
+    next();
+  }
+
+  /**
+   * Send the registration funnel as JSON ("GET /admin/funnel?days=30" or "?from=2024-01-01&to=2024-01-31")
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  async sendFunnel(req, res) {
+    const range = registrationAnalyticsService.parseRange(req.query);
+    if (!range.valid) {
+      res.status(400).json({ error: range.error });
+      return;
+    }
+
+    const result = await registrationAnalyticsService.getFunnel(range.value);
+    if (!result.success) {
+      res.status(503).json({ error: t(config.i18n.defaultLocale, result.error) });
+      return;
+    }
+
+    res.json(result.funnel);
+  }
+
   /**
    * Start bot with polling
    */
@@ -122,6 +297,11 @@ class BotService {
    */
   async stop() {
     try {
+      registrationReminderService.stop();
+      broadcastService.stop();
+      summaryReportService.stop();
+      moderationService.stop();
+
       if (this.bot && this.isRunning) {
         if (config.webhook.enabled) {
           // Stop webhook
@@ -133,6 +313,9 @@ class BotService {
         } else {
           // Stop polling
           await this.bot.stop();
+          if (this.server) {
+            this.server.close();
+          }
           Logger.info('Polling stopped');
         }
         this.isRunning = false;
@@ -146,6 +329,9 @@ class BotService {
    * Set up middleware
    */
   setupMiddleware() {
+    // Moderation middleware - drop updates from banned users and chats before anything else sees them
+    this.bot.use(moderationService.middleware());
+
     // Session middleware for state management
     this.bot.use(session());
     
@@ -175,26 +361,106 @@ class BotService {
       }
     });
     
-    // Registration middleware - check if user is in registration
+    // Locale middleware - ctx.locale and ctx.t in the language the user chose
+    this.bot.use(localeService.middleware());
+
+    // Terms middleware - members must accept a newly published terms version before going on
     this.bot.use(async (ctx, next) => {
       try {
-        const userId = ctx.from.id;
-        const isInRegistration = await this.registrationHandler.isInRegistration(userId);
-        const currentState = await this.registrationHandler.getCurrentState(userId);
-        
-        // Add registration state to context
-        ctx.registrationState = currentState;
-        ctx.isInRegistration = isInRegistration;
-        
-        // If user is in registration and message is text, handle registration
-        if (isInRegistration && ctx.message && ctx.message.text) {
-          await this.handleRegistrationMessage(ctx, currentState);
+        if (ctx.from && !this.isAllowedWithoutConsent(ctx) && await termsService.needsConsent(ctx.from.id)) {
+          if (ctx.callbackQuery) {
+            await ctx.answerCbQuery();
+          }
+          await this.termsHandler.showTerms(ctx, 'terms.updated');
           return; // Don't continue to other handlers
         }
-        
+
+        await next();
+      } catch (error) {
+        Logger.error('Error in terms middleware', { error: error.message });
+        await next();
+      }
+    });
+
+    // Wizard middleware - route answers and "wz_" buttons to the running flow (e.g. registration)
+    this.bot.use(wizardEngine.middleware());
+
+    // Pending input middleware - route replies to prompts waiting for text
+    this.bot.use(async (ctx, next) => {
+      try {
+        const awaitingInput = ctx.session && ctx.session.awaitingInput;
+        const text = ctx.message && ctx.message.text;
+        // The broadcast prompt also takes a photo
+        const photo = ctx.message && ctx.message.photo && awaitingInput === 'broadcast_message';
+
+        if (awaitingInput && ((text && !text.startsWith('/')) || photo)) {
+          ctx.session.awaitingInput = null;
+          await this.handlePendingInput(ctx, awaitingInput);
+          return; // Don't continue to other handlers
+        }
+
+        await next();
+      } catch (error) {
+        Logger.error('Error in pending input middleware', { error: error.message });
+        await next();
+      }
+    });
+
+    // Listing middleware - route wizard and edit input to the listing flow
+    this.bot.use(async (ctx, next) => {
+      try {
+        const message = ctx.message;
+        const isCommand = message && message.text && message.text.startsWith('/');
+
+        if (message && (message.text || message.photo) && !isCommand) {
+          const handled = await this.listingHandler.handleFlowMessage(ctx);
+          if (handled) {
+            return; // Don't continue to other handlers
+          }
+        }
+
+        await next();
+      } catch (error) {
+        Logger.error('Error in listing middleware', { error: error.message });
+        await next();
+      }
+    });
+
+    // Investment middleware - route wizard input to the publishing flow
+    this.bot.use(async (ctx, next) => {
+      try {
+        const text = ctx.message && ctx.message.text;
+
+        if (text && !text.startsWith('/')) {
+          const handled = await this.investmentHandler.handleFlowMessage(ctx);
+          if (handled) {
+            return; // Don't continue to other handlers
+          }
+        }
+
+        await next();
+      } catch (error) {
+        Logger.error('Error in investment middleware', { error: error.message });
+        await next();
+      }
+    });
+
+    // Chat middleware - relay messages of users in an open conversation
+    this.bot.use(async (ctx, next) => {
+      try {
+        const message = ctx.message;
+        const isCommand = message && message.text && message.text.startsWith('/');
+
+        if (message && !isCommand) {
+          const handled = await this.chatHandler.handleRelayMessage(ctx);
+          if (handled) {
+            return; // Don't continue to other handlers
+          }
+        }
+
         await next();
       } catch (error) {
-        Logger.error('Error in registration middleware', { error: error.message });
+        Logger.error('Error in chat middleware', { error: error.message });
         await next();
       }
     });
@@ -230,6 +496,96 @@ class BotService {
       await this.registrationHandler.handleRegistrationStart(ctx);
     });
 
+    // Add listing command
+    this.bot.command('addlisting', async (ctx) => {
+      await this.listingHandler.handleAddListing(ctx);
+    });
+
+    // My listings command
+    this.bot.command('mylistings', async (ctx) => {
+      await this.listingHandler.handleMyListings(ctx);
+    });
+
+    // Search command
+    this.bot.command('search', async (ctx) => {
+      await this.searchHandler.showSearchMenu(ctx);
+    });
+
+    // My searches command
+    this.bot.command('mysearches', async (ctx) => {
+      await this.savedSearchHandler.handleMySearches(ctx);
+    });
+
+    // Investments command
+    this.bot.command('investments', async (ctx) => {
+      await this.investmentHandler.showCatalogue(ctx);
+    });
+
+    // Add investment command
+    this.bot.command('addinvestment', async (ctx) => {
+      await this.investmentHandler.handleAddInvestment(ctx);
+    });
+
+    // My investments command
+    this.bot.command('myinvestments', async (ctx) => {
+      await this.investmentHandler.handleMyInvestments(ctx);
+    });
+
+    // Network command
+    this.bot.command('network', async (ctx) => {
+      await this.networkHandler.showSuggestion(ctx);
+    });
+
+    // Connections command
+    this.bot.command('connections', async (ctx) => {
+      await this.networkHandler.handleConnections(ctx);
+    });
+
+    // Chats command
+    this.bot.command('chats', async (ctx) => {
+      await this.chatHandler.handleChats(ctx);
+    });
+
+    // Close chat command
+    this.bot.command('closechat', async (ctx) => {
+      await this.chatHandler.handleCloseChat(ctx);
+    });
+
+    // Favourites command
+    this.bot.command('favorites', async (ctx) => {
+      await this.favoriteHandler.handleFavorites(ctx);
+    });
+
+    // Profile command
+    this.bot.command('profile', async (ctx) => {
+      await this.profileHandler.showProfile(ctx);
+    });
+
+    // Language command
+    this.bot.command('language', async (ctx) => {
+      await this.languageHandler.showPicker(ctx);
+    });
+
+    // Cancel command - running wizards are cancelled by the wizard middleware
+    this.bot.command('cancel', async (ctx) => {
+      if (ctx.session && ctx.session.awaitingInput) {
+        ctx.session.awaitingInput = null;
+        await ctx.reply(ctx.t('common.cancelled'));
+        return;
+      }
+      await ctx.reply(ctx.t('common.nothingToCancel'));
+    });
+
+    // Publish a new terms version (admins only)
+    this.bot.command('publishterms', adminService.requireAdmin('terms'), async (ctx) => {
+      await this.termsHandler.handlePublish(ctx);
+    });
+
+    // Market data command
+    this.bot.command('market', async (ctx) => {
+      await this.marketHandler.showMarketData(ctx);
+    });
+
     // Hello command
     this.bot.hears(['/hello', 'hello', 'hi'], async (ctx) => {
       await this.sendHelloMessage(ctx);
@@ -240,11 +596,34 @@ class BotService {
       await this.sendHelpMessage(ctx);
     });
 
-    // Stats command
-    this.bot.command('stats', async (ctx) => {
+    // Stats command (admins only)
+    this.bot.command('stats', adminService.requireAdmin('stats'), async (ctx) => {
       await this.sendStatsMessage(ctx);
     });
 
+    // Admin panel command
+    this.bot.command('admin', adminService.requireAdmin(), async (ctx) => {
+      await this.adminHandler.showPanel(ctx);
+    });
+
+    // Broadcast command (admins only)
+    this.bot.command('broadcast', adminService.requireAdmin('broadcast'), async (ctx) => {
+      await this.broadcastHandler.start(ctx);
+    });
+
+    // Moderation commands (admins only)
+    this.bot.command('ban', adminService.requireAdmin('moderation'), async (ctx) => {
+      await this.moderationHandler.handleRestrict(ctx, 'ban');
+    });
+
+    this.bot.command('mute', adminService.requireAdmin('moderation'), async (ctx) => {
+      await this.moderationHandler.handleRestrict(ctx, 'mute');
+    });
+
+    this.bot.command('unban', adminService.requireAdmin('moderation'), async (ctx) => {
+      await this.moderationHandler.handleUnban(ctx);
+    });
+
     // Info command
     this.bot.command('info', async (ctx) => {
       await this.sendUserInfo(ctx);
@@ -274,28 +653,61 @@ class BotService {
   }
 
   /**
-   * Handle registration messages
+   * Check if an update is allowed before the current terms are accepted
    * @param {Object} ctx - Telegraf context
-   * @param {string} currentState - Current registration state
+   * @returns {boolean} True for /start, /help, the terms buttons and the admin chat
    */
-  async handleRegistrationMessage(ctx, currentState) {
-    const text = ctx.message.text.trim();
+  isAllowedWithoutConsent(ctx) {
+    if (registrationReviewService.isAdminChat(ctx.chat && ctx.chat.id)) {
+      return true;
+    }
+
+    if (ctx.callbackQuery) {
+      return (ctx.callbackQuery.data || '').startsWith('terms_');
+    }
 
-    switch (currentState) {
-      case 'not_started':
-        // User is starting registration, ask for phone number
-        await this.registrationHandler.handlePhoneNumberInput(ctx);
+    if (ctx.message) {
+      return /^\/(start|help)(@\w+)?(\s|$)/.test(ctx.message.text || '');
+    }
+
+    return true;
+  }
+
+  /**
+   * Handle a reply to a prompt stored in the session
+   * @param {Object} ctx - Telegraf context
+   * @param {string} awaitingInput - Prompt the user is answering
+   */
+  async handlePendingInput(ctx, awaitingInput) {
+    switch (awaitingInput) {
+      case 'saved_search_name':
+        await this.savedSearchHandler.handleNameInput(ctx);
         break;
-      case 'phone_entered':
-        // User entered phone, now ask for name
-        await this.registrationHandler.handleFullNameInput(ctx);
+      case 'investment_funding':
+        await this.investmentHandler.handleFundingInput(ctx);
         break;
-      case 'name_entered':
-        // This should be handled by role selection buttons, but fallback to text
-        await ctx.reply('Please use the buttons below to select your role.');
+      case 'profile_phone':
+      case 'profile_name':
+        await this.profileHandler.handleFieldInput(ctx, awaitingInput.replace('profile_', ''));
+        break;
+      case 'profile_phone_code':
+        await this.profileHandler.handleCodeInput(ctx);
+        break;
+      case 'review_reason':
+        await this.reviewHandler.handleReasonInput(ctx);
+        break;
+      case 'admin_find':
+        await this.adminHandler.handleFindInput(ctx);
+        break;
+      case 'broadcast_message':
+        await this.broadcastHandler.handleMessageInput(ctx);
+        break;
+      case 'broadcast_button':
+        await this.broadcastHandler.handleButtonInput(ctx);
         break;
       default:
-        await ctx.reply('Please complete the registration process first.');
+        Logger.warn('Unknown pending input', { awaitingInput, userId: ctx.from.id });
+        await this.sendDefaultMessage(ctx);
     }
   }
 
@@ -306,14 +718,87 @@ class BotService {
   async handleCallbackQuery(ctx) {
     const data = ctx.callbackQuery.data;
 
-    // Handle registration callbacks
-    if (data.startsWith('role_')) {
-      await this.registrationHandler.handleRoleSelection(ctx);
+    // Handle listing callbacks
+    if (data.startsWith('listing_')) {
+      await this.listingHandler.handleCallback(ctx);
+      return;
+    }
+
+    // Handle search callbacks
+    if (data.startsWith('search_')) {
+      await this.searchHandler.handleCallback(ctx);
+      return;
+    }
+
+    // Handle saved search callbacks
+    if (data.startsWith('savedsearch_')) {
+      await this.savedSearchHandler.handleCallback(ctx);
+      return;
+    }
+
+    // Handle investment callbacks
+    if (data === 'investments' || data.startsWith('invest_')) {
+      await this.investmentHandler.handleCallback(ctx);
+      return;
+    }
+
+    // Handle network callbacks
+    if (data === 'network' || data.startsWith('match_')) {
+      await this.networkHandler.handleCallback(ctx);
+      return;
+    }
+
+    // Handle chat callbacks
+    if (data.startsWith('chat_')) {
+      await this.chatHandler.handleCallback(ctx);
+      return;
+    }
+
+    // Handle favourites callbacks
+    if (data.startsWith('fav_')) {
+      await this.favoriteHandler.handleCallback(ctx);
+      return;
+    }
+
+    // Handle profile callbacks
+    if (data === 'my_profile' || data.startsWith('profile_')) {
+      await this.profileHandler.handleCallback(ctx);
+      return;
+    }
+
+    // Handle language callbacks
+    if (data === 'language' || data.startsWith('language_')) {
+      await this.languageHandler.handleCallback(ctx);
       return;
     }
 
-    if (data === 'complete_registration') {
-      await this.registrationHandler.handleRegistrationCompletion(ctx);
+    // Handle terms consent callbacks
+    if (data.startsWith('terms_')) {
+      await this.termsHandler.handleCallback(ctx);
+      return;
+    }
+
+    // Handle registration review callbacks
+    if (data.startsWith('review_')) {
+      await this.reviewHandler.handleCallback(ctx);
+      return;
+    }
+
+    // Handle admin panel callbacks
+    if (data === 'admin' || data.startsWith('admin_')) {
+      await adminService.requireAdmin()(ctx, () => this.adminHandler.handleCallback(ctx));
+      return;
+    }
+
+    // Handle broadcast callbacks
+    if (data.startsWith('broadcast_')) {
+      await adminService.requireAdmin('broadcast')(ctx, () => this.broadcastHandler.handleCallback(ctx));
+      return;
+    }
+
+    // Handle market data callback
+    if (data === 'market_data') {
+      await this.marketHandler.showMarketData(ctx);
       return;
     }
 
@@ -323,13 +808,13 @@ class BotService {
         await this.sendUserInfo(ctx);
         break;
       case 'get_stats':
-        await this.sendStatsMessage(ctx);
+        await adminService.requireAdmin('stats')(ctx, () => this.sendStatsMessage(ctx));
         break;
       case 'start_registration':
         await this.registrationHandler.handleRegistrationStart(ctx);
         break;
       default:
-        await ctx.reply('Button clicked!');
+        await ctx.reply(ctx.t('common.buttonClicked'));
     }
   }
 
@@ -342,33 +827,25 @@ class BotService {
     const isRegistered = user && user.isRegistered;
     
     if (isRegistered) {
-      const welcomeText = `👋 Welcome back, ${user.userFullName || user.firstName || 'there'}! 
-
-You're already registered and ready to use all features of ${config.bot.name}.
-
-Here's what you can do:
-• Search properties 🔍
-• Find investments 💰
-• Network with others 🤝
-• View market data 📊
-• Manage your profile ℹ️
-
-Use the buttons below or type /help for more options!`;
+      const welcomeText = ctx.t('start.welcomeBack', {
+        name: user.userFullName || user.firstName || ctx.t('start.defaultName'),
+        botName: config.bot.name
+      });
 
       const keyboard = {
         reply_markup: {
           inline_keyboard: [
             [
-              { text: '🔍 Search Properties', callback_data: 'search_properties' },
-              { text: '💰 Investments', callback_data: 'investments' }
+              { text: ctx.t('menu.search'), callback_data: 'search_properties' },
+              { text: ctx.t('menu.investments'), callback_data: 'investments' }
             ],
             [
-              { text: '🤝 Network', callback_data: 'network' },
-              { text: '📊 Market Data', callback_data: 'market_data' }
+              { text: ctx.t('menu.network'), callback_data: 'network' },
+              { text: ctx.t('menu.market'), callback_data: 'market_data' }
             ],
             [
-              { text: 'ℹ️ My Profile', callback_data: 'my_profile' },
-              { text: '❓ Help', callback_data: 'help' }
+              { text: ctx.t('menu.profile'), callback_data: 'my_profile' },
+              { text: ctx.t('menu.help'), callback_data: 'help' }
             ]
           ]
         }
@@ -376,28 +853,20 @@ Use the buttons below or type /help for more options!`;
 
       await ctx.reply(welcomeText, keyboard);
     } else {
-      const welcomeText = `👋 Hello ${user?.firstName || 'there'}! 
-
-Welcome to ${config.bot.name}! I'm your real estate assistant that connects buyers and investors.
-
-To get started, you'll need to complete a quick registration process where I'll collect:
-• Your phone number 📱
-• Your full name 👤
-• Your role (Buyer/Investor) 🎯
-
-This will help me provide you with personalized real estate opportunities and connect you with the right people.
-
-Ready to get started?`;
+      const welcomeText = ctx.t('start.welcome', {
+        name: user?.firstName || ctx.t('start.defaultName'),
+        botName: config.bot.name
+      });
 
       const keyboard = {
         reply_markup: {
           inline_keyboard: [
             [
-              { text: '🚀 Start Registration', callback_data: 'start_registration' }
+              { text: ctx.t('menu.startRegistration'), callback_data: 'start_registration' }
             ],
             [
-              { text: 'ℹ️ Learn More', callback_data: 'learn_more' },
-              { text: '❓ Help', callback_data: 'help' }
+              { text: ctx.t('menu.learnMore'), callback_data: 'learn_more' },
+              { text: ctx.t('menu.help'), callback_data: 'help' }
             ]
           ]
         }
@@ -412,15 +881,8 @@ Ready to get started?`;
    * @param {Object} ctx - Telegraf context
    */
   async sendHelloMessage(ctx) {
-    const user = ctx.user;
-    const greetings = [
-      `Hello ${user?.firstName || 'there'}! 👋`,
-      `Hi ${user?.firstName || 'friend'}! How are you? 😊`,
-      `Hey ${user?.firstName || 'buddy'}! Nice to see you! 🎉`,
-      `Greetings ${user?.firstName || 'stranger'}! Welcome! 🌟`
-    ];
-    
-    const randomGreeting = greetings[Math.floor(Math.random() * greetings.length)];
+    const name = ctx.user?.firstName || ctx.t('hello.defaultName');
+    const randomGreeting = ctx.t(`hello.${Math.floor(Math.random() * 4)}`, { name });
     await ctx.reply(randomGreeting);
   }
 
@@ -429,33 +891,7 @@ Ready to get started?`;
    * @param {Object} ctx - Telegraf context
    */
   async sendHelpMessage(ctx) {
-    const helpText = `🤖 *${config.bot.name} Help*
-
-*Available Commands:*
-/start - Start the bot and see welcome message
-/register - Start or continue registration process
-/hello - Get a friendly greeting
-/help - Show this help message
-/stats - Show bot statistics
-/info - Show your information
-
-*Registration Process:*
-1. 📱 Enter your phone number
-2. 👤 Enter your full name
-3. 🎯 Select your role (Buyer/Investor/Both)
-4. 📋 Review bot features and agenda
-5. ✅ Complete registration
-
-*What I can do:*
-• Connect buyers and investors
-• Search properties and investments
-• Provide market insights
-• Enable networking between users
-• Remember your information securely
-
-Just send me any message and I'll respond! 😊`;
-
-    await ctx.reply(helpText, { parse_mode: 'Markdown' });
+    await ctx.reply(ctx.t('help.text', { botName: config.bot.name }), { parse_mode: 'Markdown' });
   }
 
   /**
@@ -466,23 +902,32 @@ Just send me any message and I'll respond! 😊`;
     const stats = memoryStorage.getStats();
     const mongoStats = await memoryStorage.getMongoStats();
     
-    let statsText = `📊 *Bot Statistics*
-
-👥 Total Users: ${stats.totalUsers}
-🟢 Active Users: ${stats.activeUsers}
-💬 Messages Processed: ${stats.messagesProcessed}
-⏱️ Uptime: ${Math.floor(stats.uptime / 60)} minutes
-💾 Memory Usage: ${Math.round(stats.memoryUsage.heapUsed / 1024 / 1024)} MB`;
+    let statsText = [
+      ctx.t('stats.title'),
+      '',
+      ctx.t('stats.totalUsers', { value: stats.totalUsers }),
+      ctx.t('stats.activeUsers', { value: stats.activeUsers }),
+      ctx.t('stats.messages', { value: stats.messagesProcessed }),
+      ctx.t('stats.uptime', { value: Math.floor(stats.uptime / 60) }),
+      ctx.t('stats.memory', { value: Math.round(stats.memoryUsage.heapUsed / 1024 / 1024) })
+    ].join('\n');
 
     if (mongoStats) {
-      statsText += `\n\n🗄️ *Database Statistics*
-📊 Total DB Users: ${mongoStats.users.totalUsers || 0}
-🟢 Active DB Users: ${mongoStats.users.activeUsers || 0}
-💬 Total DB Messages: ${mongoStats.users.totalMessages || 0}
-📈 Avg Messages/User: ${Math.round(mongoStats.users.averageMessages || 0)}`;
+      statsText += `\n\n${[
+        ctx.t('stats.databaseTitle'),
+        ctx.t('stats.databaseUsers', { value: mongoStats.users.totalUsers || 0 }),
+        ctx.t('stats.databaseActiveUsers', { value: mongoStats.users.activeUsers || 0 }),
+        ctx.t('stats.databaseMessages', { value: mongoStats.users.totalMessages || 0 }),
+        ctx.t('stats.averageMessages', { value: Math.round(mongoStats.users.averageMessages || 0) })
+      ].join('\n')}`;
     }
 
-    await ctx.reply(statsText, { parse_mode: 'Markdown' });
+    await ctx.reply(statsText, {
+      parse_mode: 'Markdown',
+      reply_markup: {
+        inline_keyboard: [[{ text: ctx.t('admin.panel.funnel'), callback_data: 'admin_funnel' }]]
+      }
+    });
   }
 
   /**
@@ -492,28 +937,32 @@ Just send me any message and I'll respond! 😊`;
   async sendUserInfo(ctx) {
     const user = ctx.user;
     if (!user) {
-      await ctx.reply('❌ User information not found.');
+      await ctx.reply(ctx.t('info.notFound'));
       return;
     }
 
-    const userText = `ℹ️ *Your Information*
-
-🆔 ID: \`${user.id}\`
-👤 Name: ${user.firstName || 'Not provided'} ${user.lastName || ''}
-🏷️ Username: @${user.username || 'Not set'}
-🌍 Language: ${user.languageCode || 'Unknown'}
-🤖 Is Bot: ${user.isBot ? 'Yes' : 'No'}
-📅 First Seen: ${user.createdAt.toLocaleDateString()}
-👀 Last Seen: ${user.lastSeen.toLocaleString()}
-💬 Messages: ${user.messageCount}`;
+    let userText = [
+      ctx.t('info.title'),
+      '',
+      ctx.t('info.id', { value: `\`${user.id}\`` }),
+      ctx.t('info.name', { value: `${user.firstName || ctx.t('common.notProvided')} ${user.lastName || ''}` }),
+      ctx.t('info.username', { value: user.username ? `@${user.username}` : ctx.t('common.notSet') }),
+      ctx.t('info.language', { value: ctx.t('language.name') }),
+      ctx.t('info.isBot', { value: ctx.t(user.isBot ? 'common.yes' : 'common.no') }),
+      ctx.t('info.firstSeen', { value: user.createdAt.toLocaleDateString(getLocaleTag(ctx.locale)) }),
+      ctx.t('info.lastSeen', { value: formatDate(user.lastSeen, ctx.locale) }),
+      ctx.t('info.messages', { value: user.messageCount })
+    ].join('\n');
 
     if (user.isRegistered) {
-      userText += `\n\n📱 Phone: ${user.phoneNumber || 'Not provided'}
-👤 Full Name: ${user.userFullName || 'Not provided'}
-🎯 Role: ${user.role || 'Not selected'}
-✅ Registration: Completed`;
+      userText += `\n\n${[
+        ctx.t('info.phone', { value: user.phoneNumber || ctx.t('common.notProvided') }),
+        ctx.t('info.fullName', { value: user.userFullName || ctx.t('common.notProvided') }),
+        ctx.t('info.role', { value: user.role ? ctx.t(`roles.${user.role}`) : ctx.t('common.notSelected') }),
+        ctx.t('info.registered')
+      ].join('\n')}`;
     } else {
-      userText += `\n\n⚠️ Registration: Not completed`;
+      userText += `\n\n${ctx.t('info.notRegistered')}`;
     }
 
     await ctx.reply(userText, { parse_mode: 'Markdown' });
@@ -524,7 +973,7 @@ Just send me any message and I'll respond! 😊`;
    * @param {Object} ctx - Telegraf context
    */
   async handlePhotoMessage(ctx) {
-    await ctx.reply('📸 Nice photo! Thanks for sharing!');
+    await ctx.reply(ctx.t('misc.photo'));
   }
 
   /**
@@ -532,7 +981,7 @@ Just send me any message and I'll respond! 😊`;
    * @param {Object} ctx - Telegraf context
    */
   async handleStickerMessage(ctx) {
-    await ctx.reply('😄 Cool sticker!');
+    await ctx.reply(ctx.t('misc.sticker'));
   }
 
   /**
@@ -540,15 +989,8 @@ Just send me any message and I'll respond! 😊`;
    * @param {Object} ctx - Telegraf context
    */
   async sendDefaultMessage(ctx) {
-    const user = ctx.user;
-    const responses = [
-      `Thanks for your message, ${user?.firstName || 'friend'}! 😊`,
-      `I heard you, ${user?.firstName || 'buddy'}! What else can I help with? 🤔`,
-      `Got it, ${user?.firstName || 'there'}! Try /help for more options! 💡`,
-      `Message received, ${user?.firstName || 'friend'}! Thanks! 🙏`
-    ];
-    
-    const randomResponse = responses[Math.floor(Math.random() * responses.length)];
+    const name = ctx.user?.firstName || ctx.t('hello.defaultName');
+    const randomResponse = ctx.t(`misc.reply.${Math.floor(Math.random() * 4)}`, { name });
     await ctx.reply(randomResponse);
   }
 }
@@ -0,0 +1,419 @@
+const config = require('../config');
+const Logger = require('../utils/logger');
+const User = require('../models/User');
+const Broadcast = require('../models/Broadcast');
+const BroadcastRecipient = require('../models/BroadcastRecipient');
+const databaseService = require('./database');
+const localeService = require('./localeService');
+const notificationService = require('./notificationService');
+const { t } = require('../utils/i18n');
+
+class BroadcastService {
+  constructor() {
+    this.settings = config.broadcasts;
+    // IDs of the broadcasts being sent by this process
+    this.running = new Set();
+    this.stopping = false;
+
+    Logger.info('Broadcast service initialized');
+  }
+
+  /**
+   * Resume the broadcasts that were interrupted by a restart
+   */
+  async start() {
+    this.stopping = false;
+    if (!databaseService.isConnected) {
+      return;
+    }
+
+    try {
+      const broadcasts = await Broadcast.findUnfinished();
+      for (const broadcast of broadcasts) {
+        Logger.info('Resuming broadcast', { broadcastId: broadcast._id.toString(), status: broadcast.status });
+        this.run(broadcast._id);
+      }
+    } catch (error) {
+      Logger.error('Error resuming broadcasts', { error: error.message });
+    }
+  }
+
+  /**
+   * Stop sending; unfinished broadcasts are resumed on the next start
+   */
+  stop() {
+    this.stopping = true;
+  }
+
+  /**
+   * Get an empty audience that matches everyone
+   * @returns {Object} { role, language, isRegistered, lastSeenDays }
+   */
+  getDefaultSegment() {
+    return { role: null, language: null, isRegistered: null, lastSeenDays: null };
+  }
+
+  /**
+   * Get the choices of each audience filter, "everyone" first
+   * @returns {Object} Options keyed by segment field
+   */
+  getSegmentOptions() {
+    return {
+      role: [null, 'buyer', 'investor'],
+      language: [null, ...config.i18n.locales],
+      isRegistered: [null, true, false],
+      lastSeenDays: [null, ...this.settings.lastSeenDays]
+    };
+  }
+
+  /**
+   * Build the user query of an audience
+   * @param {Object} segment - Audience filters
+   * @returns {Object} MongoDB filter
+   */
+  buildQuery(segment) {
+    // Users flagged as blocked never get broadcasts
+    const query = { blocked: { $ne: true } };
+
+    if (segment.role) {
+      // Users who are both buyers and investors belong to either audience
+      query.role = { $in: [segment.role, 'both'] };
+    }
+    if (segment.language) {
+      query.language = segment.language;
+    }
+    if (typeof segment.isRegistered === 'boolean') {
+      query.isRegistered = segment.isRegistered;
+    }
+    if (segment.lastSeenDays) {
+      query.lastSeen = { $gte: new Date(Date.now() - segment.lastSeenDays * 24 * 60 * 60 * 1000) };
+    }
+
+    return query;
+  }
+
+  /**
+   * Count the users an audience reaches
+   * @param {Object} segment - Audience filters
+   * @returns {Promise<number>} Number of users
+   */
+  async countRecipients(segment) {
+    if (!databaseService.isConnected) {
+      return 0;
+    }
+    return User.countDocuments(this.buildQuery(segment));
+  }
+
+  /**
+   * Describe an audience
+   * @param {Object} segment - Audience filters
+   * @param {Function} translate - (key, params) => text in the admin's language
+   * @returns {Object} Label of each filter, keyed by segment field
+   */
+  describeSegment(segment, translate) {
+    let registered = translate('broadcast.segment.everyone');
+    if (segment.isRegistered === true) {
+      registered = translate('broadcast.segment.registered');
+    } else if (segment.isRegistered === false) {
+      registered = translate('broadcast.segment.unregistered');
+    }
+
+    return {
+      role: segment.role ? translate(`broadcast.segment.roles.${segment.role}`) : translate('broadcast.segment.everyone'),
+      language: segment.language ? t(segment.language, 'language.name') : translate('broadcast.segment.everyone'),
+      isRegistered: registered,
+      lastSeenDays: segment.lastSeenDays
+        ? translate('broadcast.segment.lastSeenWithin', { days: segment.lastSeenDays })
+        : translate('broadcast.segment.anyTime')
+    };
+  }
+
+  /**
+   * Parse an optional link button typed as "Text | https://link"
+   * @param {string} input - Text typed by the admin
+   * @returns {Object} { valid, value: { buttonText, buttonUrl } } or { valid: false, error }
+   */
+  parseButton(input) {
+    const [text, url] = (input || '').split('|').map(part => part.trim());
+    if (!text || !url || text.length > this.settings.maxButtonTextLength || !/^https?:\/\/\S+$/i.test(url)) {
+      return { valid: false, error: { key: 'broadcast.invalidButton', params: { max: this.settings.maxButtonTextLength } } };
+    }
+    return { valid: true, value: { buttonText: text, buttonUrl: url } };
+  }
+
+  /**
+   * Send a broadcast message to a chat
+   * @param {Object} telegram - Telegraf telegram instance
+   * @param {number} chatId - Target chat ID
+   * @param {Object} message - { text, entities, photoFileId, buttonText, buttonUrl }
+   */
+  async sendMessage(telegram, chatId, message) {
+    const extra = {};
+    if (message.buttonText && message.buttonUrl) {
+      extra.reply_markup = { inline_keyboard: [[{ text: message.buttonText, url: message.buttonUrl }]] };
+    }
+
+    if (message.photoFileId) {
+      await telegram.sendPhoto(chatId, message.photoFileId, {
+        ...extra,
+        ...(message.text ? { caption: message.text, caption_entities: message.entities } : {})
+      });
+      return;
+    }
+
+    await telegram.sendMessage(chatId, message.text, { ...extra, entities: message.entities });
+  }
+
+  /**
+   * Create a broadcast and start sending it in the background
+   * @param {number} adminId - Telegram user ID of the admin
+   * @param {Object} message - { text, entities, photoFileId, buttonText, buttonUrl }
+   * @param {Object} segment - Audience filters
+   * @returns {Promise<Object>} { success, broadcast } or { success: false, error }
+   */
+  async create(adminId, message, segment) {
+    if (!databaseService.isConnected) {
+      return { success: false, error: 'broadcast.failed' };
+    }
+
+    try {
+      const broadcast = await Broadcast.create({ createdBy: adminId, message, segment });
+      await this.prepareRecipients(broadcast);
+
+      if (broadcast.totals.total === 0) {
+        await Broadcast.deleteOne({ _id: broadcast._id });
+        return { success: false, error: 'broadcast.noRecipients' };
+      }
+
+      Logger.info('Broadcast created', {
+        broadcastId: broadcast._id.toString(),
+        adminId,
+        segment,
+        recipients: broadcast.totals.total
+      });
+
+      this.run(broadcast._id);
+      return { success: true, broadcast };
+    } catch (error) {
+      Logger.error('Error creating broadcast', { error: error.message, adminId });
+      return { success: false, error: 'broadcast.failed' };
+    }
+  }
+
+  /**
+   * Record a pending delivery for every user in the audience.
+   * Safe to run again after a restart: existing recipients are kept.
+   * @param {Object} broadcast - Broadcast document in the "preparing" state
+   */
+  async prepareRecipients(broadcast) {
+    const cursor = User.find(this.buildQuery(broadcast.segment), { telegramId: 1, chatId: 1, isActive: 1 })
+      .sort({ _id: 1 })
+      .cursor();
+
+    let batch = [];
+    const flush = async () => {
+      if (batch.length === 0) {
+        return;
+      }
+      try {
+        await BroadcastRecipient.insertMany(batch, { ordered: false });
+      } catch (error) {
+        // Duplicates are recipients saved before a restart
+        if (error.code !== 11000 && !(error.writeErrors && error.writeErrors.every(e => e.code === 11000))) {
+          throw error;
+        }
+      }
+      batch = [];
+    };
+
+    for await (const user of cursor) {
+      batch.push({
+        broadcastId: broadcast._id,
+        userId: user.telegramId,
+        chatId: user.chatId || user.telegramId,
+        // Users known to have blocked the bot aren't messaged again
+        status: user.isActive === false ? 'blocked' : 'pending'
+      });
+
+      if (batch.length >= this.settings.batchSize) {
+        await flush();
+      }
+    }
+    await flush();
+
+    broadcast.totals = await this.getTotals(broadcast._id);
+    broadcast.status = 'sending';
+    broadcast.startedAt = broadcast.startedAt || new Date();
+    await broadcast.save();
+  }
+
+  /**
+   * Get the recipient counts of a broadcast
+   * @param {Object} broadcastId - Broadcast ID
+   * @returns {Promise<Object>} { total, sent, failed, blocked }
+   */
+  async getTotals(broadcastId) {
+    const counts = await BroadcastRecipient.countByStatus(broadcastId);
+    return { total: counts.total, sent: counts.sent, failed: counts.failed, blocked: counts.blocked };
+  }
+
+  /**
+   * Send a broadcast to its pending recipients at a steady pace, then report the result
+   * @param {Object} broadcastId - Broadcast ID
+   */
+  async run(broadcastId) {
+    const key = broadcastId.toString();
+    if (this.running.has(key)) {
+      return;
+    }
+    this.running.add(key);
+
+    try {
+      let broadcast = await Broadcast.findById(broadcastId);
+      if (broadcast && broadcast.status === 'preparing') {
+        await this.prepareRecipients(broadcast);
+      }
+
+      const interval = Math.ceil(1000 / this.settings.messagesPerSecond);
+
+      while (!this.stopping) {
+        // Reloaded for every batch so that a stop from the admin is noticed
+        broadcast = await Broadcast.findById(broadcastId);
+        if (!broadcast || broadcast.status !== 'sending') {
+          break;
+        }
+
+        const recipients = await BroadcastRecipient.findPending(broadcastId, this.settings.batchSize);
+        if (recipients.length === 0) {
+          await this.finish(broadcast);
+          break;
+        }
+
+        for (const recipient of recipients) {
+          if (this.stopping) {
+            break;
+          }
+          await this.deliver(recipient, broadcast.message);
+          await this.wait(interval);
+        }
+
+        await Broadcast.updateOne({ _id: broadcastId }, { $set: { totals: await this.getTotals(broadcastId) } });
+      }
+    } catch (error) {
+      Logger.error('Error sending broadcast', { error: error.message, broadcastId: key });
+    } finally {
+      this.running.delete(key);
+    }
+  }
+
+  /**
+   * Send the message to one recipient and record the outcome
+   * @param {Object} recipient - BroadcastRecipient document
+   * @param {Object} message - Broadcast message
+   */
+  async deliver(recipient, message) {
+    while (recipient.status === 'pending') {
+      recipient.attempts += 1;
+
+      try {
+        await this.sendMessage(notificationService.telegram, recipient.chatId, message);
+        recipient.status = 'sent';
+        recipient.sentAt = new Date();
+      } catch (error) {
+        const retryAfter = this.getRetryAfter(error);
+
+        if (retryAfter && recipient.attempts < this.settings.maxRetries) {
+          Logger.warn('Broadcast throttled by Telegram', { retryAfter, userId: recipient.userId });
+          await this.wait(retryAfter * 1000);
+          continue;
+        }
+
+        if (notificationService.isUnreachableError(error)) {
+          recipient.status = 'blocked';
+          await notificationService.markUnreachable(recipient.userId);
+        } else {
+          recipient.status = 'failed';
+          Logger.warn('Broadcast delivery failed', { error: error.message, userId: recipient.userId });
+        }
+        recipient.error = error.message;
+      }
+    }
+
+    await recipient.save();
+  }
+
+  /**
+   * Get how long Telegram asked us to wait before sending again
+   * @param {Error} error - Telegram API error
+   * @returns {number|null} Seconds to wait, or null if it isn't a rate limit error
+   */
+  getRetryAfter(error) {
+    const parameters = error.parameters || (error.response && error.response.parameters) || {};
+    return parameters.retry_after || null;
+  }
+
+  /**
+   * Mark a broadcast as completed and report the result to the admin who sent it
+   * @param {Object} broadcast - Broadcast document
+   */
+  async finish(broadcast) {
+    broadcast.totals = await this.getTotals(broadcast._id);
+    broadcast.status = 'completed';
+    broadcast.completedAt = new Date();
+    await broadcast.save();
+
+    Logger.info('Broadcast completed', { broadcastId: broadcast._id.toString(), ...broadcast.totals });
+    await this.report(broadcast, 'broadcast.report');
+  }
+
+  /**
+   * Tell the admin who sent a broadcast how it went
+   * @param {Object} broadcast - Broadcast document
+   * @param {string} key - Catalogue key of the report
+   */
+  async report(broadcast, key) {
+    const locale = await localeService.getLocale(broadcast.createdBy);
+    const { total, sent, failed, blocked } = broadcast.totals;
+    await notificationService.sendToUser(broadcast.createdBy, t(locale, key, { total, sent, failed, blocked }));
+  }
+
+  /**
+   * Stop a broadcast before every recipient got it
+   * @param {string} broadcastId - Broadcast ID
+   * @param {number} adminId - Telegram user ID of the admin
+   * @returns {Promise<Object>} { success, broadcast } or { success: false, error }
+   */
+  async cancel(broadcastId, adminId) {
+    try {
+      const broadcast = await Broadcast.findById(broadcastId);
+      if (!broadcast || broadcast.isFinished()) {
+        return { success: false, error: 'broadcast.alreadyFinished' };
+      }
+
+      broadcast.status = 'cancelled';
+      broadcast.completedAt = new Date();
+      broadcast.totals = await this.getTotals(broadcast._id);
+      await broadcast.save();
+
+      Logger.info('Broadcast cancelled', { broadcastId, adminId, ...broadcast.totals });
+      return { success: true, broadcast };
+    } catch (error) {
+      Logger.error('Error cancelling broadcast', { error: error.message, broadcastId });
+      return { success: false, error: 'broadcast.failed' };
+    }
+  }
+
+  /**
+   * Wait before the next message
+   * @param {number} ms - Milliseconds
+   * @returns {Promise<void>}
+   */
+  wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+// Create singleton instance
+const broadcastService = new BroadcastService();
+
+module.exports = broadcastService;
@@ -0,0 +1,277 @@
+const mongoose = require('mongoose');
+const Logger = require('../utils/logger');
+const User = require('../models/User');
+const Property = require('../models/Property');
+const Conversation = require('../models/Conversation');
+const notificationService = require('./notificationService');
+const localeService = require('./localeService');
+const { escapeMarkdown } = require('../utils/helpers');
+const { t } = require('../utils/i18n');
+const { formatListingSummary } = require('../utils/listingFormatter');
+
+class ChatService {
+  constructor() {
+    // Message types relayed between participants
+    this.supportedTypes = ['text', 'photo', 'voice'];
+
+    Logger.info('Chat service initialized');
+  }
+
+  /**
+   * Open (or reopen) a conversation with the owner of a listing
+   * @param {number} buyerId - Telegram user ID of the buyer
+   * @param {string} listingId - Listing ID
+   * @returns {Promise<Object>} { success, conversation, listing, created } or { success: false, error }
+   */
+  async openConversation(buyerId, listingId) {
+    try {
+      if (!mongoose.isValidObjectId(listingId)) {
+        return { success: false, error: 'chat.errors.listingNotFound' };
+      }
+
+      const listing = await Property.findById(listingId);
+      if (!listing || listing.status !== 'published') {
+        return { success: false, error: 'chat.errors.unavailable' };
+      }
+
+      if (listing.isOwnedBy(buyerId)) {
+        return { success: false, error: 'chat.errors.ownListing' };
+      }
+
+      let conversation = await Conversation.findOpenForListing(listing._id, buyerId);
+      const created = !conversation;
+
+      if (created) {
+        conversation = new Conversation({ listingId: listing._id, ownerId: listing.ownerId, buyerId });
+        await conversation.save();
+        Logger.info('Conversation opened', { conversationId: conversation._id, buyerId, listingId });
+
+        const locale = await localeService.getLocale(listing.ownerId);
+        await notificationService.sendToUser(
+          listing.ownerId,
+          t(locale, 'chat.newConversation', { about: escapeMarkdown(formatListingSummary(listing, locale)) }),
+          {
+            parse_mode: 'Markdown',
+            ...this.getReplyKeyboard(conversation, locale)
+          }
+        );
+      }
+
+      await this.setActiveConversation(buyerId, conversation._id);
+
+      return { success: true, conversation, listing, created };
+    } catch (error) {
+      Logger.error('Error opening conversation', { error: error.message, buyerId, listingId });
+      return { success: false, error: 'chat.errors.openFailed' };
+    }
+  }
+
+  /**
+   * Get an open conversation the user takes part in
+   * @param {number} userId - Telegram user ID
+   * @param {string} conversationId - Conversation ID
+   * @returns {Promise<Object|null>} Conversation or null
+   */
+  async getUserConversation(userId, conversationId) {
+    if (!mongoose.isValidObjectId(conversationId)) {
+      return null;
+    }
+
+    const conversation = await Conversation.findById(conversationId);
+    if (!conversation || !conversation.isOpen() || !conversation.involves(userId)) {
+      return null;
+    }
+    return conversation;
+  }
+
+  /**
+   * Get the conversation the user's messages are currently relayed to
+   * @param {number} userId - Telegram user ID
+   * @returns {Promise<Object|null>} Conversation or null
+   */
+  async getActiveConversation(userId) {
+    try {
+      const user = await User.findByTelegramId(userId);
+      if (!user || !user.activeConversationId) {
+        return null;
+      }
+
+      const conversation = await this.getUserConversation(userId, user.activeConversationId);
+      if (!conversation) {
+        await User.updateOne({ telegramId: userId }, { activeConversationId: null });
+      }
+      return conversation;
+    } catch (error) {
+      Logger.error('Error getting active conversation', { error: error.message, userId });
+      return null;
+    }
+  }
+
+  /**
+   * Make a conversation the target of the user's messages
+   * @param {number} userId - Telegram user ID
+   * @param {string} conversationId - Conversation ID
+   * @returns {Promise<Object>} { success, conversation, listing } or { success: false, error }
+   */
+  async switchConversation(userId, conversationId) {
+    try {
+      const conversation = await this.getUserConversation(userId, conversationId);
+      if (!conversation) {
+        return { success: false, error: 'chat.errors.closed' };
+      }
+
+      await this.setActiveConversation(userId, conversation._id);
+      const listing = await Property.findById(conversation.listingId);
+
+      return { success: true, conversation, listing };
+    } catch (error) {
+      Logger.error('Error switching conversation', { error: error.message, userId, conversationId });
+      return { success: false, error: 'chat.errors.openFailed' };
+    }
+  }
+
+  /**
+   * Store the active conversation on the user
+   * @param {number} userId - Telegram user ID
+   * @param {Object} conversationId - Conversation ID
+   */
+  async setActiveConversation(userId, conversationId) {
+    await User.updateOne({ telegramId: userId }, { activeConversationId: conversationId });
+  }
+
+  /**
+   * Get the relayable type of a message
+   * @param {Object} message - Telegram message
+   * @returns {string|null} Message type or null if unsupported
+   */
+  getMessageType(message) {
+    return this.supportedTypes.find(type => message[type] !== undefined) || null;
+  }
+
+  /**
+   * Relay a message to the other participant of a conversation
+   * @param {number} userId - Telegram user ID of the sender
+   * @param {Object} conversation - Open conversation
+   * @param {Object} message - Telegram message to relay
+   * @returns {Promise<Object>} Processing response
+   */
+  async relayMessage(userId, conversation, message) {
+    try {
+      if (!this.getMessageType(message)) {
+        return { success: false, error: 'chat.errors.unsupported' };
+      }
+
+      const recipientId = conversation.getOtherUserId(userId);
+      const locale = await localeService.getLocale(recipientId);
+      const delivered = await notificationService.copyToUser(
+        recipientId,
+        message.chat.id,
+        message.message_id,
+        this.getReplyKeyboard(conversation, locale)
+      );
+
+      if (!delivered) {
+        Logger.info('Relay message not delivered', { conversationId: conversation._id, userId, recipientId });
+        return { success: false, error: 'chat.errors.notDelivered' };
+      }
+
+      await conversation.recordMessage();
+      return { success: true };
+    } catch (error) {
+      Logger.error('Error relaying message', { error: error.message, userId, conversationId: conversation._id });
+      return { success: false, error: 'chat.errors.sendFailed' };
+    }
+  }
+
+  /**
+   * Close a conversation for both participants
+   * @param {number} userId - Telegram user ID
+   * @param {string} conversationId - Conversation ID
+   * @returns {Promise<Object>} Processing response
+   */
+  async closeConversation(userId, conversationId) {
+    try {
+      const conversation = await this.getUserConversation(userId, conversationId);
+      if (!conversation) {
+        return { success: false, error: 'chat.errors.alreadyClosed' };
+      }
+
+      await conversation.close(userId);
+      await User.updateMany(
+        { telegramId: { $in: [conversation.ownerId, conversation.buyerId] }, activeConversationId: conversation._id },
+        { activeConversationId: null }
+      );
+      Logger.info('Conversation closed', { conversationId, userId });
+
+      const listing = await Property.findById(conversation.listingId);
+      const otherUserId = conversation.getOtherUserId(userId);
+      const locale = await localeService.getLocale(otherUserId);
+      const about = listing ? escapeMarkdown(formatListingSummary(listing, locale)) : t(locale, 'chat.removedListing');
+      await notificationService.sendToUser(otherUserId, t(locale, 'chat.closedByOther', { about }), { parse_mode: 'Markdown' });
+
+      return { success: true, message: 'chat.closed' };
+    } catch (error) {
+      Logger.error('Error closing conversation', { error: error.message, userId, conversationId });
+      return { success: false, error: 'chat.errors.closeFailed' };
+    }
+  }
+
+  /**
+   * Get the open conversations of a user with their listings attached
+   * @param {number} userId - Telegram user ID
+   * @returns {Promise<Array>} Items of { conversation, listing }
+   */
+  async getUserConversations(userId) {
+    try {
+      const conversations = await Conversation.findOpenForUser(userId);
+      const listings = await Property.find({ _id: { $in: conversations.map(conversation => conversation.listingId) } });
+      const listingsById = new Map(listings.map(listing => [listing._id.toString(), listing]));
+
+      return conversations.map(conversation => ({
+        conversation,
+        listing: listingsById.get(conversation.listingId.toString()) || null
+      }));
+    } catch (error) {
+      Logger.error('Error getting user conversations', { error: error.message, userId });
+      return [];
+    }
+  }
+
+  /**
+   * Describe a conversation from one participant's point of view
+   * @param {Object} conversation - Conversation document
+   * @param {Object|null} listing - Listing the conversation is about
+   * @param {number} userId - Telegram user ID of the viewer
+   * @param {string} locale - Locale code of the viewer
+   * @returns {string} Plain text label
+   */
+  getConversationLabel(conversation, listing, userId, locale = 'en') {
+    const counterpart = t(locale, conversation.ownerId === userId ? 'chat.buyer' : 'chat.owner');
+    const about = listing ? formatListingSummary(listing, locale) : t(locale, 'chat.removedListing');
+    return `${counterpart} · ${about}`;
+  }
+
+  /**
+   * Get the keyboard attached to relayed messages
+   * @param {Object} conversation - Conversation document
+   * @param {string} locale - Locale code of the recipient
+   * @returns {Object} Keyboard object
+   */
+  getReplyKeyboard(conversation, locale = 'en') {
+    return {
+      reply_markup: {
+        inline_keyboard: [
+          [
+            { text: t(locale, 'chat.buttons.reply'), callback_data: `chat_reply_${conversation._id}` },
+            { text: t(locale, 'chat.buttons.close'), callback_data: `chat_close_${conversation._id}` }
+          ]
+        ]
+      }
+    };
+  }
+}
+
+// Create singleton instance
+const chatService = new ChatService();
+
+module.exports = chatService;
@@ -145,6 +145,19 @@ class DatabaseService {
       // Mongoose will automatically create indexes when models are first used
       require('../models/User');
       require('../models/Chat');
+      require('../models/Property');
+      require('../models/SavedSearch');
+      require('../models/Investment');
+      require('../models/Connection');
+      require('../models/Conversation');
+      require('../models/Favorite');
+      require('../models/WizardSession');
+      require('../models/PhoneVerification');
+      require('../models/TermsVersion');
+      require('../models/Broadcast');
+      require('../models/BroadcastRecipient');
+      require('../models/SummaryReport');
+      require('../models/ModerationAction');
 
       Logger.info('Models registered, indexes will be created automatically');
     } catch (error) {
@@ -0,0 +1,205 @@
+const mongoose = require('mongoose');
+const config = require('../config');
+const Logger = require('../utils/logger');
+const Favorite = require('../models/Favorite');
+const Property = require('../models/Property');
+const notificationService = require('./notificationService');
+const localeService = require('./localeService');
+const { escapeMarkdown, formatPrice } = require('../utils/helpers');
+const { t } = require('../utils/i18n');
+const { formatListingCard, formatListingSummary } = require('../utils/listingFormatter');
+
+class FavoriteService {
+  /**
+   * Add a published listing to the user's favourites
+   * @param {number} userId - Telegram user ID
+   * @param {string} listingId - Listing ID
+   * @returns {Promise<Object>} Processing response
+   */
+  async addFavorite(userId, listingId) {
+    try {
+      if (!mongoose.isValidObjectId(listingId)) {
+        return { success: false, error: 'favorites.errors.listingNotFound' };
+      }
+
+      const listing = await Property.findById(listingId);
+      if (!listing || listing.status !== 'published') {
+        return { success: false, error: 'favorites.errors.unavailable' };
+      }
+
+      if (await Favorite.exists({ userId, listingId: listing._id })) {
+        return { success: true, message: 'favorites.alreadySaved' };
+      }
+
+      const count = await Favorite.countDocuments({ userId });
+      if (count >= config.favorites.maxPerUser) {
+        return { success: false, error: { key: 'favorites.errors.limit', params: { max: config.favorites.maxPerUser } } };
+      }
+
+      await Favorite.create({ userId, listingId: listing._id, lastKnownPrice: listing.price });
+      Logger.info('Listing added to favourites', { userId, listingId });
+
+      return { success: true, message: 'favorites.added' };
+    } catch (error) {
+      Logger.error('Error adding favourite', { error: error.message, userId, listingId });
+      return { success: false, error: 'favorites.errors.addFailed' };
+    }
+  }
+
+  /**
+   * Remove a listing from the user's favourites
+   * @param {number} userId - Telegram user ID
+   * @param {string} listingId - Listing ID
+   * @returns {Promise<Object>} Processing response
+   */
+  async removeFavorite(userId, listingId) {
+    try {
+      if (!mongoose.isValidObjectId(listingId)) {
+        return { success: false, error: 'favorites.errors.notFound' };
+      }
+
+      const result = await Favorite.deleteOne({ userId, listingId });
+      if (result.deletedCount === 0) {
+        return { success: false, error: 'favorites.errors.notFound' };
+      }
+
+      Logger.info('Listing removed from favourites', { userId, listingId });
+      return { success: true, message: 'favorites.removed' };
+    } catch (error) {
+      Logger.error('Error removing favourite', { error: error.message, userId, listingId });
+      return { success: false, error: 'favorites.errors.removeFailed' };
+    }
+  }
+
+  /**
+   * Get the user's favourites with their listings attached
+   * @param {number} userId - Telegram user ID
+   * @returns {Promise<Array>} Items of { favorite, listing }
+   */
+  async getUserFavorites(userId) {
+    try {
+      const favorites = await Favorite.findByUser(userId);
+      const listings = await Property.find({ _id: { $in: favorites.map(favorite => favorite.listingId) } });
+      const listingsById = new Map(listings.map(listing => [listing._id.toString(), listing]));
+
+      return favorites
+        .map(favorite => ({ favorite, listing: listingsById.get(favorite.listingId.toString()) }))
+        .filter(item => item.listing);
+    } catch (error) {
+      Logger.error('Error getting favourites', { error: error.message, userId });
+      return [];
+    }
+  }
+
+  /**
+   * Get a listing from the user's favourites
+   * @param {number} userId - Telegram user ID
+   * @param {string} listingId - Listing ID
+   * @returns {Promise<Object|null>} Listing or null
+   */
+  async getFavoriteListing(userId, listingId) {
+    if (!mongoose.isValidObjectId(listingId)) {
+      return null;
+    }
+
+    if (!(await Favorite.exists({ userId, listingId }))) {
+      return null;
+    }
+    return Property.findById(listingId);
+  }
+
+  /**
+   * Tell users who saved a listing about a price drop, sale or removal
+   * @param {Object} listing - Changed listing
+   * @returns {Promise<number>} Number of notifications sent
+   */
+  async notifyChanges(listing) {
+    if (!listing || !['published', 'sold', 'removed'].includes(listing.status)) {
+      return 0;
+    }
+
+    try {
+      const favorites = await Favorite.findByListing(listing._id);
+      let sent = 0;
+
+      for (const favorite of favorites) {
+        const locale = await localeService.getLocale(favorite.userId);
+        const message = this.getChangeMessage(favorite, listing, locale);
+
+        if (!message) {
+          // Keep the reference values current (e.g. a price rise), so the next change is measured from them
+          if (listing.price !== favorite.lastKnownPrice || listing.status !== favorite.lastKnownStatus) {
+            favorite.lastKnownPrice = listing.price;
+            favorite.lastKnownStatus = listing.status;
+            await favorite.save();
+          }
+          continue;
+        }
+
+        // Record first so a failed send is not retried on every listing update
+        await favorite.recordNotified(listing);
+
+        const delivered = await notificationService.sendToUser(favorite.userId, message, {
+          parse_mode: 'Markdown',
+          reply_markup: {
+            inline_keyboard: [
+              [{ text: t(locale, 'favorites.buttons.list'), callback_data: 'fav_list' }]
+            ]
+          }
+        });
+        if (delivered) {
+          sent++;
+        }
+      }
+
+      if (sent > 0) {
+        Logger.info('Favourite alerts sent', { listingId: listing._id.toString(), sent });
+      }
+      return sent;
+    } catch (error) {
+      Logger.error('Error notifying favourites', { error: error.message, listingId: listing._id.toString() });
+      return 0;
+    }
+  }
+
+  /**
+   * Build the alert for a favourite, if the change is worth one
+   * @param {Object} favorite - Favourite document
+   * @param {Object} listing - Changed listing
+   * @param {string} locale - Locale code of the user who saved the listing
+   * @returns {string|null} Alert text or null
+   */
+  getChangeMessage(favorite, listing, locale = 'en') {
+    const oldPrice = formatPrice(favorite.lastKnownPrice, listing.currency, locale);
+    const newPrice = formatPrice(listing.price, listing.currency, locale);
+    const summary = escapeMarkdown(formatListingSummary(listing, locale));
+    const priceLine = oldPrice === newPrice
+      ? t(locale, 'favorites.alerts.price', { price: newPrice })
+      : t(locale, 'favorites.alerts.finalPrice', { oldPrice, price: newPrice });
+
+    if (listing.status !== favorite.lastKnownStatus && listing.status === 'sold') {
+      return t(locale, 'favorites.alerts.sold', { summary, priceLine });
+    }
+
+    if (listing.status !== favorite.lastKnownStatus && listing.status === 'removed') {
+      return t(locale, 'favorites.alerts.removed', { summary, priceLine });
+    }
+
+    if (listing.status === 'published' && favorite.lastKnownPrice && listing.price < favorite.lastKnownPrice) {
+      const percent = Math.round(((favorite.lastKnownPrice - listing.price) / favorite.lastKnownPrice) * 100);
+      return t(locale, 'favorites.alerts.priceDrop', {
+        oldPrice,
+        price: newPrice,
+        percent,
+        card: formatListingCard(listing, locale)
+      });
+    }
+
+    return null;
+  }
+}
+
+// Create singleton instance
+const favoriteService = new FavoriteService();
+
+module.exports = favoriteService;
@@ -0,0 +1,510 @@
+const mongoose = require('mongoose');
+const config = require('../config');
+const Logger = require('../utils/logger');
+const Investment = require('../models/Investment');
+const { parseNumber, parseDate, sanitizeInput, chunkArray } = require('../utils/helpers');
+const { t } = require('../utils/i18n');
+const { getRiskLabel, formatInvestmentCard } = require('../utils/investmentFormatter');
+
+class InvestmentFSM {
+  constructor() {
+    this.states = {
+      NAME: 'name',
+      DESCRIPTION: 'description',
+      GOAL: 'goal',
+      RAISED: 'raised',
+      TICKET: 'ticket',
+      ROI: 'roi',
+      HORIZON: 'horizon',
+      RISK: 'risk',
+      DEADLINE: 'deadline',
+      REVIEW: 'review'
+    };
+
+    this.transitions = {
+      [this.states.NAME]: [this.states.DESCRIPTION],
+      [this.states.DESCRIPTION]: [this.states.GOAL],
+      [this.states.GOAL]: [this.states.RAISED],
+      [this.states.RAISED]: [this.states.TICKET],
+      [this.states.TICKET]: [this.states.ROI],
+      [this.states.ROI]: [this.states.HORIZON],
+      [this.states.HORIZON]: [this.states.RISK],
+      [this.states.RISK]: [this.states.DEADLINE],
+      [this.states.DEADLINE]: [this.states.REVIEW],
+      [this.states.REVIEW]: [] // Terminal state, opportunity is published or discarded
+    };
+
+    // Document field each step writes to
+    this.stateFields = {
+      [this.states.NAME]: 'projectName',
+      [this.states.DESCRIPTION]: 'description',
+      [this.states.GOAL]: 'fundingGoal',
+      [this.states.RAISED]: 'fundingRaised',
+      [this.states.TICKET]: 'minTicket',
+      [this.states.ROI]: 'expectedRoi',
+      [this.states.HORIZON]: 'horizonMonths',
+      [this.states.RISK]: 'riskLevel',
+      [this.states.DEADLINE]: 'deadline'
+    };
+
+    // Steps that may be left empty
+    this.skippableStates = [this.states.RAISED, this.states.DEADLINE];
+
+    Logger.info('Investment FSM initialized');
+  }
+
+  /**
+   * Check if transition is valid
+   * @param {string} fromState - Current state
+   * @param {string} toState - Target state
+   * @returns {boolean} True if transition is valid
+   */
+  isValidTransition(fromState, toState) {
+    return Boolean(this.transitions[fromState] && this.transitions[fromState].includes(toState));
+  }
+
+  /**
+   * Get next state in the wizard
+   * @param {string} currentState - Current state
+   * @returns {string|null} Next state or null for terminal states
+   */
+  getNextState(currentState) {
+    const next = this.transitions[currentState] || [];
+    return next[0] || null;
+  }
+
+  /**
+   * Validate input for a wizard step
+   * @param {string} state - Wizard step
+   * @param {string} input - Raw user input
+   * @param {Object} draft - Draft investment (for cross-field checks)
+   * @returns {Object} { valid, value } or { valid: false, error } with a catalogue key
+   */
+  validateStep(state, input, draft = {}) {
+    const raw = typeof input === 'string' ? input.trim() : '';
+
+    switch (state) {
+      case this.states.NAME: {
+        const name = sanitizeInput(raw).substring(0, 80);
+        if (name.length < 3) {
+          return { valid: false, error: 'investment.errors.nameShort' };
+        }
+        return { valid: true, value: name };
+      }
+
+      case this.states.DESCRIPTION: {
+        const description = sanitizeInput(raw);
+        if (description.length < 20) {
+          return { valid: false, error: 'investment.errors.descriptionShort' };
+        }
+        return { valid: true, value: description };
+      }
+
+      case this.states.GOAL:
+      case this.states.TICKET: {
+        const amount = parseNumber(raw);
+        if (amount === null || amount <= 0 || amount > 10000000000) {
+          return { valid: false, error: 'investment.errors.amountInvalid' };
+        }
+        if (state === this.states.TICKET && draft.fundingGoal && amount > draft.fundingGoal) {
+          return { valid: false, error: 'investment.errors.ticketOverGoal' };
+        }
+        return { valid: true, value: Math.round(amount) };
+      }
+
+      case this.states.RAISED: {
+        const amount = parseNumber(raw);
+        if (amount === null || amount < 0) {
+          return { valid: false, error: 'investment.errors.raisedInvalid' };
+        }
+        if (draft.fundingGoal && amount > draft.fundingGoal) {
+          return { valid: false, error: 'investment.errors.raisedOverGoal' };
+        }
+        return { valid: true, value: Math.round(amount) };
+      }
+
+      case this.states.ROI: {
+        const roi = parseNumber(raw.replace('%', ''));
+        if (roi === null || roi <= 0 || roi > 100) {
+          return { valid: false, error: 'investment.errors.roiInvalid' };
+        }
+        return { valid: true, value: Math.round(roi * 10) / 10 };
+      }
+
+      case this.states.HORIZON: {
+        const months = parseNumber(raw);
+        if (months === null || !Number.isInteger(months) || months < 1 || months > 360) {
+          return { valid: false, error: 'investment.errors.horizonInvalid' };
+        }
+        return { valid: true, value: months };
+      }
+
+      case this.states.RISK:
+        if (!config.investments.riskLevels.includes(raw)) {
+          return { valid: false, error: 'investment.errors.riskInvalid' };
+        }
+        return { valid: true, value: raw };
+
+      case this.states.DEADLINE: {
+        const deadline = parseDate(raw);
+        if (!deadline || deadline <= new Date()) {
+          return { valid: false, error: 'investment.errors.deadlineInvalid' };
+        }
+        return { valid: true, value: deadline };
+      }
+
+      default:
+        return { valid: false, error: 'investment.errors.unknownStep' };
+    }
+  }
+
+  /**
+   * Get the opportunity the user is currently creating
+   * @param {number} userId - Telegram user ID
+   * @returns {Promise<Object|null>} Draft investment or null
+   */
+  async getActiveDraft(userId) {
+    try {
+      return await Investment.findActiveDraft(userId);
+    } catch (error) {
+      Logger.error('Error getting investment draft', { error: error.message, userId });
+      return null;
+    }
+  }
+
+  /**
+   * Start (or resume) the opportunity publishing wizard
+   * @param {number} userId - Telegram user ID
+   * @param {string} locale - Locale code
+   * @returns {Promise<Object>} Wizard response
+   */
+  async startInvestment(userId, locale = 'en') {
+    try {
+      let draft = await Investment.findActiveDraft(userId);
+      const resumed = Boolean(draft);
+
+      if (!draft) {
+        draft = new Investment({
+          ownerId: userId,
+          draftStep: this.states.NAME
+        });
+        await draft.save();
+
+        Logger.info('Investment draft created', { userId, investmentId: draft._id.toString() });
+      }
+
+      return {
+        ...this.buildStepResponse(draft, locale),
+        resumed
+      };
+    } catch (error) {
+      Logger.error('Error starting investment', { error: error.message, userId });
+      return { success: false, error: 'investment.errors.startFailed' };
+    }
+  }
+
+  /**
+   * Process input for the current wizard step
+   * @param {number} userId - Telegram user ID
+   * @param {string} input - Text or selected value
+   * @param {string} locale - Locale code
+   * @returns {Promise<Object|null>} Response or null if the user has no draft
+   */
+  async processInput(userId, input, locale = 'en') {
+    try {
+      const draft = await Investment.findActiveDraft(userId);
+      if (!draft) {
+        return null;
+      }
+
+      const currentState = draft.draftStep;
+      if (currentState === this.states.REVIEW) {
+        return {
+          success: false,
+          error: 'investment.errors.useReviewButtons',
+          keyboard: this.getStateKeyboard(currentState, locale)
+        };
+      }
+
+      const validation = this.validateStep(currentState, input, draft);
+      if (!validation.valid) {
+        return {
+          success: false,
+          error: validation.error,
+          keyboard: this.getStateKeyboard(currentState, locale)
+        };
+      }
+
+      draft[this.stateFields[currentState]] = validation.value;
+      return await this.advance(draft, locale);
+    } catch (error) {
+      Logger.error('Error processing investment input', { error: error.message, userId });
+      return { success: false, error: 'investment.errors.processFailed' };
+    }
+  }
+
+  /**
+   * Skip the current wizard step if it is optional
+   * @param {number} userId - Telegram user ID
+   * @param {string} locale - Locale code
+   * @returns {Promise<Object>} Wizard response
+   */
+  async skipStep(userId, locale = 'en') {
+    try {
+      const draft = await Investment.findActiveDraft(userId);
+      if (!draft) {
+        return { success: false, error: 'investment.errors.noDraftStart' };
+      }
+
+      if (!this.skippableStates.includes(draft.draftStep)) {
+        return {
+          success: false,
+          error: 'investment.errors.notSkippable',
+          keyboard: this.getStateKeyboard(draft.draftStep, locale)
+        };
+      }
+
+      return await this.advance(draft, locale);
+    } catch (error) {
+      Logger.error('Error skipping investment step', { error: error.message, userId });
+      return { success: false, error: 'investment.errors.skipFailed' };
+    }
+  }
+
+  /**
+   * Move the draft to its next step
+   * @param {Object} draft - Draft investment
+   * @param {string} locale - Locale code
+   * @returns {Promise<Object>} Wizard response
+   */
+  async advance(draft, locale) {
+    const currentState = draft.draftStep;
+    const nextState = this.getNextState(currentState);
+
+    if (!this.isValidTransition(currentState, nextState)) {
+      return { success: false, error: 'investment.errors.invalidTransition' };
+    }
+
+    await draft.setDraftStep(nextState);
+    return this.buildStepResponse(draft, locale);
+  }
+
+  /**
+   * Publish the reviewed draft
+   * @param {number} userId - Telegram user ID
+   * @returns {Promise<Object>} Processing response
+   */
+  async publishDraft(userId) {
+    try {
+      const draft = await Investment.findActiveDraft(userId);
+      if (!draft || draft.draftStep !== this.states.REVIEW) {
+        return { success: false, error: 'investment.errors.noReview' };
+      }
+
+      await draft.publish();
+      Logger.info('Investment published', { userId, investmentId: draft._id.toString() });
+
+      return {
+        success: true,
+        investment: draft,
+        message: 'investment.published'
+      };
+    } catch (error) {
+      Logger.error('Error publishing investment', { error: error.message, userId });
+      return { success: false, error: 'investment.errors.publishFailed' };
+    }
+  }
+
+  /**
+   * Discard the opportunity currently being created
+   * @param {number} userId - Telegram user ID
+   * @returns {Promise<Object>} Processing response
+   */
+  async cancelDraft(userId) {
+    try {
+      const draft = await Investment.findActiveDraft(userId);
+      if (!draft) {
+        return { success: false, error: 'investment.errors.noDraft' };
+      }
+
+      await Investment.deleteOne({ _id: draft._id });
+      Logger.info('Investment draft discarded', { userId, investmentId: draft._id.toString() });
+
+      return { success: true, message: 'investment.cancelled' };
+    } catch (error) {
+      Logger.error('Error cancelling investment draft', { error: error.message, userId });
+      return { success: false, error: 'investment.errors.cancelFailed' };
+    }
+  }
+
+  /**
+   * Get an opportunity only if it belongs to the user
+   * @param {number} userId - Telegram user ID
+   * @param {string} investmentId - Investment ID
+   * @returns {Promise<Object|null>} Investment or null
+   */
+  async getOwnedInvestment(userId, investmentId) {
+    if (!mongoose.isValidObjectId(investmentId)) {
+      return null;
+    }
+
+    const investment = await Investment.findById(investmentId);
+    if (!investment || !investment.isOwnedBy(userId) || ['draft', 'removed'].includes(investment.status)) {
+      return null;
+    }
+    return investment;
+  }
+
+  /**
+   * Update how much an owned opportunity has raised
+   * @param {number} userId - Telegram user ID
+   * @param {string} investmentId - Investment ID
+   * @param {string} input - Raw amount
+   * @returns {Promise<Object>} Processing response
+   */
+  async updateFunding(userId, investmentId, input) {
+    try {
+      const investment = await this.getOwnedInvestment(userId, investmentId);
+      if (!investment) {
+        return { success: false, error: 'investment.errors.notFound' };
+      }
+
+      const validation = this.validateStep(this.states.RAISED, input, investment);
+      if (!validation.valid) {
+        return { success: false, error: validation.error };
+      }
+
+      await investment.updateFunding(validation.value);
+      Logger.info('Investment funding updated', { userId, investmentId, fundingRaised: validation.value });
+
+      return { success: true, investment, message: 'investment.fundingUpdated' };
+    } catch (error) {
+      Logger.error('Error updating investment funding', { error: error.message, userId, investmentId });
+      return { success: false, error: 'investment.errors.fundingFailed' };
+    }
+  }
+
+  /**
+   * Close an owned opportunity to new investors
+   * @param {number} userId - Telegram user ID
+   * @param {string} investmentId - Investment ID
+   * @returns {Promise<Object>} Processing response
+   */
+  async closeInvestment(userId, investmentId) {
+    try {
+      const investment = await this.getOwnedInvestment(userId, investmentId);
+      if (!investment) {
+        return { success: false, error: 'investment.errors.notFound' };
+      }
+
+      await investment.close();
+      Logger.info('Investment closed', { userId, investmentId });
+
+      return { success: true, investment, message: 'investment.closed' };
+    } catch (error) {
+      Logger.error('Error closing investment', { error: error.message, userId, investmentId });
+      return { success: false, error: 'investment.errors.closeFailed' };
+    }
+  }
+
+  /**
+   * Delete an owned opportunity
+   * @param {number} userId - Telegram user ID
+   * @param {string} investmentId - Investment ID
+   * @returns {Promise<Object>} Processing response
+   */
+  async deleteInvestment(userId, investmentId) {
+    try {
+      const investment = await this.getOwnedInvestment(userId, investmentId);
+      if (!investment) {
+        return { success: false, error: 'investment.errors.notFound' };
+      }
+
+      await investment.markRemoved();
+      Logger.info('Investment removed', { userId, investmentId });
+
+      return { success: true, message: 'investment.deleted' };
+    } catch (error) {
+      Logger.error('Error deleting investment', { error: error.message, userId, investmentId });
+      return { success: false, error: 'investment.errors.deleteFailed' };
+    }
+  }
+
+  /**
+   * Build the response for the draft's current step
+   * @param {Object} draft - Draft investment
+   * @param {string} locale - Locale code
+   * @returns {Object} Wizard response
+   */
+  buildStepResponse(draft, locale) {
+    const state = draft.draftStep;
+
+    if (state === this.states.REVIEW) {
+      return {
+        success: true,
+        state,
+        message: t(locale, 'investment.review', { card: formatInvestmentCard(draft, locale) }),
+        keyboard: this.getStateKeyboard(state, locale)
+      };
+    }
+
+    return {
+      success: true,
+      state,
+      message: this.getStateMessage(state, locale),
+      keyboard: this.getStateKeyboard(state, locale)
+    };
+  }
+
+  /**
+   * Get prompt for a wizard step
+   * @param {string} state - Current state
+   * @param {string} locale - Locale code
+   * @returns {string} State message
+   */
+  getStateMessage(state, locale) {
+    if (!this.stateFields[state]) {
+      return t(locale, 'investment.errors.unknownState');
+    }
+
+    return t(locale, `investment.steps.${state}`, { currency: config.listings.currency });
+  }
+
+  /**
+   * Get keyboard for a wizard step
+   * @param {string} state - Current state
+   * @param {string} locale - Locale code
+   * @returns {Object} Keyboard object
+   */
+  getStateKeyboard(state, locale) {
+    const cancelRow = [{ text: t(locale, 'wizard.cancel'), callback_data: 'invest_wizard_cancel' }];
+    const skipRow = [{ text: t(locale, 'wizard.skip'), callback_data: 'invest_wizard_skip' }];
+
+    const keyboards = {
+      [this.states.RAISED]: [skipRow, cancelRow],
+      [this.states.RISK]: [
+        ...chunkArray(config.investments.riskLevels.map(level => ({
+          text: getRiskLabel(level, locale),
+          callback_data: `invest_risk_${level}`
+        })), 3),
+        cancelRow
+      ],
+      [this.states.DEADLINE]: [skipRow, cancelRow],
+      [this.states.REVIEW]: [
+        [{ text: t(locale, 'investment.buttons.publish'), callback_data: 'invest_wizard_publish' }],
+        cancelRow
+      ]
+    };
+
+    return {
+      reply_markup: {
+        inline_keyboard: keyboards[state] || [cancelRow]
+      }
+    };
+  }
+}
+
+// Create singleton instance
+const investmentFSM = new InvestmentFSM();
+
+module.exports = investmentFSM;
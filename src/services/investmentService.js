@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+const config = require('../config');
+const Logger = require('../utils/logger');
+const Investment = require('../models/Investment');
+const moderationService = require('./moderationService');
+
+// Far-future date so opportunities without a deadline sort last
+const NO_DEADLINE = new Date(8640000000000000);
+
+class InvestmentService {
+  constructor() {
+    this.sortOptions = {
+      roi: { label: 'investment.sort.roi', sort: { expectedRoi: -1, publishedAt: -1 } },
+      ticket: { label: 'investment.sort.ticket', sort: { minTicket: 1, publishedAt: -1 } },
+      deadline: { label: 'investment.sort.deadline', sort: { sortDeadline: 1, publishedAt: -1 } }
+    };
+
+    Logger.info('Investment service initialized');
+  }
+
+  /**
+   * Get a page of open opportunities
+   * @param {string} sortBy - Sort key (roi, ticket or deadline)
+   * @param {number} page - Zero-based page index
+   * @returns {Promise<Object>} { investments, total, page, totalPages }
+   */
+  async getCatalogue(sortBy = 'roi', page = 0) {
+    try {
+      const option = this.sortOptions[sortBy] || this.sortOptions.roi;
+      const pageSize = config.investments.pageSize;
+      const match = Investment.findOpen().getFilter();
+      // Opportunities of banned users are hidden
+      const bannedIds = moderationService.getBannedUserIds();
+      if (bannedIds.length > 0) {
+        match.ownerId = { $nin: bannedIds };
+      }
+
+      const total = await Investment.countDocuments(match);
+      const totalPages = Math.max(Math.ceil(total / pageSize), 1);
+      const safePage = Math.min(Math.max(page, 0), totalPages - 1);
+
+      const docs = await Investment.aggregate([
+        { $match: match },
+        { $addFields: { sortDeadline: { $ifNull: ['$deadline', NO_DEADLINE] } } },
+        { $sort: option.sort },
+        { $skip: safePage * pageSize },
+        { $limit: pageSize },
+        { $project: { sortDeadline: 0 } }
+      ]);
+
+      return {
+        investments: docs.map(doc => Investment.hydrate(doc)),
+        total,
+        page: safePage,
+        totalPages
+      };
+    } catch (error) {
+      Logger.error('Error getting investment catalogue', { error: error.message, sortBy, page });
+      return { investments: [], total: 0, page: 0, totalPages: 1, error: 'investment.errors.loadFailed' };
+    }
+  }
+
+  /**
+   * Get a single opportunity that investors may see
+   * @param {string} investmentId - Investment ID
+   * @returns {Promise<Object|null>} Investment or null
+   */
+  async getOpportunity(investmentId) {
+    try {
+      if (!mongoose.isValidObjectId(investmentId)) {
+        return null;
+      }
+
+      const investment = await Investment.findById(investmentId);
+      if (!investment || !['published', 'closed'].includes(investment.status)) {
+        return null;
+      }
+      return investment;
+    } catch (error) {
+      Logger.error('Error getting investment', { error: error.message, investmentId });
+      return null;
+    }
+  }
+
+  /**
+   * Get opportunities published by a user
+   * @param {number} userId - Telegram user ID
+   * @returns {Promise<Array>} Investments
+   */
+  async getUserInvestments(userId) {
+    try {
+      return await Investment.findByOwner(userId);
+    } catch (error) {
+      Logger.error('Error getting user investments', { error: error.message, userId });
+      return [];
+    }
+  }
+}
+
+// Create singleton instance
+const investmentService = new InvestmentService();
+
+module.exports = investmentService;
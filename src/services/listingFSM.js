@@ -0,0 +1,1015 @@
+const mongoose = require('mongoose');
+const config = require('../config');
+const Logger = require('../utils/logger');
+const Property = require('../models/Property');
+const savedSearchService = require('./savedSearchService');
+const marketService = require('./marketService');
+const favoriteService = require('./favoriteService');
+const { parseNumber, sanitizeInput, chunkArray } = require('../utils/helpers');
+const { t } = require('../utils/i18n');
+const { getTypeLabel, formatListingCard } = require('../utils/listingFormatter');
+
+class ListingFSM {
+  constructor() {
+    this.states = {
+      TYPE: 'type',
+      DISTRICT: 'district',
+      PRICE: 'price',
+      AREA: 'area',
+      ROOMS: 'rooms',
+      FLOOR: 'floor',
+      DESCRIPTION: 'description',
+      PHOTOS: 'photos',
+      REVIEW: 'review'
+    };
+
+    this.transitions = {
+      [this.states.TYPE]: [this.states.DISTRICT],
+      [this.states.DISTRICT]: [this.states.PRICE],
+      [this.states.PRICE]: [this.states.AREA],
+      [this.states.AREA]: [this.states.ROOMS],
+      [this.states.ROOMS]: [this.states.FLOOR],
+      [this.states.FLOOR]: [this.states.DESCRIPTION],
+      [this.states.DESCRIPTION]: [this.states.PHOTOS],
+      [this.states.PHOTOS]: [this.states.REVIEW],
+      [this.states.REVIEW]: [] // Terminal state, listing is published or saved
+    };
+
+    // Steps that may be left empty
+    this.skippableStates = [this.states.ROOMS, this.states.FLOOR, this.states.PHOTOS];
+
+    // Fields an owner can change after the wizard is finished
+    this.editableFields = ['type', 'district', 'price', 'area', 'rooms', 'floor', 'description', 'photos'];
+
+    // Fields that must be set before a listing can be published
+    this.requiredFields = ['type', 'district', 'price', 'area', 'description'];
+
+    Logger.info('Listing FSM initialized');
+  }
+
+  /**
+   * Check if transition is valid
+   * @param {string} fromState - Current state
+   * @param {string} toState - Target state
+   * @returns {boolean} True if transition is valid
+   */
+  isValidTransition(fromState, toState) {
+    return Boolean(this.transitions[fromState] && this.transitions[fromState].includes(toState));
+  }
+
+  /**
+   * Get next state in the wizard
+   * @param {string} currentState - Current state
+   * @returns {string|null} Next state or null for terminal states
+   */
+  getNextState(currentState) {
+    const next = this.transitions[currentState] || [];
+    return next[0] || null;
+  }
+
+  /**
+   * Validate a value for a listing field
+   * @param {string} field - Field name
+   * @param {string} input - Raw user input
+   * @returns {Object} { valid, value } or { valid: false, error } with a catalogue key
+   */
+  validateField(field, input) {
+    const raw = typeof input === 'string' ? input.trim() : '';
+
+    switch (field) {
+      case 'type':
+        if (!config.listings.types.includes(raw)) {
+          return { valid: false, error: 'listing.errors.typeInvalid' };
+        }
+        return { valid: true, value: raw };
+
+      case 'district': {
+        const district = config.listings.districts.find(d => d.toLowerCase() === raw.toLowerCase());
+        if (!district) {
+          return { valid: false, error: 'listing.errors.districtInvalid' };
+        }
+        return { valid: true, value: district };
+      }
+
+      case 'price': {
+        const price = parseNumber(raw);
+        if (price === null || price <= 0 || price > 1000000000) {
+          return { valid: false, error: 'listing.errors.priceInvalid' };
+        }
+        return { valid: true, value: Math.round(price) };
+      }
+
+      case 'area': {
+        const area = parseNumber(raw);
+        if (area === null || area <= 0 || area > 100000) {
+          return { valid: false, error: 'listing.errors.areaInvalid' };
+        }
+        return { valid: true, value: Math.round(area * 10) / 10 };
+      }
+
+      case 'rooms': {
+        const rooms = parseNumber(raw);
+        if (rooms === null || !Number.isInteger(rooms) || rooms < 0 || rooms > 50) {
+          return { valid: false, error: 'listing.errors.roomsInvalid' };
+        }
+        return { valid: true, value: rooms };
+      }
+
+      case 'floor': {
+        const floor = parseNumber(raw);
+        if (floor === null || !Number.isInteger(floor) || floor < -5 || floor > 200) {
+          return { valid: false, error: 'listing.errors.floorInvalid' };
+        }
+        return { valid: true, value: floor };
+      }
+
+      case 'description': {
+        // Checked before sanitizing, which would cut longer text silently
+        if (raw.length > 1000) {
+          return { valid: false, error: { key: 'listing.errors.descriptionLong', params: { length: raw.length } } };
+        }
+        const description = sanitizeInput(raw);
+        if (description.length < 10) {
+          return { valid: false, error: 'listing.errors.descriptionShort' };
+        }
+        return { valid: true, value: description };
+      }
+
+      default:
+        return { valid: false, error: 'listing.errors.unknownField' };
+    }
+  }
+
+  /**
+   * Resolve a district from its position in the configured list
+   * @param {number} index - District index
+   * @returns {string|null} District name
+   */
+  getDistrictByIndex(index) {
+    return config.listings.districts[index] || null;
+  }
+
+  /**
+   * Get the listing the user is currently creating
+   * @param {number} userId - Telegram user ID
+   * @returns {Promise<Object|null>} Draft property or null
+   */
+  async getActiveDraft(userId) {
+    try {
+      return await Property.findActiveDraft(userId);
+    } catch (error) {
+      Logger.error('Error getting active draft', { error: error.message, userId });
+      return null;
+    }
+  }
+
+  /**
+   * Get the listing the user is currently editing
+   * @param {number} userId - Telegram user ID
+   * @returns {Promise<Object|null>} Property or null
+   */
+  async getListingBeingEdited(userId) {
+    try {
+      return await Property.findBeingEdited(userId);
+    } catch (error) {
+      Logger.error('Error getting listing being edited', { error: error.message, userId });
+      return null;
+    }
+  }
+
+  /**
+   * Check if user is in the listing creation or edit flow
+   * @param {number} userId - Telegram user ID
+   * @returns {Promise<boolean>} True if in a listing flow
+   */
+  async isInListingFlow(userId) {
+    const draft = await this.getActiveDraft(userId);
+    if (draft) {
+      return true;
+    }
+    const edited = await this.getListingBeingEdited(userId);
+    return Boolean(edited);
+  }
+
+  /**
+   * Start (or resume) the listing creation wizard
+   * @param {number} userId - Telegram user ID
+   * @param {string} locale - Locale code
+   * @returns {Promise<Object>} Wizard response
+   */
+  async startListing(userId, locale = 'en') {
+    try {
+      let draft = await Property.findActiveDraft(userId);
+      const resumed = Boolean(draft);
+
+      if (!draft) {
+        // Only one flow at a time: leave any pending field edit
+        await Property.updateMany({ ownerId: userId, editingField: { $ne: null } }, { editingField: null });
+
+        draft = new Property({
+          ownerId: userId,
+          draftStep: this.states.TYPE
+        });
+        await draft.save();
+
+        Logger.info('Listing draft created', { userId, listingId: draft._id.toString() });
+      }
+
+      return {
+        ...this.buildStepResponse(draft, locale),
+        resumed
+      };
+    } catch (error) {
+      Logger.error('Error starting listing', { error: error.message, userId });
+      return { success: false, error: 'listing.errors.startFailed' };
+    }
+  }
+
+  /**
+   * Process input for the active listing flow (wizard step or field edit)
+   * @param {number} userId - Telegram user ID
+   * @param {string} input - Text or selected value
+   * @param {string} locale - Locale code
+   * @returns {Promise<Object|null>} Response or null if the user has no active flow
+   */
+  async processInput(userId, input, locale = 'en') {
+    try {
+      const draft = await Property.findActiveDraft(userId);
+      if (draft) {
+        return await this.processDraftInput(draft, input, locale);
+      }
+
+      const listing = await Property.findBeingEdited(userId);
+      if (listing) {
+        return await this.processEditInput(listing, input, locale);
+      }
+
+      return null;
+    } catch (error) {
+      Logger.error('Error processing listing input', { error: error.message, userId });
+      return { success: false, error: 'listing.errors.processFailed' };
+    }
+  }
+
+  /**
+   * Apply input to the current wizard step and advance
+   * @param {Object} draft - Draft property
+   * @param {string} input - Raw input
+   * @param {string} locale - Locale code
+   * @returns {Promise<Object>} Wizard response
+   */
+  async processDraftInput(draft, input, locale) {
+    const currentState = draft.draftStep;
+
+    if (currentState === this.states.PHOTOS) {
+      return {
+        success: false,
+        error: 'listing.errors.sendPhoto',
+        keyboard: this.getStateKeyboard(currentState, locale)
+      };
+    }
+
+    if (currentState === this.states.REVIEW) {
+      return {
+        success: false,
+        error: 'listing.errors.useReviewButtons',
+        keyboard: this.getStateKeyboard(currentState, locale)
+      };
+    }
+
+    const validation = this.validateField(currentState, input);
+    if (!validation.valid) {
+      return {
+        success: false,
+        error: validation.error,
+        keyboard: this.getStateKeyboard(currentState, locale)
+      };
+    }
+
+    draft[currentState] = validation.value;
+    return await this.advance(draft, locale);
+  }
+
+  /**
+   * Skip the current wizard step if it is optional
+   * @param {number} userId - Telegram user ID
+   * @param {string} locale - Locale code
+   * @returns {Promise<Object>} Wizard response
+   */
+  async skipStep(userId, locale = 'en') {
+    try {
+      const draft = await Property.findActiveDraft(userId);
+      if (!draft) {
+        return { success: false, error: 'listing.errors.noDraftStart' };
+      }
+
+      if (!this.skippableStates.includes(draft.draftStep)) {
+        return {
+          success: false,
+          error: 'listing.errors.notSkippable',
+          keyboard: this.getStateKeyboard(draft.draftStep, locale)
+        };
+      }
+
+      return await this.advance(draft, locale);
+    } catch (error) {
+      Logger.error('Error skipping listing step', { error: error.message, userId });
+      return { success: false, error: 'listing.errors.skipFailed' };
+    }
+  }
+
+  /**
+   * Move the draft to its next step
+   * @param {Object} draft - Draft property
+   * @param {string} locale - Locale code
+   * @returns {Promise<Object>} Wizard response
+   */
+  async advance(draft, locale) {
+    const currentState = draft.draftStep;
+    const nextState = this.getNextState(currentState);
+
+    if (!this.isValidTransition(currentState, nextState)) {
+      return { success: false, error: 'listing.errors.invalidTransition' };
+    }
+
+    await draft.setDraftStep(nextState);
+    return this.buildStepResponse(draft, locale);
+  }
+
+  /**
+   * Check if the user is adding photos in the wizard or in the photo editor
+   * @param {number} userId - Telegram user ID
+   * @returns {Promise<boolean>} True if incoming photos belong to a listing
+   */
+  async isAddingPhotos(userId) {
+    const draft = await Property.findActiveDraft(userId);
+    if (draft) {
+      return draft.draftStep === this.states.PHOTOS;
+    }
+
+    const listing = await Property.findBeingEdited(userId);
+    return Boolean(listing && listing.editingField === 'photos');
+  }
+
+  /**
+   * Attach photos to the draft at the photos step, or to a listing whose photos are being edited
+   * @param {number} userId - Telegram user ID
+   * @param {Array<Object>} photos - Photos in order ({ fileId, fileUniqueId })
+   * @param {string} locale - Locale code
+   * @returns {Promise<Object|null>} Response or null if the user is not adding photos
+   */
+  async addPhotos(userId, photos, locale = 'en') {
+    try {
+      let listing = await Property.findActiveDraft(userId);
+      const inWizard = Boolean(listing);
+
+      if (inWizard && listing.draftStep !== this.states.PHOTOS) {
+        return null;
+      }
+      if (!inWizard) {
+        listing = await Property.findBeingEdited(userId);
+        if (!listing || listing.editingField !== 'photos') {
+          return null;
+        }
+      }
+
+      const maxPhotos = config.listings.maxPhotos;
+      const known = new Set(listing.photos.map(photo => photo.fileUniqueId));
+      const accepted = photos
+        .filter(photo => !known.has(photo.fileUniqueId))
+        .slice(0, Math.max(0, maxPhotos - listing.photos.length));
+
+      if (accepted.length === 0) {
+        return {
+          success: false,
+          error: { key: inWizard ? 'listing.errors.photoLimitWizard' : 'listing.errors.photoLimitEdit', params: { max: maxPhotos } },
+          keyboard: inWizard ? this.getStateKeyboard(this.states.PHOTOS, locale) : this.getPhotoManagerKeyboard(listing, locale)
+        };
+      }
+
+      listing.photos.push(...accepted);
+      await listing.save();
+
+      const skipped = photos.length - accepted.length;
+      let message = t(locale, 'listing.photosAdded', { count: accepted.length, total: listing.photos.length, max: maxPhotos });
+      if (skipped > 0) {
+        message += ` ${t(locale, 'listing.photosSkipped', { count: skipped })}`;
+      }
+
+      return {
+        success: true,
+        state: inWizard ? listing.draftStep : undefined,
+        message: inWizard
+          ? `${message} ${t(locale, 'listing.sendMorePhotos')}`
+          : `${message}\n\n${this.getPhotoManagerMessage(listing, locale)}`,
+        keyboard: inWizard ? this.getStateKeyboard(this.states.PHOTOS, locale) : this.getPhotoManagerKeyboard(listing, locale)
+      };
+    } catch (error) {
+      Logger.error('Error adding listing photos', { error: error.message, userId });
+      return { success: false, error: 'listing.errors.addPhotosFailed' };
+    }
+  }
+
+  /**
+   * Move a photo of an owned listing one position up or down
+   * @param {number} userId - Telegram user ID
+   * @param {string} listingId - Listing ID
+   * @param {number} index - Photo position
+   * @param {number} offset - -1 to move up, 1 to move down
+   * @param {string} locale - Locale code
+   * @returns {Promise<Object>} Processing response
+   */
+  async movePhoto(userId, listingId, index, offset, locale = 'en') {
+    try {
+      const listing = await this.getOwnedListing(userId, listingId);
+      if (!listing) {
+        return { success: false, error: 'listing.errors.notFound' };
+      }
+
+      const target = index + offset;
+      if (!listing.photos[index] || !listing.photos[target]) {
+        return this.buildPhotoManagerResponse(listing, locale);
+      }
+
+      const photos = listing.photos.map(photo => ({ fileId: photo.fileId, fileUniqueId: photo.fileUniqueId }));
+      [photos[index], photos[target]] = [photos[target], photos[index]];
+      listing.photos = photos;
+      await listing.save();
+
+      return this.buildPhotoManagerResponse(listing, locale);
+    } catch (error) {
+      Logger.error('Error moving listing photo', { error: error.message, userId, listingId });
+      return { success: false, error: 'listing.errors.reorderFailed' };
+    }
+  }
+
+  /**
+   * Remove a photo from an owned listing
+   * @param {number} userId - Telegram user ID
+   * @param {string} listingId - Listing ID
+   * @param {number} index - Photo position
+   * @param {string} locale - Locale code
+   * @returns {Promise<Object>} Processing response
+   */
+  async removePhoto(userId, listingId, index, locale = 'en') {
+    try {
+      const listing = await this.getOwnedListing(userId, listingId);
+      if (!listing) {
+        return { success: false, error: 'listing.errors.notFound' };
+      }
+
+      if (listing.photos[index]) {
+        listing.photos.splice(index, 1);
+        await listing.save();
+        Logger.info('Listing photo removed', { userId, listingId, index });
+      }
+
+      return this.buildPhotoManagerResponse(listing, locale);
+    } catch (error) {
+      Logger.error('Error removing listing photo', { error: error.message, userId, listingId });
+      return { success: false, error: 'listing.errors.removePhotoFailed' };
+    }
+  }
+
+  /**
+   * Finish the photos step
+   * @param {number} userId - Telegram user ID
+   * @param {string} locale - Locale code
+   * @returns {Promise<Object>} Wizard response
+   */
+  async finishPhotos(userId, locale = 'en') {
+    try {
+      const draft = await Property.findActiveDraft(userId);
+      if (!draft || draft.draftStep !== this.states.PHOTOS) {
+        return { success: false, error: 'listing.errors.notAddingPhotos' };
+      }
+
+      return await this.advance(draft, locale);
+    } catch (error) {
+      Logger.error('Error finishing listing photos', { error: error.message, userId });
+      return { success: false, error: 'listing.errors.finishPhotosFailed' };
+    }
+  }
+
+  /**
+   * Finish the wizard by publishing the draft or keeping it as a saved draft
+   * @param {number} userId - Telegram user ID
+   * @param {boolean} publish - Publish immediately
+   * @returns {Promise<Object>} Processing response
+   */
+  async finishDraft(userId, publish) {
+    try {
+      const draft = await Property.findActiveDraft(userId);
+      if (!draft || draft.draftStep !== this.states.REVIEW) {
+        return { success: false, error: 'listing.errors.noReview' };
+      }
+
+      if (publish) {
+        await draft.publish();
+        Logger.info('Listing published', { userId, listingId: draft._id.toString() });
+        this.onListingChanged(draft);
+      } else {
+        await draft.saveAsDraft();
+        Logger.info('Listing saved as draft', { userId, listingId: draft._id.toString() });
+      }
+
+      return {
+        success: true,
+        listing: draft,
+        message: publish ? 'listing.publishedWizard' : 'listing.draftSaved'
+      };
+    } catch (error) {
+      Logger.error('Error finishing listing draft', { error: error.message, userId });
+      return { success: false, error: 'listing.errors.saveFailed' };
+    }
+  }
+
+  /**
+   * Discard the listing currently being created
+   * @param {number} userId - Telegram user ID
+   * @returns {Promise<Object>} Processing response
+   */
+  async cancelDraft(userId) {
+    try {
+      const draft = await Property.findActiveDraft(userId);
+      if (!draft) {
+        return { success: false, error: 'listing.errors.noDraft' };
+      }
+
+      await Property.deleteOne({ _id: draft._id });
+      Logger.info('Listing draft discarded', { userId, listingId: draft._id.toString() });
+
+      return { success: true, message: 'listing.creationCancelled' };
+    } catch (error) {
+      Logger.error('Error cancelling listing draft', { error: error.message, userId });
+      return { success: false, error: 'listing.errors.cancelFailed' };
+    }
+  }
+
+  /**
+   * Get all listings owned by a user
+   * @param {number} userId - Telegram user ID
+   * @returns {Promise<Array>} Listings
+   */
+  async getUserListings(userId) {
+    try {
+      return await Property.findByOwner(userId);
+    } catch (error) {
+      Logger.error('Error getting user listings', { error: error.message, userId });
+      return [];
+    }
+  }
+
+  /**
+   * Get a listing only if it belongs to the user
+   * @param {number} userId - Telegram user ID
+   * @param {string} listingId - Listing ID
+   * @returns {Promise<Object|null>} Listing or null
+   */
+  async getOwnedListing(userId, listingId) {
+    if (!mongoose.isValidObjectId(listingId)) {
+      return null;
+    }
+
+    const listing = await Property.findById(listingId);
+    if (!listing || !listing.isOwnedBy(userId) || listing.status === 'removed') {
+      return null;
+    }
+    return listing;
+  }
+
+  /**
+   * Start editing a single field of an owned listing
+   * @param {number} userId - Telegram user ID
+   * @param {string} listingId - Listing ID
+   * @param {string} field - Field to edit
+   * @param {string} locale - Locale code
+   * @returns {Promise<Object>} Processing response
+   */
+  async startEdit(userId, listingId, field, locale = 'en') {
+    try {
+      if (!this.editableFields.includes(field)) {
+        return { success: false, error: 'listing.errors.notEditable' };
+      }
+
+      if (await Property.findActiveDraft(userId)) {
+        return { success: false, error: 'listing.errors.finishDraftFirst' };
+      }
+
+      const listing = await this.getOwnedListing(userId, listingId);
+      if (!listing) {
+        return { success: false, error: 'listing.errors.notFound' };
+      }
+
+      if (listing.status === 'sold') {
+        return { success: false, error: 'listing.errors.soldNotEditable' };
+      }
+
+      // Only one field edit at a time
+      await Property.updateMany(
+        { ownerId: userId, editingField: { $ne: null }, _id: { $ne: listing._id } },
+        { editingField: null }
+      );
+
+      listing.editingField = field;
+      await listing.save();
+
+      if (field === 'photos') {
+        return this.buildPhotoManagerResponse(listing, locale);
+      }
+
+      return {
+        success: true,
+        message: this.getEditMessage(field, locale),
+        keyboard: this.getEditKeyboard(field, locale)
+      };
+    } catch (error) {
+      Logger.error('Error starting listing edit', { error: error.message, userId, listingId });
+      return { success: false, error: 'listing.errors.editFailed' };
+    }
+  }
+
+  /**
+   * Apply input to the field being edited
+   * @param {Object} listing - Listing being edited
+   * @param {string} input - Raw input
+   * @param {string} locale - Locale code
+   * @returns {Promise<Object>} Processing response
+   */
+  async processEditInput(listing, input, locale) {
+    const field = listing.editingField;
+
+    if (field === 'photos') {
+      return {
+        success: false,
+        error: 'listing.errors.sendPhotos',
+        keyboard: this.getPhotoManagerKeyboard(listing, locale)
+      };
+    }
+
+    const validation = this.validateField(field, input);
+
+    if (!validation.valid) {
+      return {
+        success: false,
+        error: validation.error,
+        keyboard: this.getEditKeyboard(field, locale)
+      };
+    }
+
+    listing[field] = validation.value;
+    listing.editingField = null;
+    await listing.save();
+
+    Logger.info('Listing field updated', {
+      userId: listing.ownerId,
+      listingId: listing._id.toString(),
+      field
+    });
+    this.onListingChanged(listing);
+
+    return {
+      success: true,
+      listing,
+      message: 'listing.updated'
+    };
+  }
+
+  /**
+   * Stop editing without changes
+   * @param {number} userId - Telegram user ID
+   * @returns {Promise<Object>} Processing response
+   */
+  async cancelEdit(userId) {
+    try {
+      const listing = await Property.findBeingEdited(userId);
+      if (!listing) {
+        return { success: false, error: 'listing.errors.notEditing' };
+      }
+
+      const field = listing.editingField;
+      listing.editingField = null;
+      await listing.save();
+
+      return { success: true, listing, message: field === 'photos' ? 'listing.photosSaved' : 'listing.editCancelled' };
+    } catch (error) {
+      Logger.error('Error cancelling listing edit', { error: error.message, userId });
+      return { success: false, error: 'listing.errors.cancelEditFailed' };
+    }
+  }
+
+  /**
+   * Publish a saved draft
+   * @param {number} userId - Telegram user ID
+   * @param {string} listingId - Listing ID
+   * @param {string} locale - Locale code
+   * @returns {Promise<Object>} Processing response
+   */
+  async publishListing(userId, listingId, locale = 'en') {
+    try {
+      const listing = await this.getOwnedListing(userId, listingId);
+      if (!listing) {
+        return { success: false, error: 'listing.errors.notFound' };
+      }
+
+      if (listing.status === 'published') {
+        return { success: false, error: 'listing.errors.alreadyPublished' };
+      }
+
+      const missing = this.requiredFields.filter(field => listing[field] === null || listing[field] === undefined);
+      if (missing.length > 0) {
+        return {
+          success: false,
+          error: { key: 'listing.errors.missingFields', params: { fields: missing.map(field => t(locale, `listing.fields.${field}`)).join(', ') } }
+        };
+      }
+
+      await listing.publish();
+      Logger.info('Listing published', { userId, listingId });
+      this.onListingChanged(listing);
+
+      return { success: true, listing, message: 'listing.published' };
+    } catch (error) {
+      Logger.error('Error publishing listing', { error: error.message, userId, listingId });
+      return { success: false, error: 'listing.errors.publishFailed' };
+    }
+  }
+
+  /**
+   * Mark a published listing as sold
+   * @param {number} userId - Telegram user ID
+   * @param {string} listingId - Listing ID
+   * @returns {Promise<Object>} Processing response
+   */
+  async markListingSold(userId, listingId) {
+    try {
+      const listing = await this.getOwnedListing(userId, listingId);
+      if (!listing) {
+        return { success: false, error: 'listing.errors.notFound' };
+      }
+
+      if (listing.status !== 'published') {
+        return { success: false, error: 'listing.errors.onlyPublishedSold' };
+      }
+
+      await listing.markSold();
+      Logger.info('Listing marked as sold', { userId, listingId });
+      this.onListingChanged(listing);
+
+      return { success: true, listing, message: 'listing.sold' };
+    } catch (error) {
+      Logger.error('Error marking listing as sold', { error: error.message, userId, listingId });
+      return { success: false, error: 'listing.errors.soldFailed' };
+    }
+  }
+
+  /**
+   * Delete an owned listing
+   * @param {number} userId - Telegram user ID
+   * @param {string} listingId - Listing ID
+   * @returns {Promise<Object>} Processing response
+   */
+  async deleteListing(userId, listingId) {
+    try {
+      const listing = await this.getOwnedListing(userId, listingId);
+      if (!listing) {
+        return { success: false, error: 'listing.errors.notFound' };
+      }
+
+      await listing.markRemoved();
+      Logger.info('Listing removed', { userId, listingId });
+      this.onListingChanged(listing);
+
+      return { success: true, listing, message: 'listing.deleted' };
+    } catch (error) {
+      Logger.error('Error deleting listing', { error: error.message, userId, listingId });
+      return { success: false, error: 'listing.errors.deleteFailed' };
+    }
+  }
+
+  /**
+   * Run background work after a listing was published, changed, sold or removed.
+   * Not awaited so the owner gets their reply without waiting for notifications.
+   * @param {Object} listing - Property document
+   */
+  onListingChanged(listing) {
+    marketService.invalidate();
+    savedSearchService.notifyMatches(listing);
+    favoriteService.notifyChanges(listing);
+  }
+
+  /**
+   * Build the response for the draft's current step
+   * @param {Object} draft - Draft property
+   * @param {string} locale - Locale code
+   * @returns {Object} Wizard response
+   */
+  buildStepResponse(draft, locale) {
+    const state = draft.draftStep;
+
+    if (state === this.states.REVIEW) {
+      return {
+        success: true,
+        state,
+        listing: draft,
+        message: t(locale, 'listing.review', { card: formatListingCard(draft, locale) }),
+        keyboard: this.getStateKeyboard(state, locale)
+      };
+    }
+
+    return {
+      success: true,
+      state,
+      listing: draft,
+      message: this.getStateMessage(state, locale),
+      keyboard: this.getStateKeyboard(state, locale)
+    };
+  }
+
+  /**
+   * Get prompt for a wizard step
+   * @param {string} state - Current state
+   * @param {string} locale - Locale code
+   * @returns {string} State message
+   */
+  getStateMessage(state, locale) {
+    if (state === this.states.REVIEW || !Object.values(this.states).includes(state)) {
+      return t(locale, 'listing.errors.unknownState');
+    }
+
+    return t(locale, `listing.steps.${state}`, {
+      currency: config.listings.currency,
+      max: config.listings.maxPhotos
+    });
+  }
+
+  /**
+   * Get prompt shown while editing a field
+   * @param {string} field - Field being edited
+   * @param {string} locale - Locale code
+   * @returns {string} Edit message
+   */
+  getEditMessage(field, locale) {
+    const prompt = this.editableFields.includes(field) && field !== 'photos'
+      ? t(locale, `listing.edit.${field}`, { currency: config.listings.currency })
+      : t(locale, 'listing.edit.value');
+
+    return `${t(locale, 'listing.edit.title')}\n\n${prompt}`;
+  }
+
+  /**
+   * Get keyboard for a wizard step
+   * @param {string} state - Current state
+   * @param {string} locale - Locale code
+   * @returns {Object} Keyboard object
+   */
+  getStateKeyboard(state, locale) {
+    const cancelRow = [{ text: t(locale, 'wizard.cancel'), callback_data: 'listing_wizard_cancel' }];
+    const skipRow = [{ text: t(locale, 'wizard.skip'), callback_data: 'listing_wizard_skip' }];
+
+    const keyboards = {
+      [this.states.TYPE]: [...this.getTypeRows(locale), cancelRow],
+      [this.states.DISTRICT]: [...this.getDistrictRows(), cancelRow],
+      [this.states.ROOMS]: [skipRow, cancelRow],
+      [this.states.FLOOR]: [skipRow, cancelRow],
+      [this.states.PHOTOS]: [
+        [{ text: t(locale, 'listing.buttons.done'), callback_data: 'listing_wizard_photos_done' }],
+        skipRow,
+        cancelRow
+      ],
+      [this.states.REVIEW]: [
+        [
+          { text: t(locale, 'listing.buttons.publish'), callback_data: 'listing_wizard_publish' },
+          { text: t(locale, 'listing.buttons.saveDraft'), callback_data: 'listing_wizard_draft' }
+        ],
+        cancelRow
+      ]
+    };
+
+    return {
+      reply_markup: {
+        inline_keyboard: keyboards[state] || [cancelRow]
+      }
+    };
+  }
+
+  /**
+   * Get keyboard shown while editing a field
+   * @param {string} field - Field being edited
+   * @param {string} locale - Locale code
+   * @returns {Object} Keyboard object
+   */
+  getEditKeyboard(field, locale) {
+    const cancelRow = [{ text: t(locale, 'wizard.cancel'), callback_data: 'listing_edit_cancel' }];
+    let rows = [cancelRow];
+
+    if (field === 'type') {
+      rows = [...this.getTypeRows(locale), cancelRow];
+    } else if (field === 'district') {
+      rows = [...this.getDistrictRows(), cancelRow];
+    }
+
+    return {
+      reply_markup: {
+        inline_keyboard: rows
+      }
+    };
+  }
+
+  /**
+   * Build the photo manager response for a listing
+   * @param {Object} listing - Property document
+   * @param {string} locale - Locale code
+   * @returns {Object} Processing response
+   */
+  buildPhotoManagerResponse(listing, locale) {
+    return {
+      success: true,
+      listing,
+      state: 'photos',
+      message: this.getPhotoManagerMessage(listing, locale),
+      keyboard: this.getPhotoManagerKeyboard(listing, locale)
+    };
+  }
+
+  /**
+   * Get the photo manager text
+   * @param {Object} listing - Property document
+   * @param {string} locale - Locale code
+   * @returns {string} Message text
+   */
+  getPhotoManagerMessage(listing, locale) {
+    const count = listing.photos.length;
+    const intro = count === 0
+      ? t(locale, 'listing.photoManager.empty')
+      : t(locale, 'listing.photoManager.count', { count, max: config.listings.maxPhotos });
+
+    return t(locale, 'listing.photoManager.text', { intro });
+  }
+
+  /**
+   * Get the photo manager keyboard with a row of controls per photo
+   * @param {Object} listing - Property document
+   * @param {string} locale - Locale code
+   * @returns {Object} Keyboard object
+   */
+  getPhotoManagerKeyboard(listing, locale) {
+    const id = listing._id.toString();
+    const last = listing.photos.length - 1;
+
+    const rows = listing.photos.map((photo, index) => {
+      const row = [{ text: `🖼️ ${index + 1}`, callback_data: `listing_photo_${id}_show_${index}` }];
+      if (index > 0) {
+        row.push({ text: '⬆️', callback_data: `listing_photo_${id}_up_${index}` });
+      }
+      if (index < last) {
+        row.push({ text: '⬇️', callback_data: `listing_photo_${id}_down_${index}` });
+      }
+      row.push({ text: '🗑️', callback_data: `listing_photo_${id}_del_${index}` });
+      return row;
+    });
+
+    rows.push([{ text: t(locale, 'listing.buttons.done'), callback_data: 'listing_edit_cancel' }]);
+
+    return {
+      reply_markup: {
+        inline_keyboard: rows
+      }
+    };
+  }
+
+  /**
+   * Get property type button rows
+   * @param {string} locale - Locale code
+   * @returns {Array<Array<Object>>} Button rows
+   */
+  getTypeRows(locale) {
+    return chunkArray(
+      config.listings.types.map(type => ({
+        text: getTypeLabel(type, locale),
+        callback_data: `listing_type_${type}`
+      })),
+      2
+    );
+  }
+
+  /**
+   * Get district button rows
+   * @returns {Array<Array<Object>>} Button rows
+   */
+  getDistrictRows() {
+    return chunkArray(
+      config.listings.districts.map((district, index) => ({
+        text: district,
+        callback_data: `listing_district_${index}`
+      })),
+      3
+    );
+  }
+
+}
+
+// Create singleton instance
+const listingFSM = new ListingFSM();
+
+module.exports = listingFSM;
@@ -0,0 +1,94 @@
+const Logger = require('../utils/logger');
+const User = require('../models/User');
+const databaseService = require('./database');
+const { isSupportedLocale, resolveLocale, t } = require('../utils/i18n');
+
+class LocaleService {
+  constructor() {
+    // Telegram user ID => chosen language (null when the user never chose one)
+    this.chosen = new Map();
+
+    Logger.info('Locale service initialized');
+  }
+
+  /**
+   * Get the locale of a user, loading their choice from the database once
+   * @param {number} userId - Telegram user ID
+   * @param {string} languageCode - Language reported by Telegram, used when nothing was chosen
+   * @returns {Promise<string>} Locale code
+   */
+  async getLocale(userId, languageCode) {
+    if (!this.chosen.has(userId) && databaseService.isConnected) {
+      try {
+        const user = await User.findOne({ telegramId: userId }, { language: 1 });
+        this.chosen.set(userId, user ? user.language : null);
+      } catch (error) {
+        Logger.error('Error loading user language', { error: error.message, userId });
+      }
+    }
+
+    return this.chosen.get(userId) || resolveLocale(languageCode);
+  }
+
+  /**
+   * Get the locale of a loaded user document
+   * @param {Object} user - User document
+   * @returns {string} Locale code
+   */
+  getUserLocale(user) {
+    return (user && user.language) || resolveLocale(user && user.languageCode);
+  }
+
+  /**
+   * Save the language a user chose and switch the current update to it
+   * @param {Object} ctx - Telegraf context
+   * @param {string} locale - Locale code
+   * @returns {Promise<Object>} { success } or { success: false, error }
+   */
+  async setLocale(ctx, locale) {
+    if (!isSupportedLocale(locale)) {
+      return { success: false, error: 'language.invalid' };
+    }
+
+    try {
+      await User.updateOne({ telegramId: ctx.from.id }, { $set: { language: locale } });
+      this.chosen.set(ctx.from.id, locale);
+      this.apply(ctx, locale);
+
+      Logger.info('User language changed', { userId: ctx.from.id, locale });
+      return { success: true };
+    } catch (error) {
+      Logger.error('Error saving user language', { error: error.message, userId: ctx.from.id });
+      return { success: false, error: 'language.saveFailed' };
+    }
+  }
+
+  /**
+   * Put the locale and a translate function on the context
+   * @param {Object} ctx - Telegraf context
+   * @param {string} locale - Locale code
+   */
+  apply(ctx, locale) {
+    ctx.locale = locale;
+    ctx.t = (key, params) => t(locale, key, params);
+  }
+
+  /**
+   * Telegraf middleware setting ctx.locale and ctx.t for every update
+   * @returns {Function} Middleware
+   */
+  middleware() {
+    return async (ctx, next) => {
+      const locale = ctx.from
+        ? await this.getLocale(ctx.from.id, ctx.from.language_code)
+        : resolveLocale(null);
+      this.apply(ctx, locale);
+      await next();
+    };
+  }
+}
+
+// Create singleton instance
+const localeService = new LocaleService();
+
+module.exports = localeService;
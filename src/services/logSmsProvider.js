@@ -0,0 +1,39 @@
+const fs = require('fs');
+const Logger = require('../utils/logger');
+
+/**
+ * SMS provider for local development: messages are written to the log
+ * (and optionally a file) instead of being sent.
+ */
+class LogSmsProvider {
+  /**
+   * @param {string|null} logFile - File to append messages to
+   */
+  constructor(logFile = null) {
+    this.logFile = logFile;
+  }
+
+  /**
+   * "Send" a message by logging it
+   * @param {string} phoneNumber - Recipient in E.164 format
+   * @param {string} text - Message text
+   * @returns {Promise<Object>} { success } or { success: false, error }
+   */
+  async send(phoneNumber, text) {
+    Logger.info('SMS not sent, logged instead', { phoneNumber, text });
+
+    if (!this.logFile) {
+      return { success: true };
+    }
+
+    try {
+      await fs.promises.appendFile(this.logFile, `${new Date().toISOString()} ${phoneNumber} ${text}\n`);
+      return { success: true };
+    } catch (error) {
+      Logger.error('Error writing SMS log file', { error: error.message, logFile: this.logFile });
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+module.exports = LogSmsProvider;
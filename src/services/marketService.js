@@ -0,0 +1,165 @@
+const config = require('../config');
+const Logger = require('../utils/logger');
+const Property = require('../models/Property');
+const { formatPrice } = require('../utils/helpers');
+const { renderBarChart } = require('../utils/chartRenderer');
+
+class MarketService {
+  constructor() {
+    this.cache = null;
+    this.cacheExpiresAt = 0;
+
+    Logger.info('Market service initialized');
+  }
+
+  /**
+   * Get market insights, computed at most once per cache period
+   * @returns {Promise<Object>} Insights ({ total, overall, byDistrict, byType, newListings, generatedAt, chart })
+   */
+  async getInsights() {
+    if (this.cache && Date.now() < this.cacheExpiresAt) {
+      return this.cache;
+    }
+
+    const insights = await this.computeInsights();
+    this.cache = insights;
+    this.cacheExpiresAt = Date.now() + config.market.cacheTtl;
+
+    Logger.info('Market insights computed', { total: insights.total });
+    return insights;
+  }
+
+  /**
+   * Drop cached insights so the next request recomputes them
+   */
+  invalidate() {
+    this.cache = null;
+    this.cacheExpiresAt = 0;
+  }
+
+  /**
+   * Aggregate listings into market insights
+   * @returns {Promise<Object>} Insights
+   */
+  async computeInsights() {
+    const currency = config.listings.currency;
+    const periodMs = config.market.trendDays * 24 * 60 * 60 * 1000;
+    const now = Date.now();
+
+    const [snapshot, periodTotals] = await Promise.all([
+      Property.getMarketSnapshot(currency),
+      Property.getPublishedPriceTotals(currency, new Date(now - 2 * periodMs), new Date(now - periodMs))
+    ]);
+
+    const byDistrict = this.summarize(snapshot, periodTotals, 'district')
+      .sort((a, b) => b.median - a.median);
+    const byType = this.summarize(snapshot, periodTotals, 'type')
+      .sort((a, b) => b.count - a.count);
+    const [overall = null] = this.summarize(snapshot, periodTotals, null);
+
+    const newListings = periodTotals
+      .filter(row => row._id.period === 'current')
+      .reduce((sum, row) => sum + row.count, 0);
+
+    return {
+      currency,
+      total: overall ? overall.count : 0,
+      overall,
+      byDistrict,
+      byType,
+      newListings,
+      generatedAt: new Date(now),
+      chart: byDistrict.length > 0 ? this.renderDistrictChart(byDistrict, currency) : null
+    };
+  }
+
+  /**
+   * Merge aggregation rows into statistics per district, type or overall
+   * @param {Array} snapshot - Rows of Property.getMarketSnapshot
+   * @param {Array} periodTotals - Rows of Property.getPublishedPriceTotals
+   * @param {string|null} key - "district", "type" or null for a single overall group
+   * @returns {Array} Items of { key, count, median, average, trend }
+   */
+  summarize(snapshot, periodTotals, key) {
+    const groups = new Map();
+    const getGroup = (row) => {
+      const groupKey = key ? row._id[key] : 'all';
+      if (!groups.has(groupKey)) {
+        groups.set(groupKey, {
+          key: groupKey,
+          values: [],
+          periods: { current: { count: 0, total: 0 }, previous: { count: 0, total: 0 } }
+        });
+      }
+      return groups.get(groupKey);
+    };
+
+    snapshot.forEach(row => getGroup(row).values.push(...row.pricesPerSqm));
+    periodTotals.forEach(row => {
+      const period = getGroup(row).periods[row._id.period];
+      period.count += row.count;
+      period.total += row.totalPricePerSqm;
+    });
+
+    return Array.from(groups.values())
+      .filter(group => group.key && group.values.length > 0)
+      .map(group => ({
+        key: group.key,
+        count: group.values.length,
+        median: this.median(group.values),
+        average: group.values.reduce((sum, value) => sum + value, 0) / group.values.length,
+        trend: this.getTrend(group.periods)
+      }));
+  }
+
+  /**
+   * Calculate the median of a list of numbers
+   * @param {Array<number>} values - Values
+   * @returns {number} Median
+   */
+  median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+  }
+
+  /**
+   * Percentage change of the average price per m² between the two periods
+   * @param {Object} periods - { current, previous } with count and total
+   * @returns {number|null} Change in percent, or null without data for both periods
+   */
+  getTrend({ current, previous }) {
+    if (current.count === 0 || previous.count === 0) {
+      return null;
+    }
+
+    const currentAverage = current.total / current.count;
+    const previousAverage = previous.total / previous.count;
+    return ((currentAverage - previousAverage) / previousAverage) * 100;
+  }
+
+  /**
+   * Render the median price per m² of each district as a bar chart
+   * @param {Array} byDistrict - District statistics
+   * @param {string} currency - Currency code
+   * @returns {Buffer} PNG image
+   */
+  renderDistrictChart(byDistrict, currency) {
+    return renderBarChart(
+      byDistrict.map(item => ({
+        label: item.key,
+        value: item.median,
+        valueLabel: formatPrice(item.median, currency)
+      })),
+      {
+        title: 'Median price per m2',
+        subtitle: `By district (${currency}), ${new Date().toISOString().slice(0, 10)}`
+      }
+    );
+  }
+}
+
+// Create singleton instance
+const marketService = new MarketService();
+
+module.exports = marketService;
@@ -0,0 +1,393 @@
+const mongoose = require('mongoose');
+const config = require('../config');
+const Logger = require('../utils/logger');
+const User = require('../models/User');
+const Connection = require('../models/Connection');
+const searchService = require('./searchService');
+const notificationService = require('./notificationService');
+const localeService = require('./localeService');
+const { escapeMarkdown } = require('../utils/helpers');
+const { t } = require('../utils/i18n');
+
+// Catalogue keys of the role labels shown to other members
+const ROLE_KEYS = {
+  buyer: 'roles.buyer',
+  investor: 'roles.investor',
+  both: 'roles.buyerAndInvestor'
+};
+
+class MatchService {
+  constructor() {
+    // Which roles each role is matched with
+    this.counterpartRoles = {
+      buyer: ['investor', 'both'],
+      investor: ['buyer', 'both'],
+      both: ['buyer', 'investor', 'both']
+    };
+
+    Logger.info('Match service initialized');
+  }
+
+  /**
+   * Get the budget and district preferences used for matching
+   * @param {Object} user - User document
+   * @returns {Object} { districts, minBudget, maxBudget }
+   */
+  getPreferences(user) {
+    // Questionnaire answers come first, the last search fills in what was skipped
+    const filters = searchService.normalizeFilters(user.searchFilters);
+    const buyer = (user.preferences && user.preferences.buyer) || {};
+    const investor = (user.preferences && user.preferences.investor) || {};
+
+    const districts = buyer.districts && buyer.districts.length > 0
+      ? [...buyer.districts]
+      : [filters.district].filter(Boolean);
+
+    let minBudget = null;
+    let maxBudget = null;
+    if (buyer.minBudget || buyer.maxBudget) {
+      minBudget = buyer.minBudget;
+      maxBudget = buyer.maxBudget;
+    } else if (investor.minTicket || investor.maxTicket) {
+      minBudget = investor.minTicket;
+      maxBudget = investor.maxTicket;
+    } else {
+      minBudget = filters.minPrice;
+      maxBudget = filters.maxPrice;
+    }
+
+    return { districts, minBudget, maxBudget };
+  }
+
+  /**
+   * Score how well a candidate fits a user (higher is better)
+   * @param {Object} user - User looking for matches
+   * @param {Object} candidate - Candidate user
+   * @returns {number} Score
+   */
+  scoreCandidate(user, candidate) {
+    const mine = this.getPreferences(user);
+    const theirs = this.getPreferences(candidate);
+    let score = 0;
+
+    if (mine.districts.some(district => theirs.districts.includes(district))) {
+      score += 2;
+    }
+
+    const hasBudgets = (mine.minBudget || mine.maxBudget) && (theirs.minBudget || theirs.maxBudget);
+    if (hasBudgets) {
+      const myMin = mine.minBudget || 0;
+      const myMax = mine.maxBudget || Infinity;
+      const theirMin = theirs.minBudget || 0;
+      const theirMax = theirs.maxBudget || Infinity;
+      if (myMin < theirMax && theirMin < myMax) {
+        score += 2;
+      }
+    }
+
+    const weekAgo = Date.now() - 7 * 24 * 60 * 60 * 1000;
+    if (candidate.lastSeen && candidate.lastSeen.getTime() > weekAgo) {
+      score += 1;
+    }
+
+    return score;
+  }
+
+  /**
+   * Find the best counterpart the user has not acted on yet
+   * @param {number} userId - Telegram user ID
+   * @returns {Promise<Object>} { success, candidate } or { success: false, error }
+   */
+  async getNextSuggestion(userId) {
+    try {
+      const user = await User.findByTelegramId(userId);
+      if (!user || !user.isRegistered || !user.role) {
+        return { success: false, error: 'profile.notRegisteredError' };
+      }
+
+      // Skip anyone already matched, declined, waiting on this user's interest or recently skipped
+      const connections = await Connection.findForUser(userId);
+      const excludedIds = connections
+        .filter(connection => connection.status !== 'pending' || connection.hasInterestFrom(userId))
+        .map(connection => connection.getOtherUserId(userId))
+        .concat(user.getSkippedMatchIds());
+
+      const candidates = await User.find({
+        telegramId: { $nin: [userId, ...excludedIds] },
+        role: { $in: this.counterpartRoles[user.role] || [] },
+        isRegistered: true,
+        isActive: true,
+        blocked: false
+      })
+        .sort({ lastSeen: -1 })
+        .limit(config.matching.candidatePoolSize);
+
+      if (candidates.length === 0) {
+        return { success: true, candidate: null };
+      }
+
+      const [best] = candidates
+        .map(candidate => ({ candidate, score: this.scoreCandidate(user, candidate) }))
+        .sort((a, b) => b.score - a.score);
+
+      return { success: true, candidate: best.candidate };
+    } catch (error) {
+      Logger.error('Error getting match suggestion', { error: error.message, userId });
+      return { success: false, error: 'match.errors.findFailed' };
+    }
+  }
+
+  /**
+   * Record that a user is interested in connecting with another user
+   * @param {number} userId - Telegram user ID
+   * @param {number} targetId - Telegram ID of the counterpart
+   * @returns {Promise<Object>} Processing response
+   */
+  async expressInterest(userId, targetId) {
+    try {
+      const target = await User.findByTelegramId(targetId);
+      if (!target || !target.isRegistered || target.blocked || userId === targetId) {
+        return { success: false, error: 'match.errors.userUnavailable' };
+      }
+
+      let connection = await Connection.findBetween(userId, targetId);
+      if (!connection) {
+        connection = new Connection(Connection.getPair(userId, targetId));
+      }
+
+      if (connection.status === 'declined') {
+        return { success: false, error: 'match.errors.connectionUnavailable' };
+      }
+
+      if (connection.status === 'matched') {
+        return { success: false, error: 'match.errors.alreadyConnected' };
+      }
+
+      if (connection.hasInterestFrom(userId)) {
+        return { success: true, matched: false, message: 'match.alreadySent' };
+      }
+
+      await connection.expressInterest(userId);
+      Logger.info('Match interest expressed', { userId, targetId, status: connection.status });
+
+      if (connection.status === 'matched') {
+        await this.revealContacts(connection);
+        return { success: true, matched: true, message: 'match.matched' };
+      }
+
+      await this.sendInterestRequest(connection, userId, targetId);
+      return {
+        success: true,
+        matched: false,
+        message: 'match.interestSent'
+      };
+    } catch (error) {
+      Logger.error('Error expressing match interest', { error: error.message, userId, targetId });
+      return { success: false, error: 'match.errors.interestFailed' };
+    }
+  }
+
+  /**
+   * Respond to an incoming interest request
+   * @param {number} userId - Telegram user ID of the responder
+   * @param {string} connectionId - Connection ID
+   * @param {boolean} accept - Accept or decline
+   * @returns {Promise<Object>} Processing response
+   */
+  async respondToRequest(userId, connectionId, accept) {
+    try {
+      if (!mongoose.isValidObjectId(connectionId)) {
+        return { success: false, error: 'match.errors.requestNotFound' };
+      }
+
+      const connection = await Connection.findById(connectionId);
+      if (!connection || !connection.involves(userId) || connection.status !== 'pending') {
+        return { success: false, error: 'match.errors.notPending' };
+      }
+
+      if (accept) {
+        return await this.expressInterest(userId, connection.getOtherUserId(userId));
+      }
+
+      await connection.decline(userId);
+      Logger.info('Match request declined', { userId, connectionId });
+
+      return { success: true, message: 'match.declined' };
+    } catch (error) {
+      Logger.error('Error responding to match request', { error: error.message, userId, connectionId });
+      return { success: false, error: 'match.errors.respondFailed' };
+    }
+  }
+
+  /**
+   * Hide a suggestion from the user for a while without notifying the other side.
+   * A pending request from the skipped user stays open and can still be answered in /connections.
+   * @param {number} userId - Telegram user ID
+   * @param {number} targetId - Telegram ID of the skipped user
+   * @returns {Promise<boolean>} True if recorded
+   */
+  async skipSuggestion(userId, targetId) {
+    try {
+      const user = await User.findByTelegramId(userId);
+      if (!user) {
+        return false;
+      }
+
+      const until = new Date(Date.now() + config.matching.skipDays * 24 * 60 * 60 * 1000);
+      await user.skipMatch(targetId, until);
+      return true;
+    } catch (error) {
+      Logger.error('Error skipping match suggestion', { error: error.message, userId, targetId });
+      return false;
+    }
+  }
+
+  /**
+   * Get matched connections and incoming requests of a user
+   * @param {number} userId - Telegram user ID
+   * @returns {Promise<Object>} { matches, incoming } with the counterpart users attached
+   */
+  async getUserConnections(userId) {
+    try {
+      const connections = await Connection.findForUser(userId, { status: { $in: ['matched', 'pending'] } })
+        .sort({ updatedAt: -1 });
+
+      const otherIds = connections.map(connection => connection.getOtherUserId(userId));
+      const users = await User.find({ telegramId: { $in: otherIds } });
+      const usersById = new Map(users.map(user => [user.telegramId, user]));
+
+      const withUser = connection => ({
+        connection,
+        user: usersById.get(connection.getOtherUserId(userId))
+      });
+
+      return {
+        matches: connections
+          .filter(connection => connection.status === 'matched')
+          .map(withUser)
+          .filter(item => item.user),
+        incoming: connections
+          .filter(connection => connection.status === 'pending' && !connection.hasInterestFrom(userId))
+          .map(withUser)
+          .filter(item => item.user && !item.user.blocked)
+      };
+    } catch (error) {
+      Logger.error('Error getting user connections', { error: error.message, userId });
+      return { matches: [], incoming: [] };
+    }
+  }
+
+  /**
+   * Notify the counterpart that someone wants to connect
+   * @param {Object} connection - Connection document
+   * @param {number} fromId - Telegram ID of the interested user
+   * @param {number} toId - Telegram ID of the counterpart
+   */
+  async sendInterestRequest(connection, fromId, toId) {
+    const [fromUser, toUser] = await Promise.all([
+      User.findByTelegramId(fromId),
+      User.findByTelegramId(toId)
+    ]);
+    const locale = localeService.getUserLocale(toUser);
+
+    await notificationService.sendToUser(toId, t(locale, 'match.request', { profile: this.formatAnonymousProfile(fromUser, locale) }), {
+      parse_mode: 'Markdown',
+      reply_markup: {
+        inline_keyboard: [
+          [
+            { text: t(locale, 'match.buttons.accept'), callback_data: `match_accept_${connection._id}` },
+            { text: t(locale, 'match.buttons.decline'), callback_data: `match_decline_${connection._id}` }
+          ]
+        ]
+      }
+    });
+  }
+
+  /**
+   * Send both participants each other's contact details
+   * @param {Object} connection - Matched connection
+   */
+  async revealContacts(connection) {
+    const [userA, userB] = await Promise.all([
+      User.findByTelegramId(connection.userA),
+      User.findByTelegramId(connection.userB)
+    ]);
+
+    if (!userA || !userB) {
+      return;
+    }
+
+    await notificationService.sendToUser(
+      userA.telegramId,
+      this.formatMatchMessage(userB, localeService.getUserLocale(userA)),
+      { parse_mode: 'Markdown' }
+    );
+    await notificationService.sendToUser(
+      userB.telegramId,
+      this.formatMatchMessage(userA, localeService.getUserLocale(userB)),
+      { parse_mode: 'Markdown' }
+    );
+  }
+
+  /**
+   * Format the message announcing a match
+   * @param {Object} counterpart - The other user
+   * @param {string} locale - Locale code of the recipient
+   * @returns {string} Message text
+   */
+  formatMatchMessage(counterpart, locale = 'en') {
+    return t(locale, 'match.newConnection', { contact: this.formatContact(counterpart, locale) });
+  }
+
+  /**
+   * Get the label of a user's role
+   * @param {string} role - User role
+   * @param {string} locale - Locale code
+   * @returns {string} Role label
+   */
+  getRoleLabel(role, locale = 'en') {
+    return t(locale, ROLE_KEYS[role] || 'match.member');
+  }
+
+  /**
+   * Format contact details, only used after mutual consent
+   * @param {Object} user - User document
+   * @param {string} locale - Locale code
+   * @returns {string} Contact details
+   */
+  formatContact(user, locale = 'en') {
+    return [
+      `👤 ${escapeMarkdown(user.userFullName || user.fullName)}`,
+      `🎯 ${this.getRoleLabel(user.role, locale)}`,
+      `📱 ${escapeMarkdown(user.phoneNumber || t(locale, 'common.notProvided'))}`,
+      user.username ? `💬 @${escapeMarkdown(user.username)}` : null
+    ].filter(Boolean).join('\n');
+  }
+
+  /**
+   * Format a profile without anything that identifies the user
+   * @param {Object} user - User document
+   * @param {string} locale - Locale code
+   * @returns {string} Profile text
+   */
+  formatAnonymousProfile(user, locale = 'en') {
+    const preferences = this.getPreferences(user);
+    const lines = [t(locale, 'match.profile.role', { value: this.getRoleLabel(user.role, locale) })];
+
+    if (preferences.districts.length > 0) {
+      lines.push(t(locale, 'match.profile.districts', { value: escapeMarkdown(preferences.districts.join(', ')) }));
+    }
+    if (preferences.minBudget || preferences.maxBudget) {
+      lines.push(t(locale, 'match.profile.budget', {
+        value: searchService.getPriceLabel(preferences.minBudget, preferences.maxBudget, locale)
+      }));
+    }
+
+    return lines.join('\n');
+  }
+}
+
+// Create singleton instance
+const matchService = new MatchService();
+
+module.exports = matchService;
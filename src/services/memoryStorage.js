@@ -47,6 +47,7 @@ class MemoryStorage {
         isBot: userData.is_bot || false,
         lastSeen: new Date(),
         messageCount: existingUser ? existingUser.messageCount + 1 : 1,
+        unsyncedMessages: (existingUser ? existingUser.unsyncedMessages || 0 : 0) + 1,
         createdAt: existingUser ? existingUser.createdAt : new Date(),
         chatId: chatData.id || null,
         chatType: chatData.type || 'private',
@@ -182,6 +183,7 @@ class MemoryStorage {
         description: chatData.description || null,
         lastActivity: new Date(),
         messageCount: existingChat ? existingChat.messageCount + 1 : 1,
+        unsyncedMessages: (existingChat ? existingChat.unsyncedMessages || 0 : 0) + 1,
         firstActivity: existingChat ? existingChat.firstActivity : new Date(),
         ...chatData
       };
@@ -205,6 +207,10 @@ class MemoryStorage {
    * @param {Object} user - User data to sync
    */
   async syncUserToMongoDB(user) {
+    // Messages are added to the stored count, which the count in memory restarts from after a restart
+    const newMessages = user.unsyncedMessages || 0;
+    user.unsyncedMessages = 0;
+
     try {
       const userData = {
         telegramId: user.id,
@@ -215,21 +221,26 @@ class MemoryStorage {
         isBot: user.isBot,
         chatId: user.chatId,
         chatType: user.chatType,
-        messageCount: user.messageCount,
-        lastSeen: user.lastSeen,
-        firstSeen: user.createdAt,
-        isActive: true,
-        blocked: false
+        lastSeen: user.lastSeen
       };
+      // A user who wrote since the last sync can be messaged again; bans are left to moderationService
+      if (newMessages > 0) {
+        userData.isActive = true;
+      }
 
       await User.findOneAndUpdate(
         { telegramId: user.id },
-        userData,
+        {
+          $set: userData,
+          $setOnInsert: { firstSeen: user.createdAt },
+          $inc: { messageCount: newMessages }
+        },
         { upsert: true, new: true }
       );
       
       Logger.debug('User synced to MongoDB', { userId: user.id });
     } catch (error) {
+      user.unsyncedMessages += newMessages;
       Logger.error('Error syncing user to MongoDB', { error: error.message, userId: user.id });
     }
   }
@@ -239,6 +250,9 @@ class MemoryStorage {
    * @param {Object} chat - Chat data to sync
    */
   async syncChatToMongoDB(chat) {
+    const newMessages = chat.unsyncedMessages || 0;
+    chat.unsyncedMessages = 0;
+
     try {
       const chatData = {
         chatId: chat.id,
@@ -246,21 +260,25 @@ class MemoryStorage {
         title: chat.title,
         username: chat.username,
         description: chat.description,
-        messageCount: chat.messageCount,
-        lastActivity: chat.lastActivity,
-        firstActivity: chat.firstActivity,
-        isActive: true,
-        blocked: false
+        lastActivity: chat.lastActivity
       };
+      if (newMessages > 0) {
+        chatData.isActive = true;
+      }
 
       await Chat.findOneAndUpdate(
         { chatId: chat.id },
-        chatData,
+        {
+          $set: chatData,
+          $setOnInsert: { firstActivity: chat.firstActivity },
+          $inc: { messageCount: newMessages }
+        },
         { upsert: true, new: true }
       );
       
       Logger.debug('Chat synced to MongoDB', { chatId: chat.id });
     } catch (error) {
+      chat.unsyncedMessages += newMessages;
       Logger.error('Error syncing chat to MongoDB', { error: error.message, chatId: chat.id });
     }
   }
@@ -0,0 +1,497 @@
+const config = require('../config');
+const Logger = require('../utils/logger');
+const User = require('../models/User');
+const Chat = require('../models/Chat');
+const ModerationAction = require('../models/ModerationAction');
+const adminService = require('./adminService');
+const databaseService = require('./database');
+const localeService = require('./localeService');
+const notificationService = require('./notificationService');
+const { escapeRegex, formatDate } = require('../utils/helpers');
+const { t } = require('../utils/i18n');
+
+// Duration units accepted by /ban and /mute, e.g. "30m", "12h", "7d" or "2w"
+const DURATION_UNITS = {
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+
+class ModerationService {
+  constructor() {
+    this.settings = config.moderation;
+    // Telegram ID => { until, reason }, kept in memory so updates are checked without a query
+    this.bannedUsers = new Map();
+    this.mutedUsers = new Map();
+    this.bannedChats = new Map();
+    // Telegram user ID => when a banned user was last told about the ban
+    this.refusedAt = new Map();
+    this.timer = null;
+  }
+
+  /**
+   * Load the bans and mutes in force, and start lifting those that run out
+   */
+  async start() {
+    await this.load();
+
+    if (this.timer) {
+      return;
+    }
+    this.timer = setInterval(() => {
+      this.liftExpired();
+    }, this.settings.checkInterval);
+  }
+
+  /**
+   * Stop lifting bans and mutes that run out
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Load the bans and mutes in force
+   */
+  async load() {
+    if (!databaseService.isConnected) {
+      return;
+    }
+
+    try {
+      const users = await User.find(
+        { $or: [{ blocked: true }, { muted: true }] },
+        { telegramId: 1, blocked: 1, blockedUntil: 1, blockReason: 1, muted: 1, mutedUntil: 1, muteReason: 1 }
+      );
+      for (const user of users) {
+        if (user.blocked) {
+          this.bannedUsers.set(user.telegramId, { until: user.blockedUntil, reason: user.blockReason });
+        }
+        if (user.muted) {
+          this.mutedUsers.set(user.telegramId, { until: user.mutedUntil, reason: user.muteReason });
+        }
+      }
+
+      const chats = await Chat.find({ blocked: true }, { chatId: 1, blockedUntil: 1, blockReason: 1 });
+      for (const chat of chats) {
+        this.bannedChats.set(chat.chatId, { until: chat.blockedUntil, reason: chat.blockReason });
+      }
+
+      Logger.info('Moderation loaded', {
+        bannedUsers: this.bannedUsers.size,
+        mutedUsers: this.mutedUsers.size,
+        bannedChats: this.bannedChats.size
+      });
+    } catch (error) {
+      Logger.error('Error loading moderation', { error: error.message });
+    }
+  }
+
+  /**
+   * Get a ban or mute if it is in force
+   * @param {Map} restrictions - Banned or muted users, or banned chats
+   * @param {number} id - Telegram ID
+   * @returns {Object|null} { until, reason } or null
+   */
+  getRestriction(restrictions, id) {
+    const restriction = restrictions.get(id);
+    if (!restriction || (restriction.until && restriction.until <= new Date())) {
+      return null;
+    }
+    return restriction;
+  }
+
+  /**
+   * Check whether a user is banned
+   * @param {number} userId - Telegram user ID
+   * @returns {boolean} True if banned
+   */
+  isBanned(userId) {
+    return Boolean(this.getRestriction(this.bannedUsers, userId));
+  }
+
+  /**
+   * Check whether a user is muted
+   * @param {number} userId - Telegram user ID
+   * @returns {boolean} True if muted
+   */
+  isMuted(userId) {
+    return Boolean(this.getRestriction(this.mutedUsers, userId));
+  }
+
+  /**
+   * Check whether a chat is banned
+   * @param {number} chatId - Telegram chat ID
+   * @returns {boolean} True if banned
+   */
+  isChatBanned(chatId) {
+    return Boolean(this.getRestriction(this.bannedChats, chatId));
+  }
+
+  /**
+   * Get the IDs of banned users, to leave them out of listings shown to others
+   * @returns {Array<number>} Telegram user IDs
+   */
+  getBannedUserIds() {
+    return [...this.bannedUsers.keys()].filter(userId => this.isBanned(userId));
+  }
+
+  /**
+   * Parse the duration of a ban or mute
+   * @param {string} text - e.g. "30m", "12h", "7d" or "2w"
+   * @returns {number|null} Milliseconds, or null if it isn't a duration
+   */
+  parseDuration(text) {
+    const match = (text || '').match(/^(\d+)([mhdw])$/i);
+    if (!match || Number(match[1]) === 0) {
+      return null;
+    }
+    return Number(match[1]) * DURATION_UNITS[match[2].toLowerCase()];
+  }
+
+  /**
+   * Parse the arguments of /ban and /mute: the user, an optional duration and the reason
+   * @param {string} text - Text after the command, e.g. "@john 7d spam"
+   * @returns {Object} { valid, value: { target, duration, reason } } or { valid: false, error }
+   */
+  parseArguments(text) {
+    const [target, ...rest] = (text || '').trim().split(/\s+/);
+    if (!target) {
+      return { valid: false, error: 'moderation.usage' };
+    }
+
+    const duration = this.parseDuration(rest[0]);
+    if (duration) {
+      rest.shift();
+    }
+
+    const reason = rest.join(' ').trim();
+    if (!reason || reason.length > this.settings.maxReasonLength) {
+      return { valid: false, error: { key: 'moderation.reasonInvalid', params: { max: this.settings.maxReasonLength } } };
+    }
+
+    return { valid: true, value: { target, duration, reason } };
+  }
+
+  /**
+   * Find the user or chat an admin named
+   * @param {string} target - Telegram ID, @username, or a negative chat ID
+   * @returns {Promise<Object|null>} { type: "user" | "chat", id, document } or null
+   */
+  async findTarget(target) {
+    if (/^-\d+$/.test(target)) {
+      const chat = await Chat.findOne({ chatId: Number(target) });
+      return chat ? { type: 'chat', id: chat.chatId, document: chat } : null;
+    }
+
+    let user = null;
+    if (/^\d+$/.test(target)) {
+      user = await User.findByTelegramId(Number(target));
+    } else if (target.startsWith('@')) {
+      user = await User.findOne({ username: new RegExp(`^${escapeRegex(target.slice(1))}$`, 'i') });
+    }
+    return user ? { type: 'user', id: user.telegramId, document: user } : null;
+  }
+
+  /**
+   * Ban or mute a user, or ban a chat
+   * @param {string} action - "ban" or "mute"
+   * @param {string} text - Arguments typed after the command
+   * @param {number} adminId - Telegram user ID of the admin
+   * @returns {Promise<Object>} { success, message, target, until, reason } or { success: false, error }
+   */
+  async restrict(action, text, adminId) {
+    if (!databaseService.isConnected) {
+      return { success: false, error: 'moderation.unavailable' };
+    }
+
+    try {
+      const parsed = this.parseArguments(text);
+      if (!parsed.valid) {
+        return { success: false, error: parsed.error };
+      }
+
+      const { target, duration, reason } = parsed.value;
+      const found = await this.findTarget(target);
+      if (!found) {
+        return { success: false, error: { key: 'moderation.notFound', params: { target } } };
+      }
+      if (found.type === 'chat' && action === 'mute') {
+        return { success: false, error: 'moderation.chatMute' };
+      }
+      if (found.type === 'user' && (found.id === adminId || await adminService.hasPermission(found.id))) {
+        return { success: false, error: 'moderation.cannotRestrictAdmin' };
+      }
+
+      const until = duration ? new Date(Date.now() + duration) : null;
+      const document = found.document;
+      if (action === 'ban') {
+        document.blocked = true;
+        document.blockedUntil = until;
+        document.blockReason = reason;
+      } else {
+        document.muted = true;
+        document.mutedUntil = until;
+        document.muteReason = reason;
+      }
+      await document.save();
+
+      const restrictions = this.getRestrictions(found.type, action);
+      restrictions.set(found.id, { until, reason });
+      await ModerationAction.create({ targetId: found.id, targetType: found.type, action, reason, until, adminId });
+
+      Logger.info(action === 'ban' ? 'Banned' : 'Muted', { targetId: found.id, targetType: found.type, until, adminId });
+      if (found.type === 'user') {
+        await this.notify(document, `moderation.notice.${action}`, until, reason);
+      }
+
+      return {
+        success: true,
+        message: `moderation.${action}${until ? 'Temporary' : 'Permanent'}`,
+        target: this.describeTarget(found),
+        until,
+        reason
+      };
+    } catch (error) {
+      Logger.error('Error restricting', { error: error.message, action, adminId });
+      return { success: false, error: 'moderation.failed' };
+    }
+  }
+
+  /**
+   * Lift the ban and mute of a user, or the ban of a chat
+   * @param {string} target - Telegram ID, @username, or a negative chat ID
+   * @param {number} adminId - Telegram user ID of the admin
+   * @returns {Promise<Object>} { success, message, target } or { success: false, error }
+   */
+  async lift(target, adminId) {
+    if (!databaseService.isConnected) {
+      return { success: false, error: 'moderation.unavailable' };
+    }
+
+    try {
+      const text = String(target || '').trim();
+      if (!text) {
+        return { success: false, error: 'moderation.unbanUsage' };
+      }
+
+      const found = await this.findTarget(text);
+      if (!found) {
+        return { success: false, error: { key: 'moderation.notFound', params: { target: text } } };
+      }
+
+      const lifted = await this.release(found, ['ban', 'mute'], adminId);
+      if (lifted.length === 0) {
+        return { success: false, error: { key: 'moderation.notRestricted', params: { target: this.describeTarget(found) } } };
+      }
+
+      return { success: true, message: 'moderation.lifted', target: this.describeTarget(found) };
+    } catch (error) {
+      Logger.error('Error lifting ban', { error: error.message, target, adminId });
+      return { success: false, error: 'moderation.failed' };
+    }
+  }
+
+  /**
+   * Lift a user's or chat's ban or mute, record it and tell the user
+   * @param {Object} found - Result of findTarget()
+   * @param {Array<string>} actions - "ban" and/or "mute"
+   * @param {number|null} adminId - Telegram user ID of the admin, or null when they ran out
+   * @returns {Promise<Array<string>>} Actions recorded, "unban" and/or "unmute"
+   */
+  async release(found, actions, adminId) {
+    const document = found.document;
+    const lifted = [];
+    if (actions.includes('ban') && document.blocked) {
+      document.blocked = false;
+      document.blockedUntil = null;
+      document.blockReason = null;
+      this.getRestrictions(found.type, 'ban').delete(found.id);
+      this.refusedAt.delete(found.id);
+      lifted.push('unban');
+    }
+    if (actions.includes('mute') && document.muted) {
+      document.muted = false;
+      document.mutedUntil = null;
+      document.muteReason = null;
+      this.mutedUsers.delete(found.id);
+      lifted.push('unmute');
+    }
+    if (lifted.length === 0) {
+      return lifted;
+    }
+
+    await document.save();
+    for (const action of lifted) {
+      await ModerationAction.create({ targetId: found.id, targetType: found.type, action, adminId });
+    }
+
+    Logger.info(adminId ? 'Ban lifted' : 'Ban ran out', { targetId: found.id, targetType: found.type, lifted, adminId });
+    if (found.type === 'user') {
+      await this.notify(document, 'moderation.notice.lifted');
+    }
+    return lifted;
+  }
+
+  /**
+   * Lift the bans and mutes that have run out
+   */
+  async liftExpired() {
+    if (!databaseService.isConnected) {
+      return;
+    }
+
+    const now = new Date();
+    const expired = [
+      ...[...this.bannedUsers].map(([id, restriction]) => ({ type: 'user', action: 'ban', id, restriction })),
+      ...[...this.mutedUsers].map(([id, restriction]) => ({ type: 'user', action: 'mute', id, restriction })),
+      ...[...this.bannedChats].map(([id, restriction]) => ({ type: 'chat', action: 'ban', id, restriction }))
+    ].filter(({ restriction }) => restriction.until && restriction.until <= now);
+
+    for (const { type, action, id } of expired) {
+      try {
+        const found = await this.findTarget(String(id));
+        if (!found) {
+          this.getRestrictions(type, action).delete(id);
+          continue;
+        }
+        await this.release(found, [action], null);
+      } catch (error) {
+        Logger.error('Error lifting expired ban', { error: error.message, targetId: id, action });
+      }
+    }
+  }
+
+  /**
+   * Get the map of bans or mutes for a kind of target
+   * @param {string} type - "user" or "chat"
+   * @param {string} action - "ban" or "mute"
+   * @returns {Map} Restrictions
+   */
+  getRestrictions(type, action) {
+    if (type === 'chat') {
+      return this.bannedChats;
+    }
+    return action === 'mute' ? this.mutedUsers : this.bannedUsers;
+  }
+
+  /**
+   * Name a user or chat in admin messages
+   * @param {Object} found - Result of findTarget()
+   * @returns {string} e.g. "John Smith (123456)"
+   */
+  describeTarget({ type, id, document }) {
+    const name = type === 'user'
+      ? document.userFullName || document.fullName
+      : document.title || document.username;
+    return name ? `${name} (${id})` : String(id);
+  }
+
+  /**
+   * Tell a user about a ban, mute or lifting, in their language
+   * @param {Object} user - User document
+   * @param {string} key - Catalogue key of the notice
+   * @param {Date|null} until - End of the ban or mute
+   * @param {string} reason - Reason given by the admin
+   */
+  async notify(user, key, until = null, reason = null) {
+    const locale = localeService.getUserLocale(user);
+    const end = until
+      ? t(locale, 'moderation.notice.until', { date: formatDate(until, locale) })
+      : t(locale, 'moderation.notice.permanent');
+
+    try {
+      // Sent directly, as notifications skip banned users
+      await notificationService.telegram.sendMessage(user.chatId || user.telegramId, t(locale, key, { end, reason }));
+    } catch (error) {
+      Logger.debug('Moderation notice not delivered', { error: error.message, userId: user.telegramId });
+    }
+  }
+
+  /**
+   * Get the moderation history of a user or chat
+   * @param {number} targetId - Telegram ID
+   * @returns {Promise<Array<Object>>} Moderation actions, latest first
+   */
+  async getHistory(targetId) {
+    return ModerationAction.findForTarget(targetId, this.settings.historySize);
+  }
+
+  /**
+   * Check whether a muted user's button reaches other users
+   * @param {Object} ctx - Telegraf context
+   * @returns {boolean} True if the update is a contacting or publishing button
+   */
+  isMutedAction(ctx) {
+    const data = ctx.callbackQuery && ctx.callbackQuery.data;
+    return Boolean(data) && this.settings.mutedCallbacks.some(prefix => data.startsWith(prefix));
+  }
+
+  /**
+   * Telegraf middleware dropping updates from banned chats and users, and refusing muted users' contacting buttons.
+   * Banned users are told why now and then; everything else is dropped silently.
+   * @returns {Function} Middleware
+   */
+  middleware() {
+    return async (ctx, next) => {
+      const userId = ctx.from && ctx.from.id;
+      const chatId = ctx.chat && ctx.chat.id;
+
+      if (chatId && chatId !== userId && this.isChatBanned(chatId)) {
+        return;
+      }
+
+      const ban = userId && this.getRestriction(this.bannedUsers, userId);
+      if (ban) {
+        await this.refuse(ctx, ban);
+        return;
+      }
+
+      if (userId && this.isMuted(userId) && this.isMutedAction(ctx)) {
+        const locale = await localeService.getLocale(userId, ctx.from.language_code);
+        await ctx.answerCbQuery(t(locale, 'moderation.mutedRefusal'), { show_alert: true });
+        return;
+      }
+
+      await next();
+    };
+  }
+
+  /**
+   * Politely tell a banned user why the bot doesn't answer, at most once per refusal interval
+   * @param {Object} ctx - Telegraf context
+   * @param {Object} ban - { until, reason }
+   */
+  async refuse(ctx, ban) {
+    const userId = ctx.from.id;
+    const lastRefusal = this.refusedAt.get(userId);
+    const isPrivate = !ctx.chat || ctx.chat.type === 'private';
+
+    try {
+      if (ctx.callbackQuery) {
+        await ctx.answerCbQuery();
+      }
+      if (!isPrivate || (lastRefusal && Date.now() - lastRefusal < this.settings.refusalInterval)) {
+        return;
+      }
+
+      this.refusedAt.set(userId, Date.now());
+      const locale = await localeService.getLocale(userId, ctx.from.language_code);
+      const end = ban.until
+        ? t(locale, 'moderation.notice.until', { date: formatDate(ban.until, locale) })
+        : t(locale, 'moderation.notice.permanent');
+      await ctx.reply(t(locale, 'moderation.notice.ban', { end, reason: ban.reason }));
+    } catch (error) {
+      Logger.debug('Ban refusal not delivered', { error: error.message, userId });
+    }
+  }
+}
+
+// Create singleton instance
+const moderationService = new ModerationService();
+
+module.exports = moderationService;
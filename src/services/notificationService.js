@@ -0,0 +1,108 @@
+const Logger = require('../utils/logger');
+const User = require('../models/User');
+
+class NotificationService {
+  constructor() {
+    this.telegram = null;
+  }
+
+  /**
+   * Attach the Telegram API client used for outgoing messages
+   * @param {Object} telegram - Telegraf telegram instance
+   */
+  init(telegram) {
+    this.telegram = telegram;
+    Logger.info('Notification service initialized');
+  }
+
+  /**
+   * Check if a user may receive bot-initiated messages
+   * @param {Object} user - User document
+   * @returns {boolean} True if the user can be notified
+   */
+  canNotify(user) {
+    return Boolean(user && user.isActive && !user.blocked);
+  }
+
+  /**
+   * Check if an error means the user has blocked the bot or deleted their account
+   * @param {Error} error - Telegram API error
+   * @returns {boolean} True if the recipient is unreachable
+   */
+  isUnreachableError(error) {
+    const code = error.code || (error.response && error.response.error_code);
+    return code === 403;
+  }
+
+  /**
+   * Send a message to a user, respecting the isActive and blocked flags
+   * @param {number} userId - Telegram user ID
+   * @param {string} text - Message text
+   * @param {Object} extra - Extra options (keyboard, parse mode)
+   * @returns {Promise<boolean>} True if the message was sent
+   */
+  async sendToUser(userId, text, extra = {}) {
+    return this.deliver(userId, chatId => this.telegram.sendMessage(chatId, text, extra));
+  }
+
+  /**
+   * Copy an existing message to a user without the "forwarded from" header
+   * @param {number} userId - Telegram user ID
+   * @param {number} fromChatId - Chat the original message is in
+   * @param {number} messageId - Original message ID
+   * @param {Object} extra - Extra options (keyboard, caption)
+   * @returns {Promise<boolean>} True if the message was sent
+   */
+  async copyToUser(userId, fromChatId, messageId, extra = {}) {
+    return this.deliver(userId, chatId => this.telegram.copyMessage(chatId, fromChatId, messageId, extra));
+  }
+
+  /**
+   * Run a send call for a reachable user and handle delivery errors
+   * @param {number} userId - Telegram user ID
+   * @param {Function} send - Receives the target chat ID and performs the API call
+   * @returns {Promise<boolean>} True if the message was sent
+   */
+  async deliver(userId, send) {
+    if (!this.telegram) {
+      Logger.warn('Notification service not initialized, message dropped', { userId });
+      return false;
+    }
+
+    try {
+      const user = await User.findByTelegramId(userId);
+      if (!this.canNotify(user)) {
+        Logger.debug('Skipping notification for inactive or blocked user', { userId });
+        return false;
+      }
+
+      await send(user.chatId || user.telegramId);
+      return true;
+    } catch (error) {
+      if (this.isUnreachableError(error)) {
+        await this.markUnreachable(userId);
+      } else {
+        Logger.error('Error sending notification', { error: error.message, userId });
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Stop messaging a user who blocked the bot until they write to it again
+   * @param {number} userId - Telegram user ID
+   */
+  async markUnreachable(userId) {
+    try {
+      await User.updateOne({ telegramId: userId }, { isActive: false });
+      Logger.info('User marked inactive after blocking the bot', { userId });
+    } catch (error) {
+      Logger.error('Error marking user unreachable', { error: error.message, userId });
+    }
+  }
+}
+
+// Create singleton instance
+const notificationService = new NotificationService();
+
+module.exports = notificationService;
@@ -0,0 +1,148 @@
+const crypto = require('crypto');
+const config = require('../config');
+const Logger = require('../utils/logger');
+const PhoneVerification = require('../models/PhoneVerification');
+const smsService = require('./smsService');
+const { t } = require('../utils/i18n');
+
+class PhoneVerificationService {
+  constructor() {
+    this.settings = config.phone.verification;
+  }
+
+  /**
+   * Check if phone numbers must be confirmed with an SMS code
+   * @returns {boolean} True when verification is enabled
+   */
+  isEnabled() {
+    return Boolean(this.settings.enabled);
+  }
+
+  /**
+   * Hash a code for storage. The code space is small, so a plain hash could be reversed by trying
+   * every code; the HMAC can't be computed without the server secret
+   * @param {string} code - Verification code
+   * @param {number} userId - Telegram user ID the code was sent to
+   * @returns {string} Hex HMAC-SHA-256
+   */
+  hashCode(code, userId) {
+    return crypto.createHmac('sha256', this.settings.secret).update(`${userId}:${code}`).digest('hex');
+  }
+
+  /**
+   * Generate a random numeric code
+   * @returns {string} Code padded to the configured length
+   */
+  generateCode() {
+    const max = 10 ** this.settings.codeLength;
+    return String(crypto.randomInt(0, max)).padStart(this.settings.codeLength, '0');
+  }
+
+  /**
+   * Send a code to a phone number, unless a valid one was already sent
+   * @param {number} userId - Telegram user ID
+   * @param {string} phoneNumber - Phone number in E.164 format
+   * @param {boolean} resend - Send a new code even if the current one is still valid
+   * @param {string} locale - Locale of the SMS text
+   * @returns {Promise<Object>} { success, sent } or { success: false, error } with a catalogue key
+   */
+  async sendCode(userId, phoneNumber, resend = false, locale = 'en') {
+    try {
+      const now = Date.now();
+      let verification = await PhoneVerification.findByUser(userId);
+
+      if (!verification) {
+        verification = new PhoneVerification({ userId, phoneNumber });
+      } else if (verification.phoneNumber !== phoneNumber) {
+        // Send limits stay with the user, so switching numbers doesn't reset them
+        verification.phoneNumber = phoneNumber;
+        verification.clearCode();
+      } else if (!resend && verification.hasActiveCode()) {
+        return { success: true, sent: false };
+      }
+
+      if (verification.lastSentAt && verification.lastSentAt.getTime() + this.settings.resendCooldown > now) {
+        const seconds = Math.ceil((verification.lastSentAt.getTime() + this.settings.resendCooldown - now) / 1000);
+        return { success: false, error: { key: 'verification.wait', params: { seconds } } };
+      }
+
+      if (!verification.windowStartedAt || verification.windowStartedAt.getTime() + this.settings.sendWindow <= now) {
+        verification.windowStartedAt = new Date(now);
+        verification.sendCount = 0;
+      }
+
+      if (verification.sendCount >= this.settings.maxSends) {
+        const minutes = Math.ceil((verification.windowStartedAt.getTime() + this.settings.sendWindow - now) / 60000);
+        return { success: false, error: { key: 'verification.tooManyCodes', params: { minutes } } };
+      }
+
+      const code = this.generateCode();
+      verification.codeHash = this.hashCode(code, userId);
+      verification.codeExpiresAt = new Date(now + this.settings.codeTtl);
+      verification.attempts = 0;
+      verification.sendCount += 1;
+      verification.lastSentAt = new Date(now);
+      await verification.save();
+
+      const minutes = Math.round(this.settings.codeTtl / 60000);
+      const text = t(locale, 'verification.sms', { botName: config.bot.name, code, minutes });
+      const result = await smsService.send(phoneNumber, text);
+      if (!result.success) {
+        return { success: false, error: 'verification.smsFailed' };
+      }
+
+      Logger.info('Verification code sent', { userId, sendCount: verification.sendCount });
+      return { success: true, sent: true };
+    } catch (error) {
+      Logger.error('Error sending verification code', { error: error.message, userId });
+      return { success: false, error: 'verification.sendFailed' };
+    }
+  }
+
+  /**
+   * Check a code entered by the user
+   * @param {number} userId - Telegram user ID
+   * @param {string} phoneNumber - Phone number the code was sent to
+   * @param {string} input - Code typed by the user
+   * @returns {Promise<Object>} { success, verifiedAt } or { success: false, error } with a catalogue key
+   */
+  async verifyCode(userId, phoneNumber, input) {
+    try {
+      const verification = await PhoneVerification.findByUser(userId);
+      if (!verification || verification.phoneNumber !== phoneNumber || !verification.hasActiveCode()) {
+        return { success: false, error: 'verification.expired' };
+      }
+
+      const code = String(input || '').replace(/\s/g, '');
+      const expected = Buffer.from(verification.codeHash, 'hex');
+      const actual = Buffer.from(this.hashCode(code, userId), 'hex');
+
+      if (!crypto.timingSafeEqual(expected, actual)) {
+        verification.attempts += 1;
+        const remaining = this.settings.maxAttempts - verification.attempts;
+
+        if (remaining <= 0) {
+          verification.clearCode();
+          await verification.save();
+          Logger.info('Verification code discarded after too many attempts', { userId });
+          return { success: false, error: 'verification.tooManyWrong' };
+        }
+
+        await verification.save();
+        return { success: false, error: { key: 'verification.wrong', params: { remaining } } };
+      }
+
+      await verification.deleteOne();
+      Logger.info('Phone number verified by SMS', { userId });
+      return { success: true, verifiedAt: new Date() };
+    } catch (error) {
+      Logger.error('Error verifying code', { error: error.message, userId });
+      return { success: false, error: 'verification.checkFailed' };
+    }
+  }
+}
+
+// Create singleton instance
+const phoneVerificationService = new PhoneVerificationService();
+
+module.exports = phoneVerificationService;
@@ -0,0 +1,349 @@
+const config = require('../config');
+const Logger = require('../utils/logger');
+const User = require('../models/User');
+const searchService = require('./searchService');
+const wizardEngine = require('./wizardEngine');
+const { chunkArray, escapeMarkdown } = require('../utils/helpers');
+
+/**
+ * Role-specific onboarding questionnaire. Buyers are asked about budget, districts,
+ * rooms and purpose, investors about ticket size, horizon, risk and asset types, and
+ * "both" users get both sets. The same steps run inside registration and on their own
+ * from the profile screen.
+ */
+class PreferencesFlow {
+  constructor() {
+    this.id = 'preferences';
+    this.cancelMessage = 'preferences.cancelled';
+    this.expiredMessage = 'preferences.expired';
+    this.steps = this.getQuestionSteps(null);
+
+    this.summary = {
+      title: 'preferences.summary.title',
+      footer: 'preferences.summary.footer',
+      completeText: 'preferences.summary.save'
+    };
+
+    Logger.info('Preferences flow initialized');
+  }
+
+  /**
+   * Build the questionnaire steps
+   * @param {string|null} endStepId - Step that follows the questionnaire, or null for the summary
+   * @returns {Array<Object>} Wizard steps
+   */
+  getQuestionSteps(endStepId) {
+    // Every question is optional and is asked again when the role is changed from the summary
+    const common = { input: 'callback', optional: true, followUp: ['role'], emptyText: 'common.noPreference' };
+
+    return [
+      {
+        ...common,
+        id: 'budget',
+        field: 'budget',
+        label: 'preferences.budget.label',
+        editText: 'preferences.budget.edit',
+        prompt: 'preferences.budget.prompt',
+        options: chunkArray(config.search.priceRanges.map((range, index) => ({
+          text: (data, translate, locale) => searchService.getPriceLabel(range.min, range.max, locale),
+          value: index
+        })), 2),
+        validate: value => this.validateRange(value, config.search.priceRanges),
+        format: (value, data, translate, locale) => searchService.getPriceLabel(value.min, value.max, locale)
+      },
+      {
+        ...common,
+        id: 'districts',
+        multiple: true,
+        field: 'districts',
+        label: 'preferences.districts.label',
+        editText: 'preferences.districts.edit',
+        prompt: 'preferences.districts.prompt',
+        options: chunkArray(config.listings.districts.map(district => ({ text: district, value: district })), 3),
+        validate: value => this.validateChoices(value, config.listings.districts),
+        format: value => escapeMarkdown(value.join(', '))
+      },
+      {
+        ...common,
+        id: 'rooms',
+        field: 'rooms',
+        label: 'preferences.rooms.label',
+        editText: 'preferences.rooms.edit',
+        prompt: 'preferences.rooms.prompt',
+        options: [config.search.roomOptions.map(rooms => ({
+          text: (data, translate, locale) => searchService.getRoomsLabel(rooms, locale),
+          value: rooms
+        }))],
+        validate: value => this.validateRooms(value),
+        format: (value, data, translate, locale) => searchService.getRoomsLabel(value, locale)
+      },
+      {
+        ...common,
+        id: 'purpose',
+        field: 'purpose',
+        label: 'preferences.purpose.label',
+        editText: 'preferences.purpose.edit',
+        prompt: 'preferences.purpose.prompt',
+        options: chunkArray(config.preferences.purposes.map(purpose => ({
+          text: `preferences.purpose.${purpose}`,
+          value: purpose
+        })), 2),
+        validate: value => this.validateChoice(value, config.preferences.purposes),
+        format: (value, data, translate) => translate(`preferences.purpose.${value}`),
+        next: data => (data.role === 'both' ? 'ticket' : endStepId)
+      },
+      {
+        ...common,
+        id: 'ticket',
+        field: 'ticket',
+        label: 'preferences.ticket.label',
+        editText: 'preferences.ticket.edit',
+        prompt: 'preferences.ticket.prompt',
+        options: chunkArray(config.preferences.ticketRanges.map((range, index) => ({
+          text: (data, translate, locale) => searchService.getPriceLabel(range.min, range.max, locale),
+          value: index
+        })), 2),
+        validate: value => this.validateRange(value, config.preferences.ticketRanges),
+        format: (value, data, translate, locale) => searchService.getPriceLabel(value.min, value.max, locale)
+      },
+      {
+        ...common,
+        id: 'horizon',
+        field: 'horizon',
+        label: 'preferences.horizon.label',
+        editText: 'preferences.horizon.edit',
+        prompt: 'preferences.horizon.prompt',
+        options: [config.preferences.horizons.map(horizon => ({
+          text: `preferences.horizon.${horizon}`,
+          value: horizon
+        }))],
+        validate: value => this.validateChoice(value, config.preferences.horizons),
+        format: (value, data, translate) => translate(`preferences.horizon.${value}`)
+      },
+      {
+        ...common,
+        id: 'risk',
+        field: 'riskAppetite',
+        label: 'preferences.risk.label',
+        editText: 'preferences.risk.edit',
+        prompt: 'preferences.risk.prompt',
+        options: [config.investments.riskLevels.map(level => ({
+          text: `risk.${level}`,
+          value: level
+        }))],
+        validate: value => this.validateChoice(value, config.investments.riskLevels),
+        format: (value, data, translate) => translate(`risk.${value}`)
+      },
+      {
+        ...common,
+        id: 'assets',
+        multiple: true,
+        field: 'assetTypes',
+        label: 'preferences.assets.label',
+        editText: 'preferences.assets.edit',
+        prompt: 'preferences.assets.prompt',
+        options: chunkArray(config.listings.types.map(type => ({
+          text: `listingTypes.${type}`,
+          value: type
+        })), 2),
+        validate: value => this.validateChoices(value, config.listings.types),
+        format: (value, data, translate) => value.map(type => translate(`listingTypes.${type}`)).join(', '),
+        next: () => endStepId
+      }
+    ];
+  }
+
+  /**
+   * Get the first question for a role
+   * @param {string} role - User role
+   * @returns {string} Step ID
+   */
+  getFirstQuestion(role) {
+    return role === 'investor' ? 'ticket' : 'budget';
+  }
+
+  /**
+   * Start the standalone flow with the questions of the user's role
+   * @param {Object} data - Initial answers
+   * @returns {string} Step ID
+   */
+  firstStep(data) {
+    return this.getFirstQuestion(data.role);
+  }
+
+  /**
+   * Open on the summary when the questionnaire was answered before
+   * @param {Object} data - Initial answers
+   * @returns {boolean} True to start on the summary
+   */
+  opensOnSummary(data) {
+    return Boolean(data.hasPreferences);
+  }
+
+  /**
+   * Load the current answers of the user
+   * @param {Object} ctx - Telegraf context
+   * @returns {Promise<Object>} Initial answers
+   */
+  async onStart(ctx) {
+    const user = await User.findByTelegramId(ctx.from.id);
+    if (!user) {
+      return {};
+    }
+
+    return {
+      role: user.role,
+      ...this.toAnswers(user.preferences),
+      hasPreferences: Boolean(user.preferences && user.preferences.updatedAt)
+    };
+  }
+
+  /**
+   * Save the answers to the user's preferences
+   * @param {number} userId - Telegram user ID
+   * @param {Object} data - Collected answers
+   * @returns {Promise<Object>} { success, user } or { success: false, error }
+   */
+  async onComplete(userId, data) {
+    try {
+      const user = await User.findByTelegramId(userId);
+      if (!user) {
+        return { success: false, error: 'common.userNotFound' };
+      }
+
+      // Answers for the role the user had when the flow started
+      await user.setPreferences(this.buildPreferences({ ...data, role: user.role }));
+
+      Logger.info('Preferences updated', { userId });
+      return { success: true, user };
+    } catch (error) {
+      Logger.error('Error saving preferences', { error: error.message, userId });
+      return { success: false, error: 'preferences.saveFailed' };
+    }
+  }
+
+  /**
+   * Convert questionnaire answers to the User preferences structure
+   * @param {Object} data - Collected answers, including the role
+   * @returns {Object} { buyer, investor }; sections the role doesn't use are empty
+   */
+  buildPreferences(data) {
+    const isBuyer = data.role === 'buyer' || data.role === 'both';
+    const isInvestor = data.role === 'investor' || data.role === 'both';
+    const budget = (isBuyer && data.budget) || {};
+    const ticket = (isInvestor && data.ticket) || {};
+
+    return {
+      buyer: {
+        minBudget: budget.min || null,
+        maxBudget: budget.max || null,
+        districts: isBuyer ? data.districts || [] : [],
+        rooms: isBuyer ? data.rooms || null : null,
+        purpose: isBuyer ? data.purpose || null : null
+      },
+      investor: {
+        minTicket: ticket.min || null,
+        maxTicket: ticket.max || null,
+        horizon: isInvestor ? data.horizon || null : null,
+        riskAppetite: isInvestor ? data.riskAppetite || null : null,
+        assetTypes: isInvestor ? data.assetTypes || [] : []
+      }
+    };
+  }
+
+  /**
+   * Convert stored preferences back to questionnaire answers
+   * @param {Object} preferences - User preferences
+   * @returns {Object} Answers keyed by step field
+   */
+  toAnswers(preferences) {
+    const buyer = (preferences && preferences.buyer) || {};
+    const investor = (preferences && preferences.investor) || {};
+    const toRange = (min, max) => (min || max ? { min: min || null, max: max || null } : null);
+
+    return {
+      budget: toRange(buyer.minBudget, buyer.maxBudget),
+      districts: [...(buyer.districts || [])],
+      rooms: buyer.rooms || null,
+      purpose: buyer.purpose || null,
+      ticket: toRange(investor.minTicket, investor.maxTicket),
+      horizon: investor.horizon || null,
+      riskAppetite: investor.riskAppetite || null,
+      assetTypes: [...(investor.assetTypes || [])]
+    };
+  }
+
+  /**
+   * Describe a user's preferences, one line per question of their role (Markdown)
+   * @param {Object} user - User document
+   * @param {string} locale - Locale code
+   * @returns {Array<string>} Lines, empty if the questionnaire was never answered
+   */
+  describe(user, locale) {
+    if (!user.preferences || !user.preferences.updatedAt) {
+      return [];
+    }
+
+    const data = { role: user.role, ...this.toAnswers(user.preferences) };
+    return wizardEngine.describeAnswers(locale, this, data);
+  }
+
+  /**
+   * Validate a price range option
+   * @param {string} value - Index of the range
+   * @param {Array<Object>} ranges - Available { min, max } ranges
+   * @returns {Object} { valid, value: { min, max } } or { valid: false, error }
+   */
+  validateRange(value, ranges) {
+    const range = ranges[parseInt(value, 10)];
+    if (!range) {
+      return { valid: false, error: 'preferences.invalid' };
+    }
+    return { valid: true, value: { min: range.min, max: range.max } };
+  }
+
+  /**
+   * Validate a room count option
+   * @param {string} value - Room count
+   * @returns {Object} { valid, value } or { valid: false, error }
+   */
+  validateRooms(value) {
+    const rooms = parseInt(value, 10);
+    if (!config.search.roomOptions.includes(rooms)) {
+      return { valid: false, error: 'preferences.invalid' };
+    }
+    return { valid: true, value: rooms };
+  }
+
+  /**
+   * Validate a single choice option
+   * @param {string} value - Selected option
+   * @param {Array<string>} allowed - Allowed values
+   * @returns {Object} { valid, value } or { valid: false, error }
+   */
+  validateChoice(value, allowed) {
+    if (!allowed.includes(value)) {
+      return { valid: false, error: 'preferences.invalid' };
+    }
+    return { valid: true, value };
+  }
+
+  /**
+   * Validate the options picked on a multiple choice step
+   * @param {Array<string>} values - Selected options
+   * @param {Array<string>} allowed - Allowed values
+   * @returns {Object} { valid, value } or { valid: false, error }
+   */
+  validateChoices(values, allowed) {
+    if (!values.every(value => allowed.includes(value))) {
+      return { valid: false, error: 'preferences.invalid' };
+    }
+    // Keep the order of the options
+    return { valid: true, value: allowed.filter(value => values.includes(value)) };
+  }
+}
+
+// Create singleton instance
+const preferencesFlow = new PreferencesFlow();
+
+module.exports = preferencesFlow;
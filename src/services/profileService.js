@@ -0,0 +1,150 @@
+const Logger = require('../utils/logger');
+const User = require('../models/User');
+const phoneVerificationService = require('./phoneVerificationService');
+const registrationFlow = require('./registrationFlow');
+
+class ProfileService {
+  constructor() {
+    // Editable profile fields: user model path and validator from the registration flow
+    this.fields = {
+      phone: {
+        path: 'phoneNumber',
+        validate: (input, userId) => registrationFlow.validatePhoneForUser(input, userId)
+      },
+      name: {
+        path: 'userFullName',
+        validate: input => registrationFlow.validateFullName(input)
+      },
+      role: {
+        path: 'role',
+        validate: input => registrationFlow.validateRole(input)
+      }
+    };
+
+    Logger.info('Profile service initialized');
+  }
+
+  /**
+   * Get the profile of a registered user
+   * @param {number} userId - Telegram user ID
+   * @returns {Promise<Object|null>} User document or null if not registered
+   */
+  async getProfile(userId) {
+    try {
+      const user = await User.findByTelegramId(userId);
+      return user && user.isRegistered ? user : null;
+    } catch (error) {
+      Logger.error('Error getting profile', { error: error.message, userId });
+      return null;
+    }
+  }
+
+  /**
+   * Validate and save a new value for a profile field
+   * @param {number} userId - Telegram user ID
+   * @param {string} field - Field key ("phone", "name" or "role")
+   * @param {string} input - New value
+   * @param {string} locale - Locale of the SMS text when a new phone number must be confirmed
+   * @returns {Promise<Object>} Processing response; message and error are catalogue keys.
+   *   A new phone number that needs a code is not saved yet: { success, pendingCode, phoneNumber }
+   */
+  async updateField(userId, field, input, locale = 'en') {
+    try {
+      const definition = this.fields[field];
+      if (!definition) {
+        return { success: false, error: 'profile.notEditable' };
+      }
+
+      const user = await this.getProfile(userId);
+      if (!user) {
+        return { success: false, error: 'profile.notRegisteredError' };
+      }
+
+      const validation = await definition.validate(input, userId);
+      if (!validation.valid) {
+        return { success: false, error: validation.error };
+      }
+
+      if (user[definition.path] === validation.value) {
+        return { success: true, user, message: `profile.unchanged.${field}` };
+      }
+
+      if (field === 'phone' && phoneVerificationService.isEnabled()) {
+        // The number is only saved once the code sent to it is confirmed with confirmPhone
+        const result = await phoneVerificationService.sendCode(userId, validation.value, false, locale);
+        if (!result.success) {
+          return { success: false, error: result.error };
+        }
+        return { success: true, user, pendingCode: true, phoneNumber: validation.value };
+      }
+
+      // Extra values from the validator, such as the duplicate phone flag
+      Object.assign(user, validation.data);
+      await user.updateProfileField(definition.path, validation.value);
+      Logger.info('Profile field updated', { userId, field });
+
+      return { success: true, user, message: `profile.updated.${field}` };
+    } catch (error) {
+      Logger.error('Error updating profile field', { error: error.message, userId, field });
+      return { success: false, error: 'profile.updateFailed' };
+    }
+  }
+
+  /**
+   * Send a new code to the phone number waiting for confirmation
+   * @param {number} userId - Telegram user ID
+   * @param {string} phoneNumber - New phone number
+   * @param {string} locale - Locale of the SMS text
+   * @returns {Promise<Object>} Processing response; message and error are catalogue keys
+   */
+  async resendPhoneCode(userId, phoneNumber, locale = 'en') {
+    const result = await phoneVerificationService.sendCode(userId, phoneNumber, true, locale);
+    return result.success
+      ? { success: true, message: 'registration.code.resent' }
+      : { success: false, error: result.error };
+  }
+
+  /**
+   * Check the code sent to a new phone number and save the number once it matches
+   * @param {number} userId - Telegram user ID
+   * @param {string} phoneNumber - New phone number
+   * @param {string} code - Code typed by the user
+   * @returns {Promise<Object>} Processing response; message and error are catalogue keys
+   */
+  async confirmPhone(userId, phoneNumber, code) {
+    try {
+      const user = await this.getProfile(userId);
+      if (!user) {
+        return { success: false, error: 'profile.notRegisteredError' };
+      }
+
+      const verification = await phoneVerificationService.verifyCode(userId, phoneNumber, code);
+      if (!verification.success) {
+        return { success: false, error: verification.error };
+      }
+
+      // Someone else may have registered the number while the code was on its way
+      const validation = await registrationFlow.validatePhoneForUser(phoneNumber, userId);
+      if (!validation.valid) {
+        return { success: false, error: validation.error };
+      }
+
+      Object.assign(user, validation.data);
+      await user.updateProfileField('phoneNumber', validation.value);
+      user.phoneVerified = true;
+      user.phoneVerifiedAt = verification.verifiedAt;
+      await user.save();
+      Logger.info('Profile field updated', { userId, field: 'phone', verified: true });
+
+      return { success: true, user, message: 'profile.updated.phone' };
+    } catch (error) {
+      Logger.error('Error confirming profile phone', { error: error.message, userId });
+      return { success: false, error: 'profile.updateFailed' };
+    }
+  }
+}
+
+// Create singleton instance
+const profileService = new ProfileService();
+
+module.exports = profileService;
@@ -0,0 +1,258 @@
+const config = require('../config');
+const Logger = require('../utils/logger');
+const User = require('../models/User');
+const databaseService = require('./database');
+const registrationFlow = require('./registrationFlow');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+class RegistrationAnalyticsService {
+  constructor() {
+    this.settings = config.registration.funnel;
+
+    const { states } = registrationFlow;
+    // The path through registration, in order; review only counts when it was used
+    this.stages = [
+      states.NOT_STARTED,
+      states.PHONE_ENTERED,
+      states.NAME_ENTERED,
+      states.ROLE_SELECTED,
+      states.AGENDA_VIEWED,
+      states.PENDING_REVIEW,
+      states.COMPLETED
+    ];
+  }
+
+  /**
+   * Get the period ending now
+   * @param {number} days - Length of the period
+   * @returns {Object} { from, to }
+   */
+  getRange(days) {
+    const to = new Date();
+    return { from: new Date(to.getTime() - days * DAY), to };
+  }
+
+  /**
+   * Parse the period asked for in an API request
+   * @param {Object} query - { days } or { from, to } as YYYY-MM-DD dates
+   * @returns {Object} { valid, value: { from, to } } or { valid: false, error }
+   */
+  parseRange({ days, from, to } = {}) {
+    if (!from && !to) {
+      const length = days === undefined ? this.settings.defaultDays : Number(days);
+      if (!Number.isInteger(length) || length < 1 || length > this.settings.maxDays) {
+        return { valid: false, error: `days must be a whole number from 1 to ${this.settings.maxDays}` };
+      }
+      return { valid: true, value: this.getRange(length) };
+    }
+
+    const isDate = value => /^\d{4}-\d{2}-\d{2}$/.test(value || '') && !Number.isNaN(Date.parse(value));
+    if (!isDate(from) || (to && !isDate(to))) {
+      return { valid: false, error: 'from and to must be dates formatted as YYYY-MM-DD' };
+    }
+
+    const range = {
+      from: new Date(`${from}T00:00:00.000Z`),
+      // The end date is included
+      to: to ? new Date(Date.parse(`${to}T00:00:00.000Z`) + DAY - 1) : new Date()
+    };
+    if (range.from > range.to || range.to - range.from > this.settings.maxDays * DAY) {
+      return { valid: false, error: `from must be before to, at most ${this.settings.maxDays} days apart` };
+    }
+
+    return { valid: true, value: range };
+  }
+
+  /**
+   * Load the registration state changes made within a period
+   * @param {Object} range - { from, to }
+   * @returns {Promise<Array<Object>>} { userId, from, to, at, duration, role, language }, oldest first
+   */
+  async loadTransitions({ from, to }) {
+    const period = { $gte: from, $lte: to };
+
+    return User.aggregate([
+      { $match: { 'registrationTransitions.at': period } },
+      { $project: { _id: 0, userId: '$telegramId', transition: '$registrationTransitions' } },
+      { $unwind: '$transition' },
+      { $match: { 'transition.at': period } },
+      {
+        $project: {
+          userId: 1,
+          from: '$transition.from',
+          to: '$transition.to',
+          at: '$transition.at',
+          duration: '$transition.duration',
+          role: '$transition.role',
+          language: '$transition.language'
+        }
+      },
+      { $sort: { at: 1 } }
+    ]);
+  }
+
+  /**
+   * Get the median of some numbers
+   * @param {Array<number>} values - Numbers
+   * @returns {number|null} Median, or null if there are none
+   */
+  median(values) {
+    if (values.length === 0) {
+      return null;
+    }
+
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+  }
+
+  /**
+   * Work out the funnel of a set of state changes
+   * @param {Array<Object>} transitions - State changes, oldest first
+   * @returns {Object} { started, completed, conversion, dropOff, rejected, stages, transitions }
+   */
+  summarize(transitions) {
+    const { states } = registrationFlow;
+    // State => users who entered it, and the time they spent in the state before
+    const entered = new Map();
+    const pairs = new Map();
+
+    for (const transition of transitions) {
+      const rejected = transition.from === states.PENDING_REVIEW && transition.to === states.NOT_STARTED;
+      if (!rejected) {
+        if (!entered.has(transition.to)) {
+          entered.set(transition.to, { users: new Set(), durations: [] });
+        }
+        entered.get(transition.to).users.add(transition.userId);
+        // Time before (re)starting isn't spent on a registration step
+        if (transition.to !== states.NOT_STARTED && typeof transition.duration === 'number') {
+          entered.get(transition.to).durations.push(transition.duration);
+        }
+      }
+
+      const key = `${transition.from}>${transition.to}`;
+      if (!pairs.has(key)) {
+        pairs.set(key, { from: transition.from, to: transition.to, users: new Set(), count: 0, durations: [] });
+      }
+      const pair = pairs.get(key);
+      pair.users.add(transition.userId);
+      pair.count += 1;
+      if (typeof transition.duration === 'number') {
+        pair.durations.push(transition.duration);
+      }
+    }
+
+    const countUsers = state => (entered.has(state) ? entered.get(state).users.size : 0);
+    const rate = (part, whole) => (whole > 0 ? part / whole : null);
+
+    const stages = [];
+    // Review is optional, so the steps after it are measured against the last step everyone takes
+    let previous = null;
+    for (const state of this.stages) {
+      const users = countUsers(state);
+      if (state === states.PENDING_REVIEW && users === 0) {
+        continue;
+      }
+
+      stages.push({
+        state,
+        users,
+        conversion: previous ? rate(users, previous.users) : null,
+        medianDuration: entered.has(state) ? this.median(entered.get(state).durations) : null
+      });
+      if (state !== states.PENDING_REVIEW) {
+        previous = stages[stages.length - 1];
+      }
+    }
+
+    const started = countUsers(states.NOT_STARTED);
+    const completed = countUsers(states.COMPLETED);
+    // Users waiting for review haven't dropped off
+    const dropOff = stages
+      .filter(stage => stage.conversion !== null && stage.state !== states.PENDING_REVIEW)
+      .reduce((lowest, stage) => (!lowest || stage.conversion < lowest.conversion ? stage : lowest), null);
+    const rejected = pairs.get(`${states.PENDING_REVIEW}>${states.NOT_STARTED}`);
+
+    return {
+      started,
+      completed,
+      conversion: rate(completed, started),
+      dropOff: dropOff && dropOff.conversion < 1 ? { state: dropOff.state, conversion: dropOff.conversion } : null,
+      rejected: rejected ? rejected.users.size : 0,
+      stages,
+      transitions: [...pairs.values()].map(pair => ({
+        from: pair.from,
+        to: pair.to,
+        users: pair.users.size,
+        count: pair.count,
+        // Share of the users who were in the state before that moved on this way
+        conversion: pair.from ? rate(pair.users.size, countUsers(pair.from)) : null,
+        medianDuration: this.median(pair.durations)
+      }))
+    };
+  }
+
+  /**
+   * Split the funnel by the role or language users had at their latest state change
+   * @param {Array<Object>} transitions - State changes, oldest first
+   * @param {string} field - "role" or "language"
+   * @returns {Object} Funnel of each value; "unknown" for users who never chose one
+   */
+  breakdown(transitions, field) {
+    const values = new Map();
+    for (const transition of transitions) {
+      if (transition[field]) {
+        values.set(transition.userId, transition[field]);
+      }
+    }
+
+    const groups = {};
+    for (const transition of transitions) {
+      const value = values.get(transition.userId) || 'unknown';
+      if (!groups[value]) {
+        groups[value] = [];
+      }
+      groups[value].push(transition);
+    }
+
+    const result = {};
+    for (const [value, group] of Object.entries(groups)) {
+      result[value] = this.summarize(group);
+    }
+    return result;
+  }
+
+  /**
+   * Get the registration funnel of a period
+   * @param {Object} range - { from, to }
+   * @returns {Promise<Object>} { success, funnel } or { success: false, error }
+   */
+  async getFunnel(range) {
+    if (!databaseService.isConnected) {
+      return { success: false, error: 'admin.funnel.unavailable' };
+    }
+
+    try {
+      const transitions = await this.loadTransitions(range);
+
+      return {
+        success: true,
+        funnel: {
+          range: { from: range.from.toISOString(), to: range.to.toISOString() },
+          ...this.summarize(transitions),
+          byRole: this.breakdown(transitions, 'role'),
+          byLanguage: this.breakdown(transitions, 'language')
+        }
+      };
+    } catch (error) {
+      Logger.error('Error building registration funnel', { error: error.message });
+      return { success: false, error: 'admin.funnel.unavailable' };
+    }
+  }
+}
+
+// Create singleton instance
+const registrationAnalyticsService = new RegistrationAnalyticsService();
+
+module.exports = registrationAnalyticsService;
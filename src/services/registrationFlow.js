@@ -0,0 +1,465 @@
+const config = require('../config');
+const Logger = require('../utils/logger');
+const User = require('../models/User');
+const localeService = require('./localeService');
+const phoneVerificationService = require('./phoneVerificationService');
+const preferencesFlow = require('./preferencesFlow');
+const termsService = require('./termsService');
+const { escapeMarkdown } = require('../utils/helpers');
+const { getLocales, isSupportedLocale, t } = require('../utils/i18n');
+const { normalizePhoneNumber } = require('../utils/phoneNumber');
+
+class RegistrationFlow {
+  constructor() {
+    this.id = 'registration';
+    this.timeout = config.registration.timeout;
+    this.cancelMessage = 'registration.cancelled';
+    this.expiredMessage = 'registration.expired';
+
+    this.steps = [
+      {
+        id: 'language',
+        input: 'callback',
+        field: 'language',
+        label: 'language.label',
+        editText: 'language.edit',
+        prompt: 'language.prompt',
+        // Each language is offered in its own name
+        options: [getLocales().map(locale => ({ text: t(locale, 'language.button'), value: locale }))],
+        validate: value => this.validateLanguage(value),
+        // The following prompts are already shown in the chosen language
+        onAnswer: (ctx, value) => localeService.setLocale(ctx, value),
+        format: value => t(value, 'language.name')
+      },
+      {
+        // Consent comes before any personal details are collected
+        id: 'terms',
+        input: 'callback',
+        field: 'termsVersion',
+        prompt: (data, translate) => termsService.getText(translate),
+        options: [
+          [
+            { text: 'terms.accept', value: 'accept' },
+            { text: 'terms.decline', value: 'decline' }
+          ]
+        ],
+        validate: value => this.validateTermsConsent(value)
+      },
+      {
+        id: 'phone',
+        input: ['contact', 'text'],
+        contactButton: 'registration.phone.button',
+        field: 'phoneNumber',
+        label: 'registration.phone.label',
+        editText: 'registration.phone.edit',
+        savedMessage: 'registration.phone.saved',
+        prompt: 'registration.phone.prompt',
+        validate: (value, input) => this.validatePhoneInput(value, input),
+        onAnswer: (ctx, value, data) => this.advance(ctx.from.id, this.states.PHONE_ENTERED, data),
+        format: (value, data) => `${escapeMarkdown(value)}${data.phoneVerified ? ' ✅' : ''}`,
+        next: data => (this.needsCodeVerification(data) ? 'code' : 'name')
+      },
+      {
+        id: 'code',
+        input: ['text', 'callback'],
+        // Asked again after the phone is edited, and skipped when going back once it's verified
+        followUp: true,
+        back: false,
+        prompt: (data, translate) => translate('registration.code.prompt', {
+          length: config.phone.verification.codeLength,
+          phone: escapeMarkdown(data.phoneNumber)
+        }),
+        options: [
+          [{ text: 'registration.code.resend', value: 'resend' }]
+        ],
+        onEnter: async (ctx, data) => {
+          const result = await phoneVerificationService.sendCode(ctx.from.id, data.phoneNumber, false, ctx.locale);
+          return result.success ? null : (answers, translate) => `❌ ${translate(result.error)}`;
+        },
+        validate: (value, input) => this.validateCode(value, input)
+      },
+      {
+        id: 'name',
+        input: 'text',
+        field: 'userFullName',
+        label: 'registration.name.label',
+        editText: 'registration.name.edit',
+        prompt: 'registration.name.prompt',
+        validate: value => this.validateFullName(value),
+        onAnswer: (ctx, value, data) => this.advance(ctx.from.id, this.states.NAME_ENTERED, data)
+      },
+      {
+        id: 'role',
+        input: 'callback',
+        field: 'role',
+        label: 'registration.role.label',
+        editText: 'registration.role.edit',
+        prompt: 'registration.role.prompt',
+        options: [
+          [
+            { text: 'roles.buyer', value: 'buyer' },
+            { text: 'roles.investor', value: 'investor' }
+          ],
+          [
+            { text: 'roles.both', value: 'both' }
+          ]
+        ],
+        validate: value => this.validateRole(value),
+        onAnswer: (ctx, value, data) => this.advance(ctx.from.id, this.states.ROLE_SELECTED, data),
+        format: (value, data, translate) => translate(`roles.${value}`),
+        next: data => preferencesFlow.getFirstQuestion(data.role)
+      },
+      ...preferencesFlow.getQuestionSteps('agenda'),
+      {
+        id: 'agenda',
+        input: 'callback',
+        prompt: 'registration.agenda.prompt',
+        options: [
+          [{ text: 'registration.agenda.continue', value: 'continue' }]
+        ],
+        onAnswer: (ctx, value, data) => this.advance(ctx.from.id, this.states.AGENDA_VIEWED, data)
+      }
+    ];
+
+    this.summary = {
+      title: 'registration.summary.title',
+      footer: 'registration.summary.footer',
+      completeText: 'registration.summary.complete'
+    };
+
+    // Registration states stored on the user. The wizard advances the state as the steps are
+    // answered, but keeps the answers themselves until the summary is confirmed. Starting the
+    // wizard (again) goes back to not_started; wizards started before the state was advanced
+    // step by step go straight to agenda_viewed when they are confirmed.
+    this.states = {
+      NOT_STARTED: 'not_started',
+      PHONE_ENTERED: 'phone_entered',
+      NAME_ENTERED: 'name_entered',
+      ROLE_SELECTED: 'role_selected',
+      AGENDA_VIEWED: 'agenda_viewed',
+      PENDING_REVIEW: 'pending_review',
+      COMPLETED: 'completed'
+    };
+
+    this.transitions = {
+      [this.states.NOT_STARTED]: [this.states.NOT_STARTED, this.states.PHONE_ENTERED, this.states.AGENDA_VIEWED],
+      [this.states.PHONE_ENTERED]: [this.states.NOT_STARTED, this.states.NAME_ENTERED, this.states.AGENDA_VIEWED],
+      [this.states.NAME_ENTERED]: [this.states.NOT_STARTED, this.states.ROLE_SELECTED, this.states.AGENDA_VIEWED],
+      [this.states.ROLE_SELECTED]: [this.states.NOT_STARTED, this.states.AGENDA_VIEWED],
+      [this.states.AGENDA_VIEWED]: [this.states.NOT_STARTED, this.states.PENDING_REVIEW, this.states.COMPLETED],
+      // Approved, or rejected and sent back to the start
+      [this.states.PENDING_REVIEW]: [this.states.COMPLETED, this.states.NOT_STARTED],
+      [this.states.COMPLETED]: [] // Terminal state
+    };
+
+    Logger.info('Registration flow initialized');
+  }
+
+  /**
+   * Check if a state transition is valid
+   * @param {string} fromState - Current state
+   * @param {string} toState - Target state
+   * @returns {boolean} True if transition is valid
+   */
+  isValidTransition(fromState, toState) {
+    return Boolean(this.transitions[fromState] && this.transitions[fromState].includes(toState));
+  }
+
+  /**
+   * Check if completed sign-ups have to be approved by an admin
+   * @returns {boolean} True when approval is enabled and an admin chat is configured
+   */
+  requiresReview() {
+    return config.registration.approval.enabled && Boolean(config.registration.approval.adminChatId);
+  }
+
+  /**
+   * Create the user if needed and record when registration started
+   * @param {Object} ctx - Telegraf context
+   */
+  async onStart(ctx) {
+    let user = await User.findByTelegramId(ctx.from.id);
+
+    if (!user) {
+      user = new User({
+        telegramId: ctx.from.id,
+        username: ctx.from.username,
+        firstName: ctx.from.first_name,
+        lastName: ctx.from.last_name,
+        languageCode: ctx.from.language_code || 'en',
+        isBot: ctx.from.is_bot || false,
+        chatId: ctx.chat.id,
+        chatType: ctx.chat.type || 'private',
+        registrationState: 'not_started',
+        isRegistered: false
+      });
+    }
+
+    user.registrationStartedAt = new Date();
+    user.registrationAbandonedAt = null;
+    user.registrationRemindersSent = 0;
+    user.registrationLastReminderAt = null;
+    if (this.isValidTransition(user.registrationState, this.states.NOT_STARTED)) {
+      user.setRegistrationState(this.states.NOT_STARTED);
+    }
+    await user.save();
+  }
+
+  /**
+   * Move the user to the state reached by answering a step. Answers edited from the
+   * summary don't move the state back.
+   * @param {number} userId - Telegram user ID
+   * @param {string} state - State reached
+   * @param {Object} data - Answers collected so far
+   */
+  async advance(userId, state, data) {
+    try {
+      const user = await User.findByTelegramId(userId);
+      if (!user || !this.isValidTransition(user.registrationState, state)) {
+        return;
+      }
+
+      user.setRegistrationState(state, { role: data.role || null, language: data.language || user.language });
+      await user.save();
+    } catch (error) {
+      Logger.error('Error saving registration state', { error: error.message, userId, state });
+    }
+  }
+
+  /**
+   * Clear the abandoned mark of a user who came back to an unfinished registration
+   * @param {Object} ctx - Telegraf context
+   */
+  async onResume(ctx) {
+    await User.updateOne(
+      { telegramId: ctx.from.id, registrationAbandonedAt: { $ne: null } },
+      { $set: { registrationAbandonedAt: null } }
+    );
+  }
+
+  /**
+   * Forget the start of a cancelled registration
+   * @param {number} userId - Telegram user ID
+   */
+  async onCancel(userId) {
+    await User.updateOne({ telegramId: userId }, { $set: { registrationStartedAt: null } });
+    Logger.info('Registration cancelled', { userId });
+  }
+
+  /**
+   * Save the collected details and complete the registration
+   * @param {number} userId - Telegram user ID
+   * @param {Object} data - Collected answers
+   * @returns {Promise<Object>} { success, user } or { success: false, error }
+   */
+  async onComplete(userId, data) {
+    try {
+      const user = await User.findByTelegramId(userId);
+      if (!user) {
+        return { success: false, error: 'common.userNotFound' };
+      }
+
+      // Another account may have taken the number since the phone step
+      const owner = await this.checkPhoneOwner(data.phoneNumber, userId);
+      if (!owner.valid) {
+        return { success: false, error: 'registration.phoneTaken' };
+      }
+
+      user.phoneNumber = data.phoneNumber;
+      user.phoneVerified = Boolean(data.phoneVerified);
+      user.phoneVerifiedAt = data.phoneVerified ? new Date(data.phoneVerifiedAt || Date.now()) : null;
+      user.phoneDuplicateOf = owner.duplicateOf;
+      user.userFullName = data.userFullName;
+      user.role = data.role;
+      user.language = data.language || user.language;
+      user.termsVersion = typeof data.termsVersion === 'number' ? data.termsVersion : null;
+      user.termsAcceptedAt = user.termsVersion === null ? null : new Date(data.termsAcceptedAt || Date.now());
+      user.preferences = { ...preferencesFlow.buildPreferences(data), updatedAt: new Date() };
+      user.registrationAbandonedAt = null;
+
+      // Confirming the summary means the agenda was seen
+      if (this.isValidTransition(user.registrationState, this.states.AGENDA_VIEWED)) {
+        user.setRegistrationState(this.states.AGENDA_VIEWED);
+      }
+
+      termsService.remember(userId, user.termsVersion);
+
+      if (this.requiresReview()) {
+        await user.submitForReview();
+        Logger.info('Registration submitted for review', { userId, role: user.role });
+        return { success: true, user, pendingReview: true };
+      }
+
+      await user.completeRegistration();
+
+      Logger.info('Registration completed', { userId, role: user.role });
+      return { success: true, user };
+    } catch (error) {
+      Logger.error('Error completing registration', { error: error.message, userId });
+      return { success: false, error: 'registration.failed' };
+    }
+  }
+
+  /**
+   * Validate the answer to the terms step
+   * @param {string} answer - "accept" or "decline"
+   * @returns {Object} { valid, value, data } or { valid: false, notice }
+   */
+  validateTermsConsent(answer) {
+    if (answer !== 'accept') {
+      // Registration can't go on without consent; the user may still cancel
+      return { valid: false, notice: 'terms.declinedRegistration' };
+    }
+    return { valid: true, value: termsService.getCurrent().version, data: { termsAcceptedAt: new Date() } };
+  }
+
+  /**
+   * Validate the phone step, which accepts a shared contact or a typed number
+   * @param {Object|string} value - Contact ({ phoneNumber, userId }) or text
+   * @param {Object} input - { type, userId }
+   * @returns {Promise<Object>} { valid, value, data } or { valid: false, error }
+   */
+  async validatePhoneInput(value, { type, userId }) {
+    if (type === 'contact') {
+      // Only the user's own contact proves they own the number
+      if (value.userId !== userId) {
+        return { valid: false, error: 'phone.ownContact' };
+      }
+
+      // Telegram may send the number without the leading plus
+      const phoneNumber = value.phoneNumber.startsWith('+') ? value.phoneNumber : `+${value.phoneNumber}`;
+      const validation = await this.validatePhoneForUser(phoneNumber, userId);
+      return validation.valid ? { ...validation, data: { ...validation.data, phoneVerified: true } } : validation;
+    }
+
+    const validation = await this.validatePhoneForUser(value, userId);
+    return validation.valid ? { ...validation, data: { ...validation.data, phoneVerified: false } } : validation;
+  }
+
+  /**
+   * Check if the entered phone number still has to be confirmed with an SMS code
+   * @param {Object} data - Collected answers
+   * @returns {boolean} True when verification is enabled and the number isn't proven yet
+   */
+  needsCodeVerification(data) {
+    return phoneVerificationService.isEnabled() && !data.phoneVerified;
+  }
+
+  /**
+   * Validate the SMS code step, where the resend button is also handled
+   * @param {string} value - Typed code, or "resend" from the button
+   * @param {Object} input - { type, userId, data, locale }
+   * @returns {Promise<Object>} { valid, data } or { valid: false, error | notice }
+   */
+  async validateCode(value, { type, userId, data, locale }) {
+    if (type === 'callback') {
+      if (value !== 'resend') {
+        return { valid: false, error: 'registration.code.typeCode' };
+      }
+
+      const result = await phoneVerificationService.sendCode(userId, data.phoneNumber, true, locale);
+      return result.success
+        ? { valid: false, notice: 'registration.code.resent' }
+        : { valid: false, error: result.error };
+    }
+
+    const result = await phoneVerificationService.verifyCode(userId, data.phoneNumber, value);
+    if (!result.success) {
+      return { valid: false, error: result.error };
+    }
+
+    return { valid: true, data: { phoneVerified: true, phoneVerifiedAt: result.verifiedAt } };
+  }
+
+  /**
+   * Validate a phone number and check that it doesn't belong to another account
+   * @param {string} phoneNumber - Raw phone number
+   * @param {number} userId - Telegram user ID of the person entering it
+   * @returns {Promise<Object>} { valid, value, data: { phoneDuplicateOf } } or { valid: false, error }
+   */
+  async validatePhoneForUser(phoneNumber, userId) {
+    const validation = this.validatePhoneNumber(phoneNumber);
+    if (!validation.valid) {
+      return validation;
+    }
+
+    const owner = await this.checkPhoneOwner(validation.value, userId);
+    if (!owner.valid) {
+      return owner;
+    }
+
+    return { ...validation, data: { phoneDuplicateOf: owner.duplicateOf } };
+  }
+
+  /**
+   * Apply the duplicate phone policy to a normalised number
+   * @param {string} phoneNumber - Phone number in E.164 format
+   * @param {number} userId - Telegram user ID of the person entering it
+   * @returns {Promise<Object>} { valid, duplicateOf } or { valid: false, error }
+   */
+  async checkPhoneOwner(phoneNumber, userId) {
+    const other = await User.findOtherByPhone(phoneNumber, userId);
+    if (!other) {
+      return { valid: true, duplicateOf: null };
+    }
+
+    if (config.phone.duplicates === 'flag') {
+      Logger.warn('Phone number already used by another account', { userId, otherUserId: other.telegramId });
+      return { valid: true, duplicateOf: other.telegramId };
+    }
+
+    Logger.info('Refused phone number of another account', { userId, otherUserId: other.telegramId });
+    return { valid: false, error: 'phone.taken' };
+  }
+
+  /**
+   * Validate a phone number entered by the user and convert it to E.164
+   * @param {string} phoneNumber - Raw phone number, in international or local format
+   * @returns {Object} { valid, value } or { valid: false, error }
+   */
+  validatePhoneNumber(phoneNumber) {
+    const validation = normalizePhoneNumber(phoneNumber, config.phone);
+    return validation.valid ? { valid: true, value: validation.value } : validation;
+  }
+
+  /**
+   * Validate a full name entered by the user
+   * @param {string} fullName - Raw full name
+   * @returns {Object} { valid, value } or { valid: false, error }
+   */
+  validateFullName(fullName) {
+    if (!fullName || fullName.trim().length < 2) {
+      return { valid: false, error: 'registration.name.invalid' };
+    }
+    return { valid: true, value: fullName.trim() };
+  }
+
+  /**
+   * Validate a selected role
+   * @param {string} role - Role
+   * @returns {Object} { valid, value } or { valid: false, error }
+   */
+  validateRole(role) {
+    if (!['buyer', 'investor', 'both'].includes(role)) {
+      return { valid: false, error: 'registration.role.invalid' };
+    }
+    return { valid: true, value: role };
+  }
+
+  /**
+   * Validate a selected language
+   * @param {string} language - Locale code
+   * @returns {Object} { valid, value } or { valid: false, error }
+   */
+  validateLanguage(language) {
+    if (!isSupportedLocale(language)) {
+      return { valid: false, error: 'language.invalid' };
+    }
+    return { valid: true, value: language };
+  }
+}
+
+// Create singleton instance
+const registrationFlow = new RegistrationFlow();
+
+module.exports = registrationFlow;
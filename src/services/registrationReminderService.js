@@ -0,0 +1,194 @@
+const config = require('../config');
+const Logger = require('../utils/logger');
+const User = require('../models/User');
+const WizardSession = require('../models/WizardSession');
+const databaseService = require('./database');
+const localeService = require('./localeService');
+const notificationService = require('./notificationService');
+const registrationFlow = require('./registrationFlow');
+const { t } = require('../utils/i18n');
+
+class RegistrationReminderService {
+  constructor() {
+    this.settings = config.registration.reminders;
+    this.timer = null;
+    this.checkInProgress = false;
+  }
+
+  /**
+   * Start checking for stalled registrations periodically
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.checkStalledRegistrations();
+    }, this.settings.checkInterval);
+
+    Logger.info('Registration reminders started', { interval: this.settings.checkInterval });
+  }
+
+  /**
+   * Stop the periodic check
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Remind users who stopped in the middle of registration, and give up on those who never respond
+   * @returns {Promise<Object>} Counts of reminded and abandoned registrations
+   */
+  async checkStalledRegistrations() {
+    const counts = { reminded: 0, abandoned: 0 };
+    if (this.checkInProgress || !databaseService.isConnected) {
+      return counts;
+    }
+
+    this.checkInProgress = true;
+
+    try {
+      const now = Date.now();
+      const inactiveSince = new Date(now - this.settings.firstAfter);
+      // Later reminders wait for the interval after the previous one
+      const remindedBefore = new Date(now - this.settings.interval);
+
+      const sessions = await WizardSession.findStalled(
+        registrationFlow.id, inactiveSince, remindedBefore, this.settings.batchSize
+      );
+      for (const session of sessions) {
+        if (session.remindersSent >= this.settings.maxReminders) {
+          await this.markAbandoned(session);
+          counts.abandoned += 1;
+        } else {
+          await this.sendReminder(session);
+          counts.reminded += 1;
+        }
+      }
+
+      // Users whose wizard session expired or was never created are still stuck in their state
+      const users = await User.findStalledRegistrations(
+        this.getUnfinishedStates(), inactiveSince, remindedBefore, this.settings.batchSize
+      );
+      for (const user of users) {
+        if (user.registrationRemindersSent >= this.settings.maxReminders) {
+          await this.markUserAbandoned(user);
+          counts.abandoned += 1;
+        } else {
+          await this.sendUserReminder(user);
+          counts.reminded += 1;
+        }
+      }
+
+      if (counts.reminded > 0 || counts.abandoned > 0) {
+        Logger.info('Checked stalled registrations', counts);
+      }
+    } catch (error) {
+      Logger.error('Error checking stalled registrations', { error: error.message });
+    } finally {
+      this.checkInProgress = false;
+    }
+
+    return counts;
+  }
+
+  /**
+   * Registration states of users who started but have not finished
+   * @returns {string[]} State names
+   */
+  getUnfinishedStates() {
+    const { PENDING_REVIEW, COMPLETED } = registrationFlow.states;
+    return Object.values(registrationFlow.states).filter(state => state !== PENDING_REVIEW && state !== COMPLETED);
+  }
+
+  /**
+   * Send a reminder message with a button that opens the registration
+   * @param {number} userId - Telegram user ID
+   * @param {number} remindersSent - Reminders sent before this one
+   * @param {string} textKey - Catalogue key of the reminder text
+   * @returns {Promise<boolean>} True if delivered
+   */
+  async sendReminderMessage(userId, remindersSent, textKey) {
+    const remaining = this.settings.maxReminders - remindersSent - 1;
+    const locale = await localeService.getLocale(userId);
+    const lastChance = remaining === 0 ? `\n\n${t(locale, 'reminders.lastChance')}` : '';
+
+    return notificationService.sendToUser(userId, `${t(locale, textKey)}${lastChance}`, {
+      parse_mode: 'Markdown',
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: t(locale, 'reminders.continue'), callback_data: 'start_registration' }]
+        ]
+      }
+    });
+  }
+
+  /**
+   * Send a reminder with a button that resumes the registration
+   * @param {Object} session - Registration wizard session
+   */
+  async sendReminder(session) {
+    const sent = await this.sendReminderMessage(session.userId, session.remindersSent, 'reminders.text');
+
+    // Undelivered reminders still count, so unreachable users end up abandoned too
+    await session.recordReminder();
+    Logger.info('Registration reminder sent', {
+      userId: session.userId,
+      stepId: session.stepId,
+      reminder: session.remindersSent,
+      delivered: sent
+    });
+  }
+
+  /**
+   * Stop reminding a user who ignored every reminder
+   * @param {Object} session - Registration wizard session
+   */
+  async markAbandoned(session) {
+    await session.markAbandoned();
+    await User.updateOne(
+      { telegramId: session.userId },
+      { $set: { registrationAbandonedAt: session.abandonedAt } }
+    );
+
+    Logger.info('Registration marked as abandoned', { userId: session.userId, stepId: session.stepId });
+  }
+
+  /**
+   * Remind a user whose answers are gone with the wizard session; the button starts over
+   * @param {Object} user - User with the registrationState and reminder count
+   */
+  async sendUserReminder(user) {
+    const sent = await this.sendReminderMessage(user.telegramId, user.registrationRemindersSent, 'reminders.restartText');
+
+    await User.updateOne(
+      { telegramId: user.telegramId },
+      { $inc: { registrationRemindersSent: 1 }, $set: { registrationLastReminderAt: new Date() } }
+    );
+    Logger.info('Registration reminder sent', {
+      userId: user.telegramId,
+      state: user.registrationState,
+      reminder: user.registrationRemindersSent + 1,
+      delivered: sent
+    });
+  }
+
+  /**
+   * Stop reminding a user without a wizard session who ignored every reminder
+   * @param {Object} user - User with the registrationState
+   */
+  async markUserAbandoned(user) {
+    await User.updateOne({ telegramId: user.telegramId }, { $set: { registrationAbandonedAt: new Date() } });
+    Logger.info('Registration marked as abandoned', { userId: user.telegramId, state: user.registrationState });
+  }
+}
+
+// Create singleton instance
+const registrationReminderService = new RegistrationReminderService();
+
+module.exports = registrationReminderService;
@@ -0,0 +1,206 @@
+const config = require('../config');
+const Logger = require('../utils/logger');
+const User = require('../models/User');
+const localeService = require('./localeService');
+const notificationService = require('./notificationService');
+const preferencesFlow = require('./preferencesFlow');
+const registrationFlow = require('./registrationFlow');
+const { escapeMarkdown, formatDate } = require('../utils/helpers');
+const { t } = require('../utils/i18n');
+
+class RegistrationReviewService {
+  constructor() {
+    this.settings = config.registration.approval;
+
+    Logger.info('Registration review service initialized');
+  }
+
+  /**
+   * Check if a chat is the one where registrations are reviewed
+   * @param {number} chatId - Telegram chat ID
+   * @returns {boolean} True for the admin chat
+   */
+  isAdminChat(chatId) {
+    return Boolean(this.settings.adminChatId) && chatId === this.settings.adminChatId;
+  }
+
+  /**
+   * Build the review card of a user
+   * @param {Object} user - User document
+   * @param {string} status - Optional decision line shown instead of the buttons
+   * @returns {string} Markdown card text
+   */
+  buildCard(user, status = null) {
+    // Cards are read by all admins, so they use the bot's default language
+    const locale = config.i18n.defaultLocale;
+    const translate = (key, params) => t(locale, key, params);
+
+    const phone = [
+      escapeMarkdown(user.phoneNumber),
+      user.phoneVerified ? ` (${translate('review.card.verified')})` : '',
+      user.phoneDuplicateOf ? `\n${translate('review.card.duplicate', { id: user.phoneDuplicateOf })}` : ''
+    ].join('');
+    const role = user.role ? translate(`roles.${user.role}`) : translate('common.notSelected');
+    const preferences = preferencesFlow.describe(user, locale);
+
+    const lines = [
+      translate('review.card.title'),
+      '',
+      translate('review.card.name', { value: escapeMarkdown(user.userFullName) }),
+      translate('review.card.phone', { value: phone }),
+      translate('review.card.role', { value: role }),
+      translate('review.card.account', {
+        id: user.telegramId,
+        username: user.username ? `@${escapeMarkdown(user.username)}` : translate('common.notSet')
+      }),
+      translate('review.card.language', { value: t(localeService.getUserLocale(user), 'language.name') }),
+      translate('review.card.submitted', { date: formatDate(user.submittedForReviewAt || new Date(), locale) })
+    ];
+
+    if (preferences.length > 0) {
+      lines.push('', translate('review.card.preferences'), ...preferences);
+    }
+    if (status) {
+      lines.push('', status);
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Post the review card of a user who completed registration to the admin chat
+   * @param {Object} user - User document in the pending_review state
+   * @returns {Promise<boolean>} True if the card was posted
+   */
+  async submit(user) {
+    if (!notificationService.telegram) {
+      Logger.warn('Notification service not initialized, review card dropped', { userId: user.telegramId });
+      return false;
+    }
+
+    try {
+      const locale = config.i18n.defaultLocale;
+      await notificationService.telegram.sendMessage(this.settings.adminChatId, this.buildCard(user), {
+        parse_mode: 'Markdown',
+        reply_markup: {
+          inline_keyboard: [
+            [
+              { text: t(locale, 'review.card.approve'), callback_data: `review_approve_${user.telegramId}` },
+              { text: t(locale, 'review.card.reject'), callback_data: `review_reject_${user.telegramId}` }
+            ]
+          ]
+        }
+      });
+
+      Logger.info('Registration review card posted', { userId: user.telegramId });
+      return true;
+    } catch (error) {
+      Logger.error('Error posting registration review card', { error: error.message, userId: user.telegramId });
+      return false;
+    }
+  }
+
+  /**
+   * Get a user whose registration is waiting for a decision
+   * @param {number} userId - Telegram user ID
+   * @returns {Promise<Object>} { success, user } or { success: false, error }
+   */
+  async getPendingUser(userId) {
+    const user = await User.findByTelegramId(userId);
+    if (!user) {
+      return { success: false, error: 'common.userNotFound' };
+    }
+
+    if (user.registrationState !== registrationFlow.states.PENDING_REVIEW) {
+      return { success: false, error: 'review.notPending' };
+    }
+
+    return { success: true, user };
+  }
+
+  /**
+   * Approve a registration and let the user in
+   * @param {number} userId - Telegram user ID of the applicant
+   * @param {number} adminId - Telegram user ID of the reviewer
+   * @returns {Promise<Object>} { success, user } or { success: false, error }
+   */
+  async approve(userId, adminId) {
+    try {
+      const pending = await this.getPendingUser(userId);
+      if (!pending.success) {
+        return pending;
+      }
+
+      const user = pending.user;
+      if (!registrationFlow.isValidTransition(user.registrationState, registrationFlow.states.COMPLETED)) {
+        return { success: false, error: 'review.notPending' };
+      }
+
+      await user.approveRegistration(adminId);
+      Logger.info('Registration approved', { userId, adminId });
+
+      const locale = localeService.getUserLocale(user);
+      await notificationService.sendToUser(userId, t(locale, 'review.approved', { name: user.userFullName }));
+
+      return { success: true, user };
+    } catch (error) {
+      Logger.error('Error approving registration', { error: error.message, userId });
+      return { success: false, error: 'review.failed' };
+    }
+  }
+
+  /**
+   * Reject a registration and tell the user why
+   * @param {number} userId - Telegram user ID of the applicant
+   * @param {number} adminId - Telegram user ID of the reviewer
+   * @param {string} reason - Reason shown to the user
+   * @returns {Promise<Object>} { success, user } or { success: false, error }
+   */
+  async reject(userId, adminId, reason) {
+    try {
+      const validation = this.validateReason(reason);
+      if (!validation.valid) {
+        return { success: false, error: validation.error };
+      }
+
+      const pending = await this.getPendingUser(userId);
+      if (!pending.success) {
+        return pending;
+      }
+
+      const user = pending.user;
+      if (!registrationFlow.isValidTransition(user.registrationState, registrationFlow.states.NOT_STARTED)) {
+        return { success: false, error: 'review.notPending' };
+      }
+
+      await user.rejectRegistration(adminId, validation.value);
+      Logger.info('Registration rejected', { userId, adminId });
+
+      const locale = localeService.getUserLocale(user);
+      await notificationService.sendToUser(userId, t(locale, 'review.rejected', { reason: validation.value }));
+
+      return { success: true, user };
+    } catch (error) {
+      Logger.error('Error rejecting registration', { error: error.message, userId });
+      return { success: false, error: 'review.failed' };
+    }
+  }
+
+  /**
+   * Validate a rejection reason typed by an admin
+   * @param {string} reason - Raw reason
+   * @returns {Object} { valid, value } or { valid: false, error }
+   */
+  validateReason(reason) {
+    const value = (reason || '').trim();
+    if (!value || value.length > this.settings.maxReasonLength) {
+      return { valid: false, error: { key: 'review.reasonInvalid', params: { max: this.settings.maxReasonLength } } };
+    }
+    return { valid: true, value };
+  }
+}
+
+// Create singleton instance
+const registrationReviewService = new RegistrationReviewService();
+
+module.exports = registrationReviewService;
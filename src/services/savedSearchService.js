@@ -0,0 +1,224 @@
+const mongoose = require('mongoose');
+const config = require('../config');
+const Logger = require('../utils/logger');
+const SavedSearch = require('../models/SavedSearch');
+const searchService = require('./searchService');
+const notificationService = require('./notificationService');
+const localeService = require('./localeService');
+const { escapeMarkdown, sanitizeInput } = require('../utils/helpers');
+const { t } = require('../utils/i18n');
+const { getTypeLabel, formatListingCard } = require('../utils/listingFormatter');
+
+class SavedSearchService {
+  /**
+   * Suggest a name for a set of filters
+   * @param {Object} filters - Search filters
+   * @param {string} locale - Locale code
+   * @returns {string} Suggested name
+   */
+  suggestName(filters, locale = 'en') {
+    const { type, district, minPrice, maxPrice, rooms } = searchService.normalizeFilters(filters);
+    const parts = [];
+
+    if (type) {
+      parts.push(getTypeLabel(type, locale).replace(/^\S+\s/, ''));
+    }
+    if (rooms) {
+      parts.push(t(locale, 'savedSearch.suggested.rooms', { rooms: searchService.getRoomsLabel(rooms, locale) }));
+    }
+    if (district) {
+      parts.push(district);
+    }
+    if (minPrice || maxPrice) {
+      parts.push(searchService.getPriceLabel(minPrice, maxPrice, locale));
+    }
+
+    return parts.length > 0 ? parts.join(', ') : t(locale, 'savedSearch.suggested.all');
+  }
+
+  /**
+   * Save the user's current filters under a name
+   * @param {number} userId - Telegram user ID
+   * @param {string} name - Search name
+   * @returns {Promise<Object>} Processing response
+   */
+  async saveSearch(userId, name) {
+    try {
+      const cleanName = sanitizeInput(name || '').substring(0, 40);
+      if (cleanName.length < 2) {
+        return { success: false, error: 'savedSearch.errors.nameShort' };
+      }
+
+      const count = await SavedSearch.countDocuments({ userId });
+      if (count >= config.savedSearches.maxPerUser) {
+        return { success: false, error: { key: 'savedSearch.errors.limit', params: { max: config.savedSearches.maxPerUser } } };
+      }
+
+      const filters = await searchService.getFilters(userId);
+      const savedSearch = new SavedSearch({ userId, name: cleanName, filters });
+      await savedSearch.save();
+
+      Logger.info('Search saved', { userId, searchId: savedSearch._id.toString() });
+
+      return {
+        success: true,
+        savedSearch,
+        message: { key: 'savedSearch.saved', params: { name: escapeMarkdown(cleanName) } }
+      };
+    } catch (error) {
+      Logger.error('Error saving search', { error: error.message, userId });
+      return { success: false, error: 'savedSearch.errors.saveFailed' };
+    }
+  }
+
+  /**
+   * Get all saved searches of a user
+   * @param {number} userId - Telegram user ID
+   * @returns {Promise<Array>} Saved searches
+   */
+  async getUserSearches(userId) {
+    try {
+      return await SavedSearch.findByUser(userId);
+    } catch (error) {
+      Logger.error('Error getting saved searches', { error: error.message, userId });
+      return [];
+    }
+  }
+
+  /**
+   * Get a saved search only if it belongs to the user
+   * @param {number} userId - Telegram user ID
+   * @param {string} searchId - Saved search ID
+   * @returns {Promise<Object|null>} Saved search or null
+   */
+  async getOwnedSearch(userId, searchId) {
+    if (!mongoose.isValidObjectId(searchId)) {
+      return null;
+    }
+
+    const savedSearch = await SavedSearch.findById(searchId);
+    return savedSearch && savedSearch.userId === userId ? savedSearch : null;
+  }
+
+  /**
+   * Pause or resume notifications for a saved search
+   * @param {number} userId - Telegram user ID
+   * @param {string} searchId - Saved search ID
+   * @param {boolean} isPaused - New paused state
+   * @returns {Promise<Object>} Processing response
+   */
+  async setPaused(userId, searchId, isPaused) {
+    try {
+      const savedSearch = await this.getOwnedSearch(userId, searchId);
+      if (!savedSearch) {
+        return { success: false, error: 'savedSearch.errors.notFound' };
+      }
+
+      await savedSearch.setPaused(isPaused);
+      return {
+        success: true,
+        message: isPaused ? 'savedSearch.paused' : 'savedSearch.resumed'
+      };
+    } catch (error) {
+      Logger.error('Error pausing saved search', { error: error.message, userId, searchId });
+      return { success: false, error: 'savedSearch.errors.updateFailed' };
+    }
+  }
+
+  /**
+   * Delete a saved search
+   * @param {number} userId - Telegram user ID
+   * @param {string} searchId - Saved search ID
+   * @returns {Promise<Object>} Processing response
+   */
+  async deleteSearch(userId, searchId) {
+    try {
+      const savedSearch = await this.getOwnedSearch(userId, searchId);
+      if (!savedSearch) {
+        return { success: false, error: 'savedSearch.errors.notFound' };
+      }
+
+      await SavedSearch.deleteOne({ _id: savedSearch._id });
+      Logger.info('Saved search deleted', { userId, searchId });
+
+      return { success: true, message: 'savedSearch.deleted' };
+    } catch (error) {
+      Logger.error('Error deleting saved search', { error: error.message, userId, searchId });
+      return { success: false, error: 'savedSearch.errors.deleteFailed' };
+    }
+  }
+
+  /**
+   * Apply a saved search's filters as the user's current filters
+   * @param {number} userId - Telegram user ID
+   * @param {string} searchId - Saved search ID
+   * @returns {Promise<boolean>} True if filters were applied
+   */
+  async applySearch(userId, searchId) {
+    const savedSearch = await this.getOwnedSearch(userId, searchId);
+    if (!savedSearch) {
+      return false;
+    }
+
+    await searchService.updateFilters(userId, searchService.normalizeFilters(savedSearch.filters));
+    return true;
+  }
+
+  /**
+   * Notify users whose saved searches match a new or updated listing
+   * @param {Object} listing - Property document
+   * @returns {Promise<number>} Number of notifications sent
+   */
+  async notifyMatches(listing) {
+    if (!listing || listing.status !== 'published') {
+      return 0;
+    }
+
+    try {
+      const candidates = await SavedSearch.findCandidatesForListing(listing);
+      let sent = 0;
+
+      for (const savedSearch of candidates) {
+        if (!searchService.matchesFilters(listing, savedSearch.filters)) {
+          continue;
+        }
+
+        // Record first so a failed send is not retried on every listing update
+        await SavedSearch.markNotified(savedSearch._id, listing._id);
+
+        const locale = await localeService.getLocale(savedSearch.userId);
+        const delivered = await notificationService.sendToUser(
+          savedSearch.userId,
+          t(locale, 'savedSearch.alert', { name: escapeMarkdown(savedSearch.name), card: formatListingCard(listing, locale) }),
+          {
+            parse_mode: 'Markdown',
+            reply_markup: {
+              inline_keyboard: [
+                [{ text: t(locale, 'savedSearch.buttons.seeAll'), callback_data: `savedsearch_run_${savedSearch._id}` }],
+                [{ text: t(locale, 'savedSearch.buttons.pauseSearch'), callback_data: `savedsearch_pause_${savedSearch._id}` }]
+              ]
+            }
+          }
+        );
+
+        if (delivered) {
+          sent++;
+        }
+      }
+
+      if (sent > 0) {
+        Logger.info('Saved search notifications sent', { listingId: listing._id.toString(), sent });
+      }
+
+      return sent;
+    } catch (error) {
+      Logger.error('Error notifying saved searches', { error: error.message, listingId: listing._id.toString() });
+      return 0;
+    }
+  }
+}
+
+// Create singleton instance
+const savedSearchService = new SavedSearchService();
+
+module.exports = savedSearchService;
@@ -0,0 +1,248 @@
+const config = require('../config');
+const Logger = require('../utils/logger');
+const Property = require('../models/Property');
+const User = require('../models/User');
+const moderationService = require('./moderationService');
+const { formatPrice } = require('../utils/helpers');
+const { t } = require('../utils/i18n');
+const { getTypeLabel } = require('../utils/listingFormatter');
+
+class SearchService {
+  constructor() {
+    this.emptyFilters = {
+      type: null,
+      district: null,
+      minPrice: null,
+      maxPrice: null,
+      rooms: null
+    };
+
+    Logger.info('Search service initialized');
+  }
+
+  /**
+   * Normalize a filters object so every key is present
+   * @param {Object} filters - Raw filters (may be a Mongoose sub-document)
+   * @returns {Object} Plain filters object
+   */
+  normalizeFilters(filters) {
+    const source = filters && typeof filters.toObject === 'function' ? filters.toObject() : (filters || {});
+    const normalized = { ...this.emptyFilters };
+
+    for (const key of Object.keys(this.emptyFilters)) {
+      if (source[key] !== undefined && source[key] !== null) {
+        normalized[key] = source[key];
+      }
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Build a MongoDB query for published listings matching the filters
+   * @param {Object} filters - Search filters
+   * @returns {Object} MongoDB query
+   */
+  buildQuery(filters) {
+    const { type, district, minPrice, maxPrice, rooms } = this.normalizeFilters(filters);
+    const query = { status: 'published' };
+
+    // Listings of banned users are hidden
+    const bannedIds = moderationService.getBannedUserIds();
+    if (bannedIds.length > 0) {
+      query.ownerId = { $nin: bannedIds };
+    }
+    if (type) {
+      query.type = type;
+    }
+    if (district) {
+      query.district = district;
+    }
+    if (minPrice || maxPrice) {
+      query.price = {};
+      if (minPrice) {
+        query.price.$gte = minPrice;
+      }
+      if (maxPrice) {
+        query.price.$lt = maxPrice;
+      }
+    }
+    if (rooms) {
+      query.rooms = rooms >= this.getMaxRoomOption() ? { $gte: rooms } : rooms;
+    }
+
+    return query;
+  }
+
+  /**
+   * Check whether a single listing matches the filters
+   * @param {Object} listing - Property document
+   * @param {Object} filters - Search filters
+   * @returns {boolean} True if the listing matches
+   */
+  matchesFilters(listing, filters) {
+    const { type, district, minPrice, maxPrice, rooms } = this.normalizeFilters(filters);
+
+    if (listing.status !== 'published' || moderationService.isBanned(listing.ownerId)) {
+      return false;
+    }
+    if (type && listing.type !== type) {
+      return false;
+    }
+    if (district && listing.district !== district) {
+      return false;
+    }
+    if (minPrice && !(listing.price >= minPrice)) {
+      return false;
+    }
+    if (maxPrice && !(listing.price < maxPrice)) {
+      return false;
+    }
+    if (rooms) {
+      const matchesRooms = rooms >= this.getMaxRoomOption() ? listing.rooms >= rooms : listing.rooms === rooms;
+      if (!matchesRooms) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Get the largest room option ("N or more")
+   * @returns {number} Largest room option
+   */
+  getMaxRoomOption() {
+    return config.search.roomOptions[config.search.roomOptions.length - 1];
+  }
+
+  /**
+   * Search published listings
+   * @param {Object} filters - Search filters
+   * @param {number} page - Zero-based page index
+   * @returns {Promise<Object>} { listing, total, page }
+   */
+  async search(filters, page = 0) {
+    try {
+      const query = this.buildQuery(filters);
+      const total = Math.min(await Property.countDocuments(query), config.search.maxResults);
+
+      if (total === 0) {
+        return { listing: null, total: 0, page: 0 };
+      }
+
+      const safePage = Math.min(Math.max(page, 0), total - 1);
+      const listing = await Property.findOne(query)
+        .sort({ publishedAt: -1, _id: -1 })
+        .skip(safePage);
+
+      return { listing, total, page: safePage };
+    } catch (error) {
+      Logger.error('Error searching listings', { error: error.message, filters });
+      return { listing: null, total: 0, page: 0, error: 'search.failed' };
+    }
+  }
+
+  /**
+   * Get the filters a user last searched with
+   * @param {number} userId - Telegram user ID
+   * @returns {Promise<Object>} Filters
+   */
+  async getFilters(userId) {
+    try {
+      const user = await User.findByTelegramId(userId);
+      return this.normalizeFilters(user ? user.searchFilters : null);
+    } catch (error) {
+      Logger.error('Error getting search filters', { error: error.message, userId });
+      return { ...this.emptyFilters };
+    }
+  }
+
+  /**
+   * Update one or more filters for a user
+   * @param {number} userId - Telegram user ID
+   * @param {Object} changes - Filter values to change
+   * @returns {Promise<Object>} Updated filters
+   */
+  async updateFilters(userId, changes) {
+    try {
+      const user = await User.findByTelegramId(userId);
+      if (!user) {
+        return { ...this.emptyFilters, ...changes };
+      }
+
+      const filters = { ...this.normalizeFilters(user.searchFilters), ...changes };
+      await user.setSearchFilters(filters);
+
+      Logger.debug('Search filters updated', { userId, filters });
+      return this.normalizeFilters(filters);
+    } catch (error) {
+      Logger.error('Error updating search filters', { error: error.message, userId });
+      return { ...this.emptyFilters, ...changes };
+    }
+  }
+
+  /**
+   * Clear all filters for a user
+   * @param {number} userId - Telegram user ID
+   * @returns {Promise<Object>} Empty filters
+   */
+  async resetFilters(userId) {
+    return await this.updateFilters(userId, { ...this.emptyFilters });
+  }
+
+  /**
+   * Get a label for a price range
+   * @param {number|null} min - Minimum price
+   * @param {number|null} max - Maximum price
+   * @param {string} locale - Locale code
+   * @returns {string} Label
+   */
+  getPriceLabel(min, max, locale = 'en') {
+    if (!min && !max) {
+      return t(locale, 'common.any');
+    }
+    if (!min) {
+      return t(locale, 'price.under', { max: formatPrice(max, 'USD', locale) });
+    }
+    if (!max) {
+      return t(locale, 'price.from', { min: formatPrice(min, 'USD', locale) });
+    }
+    return t(locale, 'price.between', { min: formatPrice(min, 'USD', locale), max: formatPrice(max, 'USD', locale) });
+  }
+
+  /**
+   * Get a label for a room filter
+   * @param {number|null} rooms - Rooms filter
+   * @param {string} locale - Locale code
+   * @returns {string} Label
+   */
+  getRoomsLabel(rooms, locale = 'en') {
+    if (!rooms) {
+      return t(locale, 'common.any');
+    }
+    return rooms >= this.getMaxRoomOption() ? `${rooms}+` : `${rooms}`;
+  }
+
+  /**
+   * Describe filters in a human readable way
+   * @param {Object} filters - Search filters
+   * @param {string} locale - Locale code
+   * @returns {string} Description (one filter per line)
+   */
+  describeFilters(filters, locale = 'en') {
+    const { type, district, minPrice, maxPrice, rooms } = this.normalizeFilters(filters);
+
+    return [
+      t(locale, 'search.filters.price', { value: this.getPriceLabel(minPrice, maxPrice, locale) }),
+      t(locale, 'search.filters.district', { value: district || t(locale, 'common.any') }),
+      t(locale, 'search.filters.rooms', { value: this.getRoomsLabel(rooms, locale) }),
+      t(locale, 'search.filters.type', { value: type ? getTypeLabel(type, locale) : t(locale, 'common.any') })
+    ].join('\n');
+  }
+}
+
+// Create singleton instance
+const searchService = new SearchService();
+
+module.exports = searchService;
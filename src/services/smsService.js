@@ -0,0 +1,56 @@
+const config = require('../config');
+const Logger = require('../utils/logger');
+const LogSmsProvider = require('./logSmsProvider');
+
+/**
+ * Sends SMS through the provider selected by config.sms.provider.
+ * A provider is any object with `async send(phoneNumber, text)` returning { success, error }.
+ */
+class SmsService {
+  constructor() {
+    this.providers = new Map();
+    this.registerProvider('log', new LogSmsProvider(config.sms.logFile));
+  }
+
+  /**
+   * Make a provider available under a name
+   * @param {string} name - Provider name used in config.sms.provider
+   * @param {Object} provider - Provider implementing send(phoneNumber, text)
+   */
+  registerProvider(name, provider) {
+    if (!provider || typeof provider.send !== 'function') {
+      throw new Error(`SMS provider "${name}" must implement send(phoneNumber, text)`);
+    }
+    this.providers.set(name, provider);
+  }
+
+  /**
+   * Send a text message
+   * @param {string} phoneNumber - Recipient in E.164 format
+   * @param {string} text - Message text
+   * @returns {Promise<Object>} { success } or { success: false, error }
+   */
+  async send(phoneNumber, text) {
+    const provider = this.providers.get(config.sms.provider);
+    if (!provider) {
+      Logger.error('SMS provider not registered', { provider: config.sms.provider });
+      return { success: false, error: 'SMS provider not configured' };
+    }
+
+    try {
+      const result = await provider.send(phoneNumber, text);
+      if (!result.success) {
+        Logger.error('SMS provider failed to send', { provider: config.sms.provider, error: result.error });
+      }
+      return result;
+    } catch (error) {
+      Logger.error('Error sending SMS', { error: error.message, provider: config.sms.provider });
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+// Create singleton instance
+const smsService = new SmsService();
+
+module.exports = smsService;
@@ -0,0 +1,285 @@
+const config = require('../config');
+const Logger = require('../utils/logger');
+const User = require('../models/User');
+const Chat = require('../models/Chat');
+const Property = require('../models/Property');
+const SummaryReport = require('../models/SummaryReport');
+const databaseService = require('./database');
+const notificationService = require('./notificationService');
+const { parseCron, isValidTimeZone, getNextRun } = require('../utils/cron');
+const { escapeMarkdown, formatDate } = require('../utils/helpers');
+const { getLocaleTag, t } = require('../utils/i18n');
+
+const DAY = 24 * 60 * 60 * 1000;
+// setTimeout can't wait longer than about 24 days, so longer waits are split
+const MAX_DELAY = 24 * 60 * 60 * 1000;
+// Daylight saving can move a schedule by an hour
+const PERIOD_TOLERANCE = 60 * 60 * 1000;
+
+class SummaryReportService {
+  constructor() {
+    this.settings = config.reports;
+    this.timers = new Map();
+    this.locale = config.i18n.defaultLocale;
+  }
+
+  /**
+   * Schedule the configured reports
+   */
+  start() {
+    if (this.timers.size > 0) {
+      return;
+    }
+
+    if (!this.settings.chatId) {
+      Logger.info('Summary reports are off: no report chat configured');
+      return;
+    }
+
+    if (!isValidTimeZone(this.settings.timezone)) {
+      Logger.error('Summary reports are off: unknown time zone', { timezone: this.settings.timezone });
+      return;
+    }
+
+    for (const schedule of this.settings.schedules) {
+      if (!schedule.cron) {
+        continue;
+      }
+
+      const cron = parseCron(schedule.cron);
+      if (!cron) {
+        Logger.error('Invalid summary report schedule', { name: schedule.name, cron: schedule.cron });
+        continue;
+      }
+
+      this.scheduleNext({ ...schedule, parsed: cron });
+    }
+
+    Logger.info('Summary reports started', {
+      chatId: this.settings.chatId,
+      timezone: this.settings.timezone,
+      schedules: [...this.timers.keys()]
+    });
+  }
+
+  /**
+   * Cancel the scheduled reports
+   */
+  stop() {
+    for (const timer of this.timers.values()) {
+      clearTimeout(timer);
+    }
+    this.timers.clear();
+  }
+
+  /**
+   * Wait for the next run of a schedule
+   * @param {Object} schedule - { name, cron, days, parsed }
+   */
+  scheduleNext(schedule) {
+    const runAt = getNextRun(schedule.parsed, new Date(), this.settings.timezone);
+    if (!runAt) {
+      Logger.warn('Summary report schedule never runs', { name: schedule.name, cron: schedule.cron });
+      this.timers.delete(schedule.name);
+      return;
+    }
+
+    const timer = setTimeout(async () => {
+      if (Date.now() >= runAt.getTime()) {
+        await this.run(schedule.name, schedule.days, runAt);
+      }
+      // Only schedule again if the reports weren't stopped meanwhile
+      if (this.timers.get(schedule.name) === timer) {
+        this.scheduleNext(schedule);
+      }
+    }, Math.min(runAt.getTime() - Date.now(), MAX_DELAY));
+
+    this.timers.set(schedule.name, timer);
+  }
+
+  /**
+   * Count users, registrations and new listings of a period
+   * @param {Date} from - Start of the period
+   * @param {Date} to - End of the period (excluded)
+   * @returns {Promise<Object>} { newUsers, newRegistrations, districts }
+   */
+  async countPeriod(from, to) {
+    const period = { $gte: from, $lt: to };
+    const [newUsers] = await User.getUserStats({ firstSeen: period });
+    const [newRegistrations] = await User.getUserStats({ isRegistered: true, registeredAt: period });
+    const districts = await Property.countPublishedByDistrict(from, to);
+
+    return {
+      newUsers: newUsers ? newUsers.totalUsers : 0,
+      newRegistrations: newRegistrations ? newRegistrations.totalUsers : 0,
+      districts: districts.map(group => ({ district: group._id, count: group.count }))
+    };
+  }
+
+  /**
+   * Gather the figures of a period and of the one before it
+   * @param {string} name - Schedule name
+   * @param {Date} from - Start of the period
+   * @param {Date} to - End of the period (excluded)
+   * @returns {Promise<Object>} { metrics, totalMessages, previous }
+   */
+  async collect(name, from, to) {
+    const length = to.getTime() - from.getTime();
+    const current = await this.countPeriod(from, to);
+    const before = await this.countPeriod(new Date(from.getTime() - length), from);
+
+    const [active] = await User.getUserStats({ lastSeen: { $gte: from, $lt: to } });
+    const chats = await Chat.getChatStats();
+    const totalMessages = chats.reduce((sum, group) => sum + group.totalMessages, 0);
+
+    // Users seen and messages are only known for a period when it was reported
+    const last = await SummaryReport.findPrevious(name, to);
+    const lastCoversBefore = Boolean(last) && Math.abs(last.periodEnd.getTime() - from.getTime()) <= PERIOD_TOLERANCE;
+
+    return {
+      metrics: {
+        newUsers: current.newUsers,
+        newRegistrations: current.newRegistrations,
+        activeUsers: active ? active.activeUsers : 0,
+        messages: lastCoversBefore ? Math.max(totalMessages - last.totalMessages, 0) : null,
+        newListings: current.districts.reduce((sum, group) => sum + group.count, 0),
+        topDistricts: current.districts.slice(0, this.settings.topDistricts)
+      },
+      totalMessages,
+      previous: {
+        newUsers: before.newUsers,
+        newRegistrations: before.newRegistrations,
+        activeUsers: lastCoversBefore ? last.metrics.activeUsers : null,
+        messages: lastCoversBefore ? last.metrics.messages : null,
+        newListings: before.districts.reduce((sum, group) => sum + group.count, 0),
+        districts: new Map(before.districts.map(group => [group.district, group.count]))
+      }
+    };
+  }
+
+  /**
+   * Describe how a figure changed since the previous period
+   * @param {number|null} value - Figure of the period
+   * @param {number|null} previous - Figure of the previous period
+   * @returns {string} e.g. " (+20% from 10)", or nothing if there is nothing to compare
+   */
+  formatChange(value, previous) {
+    if (value === null || previous === null || previous === undefined) {
+      return '';
+    }
+    if (value === previous) {
+      return t(this.locale, 'reports.unchanged');
+    }
+
+    const tag = getLocaleTag(this.locale);
+    const change = previous === 0
+      ? new Intl.NumberFormat(tag, { signDisplay: 'always' }).format(value)
+      : new Intl.NumberFormat(tag, { style: 'percent', signDisplay: 'always', maximumFractionDigits: 0 })
+        .format((value - previous) / previous);
+
+    return t(this.locale, 'reports.change', { change, previous });
+  }
+
+  /**
+   * Write the report message
+   * @param {string} name - Schedule name
+   * @param {Date} from - Start of the period
+   * @param {Date} to - End of the period
+   * @param {Object} figures - Result of collect()
+   * @returns {string} Markdown text
+   */
+  buildReport(name, from, to, { metrics, previous }) {
+    const translate = (key, params) => t(this.locale, key, params);
+    const line = (key, field) => translate(key, {
+      value: metrics[field] === null ? translate('reports.unknown') : metrics[field],
+      change: this.formatChange(metrics[field], previous[field])
+    });
+
+    const lines = [
+      translate(`reports.titles.${name}`),
+      translate('reports.period', {
+        from: formatDate(from, this.locale, this.settings.timezone),
+        to: formatDate(to, this.locale, this.settings.timezone)
+      }),
+      '',
+      line('reports.newUsers', 'newUsers'),
+      line('reports.newRegistrations', 'newRegistrations'),
+      line('reports.activeUsers', 'activeUsers'),
+      line('reports.messages', 'messages'),
+      line('reports.newListings', 'newListings'),
+      ''
+    ];
+
+    if (metrics.topDistricts.length === 0) {
+      lines.push(translate('reports.noListings'));
+    } else {
+      lines.push(translate('reports.topDistricts'));
+      metrics.topDistricts.forEach((group, index) => {
+        lines.push(translate('reports.district', {
+          position: index + 1,
+          district: escapeMarkdown(group.district || translate('reports.unknown')),
+          value: group.count,
+          change: this.formatChange(group.count, previous.districts.get(group.district) || 0)
+        }));
+      });
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Send the report of the period ending at a run of a schedule
+   * @param {string} name - Schedule name
+   * @param {number} days - Length of the period
+   * @param {Date} runAt - End of the period
+   * @returns {Promise<Object>} { success } or { success: false, error }
+   */
+  async run(name, days, runAt) {
+    if (!databaseService.isConnected) {
+      Logger.warn('Summary report skipped: database not connected', { name });
+      return { success: false, error: 'database' };
+    }
+
+    const to = runAt;
+    const from = new Date(to.getTime() - days * DAY);
+
+    try {
+      const figures = await this.collect(name, from, to);
+
+      let report;
+      try {
+        report = await SummaryReport.create({
+          name,
+          chatId: this.settings.chatId,
+          periodStart: from,
+          periodEnd: to,
+          metrics: figures.metrics,
+          totalMessages: figures.totalMessages
+        });
+      } catch (error) {
+        // Another instance of the bot has already sent it
+        if (error.code === 11000) {
+          Logger.info('Summary report already sent', { name, periodEnd: to });
+          return { success: false, error: 'duplicate' };
+        }
+        throw error;
+      }
+
+      await notificationService.telegram.sendMessage(this.settings.chatId, this.buildReport(name, from, to, figures), {
+        parse_mode: 'Markdown'
+      });
+      await report.markSent();
+
+      Logger.info('Summary report sent', { name, chatId: this.settings.chatId, periodEnd: to });
+      return { success: true };
+    } catch (error) {
+      Logger.error('Error sending summary report', { name, error: error.message });
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+// Create singleton instance
+const summaryReportService = new SummaryReportService();
+
+module.exports = summaryReportService;
@@ -0,0 +1,162 @@
+const config = require('../config');
+const Logger = require('../utils/logger');
+const User = require('../models/User');
+const TermsVersion = require('../models/TermsVersion');
+const databaseService = require('./database');
+const { escapeMarkdown } = require('../utils/helpers');
+
+class TermsService {
+  constructor() {
+    this.current = { version: config.terms.initialVersion, url: config.terms.url, publishedAt: null };
+    // Telegram user ID => accepted version, only kept once it is the current one
+    this.accepted = new Map();
+
+    Logger.info('Terms service initialized');
+  }
+
+  /**
+   * Load the latest published terms version
+   */
+  async load() {
+    if (!databaseService.isConnected) {
+      return;
+    }
+
+    try {
+      const latest = await TermsVersion.findLatest();
+      if (latest) {
+        this.current = { version: latest.version, url: latest.url, publishedAt: latest.publishedAt };
+      }
+      Logger.info('Terms version loaded', { version: this.current.version });
+    } catch (error) {
+      Logger.error('Error loading terms version', { error: error.message });
+    }
+  }
+
+  /**
+   * Get the terms version in force
+   * @returns {Object} { version, url, publishedAt }
+   */
+  getCurrent() {
+    return this.current;
+  }
+
+  /**
+   * Build the consent text of the current terms
+   * @param {Function} translate - (key, params) => text in the user's language
+   * @returns {string} Markdown text
+   */
+  getText(translate) {
+    const text = translate('terms.text', { version: this.current.version });
+    return this.current.url ? `${text}\n\n${translate('terms.link', { url: escapeMarkdown(this.current.url) })}` : text;
+  }
+
+  /**
+   * Check if an accepted version is the one in force
+   * @param {number|null} version - Accepted version
+   * @returns {boolean} True if nothing has to be accepted again
+   */
+  isCurrent(version) {
+    return typeof version === 'number' && version >= this.current.version;
+  }
+
+  /**
+   * Check if a member has to accept the current terms before using the bot.
+   * Users who haven't registered are asked during registration instead.
+   * @param {number} userId - Telegram user ID
+   * @returns {Promise<boolean>} True if the user must accept the terms first
+   */
+  async needsConsent(userId) {
+    if (this.isCurrent(this.accepted.get(userId)) || !databaseService.isConnected) {
+      return false;
+    }
+
+    try {
+      const user = await User.findOne(
+        { telegramId: userId },
+        { isRegistered: 1, registrationState: 1, termsVersion: 1 }
+      );
+      if (!user || (!user.isRegistered && user.registrationState !== 'pending_review')) {
+        return false;
+      }
+
+      if (this.isCurrent(user.termsVersion)) {
+        this.accepted.set(userId, user.termsVersion);
+        return false;
+      }
+      return true;
+    } catch (error) {
+      Logger.error('Error checking terms consent', { error: error.message, userId });
+      return false;
+    }
+  }
+
+  /**
+   * Record that a user accepted the current terms
+   * @param {number} userId - Telegram user ID
+   * @returns {Promise<Object>} { success, version } or { success: false, error }
+   */
+  async accept(userId) {
+    try {
+      const version = this.current.version;
+      await User.updateOne(
+        { telegramId: userId },
+        { $set: { termsVersion: version, termsAcceptedAt: new Date() } }
+      );
+      this.accepted.set(userId, version);
+
+      Logger.info('Terms accepted', { userId, version });
+      return { success: true, version };
+    } catch (error) {
+      Logger.error('Error saving terms consent', { error: error.message, userId });
+      return { success: false, error: 'terms.saveFailed' };
+    }
+  }
+
+  /**
+   * Remember a version accepted elsewhere, such as in the registration wizard
+   * @param {number} userId - Telegram user ID
+   * @param {number|null} version - Accepted version
+   */
+  remember(userId, version) {
+    if (typeof version === 'number') {
+      this.accepted.set(userId, version);
+    }
+  }
+
+  /**
+   * Publish a new terms version that every member has to accept again
+   * @param {number} adminId - Telegram user ID of the admin
+   * @param {string|null} url - Link to the new text, or null to keep the current link
+   * @returns {Promise<Object>} { success, version } or { success: false, error }
+   */
+  async publish(adminId, url = null) {
+    if (!databaseService.isConnected) {
+      return { success: false, error: 'terms.publishFailed' };
+    }
+
+    try {
+      if (url && !/^https?:\/\/\S+$/i.test(url)) {
+        return { success: false, error: 'terms.invalidUrl' };
+      }
+
+      const terms = await TermsVersion.create({
+        version: this.current.version + 1,
+        url: url || this.current.url,
+        publishedBy: adminId
+      });
+      this.current = { version: terms.version, url: terms.url, publishedAt: terms.publishedAt };
+
+      Logger.info('Terms version published', { version: terms.version, adminId });
+      return { success: true, version: terms.version };
+    } catch (error) {
+      Logger.error('Error publishing terms version', { error: error.message, adminId });
+      return { success: false, error: 'terms.publishFailed' };
+    }
+  }
+}
+
+// Create singleton instance
+const termsService = new TermsService();
+
+module.exports = termsService;
@@ -0,0 +1,885 @@
+const config = require('../config');
+const Logger = require('../utils/logger');
+const WizardSession = require('../models/WizardSession');
+const { escapeMarkdown } = require('../utils/helpers');
+const { t, getTranslations } = require('../utils/i18n');
+
+const SUMMARY_STEP = '_summary';
+
+/**
+ * Runs declarative step-by-step flows.
+ *
+ * Texts (prompts, labels, button texts, messages and validation errors) are catalogue keys
+ * translated to the user's locale, { key, params } objects, or functions (data, translate, locale) => text.
+ *
+ * A flow is an object with:
+ * - id: unique flow name
+ * - steps: array of steps, each with
+ *     id (letters and digits), prompt,
+ *     input: 'text' | 'contact' | 'callback' | 'photo' | 'location' (or an array of them),
+ *     options: rows of { text, value } buttons for callback steps,
+ *     multiple: true to let callback steps pick several options (the value is an array),
+ *     optional: true to add a "Skip" button (the value is null, or [] for multiple), emptyText: shown for it,
+ *     validate(value, { type, userId, data, locale }): returns { valid, value, data } or { valid: false, error | notice },
+ *     onAnswer(ctx, value, data): called once a valid answer is stored,
+ *     field: key the value is stored under, label/editText: how the value is shown on the summary,
+ *     format(value, data, translate, locale): Markdown text of the value,
+ *     next(data): id of the following step when the flow branches,
+ *     followUp: true to ask the step again when the answer before it is edited from the summary,
+ *       or the ids of the steps whose edits should lead to it,
+ *     back: false to skip the step when going back (it also can't be edited from the summary),
+ *     onEnter(ctx, data): called before the prompt is shown, may return a notice to send first,
+ *     savedMessage: confirmation shown when leaving a reply keyboard step
+ * - summary: { title, footer, completeText } to confirm the answers before completing (optional)
+ * - timeout: inactivity in ms after which the session expires
+ * - onStart(ctx), onResume(ctx), onCancel(userId), onComplete(userId, data) hooks;
+ *   onStart may return the initial data, onComplete returns { success, error }
+ * - firstStep(data): id of the step to start from when it depends on the initial data
+ * - opensOnSummary(data): true to start on the summary, e.g. when editing earlier answers
+ * - cancelMessage, expiredMessage
+ */
+class WizardEngine {
+  constructor() {
+    this.flows = new Map();
+    this.hooks = new Map();
+  }
+
+  /**
+   * Register a flow
+   * @param {Object} flow - Flow definition
+   * @param {Object} hooks - Handler callbacks ({ onComplete(ctx, result) })
+   */
+  register(flow, hooks = {}) {
+    if (!flow.id || !Array.isArray(flow.steps) || flow.steps.length === 0) {
+      throw new Error('A wizard flow needs an id and at least one step');
+    }
+
+    // Step ids are part of the callback data, so they can't contain underscores
+    const ids = new Set(flow.steps.map(step => step.id));
+    if (ids.size !== flow.steps.length || flow.steps.some(step => !/^[a-z0-9]+$/i.test(step.id))) {
+      throw new Error(`Wizard flow "${flow.id}" has duplicate or invalid step ids`);
+    }
+
+    this.flows.set(flow.id, flow);
+    this.hooks.set(flow.id, hooks);
+    Logger.info('Wizard flow registered', { flowId: flow.id, steps: flow.steps.length });
+  }
+
+  /**
+   * Get a registered flow
+   * @param {string} flowId - Flow ID
+   * @returns {Object} Flow definition
+   */
+  getFlow(flowId) {
+    const flow = this.flows.get(flowId);
+    if (!flow) {
+      throw new Error(`Unknown wizard flow "${flowId}"`);
+    }
+    return flow;
+  }
+
+  /**
+   * Get a step of a flow
+   * @param {Object} flow - Flow definition
+   * @param {string} stepId - Step ID
+   * @returns {Object} Step definition
+   */
+  getStep(flow, stepId) {
+    const step = flow.steps.find(item => item.id === stepId);
+    if (!step) {
+      throw new Error(`Unknown step "${stepId}" in wizard flow "${flow.id}"`);
+    }
+    return step;
+  }
+
+  /**
+   * Get the input types a step accepts
+   * @param {Object} step - Step definition
+   * @returns {Array<string>} Input types
+   */
+  getInputTypes(step) {
+    return Array.isArray(step.input) ? step.input : [step.input || 'text'];
+  }
+
+  /**
+   * Check if a step is answered with a reply keyboard button
+   * @param {Object|null} step - Step definition
+   * @returns {boolean} True for contact and location steps
+   */
+  usesReplyKeyboard(step) {
+    return Boolean(step) && this.getInputTypes(step).some(type => type === 'contact' || type === 'location');
+  }
+
+  /**
+   * Get the user's unexpired wizard session
+   * @param {number} userId - Telegram user ID
+   * @param {string} flowId - Only return a session of this flow (optional)
+   * @returns {Promise<Object|null>} Wizard session
+   */
+  async getSession(userId, flowId = null) {
+    const session = await WizardSession.findByUser(userId);
+    if (!session || session.isExpired() || (flowId && session.flowId !== flowId)) {
+      return null;
+    }
+    return session;
+  }
+
+  /**
+   * Remove the user's wizard session
+   * @param {number} userId - Telegram user ID
+   */
+  async clearSession(userId) {
+    await WizardSession.deleteOne({ userId });
+  }
+
+  /**
+   * Start a flow, or show the current step again if it is already running
+   * @param {Object} ctx - Telegraf context
+   * @param {string} flowId - Flow ID
+   * @returns {Promise<Object>} Result
+   */
+  async start(ctx, flowId) {
+    try {
+      const flow = this.getFlow(flowId);
+      const userId = ctx.from.id;
+
+      let session = await WizardSession.findByUser(userId);
+      if (session && !session.isExpired() && session.flowId !== flowId) {
+        return { success: false, error: t(ctx.locale, 'wizard.busy') };
+      }
+
+      if (!session || session.isExpired() || session.flowId !== flowId) {
+        if (session) {
+          await session.deleteOne();
+        }
+        const data = (flow.onStart && await flow.onStart(ctx)) || {};
+        const onSummary = Boolean(flow.summary && flow.opensOnSummary && flow.opensOnSummary(data));
+
+        session = new WizardSession({
+          userId,
+          flowId,
+          stepId: onSummary ? SUMMARY_STEP : this.getFirstStepId(flow, data),
+          history: onSummary ? this.getPathIds(flow, data) : [],
+          data,
+          expiresAt: new Date(Date.now() + this.getTimeout(flow))
+        });
+        await session.save();
+        Logger.info('Wizard started', { userId, flowId });
+      } else {
+        await session.touch(this.getTimeout(flow));
+        if (flow.onResume) {
+          await flow.onResume(ctx);
+        }
+      }
+
+      await this.render(ctx, flow, session);
+      return { success: true };
+    } catch (error) {
+      Logger.error('Error starting wizard', { error: error.message, flowId });
+      return { success: false, error: t(ctx.locale, 'wizard.startFailed') };
+    }
+  }
+
+  /**
+   * Telegraf middleware routing messages and "wz_" callbacks to the running flow
+   * @returns {Function} Middleware
+   */
+  middleware() {
+    return async (ctx, next) => {
+      try {
+        const callbackData = ctx.callbackQuery && ctx.callbackQuery.data;
+        const isWizardCallback = Boolean(callbackData && callbackData.startsWith('wz_'));
+        const input = ctx.message ? this.getMessageInput(ctx.message) : null;
+
+        // Other commands keep working while a flow is running
+        const isCommand = input && input.type === 'text' && input.value.startsWith('/') && !this.isCancelText(input.value);
+        if (!ctx.from || (!isWizardCallback && (!input || isCommand))) {
+          return next();
+        }
+
+        const session = await WizardSession.findByUser(ctx.from.id);
+        if (!session) {
+          if (isWizardCallback) {
+            await ctx.answerCbQuery(t(ctx.locale, 'wizard.inactive'));
+            return;
+          }
+          return next();
+        }
+
+        const flow = this.flows.get(session.flowId);
+        if (!flow) {
+          await session.deleteOne();
+          return next();
+        }
+
+        if (session.isExpired()) {
+          await session.deleteOne();
+          if (isWizardCallback) {
+            await ctx.answerCbQuery();
+          }
+          await ctx.reply(this.text(ctx.locale, flow.expiredMessage || 'wizard.expired'), {
+            reply_markup: { remove_keyboard: true }
+          });
+          return;
+        }
+
+        if (isWizardCallback) {
+          await ctx.answerCbQuery();
+          await this.handleCallback(ctx, flow, session, callbackData);
+        } else {
+          await this.handleMessage(ctx, flow, session, input);
+        }
+      } catch (error) {
+        Logger.error('Error in wizard middleware', { error: error.message });
+        await ctx.reply(t(ctx.locale, 'common.error'));
+      }
+    };
+  }
+
+  /**
+   * Extract the input carried by a message
+   * @param {Object} message - Telegram message
+   * @returns {Object|null} { type, value } or null for unsupported messages
+   */
+  getMessageInput(message) {
+    if (message.text) {
+      return { type: 'text', value: message.text };
+    }
+    if (message.contact) {
+      return {
+        type: 'contact',
+        value: {
+          phoneNumber: message.contact.phone_number,
+          userId: message.contact.user_id,
+          firstName: message.contact.first_name
+        }
+      };
+    }
+    if (message.photo && message.photo.length > 0) {
+      // The last size is the largest one
+      const photo = message.photo[message.photo.length - 1];
+      return { type: 'photo', value: { fileId: photo.file_id, fileUniqueId: photo.file_unique_id } };
+    }
+    if (message.location) {
+      return {
+        type: 'location',
+        value: { latitude: message.location.latitude, longitude: message.location.longitude }
+      };
+    }
+    return null;
+  }
+
+  /**
+   * Check if a message asks to cancel the flow
+   * @param {string} text - Message text
+   * @returns {boolean} True for /cancel or the cancel button
+   */
+  isCancelText(text) {
+    const clean = (text || '').trim();
+    // The reply keyboard may still show the button in the language it was sent in
+    return getTranslations('wizard.cancel').includes(clean) || /^\/cancel(@\w+)?$/.test(clean);
+  }
+
+  /**
+   * Check if a message is the back button of a reply keyboard
+   * @param {string} text - Message text
+   * @returns {boolean} True for the back button in any locale
+   */
+  isBackText(text) {
+    return getTranslations('wizard.back').includes((text || '').trim());
+  }
+
+  /**
+   * Translate a flow text
+   * @param {string} locale - Locale code
+   * @param {string|Object|Function} value - Catalogue key, { key, params } or function (data, translate, locale)
+   * @param {Object} data - Collected answers
+   * @returns {string} Text
+   */
+  text(locale, value, data = {}) {
+    if (typeof value === 'function') {
+      return value(data, (key, params) => t(locale, key, params), locale);
+    }
+    return t(locale, value);
+  }
+
+  /**
+   * Handle a message sent while a flow is running
+   * @param {Object} ctx - Telegraf context
+   * @param {Object} flow - Flow definition
+   * @param {Object} session - Wizard session
+   * @param {Object} input - { type, value }
+   */
+  async handleMessage(ctx, flow, session, input) {
+    if (input.type === 'text' && this.isCancelText(input.value)) {
+      await this.cancel(ctx, flow, session);
+      return;
+    }
+    if (input.type === 'text' && this.isBackText(input.value)) {
+      await this.back(ctx, flow, session);
+      return;
+    }
+
+    if (session.stepId === SUMMARY_STEP) {
+      await ctx.reply(t(ctx.locale, 'wizard.useSummaryButtons'));
+      return;
+    }
+
+    const step = this.getStep(flow, session.stepId);
+    const accepted = this.getInputTypes(step);
+    if (!accepted.includes(input.type)) {
+      await ctx.reply(`❌ ${this.getInputHint(ctx.locale, accepted)}`, this.getStepKeyboard(ctx.locale, flow, session, step));
+      return;
+    }
+
+    await this.submit(ctx, flow, session, step, input);
+  }
+
+  /**
+   * Handle a "wz_" callback
+   * @param {Object} ctx - Telegraf context
+   * @param {Object} flow - Flow definition
+   * @param {Object} session - Wizard session
+   * @param {string} data - Callback data
+   */
+  async handleCallback(ctx, flow, session, data) {
+    if (data === 'wz_back') {
+      await this.back(ctx, flow, session);
+      return;
+    }
+    if (data === 'wz_cancel') {
+      await this.cancel(ctx, flow, session);
+      return;
+    }
+    if (data === 'wz_done' && session.stepId === SUMMARY_STEP) {
+      await this.complete(ctx, flow, session);
+      return;
+    }
+    if (data.startsWith('wz_edit_') && session.stepId === SUMMARY_STEP) {
+      await this.edit(ctx, flow, session, data.replace('wz_edit_', ''));
+      return;
+    }
+
+    const step = this.getCurrentStep(flow, session);
+    if (data === 'wz_skip' && step && step.optional) {
+      await this.submit(ctx, flow, session, step, { type: 'skip', value: null });
+      return;
+    }
+
+    // Option buttons carry their step so buttons of earlier screens are ignored
+    const match = data.match(/^wz_opt_([^_]+)_(.+)$/);
+    if (match && step && match[1] === step.id) {
+      if (step.multiple) {
+        await this.handleMultipleChoice(ctx, flow, session, step, match[2]);
+      } else {
+        await this.submit(ctx, flow, session, step, { type: 'callback', value: match[2] });
+      }
+      return;
+    }
+
+    await ctx.reply(t(ctx.locale, 'wizard.buttonInactive'));
+  }
+
+  /**
+   * Toggle an option of a multiple choice step, or submit the selection with "done"
+   * @param {Object} ctx - Telegraf context
+   * @param {Object} flow - Flow definition
+   * @param {Object} session - Wizard session
+   * @param {Object} step - Step definition
+   * @param {string} value - Option value or "done"
+   */
+  async handleMultipleChoice(ctx, flow, session, step, value) {
+    const selected = this.getSelection(session, step);
+
+    if (value === 'done') {
+      if (selected.length === 0 && !step.optional) {
+        await ctx.reply(t(ctx.locale, 'wizard.chooseOne'));
+        return;
+      }
+      await this.submit(ctx, flow, session, step, { type: 'callback', value: selected });
+      return;
+    }
+
+    const allowed = (step.options || []).some(row => row.some(option => String(option.value) === value));
+    if (!allowed) {
+      await ctx.reply(t(ctx.locale, 'wizard.buttonInactive'));
+      return;
+    }
+
+    const updated = selected.includes(value) ? selected.filter(item => item !== value) : [...selected, value];
+    session.setValues({ [step.field]: updated });
+    await session.touch(this.getTimeout(flow));
+
+    // Only the check marks change, so the keyboard is updated in place
+    await ctx.editMessageReplyMarkup(this.getStepKeyboard(ctx.locale, flow, session, step).reply_markup);
+  }
+
+  /**
+   * Get the options currently picked on a multiple choice step
+   * @param {Object} session - Wizard session
+   * @param {Object} step - Step definition
+   * @returns {Array<string>} Selected option values
+   */
+  getSelection(session, step) {
+    const value = session.data[step.field];
+    return Array.isArray(value) ? value.map(String) : [];
+  }
+
+  /**
+   * Validate and store the answer to a step, then move on
+   * @param {Object} ctx - Telegraf context
+   * @param {Object} flow - Flow definition
+   * @param {Object} session - Wizard session
+   * @param {Object} step - Step definition
+   * @param {Object} input - { type, value }
+   */
+  async submit(ctx, flow, session, step, input) {
+    const userId = ctx.from.id;
+    let validation;
+    if (input.type === 'skip') {
+      validation = { valid: true, value: step.multiple ? [] : null };
+    } else if (step.validate) {
+      validation = await step.validate(input.value, { type: input.type, userId, data: session.data, locale: ctx.locale });
+    } else {
+      validation = { valid: true, value: input.value };
+    }
+
+    if (!validation.valid) {
+      // A notice is an informational answer, such as "new code sent", rather than an error
+      const text = validation.notice
+        ? t(ctx.locale, validation.notice)
+        : `❌ ${t(ctx.locale, validation.error)}`;
+      await ctx.reply(text, this.getStepKeyboard(ctx.locale, flow, session, step));
+      return;
+    }
+
+    const values = { ...validation.data };
+    if (step.field) {
+      values[step.field] = validation.value;
+    }
+    session.setValues(values);
+    if (step.onAnswer) {
+      await step.onAnswer(ctx, validation.value, session.data);
+    }
+
+    const nextId = step.next ? step.next(session.data) : this.getFollowingStepId(flow, step);
+    const nextStep = nextId ? this.getStep(flow, nextId) : null;
+
+    if (session.editing && !this.isFollowUp(session, nextStep)) {
+      // An edited answer goes back to the summary; the edit may have changed the path behind it
+      session.history = this.getPathIds(flow, session.data);
+      session.editing = false;
+      session.stepId = SUMMARY_STEP;
+    } else {
+      session.history.push(step.id);
+
+      if (nextStep) {
+        session.stepId = nextStep.id;
+      } else if (flow.summary) {
+        session.stepId = SUMMARY_STEP;
+      } else {
+        await this.leaveStep(ctx, step, null, step.savedMessage);
+        await this.complete(ctx, flow, session);
+        return;
+      }
+    }
+
+    await session.touch(this.getTimeout(flow));
+    await this.leaveStep(ctx, step, this.getCurrentStep(flow, session), step.savedMessage);
+    await this.render(ctx, flow, session);
+  }
+
+  /**
+   * Check if a step has to be asked again as part of the current edit
+   * @param {Object} session - Wizard session
+   * @param {Object|null} step - Step that would come next
+   * @returns {boolean} True if the step follows up on the edited answer
+   */
+  isFollowUp(session, step) {
+    if (!step || !step.followUp) {
+      return false;
+    }
+    if (step.followUp === true) {
+      return true;
+    }
+
+    // The edit started at the step right after the summary entry in the history
+    const summaryIndex = session.history.lastIndexOf(SUMMARY_STEP);
+    const origin = session.history[summaryIndex + 1] || session.stepId;
+    return step.followUp.includes(origin);
+  }
+
+  /**
+   * Go back to the previous step
+   * @param {Object} ctx - Telegraf context
+   * @param {Object} flow - Flow definition
+   * @param {Object} session - Wizard session
+   */
+  async back(ctx, flow, session) {
+    // Steps declared with back: false are skipped on the way back
+    const history = [...session.history];
+    let previousId = history.pop();
+    while (previousId && previousId !== SUMMARY_STEP && this.getStep(flow, previousId).back === false) {
+      previousId = history.pop();
+    }
+
+    if (!previousId) {
+      await ctx.reply(t(ctx.locale, 'wizard.firstStep'));
+      return;
+    }
+
+    const currentStep = this.getCurrentStep(flow, session);
+    const previousStep = previousId === SUMMARY_STEP ? null : this.getStep(flow, previousId);
+    session.history = history;
+    session.stepId = previousId;
+    // Still editing while the summary is further back in the history
+    session.editing = previousId !== SUMMARY_STEP && history.includes(SUMMARY_STEP);
+    await session.touch(this.getTimeout(flow));
+
+    await this.leaveStep(ctx, currentStep, previousStep, 'wizard.back');
+    await this.render(ctx, flow, session);
+  }
+
+  /**
+   * Re-enter a step from the summary to change its answer
+   * @param {Object} ctx - Telegraf context
+   * @param {Object} flow - Flow definition
+   * @param {Object} session - Wizard session
+   * @param {string} stepId - Step to edit
+   */
+  async edit(ctx, flow, session, stepId) {
+    const step = this.getSummarySteps(flow, session.data).find(item => item.id === stepId);
+    if (!step || step.back === false) {
+      await ctx.reply(t(ctx.locale, 'wizard.cantEdit'));
+      return;
+    }
+
+    session.history.push(SUMMARY_STEP);
+    session.stepId = step.id;
+    session.editing = true;
+    await session.touch(this.getTimeout(flow));
+
+    await this.render(ctx, flow, session);
+  }
+
+  /**
+   * Cancel the running flow
+   * @param {Object} ctx - Telegraf context
+   * @param {Object} flow - Flow definition
+   * @param {Object} session - Wizard session
+   */
+  async cancel(ctx, flow, session) {
+    await session.deleteOne();
+    if (flow.onCancel) {
+      await flow.onCancel(ctx.from.id);
+    }
+
+    Logger.info('Wizard cancelled', { userId: ctx.from.id, flowId: flow.id, stepId: session.stepId });
+    await ctx.reply(this.text(ctx.locale, flow.cancelMessage || 'common.cancelled'), {
+      reply_markup: { remove_keyboard: true }
+    });
+  }
+
+  /**
+   * Finish the flow with the collected answers
+   * @param {Object} ctx - Telegraf context
+   * @param {Object} flow - Flow definition
+   * @param {Object} session - Wizard session
+   */
+  async complete(ctx, flow, session) {
+    const result = await flow.onComplete(ctx.from.id, session.data);
+    if (!result.success) {
+      await ctx.reply(`❌ ${t(ctx.locale, result.error)}`);
+      return;
+    }
+
+    await session.deleteOne();
+    Logger.info('Wizard completed', { userId: ctx.from.id, flowId: flow.id });
+
+    const hooks = this.hooks.get(flow.id) || {};
+    if (hooks.onComplete) {
+      await hooks.onComplete(ctx, result);
+    } else if (result.message) {
+      await ctx.reply(t(ctx.locale, result.message), { parse_mode: 'Markdown' });
+    }
+  }
+
+  /**
+   * Remove the reply keyboard when moving from a contact or location step to one without it
+   * @param {Object} ctx - Telegraf context
+   * @param {Object|null} fromStep - Step being left
+   * @param {Object|null} toStep - Step being entered (null for the summary or completion)
+   * @param {string} notice - Message carrying the keyboard removal
+   */
+  async leaveStep(ctx, fromStep, toStep, notice) {
+    if (this.usesReplyKeyboard(fromStep) && !this.usesReplyKeyboard(toStep)) {
+      await ctx.reply(this.text(ctx.locale, notice || 'wizard.saved'), { reply_markup: { remove_keyboard: true } });
+    }
+  }
+
+  /**
+   * Show the current step or the summary
+   * @param {Object} ctx - Telegraf context
+   * @param {Object} flow - Flow definition
+   * @param {Object} session - Wizard session
+   */
+  async render(ctx, flow, session) {
+    if (session.stepId === SUMMARY_STEP) {
+      await ctx.reply(this.getSummaryMessage(ctx.locale, flow, session), {
+        parse_mode: 'Markdown',
+        ...this.getSummaryKeyboard(ctx.locale, flow, session)
+      });
+      return;
+    }
+
+    const step = this.getStep(flow, session.stepId);
+    if (step.onEnter) {
+      const notice = await step.onEnter(ctx, session.data);
+      if (notice) {
+        await ctx.reply(this.text(ctx.locale, notice, session.data));
+      }
+    }
+
+    await ctx.reply(this.text(ctx.locale, step.prompt, session.data), {
+      parse_mode: 'Markdown',
+      ...this.getStepKeyboard(ctx.locale, flow, session, step)
+    });
+  }
+
+  /**
+   * Build the keyboard of a step
+   * @param {string} locale - Locale code
+   * @param {Object} flow - Flow definition
+   * @param {Object} session - Wizard session
+   * @param {Object} step - Step definition
+   * @returns {Object} Keyboard object
+   */
+  getStepKeyboard(locale, flow, session, step) {
+    const canGoBack = session.history.length > 0;
+    const types = this.getInputTypes(step);
+
+    // Contact and location can only be requested with reply keyboard buttons
+    if (this.usesReplyKeyboard(step)) {
+      const requestRow = [];
+      if (types.includes('contact')) {
+        requestRow.push({ text: this.text(locale, step.contactButton || 'wizard.shareContact'), request_contact: true });
+      }
+      if (types.includes('location')) {
+        requestRow.push({ text: this.text(locale, step.locationButton || 'wizard.shareLocation'), request_location: true });
+      }
+
+      const navigationRow = this.getNavigationRow(locale, canGoBack).map(button => ({ text: button.text }));
+      return {
+        reply_markup: {
+          keyboard: [requestRow, navigationRow],
+          resize_keyboard: true,
+          one_time_keyboard: true
+        }
+      };
+    }
+
+    const selected = step.multiple ? this.getSelection(session, step) : [];
+    const rows = (step.options || []).map(row => row.map(option => {
+      const text = this.text(locale, option.text, session.data);
+      return {
+        text: selected.includes(String(option.value)) ? `✅ ${text}` : text,
+        callback_data: `wz_opt_${step.id}_${option.value}`
+      };
+    }));
+
+    const actionRow = [];
+    if (step.multiple) {
+      actionRow.push({ text: t(locale, 'wizard.done'), callback_data: `wz_opt_${step.id}_done` });
+    }
+    if (step.optional) {
+      actionRow.push({ text: t(locale, 'wizard.skip'), callback_data: 'wz_skip' });
+    }
+    if (actionRow.length > 0) {
+      rows.push(actionRow);
+    }
+    rows.push(this.getNavigationRow(locale, canGoBack));
+
+    return { reply_markup: { inline_keyboard: rows } };
+  }
+
+  /**
+   * Build the Back / Cancel button row
+   * @param {string} locale - Locale code
+   * @param {boolean} canGoBack - Whether to include the back button
+   * @returns {Array<Object>} Button row
+   */
+  getNavigationRow(locale, canGoBack) {
+    const row = [];
+    if (canGoBack) {
+      row.push({ text: t(locale, 'wizard.back'), callback_data: 'wz_back' });
+    }
+    row.push({ text: t(locale, 'wizard.cancel'), callback_data: 'wz_cancel' });
+    return row;
+  }
+
+  /**
+   * Build the summary of the collected answers
+   * @param {string} locale - Locale code
+   * @param {Object} flow - Flow definition
+   * @param {Object} session - Wizard session
+   * @returns {string} Summary message
+   */
+  getSummaryMessage(locale, flow, session) {
+    const lines = this.describeAnswers(locale, flow, session.data);
+    const footer = flow.summary.footer ? `\n\n${this.text(locale, flow.summary.footer)}` : '';
+    return `${this.text(locale, flow.summary.title)}\n\n${lines.join('\n')}${footer}`;
+  }
+
+  /**
+   * Describe the answers on the answered path, one "label: answer" line each (Markdown)
+   * @param {string} locale - Locale code
+   * @param {Object} flow - Flow definition
+   * @param {Object} data - Collected answers
+   * @returns {Array<string>} Lines
+   */
+  describeAnswers(locale, flow, data) {
+    return this.getSummarySteps(flow, data)
+      .map(step => `${this.text(locale, step.label)}: ${this.formatAnswer(locale, step, data)}`);
+  }
+
+  /**
+   * Build the summary keyboard with an edit button per answer
+   * @param {string} locale - Locale code
+   * @param {Object} flow - Flow definition
+   * @param {Object} session - Wizard session
+   * @returns {Object} Keyboard object
+   */
+  getSummaryKeyboard(locale, flow, session) {
+    const editable = this.getSummarySteps(flow, session.data).filter(step => step.back !== false);
+    const rows = [];
+    for (let i = 0; i < editable.length; i += 2) {
+      rows.push(editable.slice(i, i + 2).map(step => ({
+        text: step.editText ? this.text(locale, step.editText) : `✏️ ${this.text(locale, step.label)}`,
+        callback_data: `wz_edit_${step.id}`
+      })));
+    }
+    rows.push([{ text: this.text(locale, flow.summary.completeText || 'wizard.confirm'), callback_data: 'wz_done' }]);
+    rows.push(this.getNavigationRow(locale, session.history.length > 0));
+
+    return { reply_markup: { inline_keyboard: rows } };
+  }
+
+  /**
+   * Get the IDs of the steps on the answered path, as the history behind the summary
+   * @param {Object} flow - Flow definition
+   * @param {Object} data - Collected answers
+   * @returns {Array<string>} Step IDs in order
+   */
+  getPathIds(flow, data) {
+    return this.getPath(flow, data).map(step => step.id);
+  }
+
+  /**
+   * Format the answer to a step for display (Markdown)
+   * @param {string} locale - Locale code
+   * @param {Object} step - Step definition
+   * @param {Object} data - Collected answers
+   * @returns {string} Formatted answer
+   */
+  formatAnswer(locale, step, data) {
+    const value = data[step.field];
+    const empty = value === undefined || value === null || (Array.isArray(value) && value.length === 0);
+    if (empty) {
+      return this.text(locale, step.emptyText || 'wizard.notApplicable');
+    }
+
+    if (step.format) {
+      return step.format(value, data, (key, params) => t(locale, key, params), locale);
+    }
+    return escapeMarkdown(Array.isArray(value) ? value.join(', ') : String(value));
+  }
+
+  /**
+   * Get the steps shown on the summary
+   * @param {Object} flow - Flow definition
+   * @param {Object} data - Collected answers
+   * @returns {Array<Object>} Steps on the answered path that have a field and a label
+   */
+  getSummarySteps(flow, data) {
+    return this.getPath(flow, data).filter(step => step.field && step.label);
+  }
+
+  /**
+   * Get the step a flow starts from
+   * @param {Object} flow - Flow definition
+   * @param {Object} data - Collected answers
+   * @returns {string} Step ID
+   */
+  getFirstStepId(flow, data) {
+    return flow.firstStep ? flow.firstStep(data) : flow.steps[0].id;
+  }
+
+  /**
+   * Follow the flow from its first step the way the answers lead
+   * @param {Object} flow - Flow definition
+   * @param {Object} data - Collected answers
+   * @returns {Array<Object>} Steps in order
+   */
+  getPath(flow, data) {
+    const path = [];
+    let step = this.getStep(flow, this.getFirstStepId(flow, data));
+
+    while (step && !path.includes(step)) {
+      path.push(step);
+      const nextId = step.next ? step.next(data) : this.getFollowingStepId(flow, step);
+      step = nextId ? this.getStep(flow, nextId) : null;
+    }
+
+    return path;
+  }
+
+  /**
+   * Get the step after a step in declaration order
+   * @param {Object} flow - Flow definition
+   * @param {Object} step - Step definition
+   * @returns {string|null} Step ID or null after the last step
+   */
+  getFollowingStepId(flow, step) {
+    const index = flow.steps.indexOf(step);
+    const following = flow.steps[index + 1];
+    return following ? following.id : null;
+  }
+
+  /**
+   * Get the step the session is on
+   * @param {Object} flow - Flow definition
+   * @param {Object} session - Wizard session
+   * @returns {Object|null} Step definition, or null on the summary
+   */
+  getCurrentStep(flow, session) {
+    return session.stepId === SUMMARY_STEP ? null : this.getStep(flow, session.stepId);
+  }
+
+  /**
+   * Get the inactivity timeout of a flow
+   * @param {Object} flow - Flow definition
+   * @returns {number} Timeout in ms
+   */
+  getTimeout(flow) {
+    return flow.timeout || config.wizard.timeout;
+  }
+
+  /**
+   * Describe what a step expects when the wrong kind of message arrives
+   * @param {string} locale - Locale code
+   * @param {Array<string>} types - Accepted input types
+   * @returns {string} Hint
+   */
+  getInputHint(locale, types) {
+    if (types.includes('callback')) {
+      return t(locale, 'wizard.hints.buttons');
+    }
+    const items = types.map(type => t(locale, `wizard.hints.${type}`)).join(t(locale, 'wizard.hints.or'));
+    return t(locale, 'wizard.hints.send', { items });
+  }
+}
+
+// Create singleton instance
+const wizardEngine = new WizardEngine();
+
+module.exports = wizardEngine;
@@ -0,0 +1,176 @@
+const { parseCron, isValidTimeZone, getNextRun } = require('../cron');
+
+const values = set => [...set].sort((a, b) => a - b);
+const nextRun = (expression, after, timeZone = 'UTC') => {
+  const run = getNextRun(parseCron(expression), new Date(after), timeZone);
+  return run && run.toISOString();
+};
+
+describe('parseCron', () => {
+  it('expands wildcards to the whole range of each field', () => {
+    const schedule = parseCron('* * * * *');
+
+    expect(schedule.minute.size).toBe(60);
+    expect(schedule.hour.size).toBe(24);
+    expect(values(schedule.day)).toEqual(Array.from({ length: 31 }, (_, index) => index + 1));
+    expect(values(schedule.month)).toEqual(Array.from({ length: 12 }, (_, index) => index + 1));
+    expect(values(schedule.weekday)).toEqual([0, 1, 2, 3, 4, 5, 6, 7]);
+  });
+
+  it.each([
+    ['9', [9]],
+    ['1-5', [1, 2, 3, 4, 5]],
+    ['0,30', [0, 30]],
+    ['*/15', [0, 15, 30, 45]],
+    ['5/15', [5, 20, 35, 50]],
+    ['1-10/3', [1, 4, 7, 10]],
+    ['0-5,30,50-59/5', [0, 1, 2, 3, 4, 5, 30, 50, 55]]
+  ])('parses the minute field %p', (field, expected) => {
+    expect(values(parseCron(`${field} * * * *`).minute)).toEqual(expected);
+  });
+
+  it('treats both 0 and 7 as Sunday', () => {
+    expect(values(parseCron('0 9 * * 7').weekday)).toEqual([0, 7]);
+    expect(values(parseCron('0 9 * * 0').weekday)).toEqual([0]);
+  });
+
+  it('ignores surrounding and repeated whitespace', () => {
+    expect(parseCron('  0   9 * *  1 ')).not.toBeNull();
+  });
+
+  it.each([
+    ['0 9 * * *', false],
+    ['0 9 13 * *', false],
+    ['0 9 * * 5', false],
+    ['0 9 */2 * 1', false],
+    ['0 9 13 * 5', true]
+  ])('matches either day field in %p only when both are restricted', (expression, eitherDay) => {
+    expect(parseCron(expression).eitherDay).toBe(eitherDay);
+  });
+
+  it.each([
+    [''],
+    [null],
+    [undefined],
+    ['0 9 * *'],
+    ['0 9 * * * *'],
+    ['60 * * * *'],
+    ['* 24 * * *'],
+    ['* * 0 * *'],
+    ['* * 32 * *'],
+    ['* * * 0 *'],
+    ['* * * 13 *'],
+    ['* * * * 8'],
+    ['5-1 * * * *'],
+    ['*/0 * * * *'],
+    ['1-70/5 * * * *'],
+    ['a * * * *'],
+    ['MON * * * *'],
+    ['1,,2 * * * *'],
+    ['-1 * * * *'],
+    ['*/ * * * *']
+  ])('rejects %p', expression => {
+    expect(parseCron(expression)).toBeNull();
+  });
+});
+
+describe('isValidTimeZone', () => {
+  it.each(['UTC', 'Asia/Tashkent', 'Europe/Berlin', 'America/New_York'])('accepts %p', timeZone => {
+    expect(isValidTimeZone(timeZone)).toBe(true);
+  });
+
+  it.each(['Mars/Olympus', 'Asia/Nowhere'])('rejects %p', timeZone => {
+    expect(isValidTimeZone(timeZone)).toBe(false);
+  });
+});
+
+describe('getNextRun', () => {
+  it('returns the next matching minute later the same day', () => {
+    expect(nextRun('0 9 * * *', '2026-10-19T08:59:30Z')).toBe('2026-10-19T09:00:00.000Z');
+  });
+
+  it('only returns runs strictly after the given moment', () => {
+    expect(nextRun('0 9 * * *', '2026-10-19T09:00:00Z')).toBe('2026-10-20T09:00:00.000Z');
+  });
+
+  it('steps through the minutes of a matching hour', () => {
+    expect(nextRun('*/15 * * * *', '2026-10-19T10:07:00Z')).toBe('2026-10-19T10:15:00.000Z');
+    expect(nextRun('*/15 * * * *', '2026-10-19T10:50:00Z')).toBe('2026-10-19T11:00:00.000Z');
+  });
+
+  it('uses ranges in the hour field', () => {
+    expect(nextRun('30 9-17 * * *', '2026-10-19T17:45:00Z')).toBe('2026-10-20T09:30:00.000Z');
+  });
+
+  it('waits for the next matching weekday', () => {
+    // 19 October 2026 is a Monday
+    expect(nextRun('0 9 * * 1', '2026-10-19T10:00:00Z')).toBe('2026-10-26T09:00:00.000Z');
+    expect(nextRun('0 9 * * 1-5', '2026-10-23T10:00:00Z')).toBe('2026-10-26T09:00:00.000Z');
+    expect(nextRun('0 9 * * 7', '2026-10-19T10:00:00Z')).toBe('2026-10-25T09:00:00.000Z');
+  });
+
+  it('runs on either day field when both are restricted', () => {
+    // The 13th or any Friday: 23 October comes before 13 November
+    expect(nextRun('0 0 13 * 5', '2026-10-19T00:00:00Z')).toBe('2026-10-23T00:00:00.000Z');
+    // The 13th (a Tuesday) or any Friday: the 13th comes first
+    expect(nextRun('0 0 13 * 5', '2026-10-10T00:00:00Z')).toBe('2026-10-13T00:00:00.000Z');
+  });
+
+  it('needs both day fields when one of them is a wildcard step', () => {
+    // Odd days that are Mondays: 2 November is even, 9 November is odd
+    expect(nextRun('0 0 */2 * 1', '2026-10-20T00:00:00Z')).toBe('2026-11-09T00:00:00.000Z');
+  });
+
+  it('rolls over to the next month and year', () => {
+    expect(nextRun('0 0 1 * *', '2026-10-19T00:00:00Z')).toBe('2026-11-01T00:00:00.000Z');
+    expect(nextRun('0 0 1 * *', '2026-12-15T00:00:00Z')).toBe('2027-01-01T00:00:00.000Z');
+    expect(nextRun('0 0 31 * *', '2026-10-31T12:00:00Z')).toBe('2026-12-31T00:00:00.000Z');
+  });
+
+  it('finds 29 February in the next leap year', () => {
+    expect(nextRun('0 0 29 2 *', '2026-03-01T00:00:00Z')).toBe('2028-02-29T00:00:00.000Z');
+  });
+
+  it('returns null for a schedule that never runs', () => {
+    expect(nextRun('0 0 31 2 *', '2026-01-01T00:00:00Z')).toBeNull();
+  });
+
+  it('reads the schedule in the given time zone', () => {
+    // Tashkent is UTC+5 without daylight saving
+    expect(nextRun('0 9 * * *', '2026-10-19T03:00:00Z', 'Asia/Tashkent')).toBe('2026-10-19T04:00:00.000Z');
+    expect(nextRun('0 9 * * *', '2026-10-19T04:00:00Z', 'Asia/Tashkent')).toBe('2026-10-20T04:00:00.000Z');
+    // Midnight on Monday in Tashkent is still Sunday in UTC
+    expect(nextRun('0 0 * * 1', '2026-10-20T00:00:00Z', 'Asia/Tashkent')).toBe('2026-10-25T19:00:00.000Z');
+  });
+
+  it('takes half-hour offsets into account', () => {
+    // India is UTC+5:30
+    expect(nextRun('0 9 * * *', '2026-10-19T00:00:00Z', 'Asia/Kolkata')).toBe('2026-10-19T03:30:00.000Z');
+  });
+
+  describe('daylight saving time', () => {
+    // New York moves from 2:00 EST to 3:00 EDT on 8 March 2026 and back to 1:00 EST at 2:00 EDT on 1 November 2026
+
+    it('skips a time that falls in the spring gap', () => {
+      expect(nextRun('30 2 * * *', '2026-03-08T05:00:00Z', 'America/New_York')).toBe('2026-03-09T06:30:00.000Z');
+    });
+
+    it('runs right after the spring gap at the new offset', () => {
+      expect(nextRun('0 3 * * *', '2026-03-08T05:00:00Z', 'America/New_York')).toBe('2026-03-08T07:00:00.000Z');
+    });
+
+    it('keeps a daily run at the same wall-clock time across the spring change', () => {
+      expect(nextRun('0 9 * * *', '2026-03-07T15:00:00Z', 'America/New_York')).toBe('2026-03-08T13:00:00.000Z');
+    });
+
+    it('runs at the first occurrence of a time in the autumn overlap', () => {
+      expect(nextRun('30 1 * * *', '2026-11-01T04:00:00Z', 'America/New_York')).toBe('2026-11-01T05:30:00.000Z');
+    });
+
+    it('keeps a daily run at the same wall-clock time across the autumn change', () => {
+      // Berlin moves from CEST (UTC+2) to CET (UTC+1) on 25 October 2026
+      expect(nextRun('0 9 * * *', '2026-10-24T08:00:00Z', 'Europe/Berlin')).toBe('2026-10-25T08:00:00.000Z');
+      expect(nextRun('0 9 * * 1', '2026-10-24T08:00:00Z', 'Europe/Berlin')).toBe('2026-10-26T08:00:00.000Z');
+    });
+  });
+});
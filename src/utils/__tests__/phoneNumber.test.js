@@ -0,0 +1,98 @@
+const { findCountry, normalizePhoneNumber } = require('../phoneNumber');
+
+// A subset of config.phone, so the rules are tested without loading the bot configuration
+const options = {
+  defaultCountryCode: '998',
+  countries: {
+    998: { name: 'Uzbekistan', lengths: [9] },
+    7: { name: 'Russia/Kazakhstan', lengths: [10], trunkPrefix: '8' },
+    971: { name: 'UAE', lengths: [8, 9], trunkPrefix: '0' },
+    1: { name: 'USA/Canada', lengths: [10] }
+  }
+};
+
+const normalize = input => normalizePhoneNumber(input, options);
+
+describe('normalizePhoneNumber', () => {
+  describe('Uzbek numbers', () => {
+    it.each([
+      ['+998901234567'],
+      ['998901234567'],
+      ['901234567'],
+      ['+998 90 123 45 67'],
+      ['998 90 123-45-67'],
+      ['90 123 45 67'],
+      ['(90) 123-45-67'],
+      ['0099890 123 45 67']
+    ])('normalises %p to E.164', input => {
+      expect(normalize(input)).toEqual({ valid: true, value: '+998901234567', country: 'Uzbekistan' });
+    });
+
+    it('gives the same value for every form, so duplicates are detected', () => {
+      const values = ['+998 90 123 45 67', '998901234567', '90-123-45-67'].map(input => normalize(input).value);
+      expect(new Set(values).size).toBe(1);
+    });
+
+    it.each([
+      ['+998 90 123 45 6'],
+      ['+998 90 123 45 678'],
+      ['998 90 123 45']
+    ])('rejects %p with the expected length for the country', input => {
+      expect(normalize(input)).toEqual({
+        valid: false,
+        error: { key: 'phone.countryLength', params: { code: '998', country: 'Uzbekistan', lengths: '9' } }
+      });
+    });
+  });
+
+  describe('other countries', () => {
+    it('accepts an international number of a known country', () => {
+      expect(normalize('+7 912 345-67-89')).toEqual({ valid: true, value: '+79123456789', country: 'Russia/Kazakhstan' });
+    });
+
+    it('accepts any of several national lengths', () => {
+      expect(normalize('+971 50 123 4567').valid).toBe(true);
+      expect(normalize('+971 4 123 4567').valid).toBe(true);
+    });
+
+    it('keeps numbers of unknown countries that look like E.164', () => {
+      expect(normalize('+38 050 123 45 67')).toEqual({ valid: true, value: '+380501234567', country: null });
+    });
+
+    it('rejects a known country with the wrong length', () => {
+      expect(normalize('+1 212 555 012').error.key).toBe('phone.countryLength');
+    });
+  });
+
+  describe('local numbers with a trunk prefix', () => {
+    it('drops the trunk prefix of the default country', () => {
+      const result = normalizePhoneNumber('8 (912) 345-67-89', { ...options, defaultCountryCode: '7' });
+      expect(result).toEqual({ valid: true, value: '+79123456789', country: 'Russia/Kazakhstan' });
+    });
+  });
+
+  describe('invalid input', () => {
+    it.each([
+      [''],
+      [null],
+      [undefined],
+      ['phone'],
+      ['12345'],
+      ['+0 123 456 789'],
+      ['+1234567890123456']
+    ])('rejects %p', input => {
+      expect(normalize(input)).toEqual({ valid: false, error: 'phone.invalid' });
+    });
+  });
+});
+
+describe('findCountry', () => {
+  it('finds the country by its calling code', () => {
+    expect(findCountry('998901234567', options.countries)).toEqual({ code: '998', name: 'Uzbekistan', lengths: [9] });
+    expect(findCountry('79123456789', options.countries).code).toBe('7');
+  });
+
+  it('returns null for an unknown calling code', () => {
+    expect(findCountry('380501234567', options.countries)).toBeNull();
+  });
+});
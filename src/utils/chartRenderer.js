@@ -0,0 +1,227 @@
+const zlib = require('zlib');
+
+/**
+ * Minimal PNG chart renderer with a built-in 5x7 bitmap font,
+ * so charts are drawn locally without native modules or external services.
+ */
+
+const GLYPHS = {
+  A: ['01110', '10001', '10001', '11111', '10001', '10001', '10001'],
+  B: ['11110', '10001', '10001', '11110', '10001', '10001', '11110'],
+  C: ['01110', '10001', '10000', '10000', '10000', '10001', '01110'],
+  D: ['11110', '10001', '10001', '10001', '10001', '10001', '11110'],
+  E: ['11111', '10000', '10000', '11110', '10000', '10000', '11111'],
+  F: ['11111', '10000', '10000', '11110', '10000', '10000', '10000'],
+  G: ['01110', '10001', '10000', '10111', '10001', '10001', '01111'],
+  H: ['10001', '10001', '10001', '11111', '10001', '10001', '10001'],
+  I: ['01110', '00100', '00100', '00100', '00100', '00100', '01110'],
+  J: ['00111', '00010', '00010', '00010', '00010', '10010', '01100'],
+  K: ['10001', '10010', '10100', '11000', '10100', '10010', '10001'],
+  L: ['10000', '10000', '10000', '10000', '10000', '10000', '11111'],
+  M: ['10001', '11011', '10101', '10101', '10001', '10001', '10001'],
+  N: ['10001', '10001', '11001', '10101', '10011', '10001', '10001'],
+  O: ['01110', '10001', '10001', '10001', '10001', '10001', '01110'],
+  P: ['11110', '10001', '10001', '11110', '10000', '10000', '10000'],
+  Q: ['01110', '10001', '10001', '10001', '10101', '10010', '01101'],
+  R: ['11110', '10001', '10001', '11110', '10100', '10010', '10001'],
+  S: ['01111', '10000', '10000', '01110', '00001', '00001', '11110'],
+  T: ['11111', '00100', '00100', '00100', '00100', '00100', '00100'],
+  U: ['10001', '10001', '10001', '10001', '10001', '10001', '01110'],
+  V: ['10001', '10001', '10001', '10001', '10001', '01010', '00100'],
+  W: ['10001', '10001', '10001', '10101', '10101', '10101', '01010'],
+  X: ['10001', '10001', '01010', '00100', '01010', '10001', '10001'],
+  Y: ['10001', '10001', '01010', '00100', '00100', '00100', '00100'],
+  Z: ['11111', '00001', '00010', '00100', '01000', '10000', '11111'],
+  0: ['01110', '10001', '10011', '10101', '11001', '10001', '01110'],
+  1: ['00100', '01100', '00100', '00100', '00100', '00100', '01110'],
+  2: ['01110', '10001', '00001', '00010', '00100', '01000', '11111'],
+  3: ['11111', '00010', '00100', '00010', '00001', '10001', '01110'],
+  4: ['00010', '00110', '01010', '10010', '11111', '00010', '00010'],
+  5: ['11111', '10000', '11110', '00001', '00001', '10001', '01110'],
+  6: ['00110', '01000', '10000', '11110', '10001', '10001', '01110'],
+  7: ['11111', '00001', '00010', '00100', '01000', '01000', '01000'],
+  8: ['01110', '10001', '10001', '01110', '10001', '10001', '01110'],
+  9: ['01110', '10001', '10001', '01111', '00001', '00010', '01100'],
+  '.': ['00000', '00000', '00000', '00000', '00000', '01100', '01100'],
+  ',': ['00000', '00000', '00000', '00000', '01100', '00100', '01000'],
+  $: ['00100', '01111', '10100', '01110', '00101', '11110', '00100'],
+  '/': ['00000', '00001', '00010', '00100', '01000', '10000', '00000'],
+  '-': ['00000', '00000', '00000', '11111', '00000', '00000', '00000'],
+  '%': ['11000', '11001', '00010', '00100', '01000', '10011', '00011'],
+  '(': ['00010', '00100', '01000', '01000', '01000', '00100', '00010'],
+  ')': ['01000', '00100', '00010', '00010', '00010', '00100', '01000']
+};
+
+const GLYPH_WIDTH = 5;
+const GLYPH_HEIGHT = 7;
+
+const COLORS = {
+  background: [255, 255, 255],
+  text: [40, 40, 40],
+  muted: [130, 130, 130],
+  bar: [52, 120, 246],
+  axis: [220, 220, 220]
+};
+
+let crcTable = null;
+
+/**
+ * Calculate the CRC32 checksum used by PNG chunks
+ * @param {Buffer} buffer - Data
+ * @returns {number} Unsigned CRC32
+ */
+function crc32(buffer) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Build a PNG chunk
+ * @param {string} type - Chunk type
+ * @param {Buffer} data - Chunk data
+ * @returns {Buffer} Chunk bytes
+ */
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * RGB raster with simple drawing primitives
+ */
+class Canvas {
+  constructor(width, height, background = COLORS.background) {
+    this.width = width;
+    this.height = height;
+    this.pixels = Buffer.alloc(width * height * 3);
+    this.fillRect(0, 0, width, height, background);
+  }
+
+  fillRect(x, y, width, height, color) {
+    const x0 = Math.max(0, Math.round(x));
+    const y0 = Math.max(0, Math.round(y));
+    const x1 = Math.min(this.width, Math.round(x + width));
+    const y1 = Math.min(this.height, Math.round(y + height));
+
+    for (let row = y0; row < y1; row++) {
+      for (let col = x0; col < x1; col++) {
+        const offset = (row * this.width + col) * 3;
+        this.pixels[offset] = color[0];
+        this.pixels[offset + 1] = color[1];
+        this.pixels[offset + 2] = color[2];
+      }
+    }
+  }
+
+  drawText(text, x, y, color = COLORS.text, scale = 2) {
+    let cursor = x;
+    for (const char of String(text).toUpperCase()) {
+      const glyph = GLYPHS[char];
+      if (glyph) {
+        glyph.forEach((row, rowIndex) => {
+          for (let col = 0; col < GLYPH_WIDTH; col++) {
+            if (row[col] === '1') {
+              this.fillRect(cursor + col * scale, y + rowIndex * scale, scale, scale, color);
+            }
+          }
+        });
+      }
+      cursor += (GLYPH_WIDTH + 1) * scale;
+    }
+  }
+
+  toPNG() {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(this.width, 0);
+    header.writeUInt32BE(this.height, 4);
+    header[8] = 8; // Bit depth
+    header[9] = 2; // Color type: truecolor RGB
+
+    // Every scanline starts with filter type 0 (none)
+    const stride = this.width * 3;
+    const raw = Buffer.alloc((stride + 1) * this.height);
+    for (let row = 0; row < this.height; row++) {
+      this.pixels.copy(raw, row * (stride + 1) + 1, row * stride, (row + 1) * stride);
+    }
+
+    return Buffer.concat([
+      Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+      pngChunk('IHDR', header),
+      pngChunk('IDAT', zlib.deflateSync(raw)),
+      pngChunk('IEND', Buffer.alloc(0))
+    ]);
+  }
+}
+
+/**
+ * Measure the rendered width of a text
+ * @param {string} text - Text
+ * @param {number} scale - Font scale
+ * @returns {number} Width in pixels
+ */
+function measureText(text, scale = 2) {
+  return String(text).length * (GLYPH_WIDTH + 1) * scale;
+}
+
+/**
+ * Render a horizontal bar chart as a PNG image
+ * @param {Array} items - Bars as { label, value, valueLabel }
+ * @param {Object} options - { title, subtitle, width }
+ * @returns {Buffer} PNG image
+ */
+function renderBarChart(items, { title = '', subtitle = '', width = 800 } = {}) {
+  const padding = 24;
+  const rowHeight = 34;
+  const barHeight = 20;
+  const headerHeight = subtitle ? 92 : 64;
+
+  const labelWidth = Math.max(0, ...items.map(item => measureText(item.label))) + 16;
+  const valueWidth = Math.max(0, ...items.map(item => measureText(item.valueLabel || item.value))) + 16;
+  const barAreaX = padding + labelWidth;
+  const barAreaWidth = Math.max(50, width - barAreaX - valueWidth - padding);
+  const maxValue = Math.max(1, ...items.map(item => item.value));
+
+  const height = headerHeight + items.length * rowHeight + padding;
+  const canvas = new Canvas(width, height);
+
+  canvas.drawText(title, padding, padding, COLORS.text, 3);
+  if (subtitle) {
+    canvas.drawText(subtitle, padding, padding + 32, COLORS.muted, 2);
+  }
+
+  canvas.fillRect(barAreaX - 1, headerHeight - 6, 1, items.length * rowHeight + 6, COLORS.axis);
+
+  items.forEach((item, index) => {
+    const rowY = headerHeight + index * rowHeight;
+    const textY = rowY + (barHeight - GLYPH_HEIGHT * 2) / 2;
+    const barWidth = Math.max(2, Math.round((item.value / maxValue) * barAreaWidth));
+
+    canvas.drawText(item.label, padding, textY);
+    canvas.fillRect(barAreaX, rowY, barWidth, barHeight, COLORS.bar);
+    canvas.drawText(item.valueLabel || item.value, barAreaX + barWidth + 8, textY);
+  });
+
+  return canvas.toPNG();
+}
+
+module.exports = {
+  renderBarChart
+};
@@ -0,0 +1,180 @@
+/**
+ * Cron expressions ("minute hour day-of-month month day-of-week") evaluated in a time zone
+ */
+
+const MINUTE = 60 * 1000;
+// Longest search for the next run; covers 29 February on a given weekday
+const SEARCH_LIMIT = 5 * 366 * 24 * 60 * MINUTE;
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'weekday', min: 0, max: 7 } // 0 and 7 are both Sunday
+];
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+// Formatters are slow to create, so one is kept per time zone
+const formatters = new Map();
+
+/**
+ * Parse one field of a cron expression
+ * @param {string} text - Field, e.g. "*", "9", "1-5", "*\/15" or "0,30"
+ * @param {Object} field - { min, max }
+ * @returns {Set<number>|null} Matching values, or null if the field is invalid
+ */
+function parseField(text, { min, max }) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const match = part.match(/^(?:\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) {
+      return null;
+    }
+
+    const step = match[3] ? Number(match[3]) : 1;
+    let from = min;
+    let to = max;
+    if (match[1] !== undefined) {
+      from = Number(match[1]);
+      // "5/15" means every 15 from 5 on
+      to = match[2] !== undefined ? Number(match[2]) : (match[3] ? max : from);
+    }
+
+    if (from < min || to > max || from > to || step < 1) {
+      return null;
+    }
+    for (let value = from; value <= to; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a five-field cron expression
+ * @param {string} expression - e.g. "0 9 * * 1" for Mondays at 9:00
+ * @returns {Object|null} Parsed schedule, or null if the expression is invalid
+ */
+function parseCron(expression) {
+  const parts = String(expression || '').trim().split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    return null;
+  }
+
+  const schedule = {};
+  for (const [index, field] of FIELDS.entries()) {
+    const values = parseField(parts[index], field);
+    if (!values) {
+      return null;
+    }
+    schedule[field.name] = values;
+  }
+
+  if (schedule.weekday.has(7)) {
+    schedule.weekday.add(0);
+  }
+  // As in standard cron, a day matches either day field when both are restricted
+  schedule.eitherDay = !parts[2].startsWith('*') && !parts[4].startsWith('*');
+
+  return schedule;
+}
+
+/**
+ * Check whether a time zone is known
+ * @param {string} timeZone - IANA time zone, e.g. "Asia/Tashkent"
+ * @returns {boolean} True if dates can be shown in it
+ */
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Get the wall-clock time of a moment in a time zone
+ * @param {Date} date - Moment
+ * @param {string} timeZone - IANA time zone
+ * @returns {Object} { minute, hour, day, month, weekday }
+ */
+function getZonedParts(date, timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      weekday: 'short'
+    }));
+  }
+
+  const parts = {};
+  for (const { type, value } of formatters.get(timeZone).formatToParts(date)) {
+    parts[type] = value;
+  }
+
+  return {
+    minute: Number(parts.minute),
+    hour: Number(parts.hour),
+    day: Number(parts.day),
+    month: Number(parts.month),
+    weekday: WEEKDAYS[parts.weekday]
+  };
+}
+
+/**
+ * Check whether a schedule runs on the day of a wall-clock time
+ * @param {Object} schedule - Parsed schedule
+ * @param {Object} parts - Wall-clock time
+ * @returns {boolean} True if it runs that day
+ */
+function matchesDay(schedule, parts) {
+  if (!schedule.month.has(parts.month)) {
+    return false;
+  }
+
+  const day = schedule.day.has(parts.day);
+  const weekday = schedule.weekday.has(parts.weekday);
+  return schedule.eitherDay ? day || weekday : day && weekday;
+}
+
+/**
+ * Find the next time a schedule runs
+ * @param {Object} schedule - Parsed schedule
+ * @param {Date} after - Moment after which to look
+ * @param {string} timeZone - IANA time zone the schedule is in
+ * @returns {Date|null} Start of the next matching minute, or null if it never runs (e.g. 31 February)
+ */
+function getNextRun(schedule, after, timeZone) {
+  let time = Math.floor(after.getTime() / MINUTE) * MINUTE + MINUTE;
+  const limit = time + SEARCH_LIMIT;
+
+  while (time < limit) {
+    const parts = getZonedParts(new Date(time), timeZone);
+
+    // Skip to the next hour at once; days are not skipped whole, as they can be shorter with daylight saving
+    if (!matchesDay(schedule, parts) || !schedule.hour.has(parts.hour)) {
+      time += (60 - parts.minute) * MINUTE;
+    } else if (!schedule.minute.has(parts.minute)) {
+      time += MINUTE;
+    } else {
+      return new Date(time);
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  parseCron,
+  isValidTimeZone,
+  getNextRun
+};
@@ -2,22 +2,27 @@
  * Utility helper functions
  */
 
+const { getLocaleTag, t } = require('./i18n');
+
 /**
  * Format a date to a readable string
  * @param {Date} date - Date to format
+ * @param {string} locale - Locale code
+ * @param {string} [timeZone] - IANA time zone to show the time in, the server's by default
  * @returns {string} Formatted date string
  */
-function formatDate(date) {
+function formatDate(date, locale = 'en', timeZone = undefined) {
   if (!(date instanceof Date)) {
     return 'Invalid Date';
   }
   
-  return date.toLocaleDateString('en-US', {
+  return date.toLocaleDateString(getLocaleTag(locale), {
     year: 'numeric',
     month: 'long',
     day: 'numeric',
     hour: '2-digit',
-    minute: '2-digit'
+    minute: '2-digit',
+    timeZone
   });
 }
 
@@ -85,24 +90,147 @@ function sanitizeInput(input) {
  * Calculate time difference in human readable format
  * @param {Date} date1 - First date
  * @param {Date} date2 - Second date (defaults to now)
+ * @param {string} locale - Locale code
  * @returns {string} Human readable time difference
  */
-function getTimeDifference(date1, date2 = new Date()) {
+function getTimeDifference(date1, date2 = new Date(), locale = 'en') {
   const diffMs = Math.abs(date2 - date1);
   const diffSeconds = Math.floor(diffMs / 1000);
   const diffMinutes = Math.floor(diffSeconds / 60);
   const diffHours = Math.floor(diffMinutes / 60);
   const diffDays = Math.floor(diffHours / 24);
   
+  const relative = new Intl.RelativeTimeFormat(getLocaleTag(locale), { numeric: 'always' });
+  
   if (diffDays > 0) {
-    return `${diffDays} day${diffDays > 1 ? 's' : ''} ago`;
+    return relative.format(-diffDays, 'day');
   } else if (diffHours > 0) {
-    return `${diffHours} hour${diffHours > 1 ? 's' : ''} ago`;
+    return relative.format(-diffHours, 'hour');
   } else if (diffMinutes > 0) {
-    return `${diffMinutes} minute${diffMinutes > 1 ? 's' : ''} ago`;
+    return relative.format(-diffMinutes, 'minute');
   } else {
-    return 'Just now';
+    return t(locale, 'time.justNow');
+  }
+}
+
+/**
+ * Format a duration in the largest unit that fits, e.g. "5 min" or "2 hr"
+ * @param {number} ms - Duration in milliseconds
+ * @param {string} locale - Locale code
+ * @returns {string} Human readable duration
+ */
+function formatDuration(ms, locale = 'en') {
+  const units = [
+    { unit: 'day', ms: 24 * 60 * 60 * 1000 },
+    { unit: 'hour', ms: 60 * 60 * 1000 },
+    { unit: 'minute', ms: 60 * 1000 },
+    { unit: 'second', ms: 1000 }
+  ];
+  const { unit, ms: size } = units.find(candidate => ms >= candidate.ms) || units[units.length - 1];
+  const value = Math.round((ms / size) * 10) / 10;
+
+  return new Intl.NumberFormat(getLocaleTag(locale), { style: 'unit', unit, unitDisplay: 'short' }).format(value);
+}
+
+/**
+ * Escape characters that have a meaning in Telegram legacy Markdown
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeMarkdown(text) {
+  if (text === null || text === undefined) {
+    return '';
+  }
+
+  return String(text).replace(/([_*`[])/g, '\\$1');
+}
+
+/**
+ * Escape characters that have a meaning in regular expressions
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text, safe to use in a RegExp
+ */
+function escapeRegex(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Format a price amount with currency
+ * @param {number} amount - Amount to format
+ * @param {string} currency - ISO currency code
+ * @param {string} locale - Locale code used for digit grouping
+ * @returns {string} Formatted price
+ */
+function formatPrice(amount, currency = 'USD', locale = 'en') {
+  if (typeof amount !== 'number' || Number.isNaN(amount)) {
+    return 'N/A';
+  }
+
+  const formatted = Math.round(amount).toLocaleString(getLocaleTag(locale));
+  return currency === 'USD' ? `$${formatted}` : `${formatted} ${currency}`;
+}
+
+/**
+ * Parse a human-entered number such as "85 000", "85,000$" or "72.5"
+ * @param {string} input - Raw input
+ * @returns {number|null} Parsed number or null if invalid
+ */
+function parseNumber(input) {
+  if (typeof input !== 'string') {
+    return null;
+  }
+
+  const cleaned = input
+    .replace(/[\s,$]/g, '')
+    .replace(/(usd|m2|m²|sqm)$/i, '');
+
+  if (!/^-?\d+(\.\d+)?$/.test(cleaned)) {
+    return null;
+  }
+
+  return parseFloat(cleaned);
+}
+
+/**
+ * Parse a date entered as DD.MM.YYYY (also accepts "/" and "-" separators)
+ * @param {string} input - Raw input
+ * @returns {Date|null} Parsed date (end of that day) or null if invalid
+ */
+function parseDate(input) {
+  if (typeof input !== 'string') {
+    return null;
+  }
+
+  const match = input.trim().match(/^(\d{1,2})[./-](\d{1,2})[./-](\d{4})$/);
+  if (!match) {
+    return null;
+  }
+
+  const day = parseInt(match[1], 10);
+  const month = parseInt(match[2], 10) - 1;
+  const year = parseInt(match[3], 10);
+  const date = new Date(year, month, day, 23, 59, 59);
+
+  // Reject dates like 31.02.2025 that roll over into the next month
+  if (date.getFullYear() !== year || date.getMonth() !== month || date.getDate() !== day) {
+    return null;
+  }
+
+  return date;
+}
+
+/**
+ * Split an array into chunks, e.g. to lay out keyboard buttons in rows
+ * @param {Array} items - Items to split
+ * @param {number} size - Items per chunk
+ * @returns {Array<Array>} Chunks
+ */
+function chunkArray(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
   }
+  return chunks;
 }
 
 module.exports = {
@@ -111,5 +239,12 @@ module.exports = {
   truncateText,
   isValidUserId,
   sanitizeInput,
-  getTimeDifference
+  getTimeDifference,
+  formatDuration,
+  escapeMarkdown,
+  escapeRegex,
+  formatPrice,
+  parseNumber,
+  parseDate,
+  chunkArray
 };
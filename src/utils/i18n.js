@@ -0,0 +1,127 @@
+/**
+ * Translation catalogue lookup for the bot's locales (src/locales)
+ */
+
+const config = require('../config');
+
+const catalogues = {
+  en: require('../locales/en'),
+  ru: require('../locales/ru'),
+  uz: require('../locales/uz')
+};
+
+// Missing keys are taken from this catalogue
+const FALLBACK_LOCALE = 'en';
+
+// BCP 47 tags used for date and number formatting
+const LOCALE_TAGS = {
+  en: 'en-US',
+  ru: 'ru-RU',
+  uz: 'uz-Latn-UZ'
+};
+
+/**
+ * Get the locales users can choose from
+ * @returns {Array<string>} Locale codes
+ */
+function getLocales() {
+  return config.i18n.locales.filter(locale => catalogues[locale]);
+}
+
+/**
+ * Check if a locale is available
+ * @param {string} locale - Locale code
+ * @returns {boolean} True if users can choose it
+ */
+function isSupportedLocale(locale) {
+  return getLocales().includes(locale);
+}
+
+/**
+ * Map a Telegram language code (e.g. "ru", "uz-UZ") to a supported locale
+ * @param {string} languageCode - Language code reported by Telegram
+ * @returns {string} Locale code, the default locale if the language isn't supported
+ */
+function resolveLocale(languageCode) {
+  const language = String(languageCode || '').toLowerCase().split(/[-_]/)[0];
+  return isSupportedLocale(language) ? language : config.i18n.defaultLocale;
+}
+
+/**
+ * Find a dotted key in a catalogue
+ * @param {Object} catalogue - Translation catalogue
+ * @param {string} key - Key such as "wizard.back"
+ * @returns {string|undefined} Text, or undefined if missing
+ */
+function lookup(catalogue, key) {
+  const value = key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), catalogue);
+  return typeof value === 'string' ? value : undefined;
+}
+
+/**
+ * Translate a key
+ * @param {string} locale - Locale code
+ * @param {string|Object} key - Catalogue key, or { key, params }; text that isn't a key is returned as is
+ * @param {Object} params - Values for {placeholders}
+ * @returns {string} Translated text
+ */
+function t(locale, key, params = {}) {
+  if (key && typeof key === 'object') {
+    return t(locale, key.key, { ...key.params, ...params });
+  }
+  if (typeof key !== 'string') {
+    return '';
+  }
+
+  const text = lookup(catalogues[locale] || {}, key) || lookup(catalogues[FALLBACK_LOCALE], key);
+  if (text === undefined) {
+    return key;
+  }
+
+  return text.replace(/\{(\w+)\}/g, (match, name) => (params[name] === undefined ? match : String(params[name])));
+}
+
+/**
+ * Translate a key whose text depends on a count, e.g. "1 month" or "24 months".
+ * The catalogue holds one text per plural category of the locale ("one", "few", "many", "other").
+ * @param {string} locale - Locale code
+ * @param {string} key - Catalogue key of the plural forms
+ * @param {number} count - Count choosing the form, also passed as {count}
+ * @param {Object} params - Values for other {placeholders}
+ * @returns {string} Translated text
+ */
+function plural(locale, key, count, params = {}) {
+  const category = new Intl.PluralRules(getLocaleTag(locale)).select(count);
+  const catalogue = catalogues[locale] || catalogues[FALLBACK_LOCALE];
+  const form = lookup(catalogue, `${key}.${category}`) !== undefined ? category : 'other';
+  return t(locale, `${key}.${form}`, { count, ...params });
+}
+
+/**
+ * Get a key's text in every locale, e.g. to recognise a reply keyboard button
+ * @param {string} key - Catalogue key
+ * @returns {Array<string>} Distinct translations
+ */
+function getTranslations(key) {
+  return [...new Set(getLocales().map(locale => t(locale, key)))];
+}
+
+/**
+ * Get the BCP 47 tag of a locale for Intl formatting
+ * @param {string} locale - Locale code
+ * @returns {string} Language tag
+ */
+function getLocaleTag(locale) {
+  return LOCALE_TAGS[locale] || LOCALE_TAGS[FALLBACK_LOCALE];
+}
+
+module.exports = {
+  FALLBACK_LOCALE,
+  getLocales,
+  isSupportedLocale,
+  resolveLocale,
+  t,
+  plural,
+  getTranslations,
+  getLocaleTag
+};
@@ -0,0 +1,116 @@
+/**
+ * Investment opportunity presentation helpers
+ */
+
+const config = require('../config');
+const { escapeMarkdown, formatPrice, truncateText } = require('./helpers');
+const { t, plural, getLocaleTag } = require('./i18n');
+
+/**
+ * Get a human readable label for a risk level
+ * @param {string} riskLevel - Risk level
+ * @param {string} locale - Locale code
+ * @returns {string} Label
+ */
+function getRiskLabel(riskLevel, locale = 'en') {
+  return config.investments.riskLevels.includes(riskLevel) ? t(locale, `risk.${riskLevel}`) : t(locale, 'common.notSet');
+}
+
+/**
+ * Render funding progress as a text bar
+ * @param {number} percent - Progress in percent
+ * @returns {string} Progress bar, e.g. "▓▓▓░░░░░░░ 30%"
+ */
+function formatProgressBar(percent) {
+  const filled = Math.round(Math.min(Math.max(percent, 0), 100) / 10);
+  return `${'▓'.repeat(filled)}${'░'.repeat(10 - filled)} ${percent}%`;
+}
+
+/**
+ * Format an investment horizon
+ * @param {number} months - Horizon in months
+ * @param {string} locale - Locale code
+ * @returns {string} Formatted horizon
+ */
+function formatHorizon(months, locale = 'en') {
+  if (!months) {
+    return t(locale, 'common.notSet');
+  }
+  if (months % 12 === 0) {
+    return plural(locale, 'investment.horizon.years', months / 12);
+  }
+  return plural(locale, 'investment.horizon.months', months);
+}
+
+/**
+ * Format a full investment card (Markdown)
+ * @param {Object} investment - Investment document
+ * @param {string} locale - Locale code
+ * @returns {string} Card text
+ */
+function formatInvestmentCard(investment, locale = 'en') {
+  const isSet = value => value !== null && value !== undefined;
+  const lines = [
+    `💼 *${escapeMarkdown(investment.projectName || t(locale, 'investment.card.untitled'))}*`,
+    '',
+    t(locale, 'investment.card.minTicket', { value: formatPrice(investment.minTicket, investment.currency, locale) }),
+    t(locale, 'investment.card.roi', {
+      value: isSet(investment.expectedRoi) ? t(locale, 'investment.card.roiPerYear', { roi: investment.expectedRoi }) : t(locale, 'common.notSet')
+    }),
+    t(locale, 'investment.card.horizon', { value: formatHorizon(investment.horizonMonths, locale) }),
+    t(locale, 'investment.card.risk', { value: getRiskLabel(investment.riskLevel, locale) })
+  ];
+
+  if (investment.deadline) {
+    const deadline = investment.deadline.toLocaleDateString(getLocaleTag(locale), { day: 'numeric', month: 'short', year: 'numeric' });
+    lines.push(t(locale, 'investment.card.deadline', { value: deadline }));
+  }
+
+  if (investment.fundingGoal) {
+    lines.push(
+      '',
+      t(locale, 'investment.card.raised', {
+        raised: formatPrice(investment.fundingRaised, investment.currency, locale),
+        goal: formatPrice(investment.fundingGoal, investment.currency, locale)
+      }),
+      formatProgressBar(investment.fundingProgress)
+    );
+  }
+
+  if (investment.description) {
+    lines.push('', `📝 ${escapeMarkdown(truncateText(investment.description, 700))}`);
+  }
+
+  if (investment.status === 'closed') {
+    lines.push('', t(locale, 'investment.card.closed'));
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Format a one-line investment summary, suitable for lists and button labels
+ * @param {Object} investment - Investment document
+ * @param {string} locale - Locale code
+ * @returns {string} Summary text
+ */
+function formatInvestmentSummary(investment, locale = 'en') {
+  const parts = [investment.projectName || t(locale, 'investment.card.untitledShort')];
+
+  if (investment.expectedRoi !== null && investment.expectedRoi !== undefined) {
+    parts.push(`${investment.expectedRoi}%`);
+  }
+  if (investment.minTicket) {
+    parts.push(t(locale, 'investment.card.from', { value: formatPrice(investment.minTicket, investment.currency, locale) }));
+  }
+
+  return parts.join(' · ');
+}
+
+module.exports = {
+  getRiskLabel,
+  formatProgressBar,
+  formatHorizon,
+  formatInvestmentCard,
+  formatInvestmentSummary
+};
@@ -0,0 +1,102 @@
+/**
+ * Listing presentation helpers shared by every screen that shows properties
+ */
+
+const config = require('../config');
+const { escapeMarkdown, formatPrice, truncateText } = require('./helpers');
+const { t } = require('./i18n');
+
+const STATUS_KEYS = ['draft', 'published', 'sold', 'removed'];
+
+/**
+ * Get a human readable label for a property type
+ * @param {string} type - Property type
+ * @param {string} locale - Locale code
+ * @returns {string} Label
+ */
+function getTypeLabel(type, locale = 'en') {
+  return config.listings.types.includes(type) ? t(locale, `listingTypes.${type}`) : t(locale, 'common.notSet');
+}
+
+/**
+ * Get a human readable label for a listing status
+ * @param {string} status - Listing status
+ * @param {string} locale - Locale code
+ * @returns {string} Label
+ */
+function getStatusLabel(status, locale = 'en') {
+  return STATUS_KEYS.includes(status) ? t(locale, `listing.status.${status}`) : status;
+}
+
+/**
+ * Format a full listing card (Markdown)
+ * @param {Object} listing - Property document
+ * @param {string} locale - Locale code
+ * @param {Object} options - Formatting options
+ * @param {boolean} options.showStatus - Include the listing status line
+ * @returns {string} Card text
+ */
+function formatListingCard(listing, locale = 'en', { showStatus = false } = {}) {
+  const notSet = t(locale, 'common.notSet');
+  const isSet = value => value !== null && value !== undefined;
+  const title = listing.district
+    ? t(locale, 'listing.card.titleInDistrict', { type: getTypeLabel(listing.type, locale), district: escapeMarkdown(listing.district) })
+    : getTypeLabel(listing.type, locale);
+
+  const lines = [
+    `*${title}*`,
+    '',
+    t(locale, 'listing.card.price', { value: formatPrice(listing.price, listing.currency, locale) }),
+    t(locale, 'listing.card.area', { value: listing.area ? t(locale, 'listing.card.squareMeters', { area: listing.area }) : notSet })
+  ];
+
+  if (listing.price && listing.area) {
+    lines.push(t(locale, 'listing.card.pricePerMeter', { value: formatPrice(listing.price / listing.area, listing.currency, locale) }));
+  }
+
+  lines.push(t(locale, 'listing.card.rooms', { value: isSet(listing.rooms) ? listing.rooms : notSet }));
+  lines.push(t(locale, 'listing.card.floor', { value: isSet(listing.floor) ? listing.floor : notSet }));
+
+  if (listing.photos && listing.photos.length > 0) {
+    lines.push(t(locale, 'listing.card.photos', { count: listing.photos.length }));
+  }
+
+  if (listing.description) {
+    lines.push('', `📝 ${escapeMarkdown(truncateText(listing.description, 700))}`);
+  }
+
+  if (showStatus) {
+    lines.push('', t(locale, 'listing.card.status', { value: getStatusLabel(listing.status, locale) }));
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Format a one-line listing summary, suitable for button labels
+ * @param {Object} listing - Property document
+ * @param {string} locale - Locale code
+ * @returns {string} Summary text
+ */
+function formatListingSummary(listing, locale = 'en') {
+  const parts = [getTypeLabel(listing.type, locale)];
+
+  if (listing.rooms) {
+    parts.push(t(locale, 'listing.card.roomsShort', { rooms: listing.rooms }));
+  }
+  if (listing.district) {
+    parts.push(listing.district);
+  }
+  if (listing.price) {
+    parts.push(formatPrice(listing.price, listing.currency, locale));
+  }
+
+  return parts.join(' · ');
+}
+
+module.exports = {
+  getTypeLabel,
+  getStatusLabel,
+  formatListingCard,
+  formatListingSummary
+};
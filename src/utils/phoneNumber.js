@@ -0,0 +1,81 @@
+/**
+ * Phone number normalisation to E.164 (+<country code><national number>)
+ */
+
+/**
+ * Find the country of an international number by its calling code
+ * @param {string} digits - Digits after the plus sign
+ * @param {Object} countries - Calling code => { name, lengths }
+ * @returns {Object|null} { code, name, lengths } or null for an unknown code
+ */
+function findCountry(digits, countries) {
+  // Calling codes are prefix-free, but longer ones are checked first to be safe
+  for (let length = 3; length >= 1; length--) {
+    const code = digits.slice(0, length);
+    if (countries[code]) {
+      return { code, ...countries[code] };
+    }
+  }
+  return null;
+}
+
+/**
+ * Convert a phone number typed in international or local format to E.164
+ * @param {string} input - Raw phone number, e.g. "+998 90 123 45 67", "90 123 45 67" or "8 (90) 123-45-67"
+ * @param {Object} options - { defaultCountryCode, countries }
+ * @returns {Object} { valid, value, country } or { valid: false, error }, error being a catalogue key or { key, params }
+ */
+function normalizePhoneNumber(input, { defaultCountryCode, countries }) {
+  const raw = String(input || '').trim();
+  let digits = raw.replace(/\D/g, '');
+  const invalid = { valid: false, error: 'phone.invalid' };
+
+  if (!digits) {
+    return invalid;
+  }
+
+  let international = raw.startsWith('+');
+  if (!international && digits.startsWith('00')) {
+    // 00 is the international call prefix
+    digits = digits.slice(2);
+    international = true;
+  }
+
+  if (!international) {
+    const home = countries[defaultCountryCode];
+    const lengths = home ? home.lengths : [];
+    const trunkPrefix = home && home.trunkPrefix;
+
+    if (lengths.includes(digits.length)) {
+      digits = `${defaultCountryCode}${digits}`;
+    } else if (trunkPrefix && digits.startsWith(trunkPrefix) && lengths.includes(digits.length - trunkPrefix.length)) {
+      digits = `${defaultCountryCode}${digits.slice(trunkPrefix.length)}`;
+    }
+    // Anything else is taken as an international number typed without the plus
+  }
+
+  if (!/^[1-9]\d{6,14}$/.test(digits)) {
+    return invalid;
+  }
+
+  const country = findCountry(digits, countries);
+  if (country) {
+    const nationalLength = digits.length - country.code.length;
+    if (!country.lengths.includes(nationalLength)) {
+      return {
+        valid: false,
+        error: {
+          key: 'phone.countryLength',
+          params: { code: country.code, country: country.name, lengths: country.lengths.join('/') }
+        }
+      };
+    }
+  }
+
+  return { valid: true, value: `+${digits}`, country: country ? country.name : null };
+}
+
+module.exports = {
+  findCountry,
+  normalizePhoneNumber
+};
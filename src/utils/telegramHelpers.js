@@ -0,0 +1,60 @@
+/**
+ * Helpers for common Telegram message patterns
+ */
+
+const Logger = require('./logger');
+
+/**
+ * Show a screen, editing the current message when triggered by a button
+ * so that menus and paginated lists update in place
+ * @param {Object} ctx - Telegraf context
+ * @param {string} text - Message text
+ * @param {Object} extra - Extra options (keyboard, parse mode)
+ */
+async function renderScreen(ctx, text, extra = {}) {
+  if (ctx.callbackQuery && ctx.callbackQuery.message && ctx.callbackQuery.message.text) {
+    try {
+      await ctx.editMessageText(text, extra);
+      return;
+    } catch (error) {
+      // Telegram refuses edits that don't change anything
+      if (error.message && error.message.includes('message is not modified')) {
+        return;
+      }
+      Logger.debug('Falling back to a new message', { error: error.message });
+    }
+  }
+
+  await ctx.reply(text, extra);
+}
+
+/**
+ * Send the photos of a listing, as a media group when there are several
+ * @param {Object} ctx - Telegraf context
+ * @param {Object} listing - Property document
+ * @param {Object} options - { numbered } to caption each photo with its position
+ * @returns {Promise<boolean>} True if any photos were sent
+ */
+async function sendListingPhotos(ctx, listing, { numbered = false } = {}) {
+  const photos = (listing && listing.photos) || [];
+  if (photos.length === 0) {
+    return false;
+  }
+
+  if (photos.length === 1) {
+    await ctx.replyWithPhoto(photos[0].fileId, numbered ? { caption: '1' } : {});
+    return true;
+  }
+
+  await ctx.replyWithMediaGroup(photos.map((photo, index) => ({
+    type: 'photo',
+    media: photo.fileId,
+    ...(numbered ? { caption: `${index + 1}` } : {})
+  })));
+  return true;
+}
+
+module.exports = {
+  renderScreen,
+  sendListingPhotos
+};